@@ -11,6 +11,12 @@ const PORT = process.env.PORT || 4000;
 // Import routes
 const routes = require('./src/routes');
 const errorMiddleware = require('./src/middleware/error.middleware');
+const { requestContext } = require('./src/middleware/request-context.middleware');
+const { getStorageDriver } = require('./src/utils/repository.util');
+const { hashPasswordSync } = require('./src/utils/password.util');
+const roleService = require('./src/services/role.service');
+const supplierDocumentService = require('./src/services/supplier-document.service');
+const priceQuoteService = require('./src/services/price-quote.service');
 
 // Create required directories
 const directories = [
@@ -26,6 +32,8 @@ const directories = [
   'data/cutting-jobs',
   'data/settings',
   'data/items',
+  'data/suppliers/documents',
+  'data/clients',
   'logs',
   'data/quotations',
   'data/quotations/pdfs',
@@ -56,7 +64,7 @@ if (!fs.existsSync(usersFile)) {
       username: "admin.super",
       name: "Super Admin",
       email: "admin@laser.com",
-      password: "admin123",
+      password: hashPasswordSync('admin123'),
       role: "super_admin",
       active: true,
       createdAt: new Date().toISOString(),
@@ -64,6 +72,12 @@ if (!fs.existsSync(usersFile)) {
     }
   ];
   fs.writeFileSync(usersFile, JSON.stringify(defaultUsers, null, 2));
+
+  // The admin took USER-0001, so the next generated user ID must be USER-0002
+  const countersFile = path.join(__dirname, 'data/counters.json');
+  const counters = fs.existsSync(countersFile) ? JSON.parse(fs.readFileSync(countersFile, 'utf8')) : {};
+  counters.USER = Math.max(counters.USER || 0, 1);
+  fs.writeFileSync(countersFile, JSON.stringify(counters, null, 2));
   console.log('✅ Created users.json with default super admin');
   console.log('📧 Default Login - Email: admin@laser.com | Password: admin123');
 }
@@ -112,6 +126,11 @@ logFiles.forEach(logFile => {
 
 console.log('\n✨ System initialization completed!\n');
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (used by rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
@@ -121,6 +140,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Make the current request (actor, IP) available to services for the audit log
+app.use(requestContext);
+
 // Serve static files (uploaded files)
 app.use('/uploads', express.static(path.join(__dirname, 'data/files/physical')));
 
@@ -156,11 +178,19 @@ app.use((req, res) => {
 // Global error handler (must be last)
 app.use(errorMiddleware);
 
-// Start server
-app.listen(PORT, () => {
+// Start server (after checking stored roles/users against the permission registry)
+roleService.checkConsistency()
+  .then(() => app.listen(PORT, onListening))
+  .catch((error) => {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+  });
+
+function onListening() {
   console.log('='.repeat(60));
   console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`📡 Port: ${PORT}`);
+  console.log(`🗄️  Storage: ${getStorageDriver()}`);
   console.log(`🌐 API URL: http://localhost:${PORT}/api`);
   console.log(`📊 Health check: http://localhost:${PORT}/`);
   console.log('='.repeat(60));
@@ -172,7 +202,13 @@ app.listen(PORT, () => {
     console.log('\n⚠️  Please change the default password after first login!');
   }
   console.log('\n✅ Server is ready to accept requests\n');
-});
+
+  // Daily reminder for supplier documents about to expire
+  supplierDocumentService.scheduleReminders();
+
+  // Daily expiry check of open price quotes
+  priceQuoteService.scheduleExpiryCheck();
+}
 
 // Graceful shutdown handlers
 process.on('unhandledRejection', (err) => {
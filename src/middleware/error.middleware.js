@@ -67,6 +67,17 @@ const errorMiddleware = (err, req, res, next) => {
     message
   };
 
+  // Let clients reload a record after a version conflict
+  if (statusCode === 409 && err.currentVersion !== undefined) {
+    response.currentVersion = err.currentVersion;
+  }
+
+  // Tell throttled clients when to retry
+  if (statusCode === 429 && err.retryAfter !== undefined) {
+    res.set('Retry-After', String(err.retryAfter));
+    response.retryAfter = err.retryAfter;
+  }
+
   // Include error details only in development
   if (process.env.NODE_ENV === 'development') {
     response.error = err.message;
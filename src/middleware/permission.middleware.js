@@ -0,0 +1,44 @@
+// src/middleware/permission.middleware.js
+const roleService = require('../services/role.service');
+const { declarePermission, hasPermission } = require('../utils/permissions.util');
+
+/**
+ * Require a permission from the registry (use after protect)
+ * The key is checked when the route is declared, so an unknown
+ * resource/action stops the server from starting.
+ * @param {string} resource - Resource key (e.g. 'purchases')
+ * @param {string} action - view | create | edit | approve | delete | export
+ */
+const requirePermission = (resource, action) => {
+  const permission = declarePermission(resource, action);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not authenticated'
+        });
+      }
+
+      // Resolve once per request
+      if (!req.permissions) {
+        req.permissions = await roleService.getEffectivePermissions(req.user);
+      }
+
+      if (!hasPermission(req.permissions, resource, action)) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to perform this action (${permission}). Please contact your administrator.`,
+          requiredPermission: permission
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { requirePermission };
@@ -0,0 +1,91 @@
+// src/middleware/rate-limit.middleware.js
+
+/**
+ * In-memory fixed-window rate limiter
+ * Counts requests per key; once a key exceeds `max` inside `windowMs` the
+ * request is answered with 429 and a Retry-After header.
+ * @param {object} options - { name, windowMs, max, keyGenerator: (req) => string|null, message }
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator, message }) => {
+  const hits = new Map();
+  let lastSweep = Date.now();
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Drop expired windows now and then so the map does not grow forever
+    if (now - lastSweep > windowMs) {
+      hits.forEach((entry, key) => {
+        if (entry.resetAt <= now) hits.delete(key);
+      });
+      lastSweep = now;
+    }
+
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      console.warn(`⚠️ Rate limit "${name}" exceeded for ${key}`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const normalize = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+
+/**
+ * Login: per-IP request limit (per-username failures are tracked by the auth service)
+ */
+const loginRateLimit = rateLimit({
+  name: 'login-ip',
+  windowMs: parseInt(process.env.LOGIN_RATE_WINDOW_MINUTES || '15') * MINUTE_MS,
+  max: parseInt(process.env.LOGIN_RATE_MAX_PER_IP || '50'),
+  keyGenerator: (req) => req.ip,
+  message: 'Too many login attempts. Please try again later'
+});
+
+/**
+ * Forgot password: per-IP and per-email request limits
+ */
+const forgotPasswordIpLimit = rateLimit({
+  name: 'forgot-password-ip',
+  windowMs: 60 * MINUTE_MS,
+  max: parseInt(process.env.FORGOT_PASSWORD_MAX_PER_IP || '10'),
+  keyGenerator: (req) => req.ip,
+  message: 'Too many password reset requests. Please try again later'
+});
+
+const forgotPasswordEmailLimit = rateLimit({
+  name: 'forgot-password-email',
+  windowMs: 60 * MINUTE_MS,
+  max: parseInt(process.env.FORGOT_PASSWORD_MAX_PER_EMAIL || '3'),
+  keyGenerator: (req) => normalize(req.body && req.body.email),
+  message: 'Too many password reset requests. Please try again later'
+});
+
+const forgotPasswordRateLimit = [forgotPasswordIpLimit, forgotPasswordEmailLimit];
+
+module.exports = {
+  rateLimit,
+  loginRateLimit,
+  forgotPasswordRateLimit
+};
@@ -0,0 +1,11 @@
+// src/middleware/request-context.middleware.js
+const { runWithRequest } = require('../utils/request-context.util');
+
+/**
+ * Make the current request available to services (see request-context.util)
+ */
+const requestContext = (req, res, next) => {
+  runWithRequest(req, next);
+};
+
+module.exports = { requestContext };
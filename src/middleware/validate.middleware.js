@@ -1,4 +1,5 @@
 // src/middleware/validate.middleware.js
+const { validatePasswordPolicy } = require('../utils/password.util');
 
 /**
  * Simple validation middleware without external dependencies
@@ -33,17 +34,17 @@ const validateUser = (req, res, next) => {
   // Validate password
   if (!password || password.trim().length === 0) {
     errors.push({ field: 'password', message: 'Password is required' });
-  } else if (password.length < 6) {
-    errors.push({ field: 'password', message: 'Password must be at least 6 characters long' });
-  } else if (password.length > 50) {
-    errors.push({ field: 'password', message: 'Password must not exceed 50 characters' });
+  } else {
+    validatePasswordPolicy(password).forEach(message => {
+      errors.push({ field: 'password', message });
+    });
   }
 
-  // Validate role
+  // Validate role format
   if (role) {
-    const validRoles = ['super_admin', 'admin', 'employee', 'secretariat'];
-    if (!validRoles.includes(role)) {
-      errors.push({ field: 'role', message: 'Role must be one of: super_admin, admin, employee, or secretariat' });
+    // The role itself (built-in or custom) is checked by the user service
+    if (typeof role !== 'string' || !role.trim()) {
+      errors.push({ field: 'role', message: 'Role must be a non-empty string' });
     }
   }
 
@@ -98,18 +99,16 @@ const validateUserUpdate = (req, res, next) => {
 
   // Validate password if provided
   if (password !== undefined) {
-    if (password.length < 6) {
-      errors.push({ field: 'password', message: 'Password must be at least 6 characters long' });
-    } else if (password.length > 50) {
-      errors.push({ field: 'password', message: 'Password must not exceed 50 characters' });
-    }
+    validatePasswordPolicy(password).forEach(message => {
+      errors.push({ field: 'password', message });
+    });
   }
 
-  // Validate role if provided
+  // Validate role format
   if (role !== undefined) {
-    const validRoles = ['super_admin', 'admin', 'employee', 'secretariat'];
-    if (!validRoles.includes(role)) {
-      errors.push({ field: 'role', message: 'Role must be one of: super_admin, admin, employee, or secretariat' });
+    // The role itself (built-in or custom) is checked by the user service
+    if (typeof role !== 'string' || !role.trim()) {
+      errors.push({ field: 'role', message: 'Role must be a non-empty string' });
     }
   }
 
@@ -164,6 +163,33 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate a new password (change-password / reset-password)
+ * Reuse of recent passwords is checked by the auth service, which has the history.
+ */
+const validatePasswordChange = (req, res, next) => {
+  const { newPassword } = req.body;
+  const errors = [];
+
+  if (!newPassword || newPassword.trim().length === 0) {
+    errors.push({ field: 'newPassword', message: 'New password is required' });
+  } else {
+    validatePasswordPolicy(newPassword).forEach(message => {
+      errors.push({ field: 'newPassword', message });
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate item creation data
  */
@@ -244,6 +270,7 @@ module.exports = {
   validateUser,
   validateUserUpdate,
   validateLogin,
+  validatePasswordChange,
   validateItem,
   validateItemUpdate
 };
\ No newline at end of file
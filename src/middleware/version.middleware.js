@@ -0,0 +1,51 @@
+// src/middleware/version.middleware.js
+
+/**
+ * Optimistic concurrency helpers
+ * Records carry a numeric `version`; clients send it back on edit either as
+ * an If-Match header (ETag) or a `version` field in the body, and get a 409
+ * when the record changed in the meantime.
+ */
+
+/**
+ * Expected version sent by the client (undefined if none)
+ * Accepts If-Match: "3", W/"3" or a body field { version: 3 }
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch !== '*') {
+    const match = ifMatch.match(/^(?:W\/)?"?(\d+)"?$/);
+    if (match) {
+      return parseInt(match[1]);
+    }
+  }
+
+  if (req.body && req.body.version !== undefined && req.body.version !== '') {
+    const version = parseInt(req.body.version);
+    return isNaN(version) ? undefined : version;
+  }
+
+  return undefined;
+};
+
+/**
+ * Add an ETag header to single-record responses that carry a version
+ */
+const versionHeaders = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const data = body && body.data;
+    if (data && !Array.isArray(data) && Number.isInteger(data.version) && !res.get('ETag')) {
+      res.set('ETag', `"${data.version}"`);
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  getExpectedVersion,
+  versionHeaders
+};
@@ -3,24 +3,25 @@
 const express = require('express');
 const router = express.Router();
 const itemsService = require('../services/Items.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 
 // Apply route access check to all routes
 router.use(protect);
-router.use(checkRouteAccess('itemsControl')); // ✅ FIXED: Changed from 'items' to 'itemsControl'
 
 /**
  * @route   POST /api/items
  * @desc    Create new item
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (itemsControl:create)
  */
-router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.post('/', requirePermission('itemsControl', 'create'), async (req, res) => {
   try {
-    const { name, description, unit } = req.body;
+    const { name, description, unit, reorderPoint, reorderQuantity } = req.body;
 
     const item = await itemsService.createItem(
-      { name, description, unit },
+      { name, description, unit, reorderPoint, reorderQuantity },
       req.user.id
     );
 
@@ -31,7 +32,7 @@ router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating item:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'فشل إنشاء الصنف'
     });
@@ -41,9 +42,9 @@ router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
 /**
  * @route   GET /api/items
  * @desc    Get all items with pagination and search
- * @access  Private (All authenticated users)
+ * @access  Private (itemsControl:view)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('itemsControl', 'view'), async (req, res) => {
   try {
     const { page, limit, search } = req.query;
 
@@ -70,9 +71,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   GET /api/items/simple
  * @desc    Get all items in simple format (id and name only)
- * @access  Private (All authenticated users)
+ * @access  Private (itemsControl:view)
  */
-router.get('/simple', async (req, res) => {
+router.get('/simple', requirePermission('itemsControl', 'view'), async (req, res) => {
   try {
     const items = await itemsService.getAllItemsSimple();
 
@@ -92,9 +93,9 @@ router.get('/simple', async (req, res) => {
 /**
  * @route   GET /api/items/:id
  * @desc    Get item by ID
- * @access  Private (All authenticated users)
+ * @access  Private (itemsControl:view)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('itemsControl', 'view'), async (req, res) => {
   try {
     const item = await itemsService.getItemById(req.params.id);
 
@@ -111,18 +112,41 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/items/:id/history
+ * @desc    Get the audit trail of a item
+ * @access  Private (itemsControl:view)
+ */
+router.get('/:id/history', requirePermission('itemsControl', 'view'), async (req, res) => {
+  try {
+    await itemsService.getItemById(req.params.id);
+    const history = await auditService.getHistory('items', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching item history:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || 'الصنف غير موجود'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/items/:id
  * @desc    Update item
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (itemsControl:edit)
  */
-router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.put('/:id', requirePermission('itemsControl', 'edit'), async (req, res) => {
   try {
-    const { name, description, unit } = req.body;
+    const { name, description, unit, reorderPoint, reorderQuantity } = req.body;
 
     const item = await itemsService.updateItem(
       req.params.id,
-      { name, description, unit },
+      { name, description, unit, reorderPoint, reorderQuantity, version: getExpectedVersion(req) },
       req.user.id
     );
 
@@ -133,7 +157,7 @@ router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating item:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'فشل تحديث الصنف'
     });
@@ -143,9 +167,9 @@ router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
 /**
  * @route   DELETE /api/items/:id
  * @desc    Delete item
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (itemsControl:delete)
  */
-router.delete('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.delete('/:id', requirePermission('itemsControl', 'delete'), async (req, res) => {
   try {
     const result = await itemsService.deleteItem(req.params.id);
 
@@ -156,7 +180,7 @@ router.delete('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting item:', error);
-    res.status(404).json({
+    res.status(error.statusCode || 404).json({
       success: false,
       message: error.message || 'فشل حذف الصنف'
     });
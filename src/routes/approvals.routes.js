@@ -0,0 +1,74 @@
+// src/routes/approvals.routes.js
+const express = require('express');
+const router = express.Router();
+const approvalService = require('../services/approval.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/approvals/pending
+ * @desc    Documents waiting for the current user's approval
+ * @access  Private (filtered by purchases/rfqs/materialRequests/costingSheet:approve)
+ */
+router.get('/pending', async (req, res, next) => {
+  try {
+    const pending = await approvalService.getPendingForUser(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: pending.length,
+      data: pending
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/approvals/workflows
+ * @desc    Approval workflow of every document type
+ * @access  Private (approvals:view)
+ */
+router.get('/workflows', requirePermission('approvals', 'view'), async (req, res, next) => {
+  try {
+    const workflows = await approvalService.getWorkflows();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        documentTypes: approvalService.getDocumentTypes(),
+        statuses: approvalService.getStatuses(),
+        workflows
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/approvals/workflows/:type
+ * @desc    Set the approval steps of a document type (applies to documents submitted afterwards)
+ * @access  Private (approvals:edit)
+ * @body    { steps: [{ name: 'Department Head', roles: ['department_head'], sameDepartment: true },
+ *                    { name: 'Finance', roles: ['finance'], minAmount: 5000 }] }
+ *          allowSelfApproval: true lets the requester act on a step (blocked by default)
+ */
+router.put('/workflows/:type', requirePermission('approvals', 'edit'), async (req, res, next) => {
+  try {
+    const workflow = await approvalService.updateWorkflow(req.params.type, req.body.steps, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval workflow updated successfully',
+      data: workflow
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
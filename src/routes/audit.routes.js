@@ -0,0 +1,45 @@
+// src/routes/audit.routes.js
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/audit
+ * @desc    Search the audit log
+ * @access  Private (audit:view)
+ * @query   entity, entityId, userId, action (create|update|delete), from, to, page, limit
+ */
+router.get('/', requirePermission('audit', 'view'), async (req, res, next) => {
+  try {
+    const { entity, entityId, userId, action, from, to, page, limit } = req.query;
+
+    const result = await auditService.list({ entity, entityId, userId, action, from, to, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/audit/entities
+ * @desc    Entity names that can be used as the "entity" filter
+ * @access  Private (audit:view)
+ */
+router.get('/entities', requirePermission('audit', 'view'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: auditService.getAuditedEntities()
+  });
+});
+
+module.exports = router;
@@ -3,13 +3,23 @@ const express = require('express');
 const router = express.Router();
 const authService = require('../services/auth.service');
 const { protect } = require('../middleware/auth.middleware');
+const { validatePasswordChange } = require('../middleware/validate.middleware');
+const { loginRateLimit, forgotPasswordRateLimit } = require('../middleware/rate-limit.middleware');
+
+/**
+ * Device info stored with a session
+ */
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user with username and password
  * @access  Public
  */
-router.post('/login', async (req, res, next) => {
+router.post('/login', loginRateLimit, async (req, res, next) => {
   try {
     const { username, password } = req.body;
 
@@ -21,7 +31,40 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
-    const result = await authService.login(username, password);
+    const result = await authService.login(username, password, getClientMeta(req));
+
+    let message = 'Login successful';
+    if (result.twoFactorRequired) message = 'Two-factor authentication code required';
+    if (result.twoFactorSetupRequired) message = 'Two-factor authentication must be set up to continue';
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Login step 2 - verify a TOTP code or a recovery code
+ * @access  Public (requires the challenge token from /login)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/login/2fa', loginRateLimit, async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and verification code or recovery code'
+      });
+    }
+
+    const result = await authService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, getClientMeta(req));
 
     res.status(200).json({
       success: true,
@@ -33,12 +76,292 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Login step 2 for accounts that must enroll - get the TOTP secret
+ * @access  Public (requires the challenge token from /login)
+ */
+router.post('/login/2fa/setup', loginRateLimit, async (req, res, next) => {
+  try {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token'
+      });
+    }
+
+    const setup = await authService.startTwoFactorLoginSetup(challengeToken, getClientMeta(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa/enable
+ * @desc    Login step 2 for accounts that must enroll - confirm the code and login
+ * @access  Public (requires the challenge token from /login)
+ */
+router.post('/login/2fa/enable', loginRateLimit, async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and verification code'
+      });
+    }
+
+    const result = await authService.completeTwoFactorLoginSetup(challengeToken, code, getClientMeta(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor authentication status of the logged in user
+ * @access  Private
+ */
+router.get('/2fa', protect, async (req, res, next) => {
+  try {
+    const status = await authService.getTwoFactorStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI for the QR code)
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, async (req, res, next) => {
+  try {
+    const setup = await authService.setupTwoFactor(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm two-factor enrollment with a code
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide verification code'
+      });
+    }
+
+    const recoveryCodes = await authService.enableTwoFactor(req.user.id, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ * @body    { password, code } or { password, recoveryCode }
+ */
+router.post('/2fa/disable', protect, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide password and verification code or recovery code'
+      });
+    }
+
+    const result = await authService.disableTwoFactor(req.user.id, password, { code, recoveryCode }, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Generate new recovery codes (old ones stop working)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide verification code'
+      });
+    }
+
+    const recoveryCodes = await authService.regenerateRecoveryCodes(req.user.id, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token'
+      });
+    }
+
+    const result = await authService.refresh(refreshToken, getClientMeta(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout the current session
+ * @access  Private
+ */
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await authService.logout(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res, next) => {
+  try {
+    const result = await authService.logoutAll(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { revokedSessions: result.revokedSessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the logged in user
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await authService.getSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the logged in user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', protect, async (req, res, next) => {
+  try {
+    const session = await authService.revokeSession(req.user.id, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset token
  * @access  Public
  */
-router.post('/forgot-password', async (req, res, next) => {
+router.post('/forgot-password', forgotPasswordRateLimit, async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -53,8 +376,7 @@ router.post('/forgot-password', async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Password reset token generated successfully',
-      data: result
+      message: result.message
     });
   } catch (error) {
     next(error);
@@ -66,7 +388,7 @@ router.post('/forgot-password', async (req, res, next) => {
  * @desc    Reset password using token
  * @access  Public
  */
-router.post('/reset-password', async (req, res, next) => {
+router.post('/reset-password', validatePasswordChange, async (req, res, next) => {
   try {
     const { token, newPassword } = req.body;
 
@@ -77,13 +399,6 @@ router.post('/reset-password', async (req, res, next) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
     await authService.resetPassword(token, newPassword);
 
     res.status(200).json({
@@ -100,7 +415,7 @@ router.post('/reset-password', async (req, res, next) => {
  * @desc    Change password for logged in user
  * @access  Private
  */
-router.post('/change-password', protect, async (req, res, next) => {
+router.post('/change-password', protect, validatePasswordChange, async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -111,14 +426,7 @@ router.post('/change-password', protect, async (req, res, next) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long'
-      });
-    }
-
-    await authService.changePassword(req.user.id, currentPassword, newPassword);
+    await authService.changePassword(req.user.id, currentPassword, newPassword, req.user.sessionId);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,211 @@
+// src/routes/clients.routes.js
+const express = require('express');
+const router = express.Router();
+const clientService = require('../services/client.service');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { getExpectedVersion } = require('../middleware/version.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/clients
+ * @desc    List clients
+ * @access  Private (clients:view)
+ * @query   search, status=active|inactive, city
+ */
+router.get('/', requirePermission('clients', 'view'), async (req, res, next) => {
+  try {
+    const { search, status, city } = req.query;
+    const clients = await clientService.getAllClients({ search, status, city });
+
+    res.status(200).json({
+      success: true,
+      count: clients.length,
+      data: clients
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/clients
+ * @desc    Create a client
+ * @access  Private (clients:create)
+ * @body    { name, companyName, email, phone, address, city, country, taxNumber,
+ *            defaultLanguage: arabic|english, defaultTaxRate, paymentTerms, contactPerson, notes }
+ */
+router.post('/', requirePermission('clients', 'create'), async (req, res, next) => {
+  try {
+    const client = await clientService.createClient(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Client created successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/clients/:id
+ * @desc    Get a client
+ * @access  Private (clients:view)
+ */
+router.get('/:id', requirePermission('clients', 'view'), async (req, res, next) => {
+  try {
+    const client = await clientService.getClientById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/clients/:id/documents
+ * @desc    Quotes, proforma invoices, costing sheets and receipts of a client
+ *          (only the document types the user may view)
+ * @access  Private (clients:view)
+ */
+router.get('/:id/documents', requirePermission('clients', 'view'), async (req, res, next) => {
+  try {
+    const documents = await clientService.getClientDocuments(req.params.id, req.user.id, req.user.role, req.permissions);
+
+    res.status(200).json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/clients/:id/history
+ * @desc    Get the audit trail of a client
+ * @access  Private (clients:view)
+ */
+router.get('/:id/history', requirePermission('clients', 'view'), async (req, res, next) => {
+  try {
+    await clientService.getClientById(req.params.id);
+    const history = await auditService.getHistory('clients', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/clients/:id
+ * @desc    Update a client (documents already issued keep their snapshot)
+ * @access  Private (clients:edit)
+ */
+router.put('/:id', requirePermission('clients', 'edit'), async (req, res, next) => {
+  try {
+    const client = await clientService.updateClient(
+      req.params.id,
+      { ...req.body, version: getExpectedVersion(req) },
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Client updated successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/clients/:id
+ * @desc    Delete a client that no document references
+ * @access  Private (clients:delete)
+ */
+router.delete('/:id', requirePermission('clients', 'delete'), async (req, res, next) => {
+  try {
+    const client = await clientService.deleteClient(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Client deleted successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/clients/:id/contacts
+ * @desc    Add a contact to a client
+ * @access  Private (clients:edit)
+ * @body    { name, title, email, phone, notes, isPrimary }
+ */
+router.post('/:id/contacts', requirePermission('clients', 'edit'), async (req, res, next) => {
+  try {
+    const contact = await clientService.addContact(req.params.id, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact added successfully',
+      data: contact
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/clients/:id/contacts/:contactId
+ * @desc    Update a client contact
+ * @access  Private (clients:edit)
+ */
+router.put('/:id/contacts/:contactId', requirePermission('clients', 'edit'), async (req, res, next) => {
+  try {
+    const contact = await clientService.updateContact(req.params.id, req.params.contactId, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: contact
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/clients/:id/contacts/:contactId
+ * @desc    Remove a client contact
+ * @access  Private (clients:edit)
+ */
+router.delete('/:id/contacts/:contactId', requirePermission('clients', 'edit'), async (req, res, next) => {
+  try {
+    const contacts = await clientService.removeContact(req.params.id, req.params.contactId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact removed successfully',
+      data: contacts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
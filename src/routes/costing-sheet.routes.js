@@ -6,8 +6,13 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const costingSheetService = require('../services/costing-sheet.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const approvalService = require('../services/approval.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
+const { hasPermission } = require('../utils/permissions.util');
 const multer = require('multer');
 
 // Configure multer for file uploads (in memory)
@@ -26,13 +31,12 @@ const upload = multer({
 });
 
 router.use(protect);
-router.use(checkRouteAccess('costingSheetManagement'));
 
 /**
  * ✅ CREATE COSTING SHEET - WITH includeStaticFile SUPPORT
  * POST /api/costing-sheets
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('costingSheet', 'create'), async (req, res, next) => {
   try {
     // Parse items - handle both JSON string and object
     let items = [];
@@ -55,6 +59,7 @@ router.post('/', async (req, res, next) => {
 
     const costingSheetData = {
       date: req.body.date,
+      clientId: req.body.clientId,
       client: req.body.client,
       project: req.body.project,
       profitPercentage: req.body.profitPercentage,
@@ -83,13 +88,14 @@ router.post('/', async (req, res, next) => {
 /**
  * GET ALL COSTING SHEETS
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('costingSheet', 'view'), async (req, res, next) => {
   try {
     const { 
       csNumber, 
       startDate, 
       endDate, 
       client,
+      clientId,
       project,
       search, 
       page, 
@@ -102,6 +108,7 @@ router.get('/', async (req, res, next) => {
         startDate,
         endDate,
         client,
+        clientId,
         project,
         search,
         page: parseInt(page) || 1,
@@ -125,7 +132,7 @@ router.get('/', async (req, res, next) => {
 /**
  * GET COSTING SHEET STATISTICS
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('costingSheet', 'view'), async (req, res, next) => {
   try {
     const stats = await costingSheetService.getCostingSheetStats(req.user.id, req.user.role);
     res.status(200).json({
@@ -140,7 +147,7 @@ router.get('/stats', async (req, res, next) => {
 /**
  * RESET COUNTER - Super admin only
  */
-router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const result = await costingSheetService.resetCostingSheetCounter();
     res.status(200).json({
@@ -156,7 +163,7 @@ router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next)
 /**
  * GET SPECIFIC COSTING SHEET (By ID)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('costingSheet', 'view'), async (req, res, next) => {
   try {
     const costingSheet = await costingSheetService.getCostingSheetById(
       req.params.id, 
@@ -173,10 +180,152 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET COSTING SHEET HISTORY (audit trail)
+ */
+router.get('/:id/history', requirePermission('costingSheet', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await costingSheetService.getCostingSheetById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    const history = await auditService.getHistory('costingSheets', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET COSTING SHEET APPROVAL (workflow steps, current step and history)
+ */
+router.get('/:id/approval', requirePermission('costingSheet', 'view'), async (req, res, next) => {
+  try {
+    const approval = await approvalService.getApproval('costingSheet', req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * APPROVE / REJECT / RETURN COSTING SHEET FOR CHANGES
+ * Body: { comment } (required to reject or return)
+ */
+const decide = (decision, message) => async (req, res, next) => {
+  try {
+    const doc = await approvalService.decide(
+      'costingSheet',
+      req.params.id,
+      decision,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/approve', requirePermission('costingSheet', 'approve'), decide('approve', 'Costing Sheet approved successfully'));
+router.post('/:id/reject', requirePermission('costingSheet', 'approve'), decide('reject', 'Costing Sheet rejected'));
+router.post('/:id/return', requirePermission('costingSheet', 'approve'), decide('return', 'Costing Sheet returned for changes'));
+
+/**
+ * RESUBMIT COSTING SHEET (after it was returned for changes)
+ */
+router.post('/:id/submit', requirePermission('costingSheet', 'edit'), async (req, res, next) => {
+  try {
+    const doc = await approvalService.resubmit(
+      'costingSheet',
+      req.params.id,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Costing Sheet resubmitted for approval',
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CREATE PRICE QUOTE FROM AN APPROVED COSTING SHEET - lines priced at cost × (1 + markup%)
+ * Body: { markup (default: the sheet's profitPercentage), lineMarkups: [{ line (from 1), markup }], date,
+ *         validForDays, clientPhone, language, includeTax, taxRate, customNotes }
+ */
+router.post('/:id/create-quote', requirePermission('costingSheet', 'view'), async (req, res, next) => {
+  try {
+    if (!hasPermission(req.permissions, 'priceQuotes', 'create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action (priceQuotes:create). Please contact your administrator.',
+        requiredPermission: 'priceQuotes:create'
+      });
+    }
+
+    const { markup, lineMarkups, date, validForDays, clientPhone, language, includeTax, taxRate, customNotes } = req.body;
+
+    if (language && !['arabic', 'english'].includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Language must be either "arabic" or "english"'
+      });
+    }
+
+    const quote = await costingSheetService.createQuote(
+      req.params.id,
+      {
+        markup,
+        lineMarkups,
+        date,
+        validForDays: validForDays ? parseInt(validForDays) : null,
+        clientPhone,
+        language,
+        includeTax: includeTax !== undefined ? (includeTax === true || includeTax === 'true') : undefined,
+        taxRate: taxRate !== undefined ? parseFloat(taxRate) : undefined,
+        customNotes
+      },
+      req.user,
+      req.user.role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Price quote ${quote.quoteNumber} created from the costing sheet`,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * ✅ UPDATE COSTING SHEET - WITH includeStaticFile SUPPORT
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requirePermission('costingSheet', 'edit'), async (req, res, next) => {
   try {
     // ✅ Parse items - handle both JSON string and object
     let items = undefined;
@@ -203,16 +352,17 @@ router.put('/:id', async (req, res, next) => {
 
     const updateData = {
       date: req.body.date,
+      clientId: req.body.clientId,
       client: req.body.client,
       project: req.body.project,
       profitPercentage: req.body.profitPercentage,
       notes: req.body.notes,
       items: items,
       additionalNotes: req.body.additionalNotes,
-      status: req.body.status,
       includeStaticFile: req.body.includeStaticFile !== undefined 
         ? (req.body.includeStaticFile === true || req.body.includeStaticFile === 'true')
-        : undefined // ✅ NEW FIELD
+        : undefined, // ✅ NEW FIELD
+      version: getExpectedVersion(req)
     };
 
     const costingSheet = await costingSheetService.updateCostingSheet(
@@ -237,43 +387,13 @@ router.put('/:id', async (req, res, next) => {
  * Super Admin: Can delete any costing sheet
  * Admin/Employee: Can delete only their own costing sheets
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('costingSheet', 'delete'), async (req, res, next) => {
   try {
-    // First, get the costing sheet to check ownership
-    const costingSheet = await costingSheetService.getCostingSheetById(
-      req.params.id,
-      req.user.id,
-      req.user.role
-    );
-
-    // Super admin can delete any costing sheet
-    if (req.user.role === 'super_admin') {
-      await costingSheetService.deleteCostingSheet(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Costing Sheet deleted successfully'
-      });
-    }
+    await costingSheetService.deleteCostingSheet(req.params.id, req.user.id, req.user.role);
 
-    // Admin and employee can only delete their own costing sheets
-    if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (costingSheet.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this costing sheet'
-        });
-      }
-      await costingSheetService.deleteCostingSheet(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Costing Sheet deleted successfully'
-      });
-    }
-
-    // Other roles cannot delete
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete costing sheets'
+    res.status(200).json({
+      success: true,
+      message: 'Costing Sheet deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -286,7 +406,7 @@ router.delete('/:id', async (req, res, next) => {
  * 
  * The includeStaticFile logic is handled in the service layer
  */
-router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, next) => {
+router.post('/:id/generate-pdf', requirePermission('costingSheet', 'export'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const attachmentPdf = req.file ? req.file.buffer : null;
 
@@ -334,7 +454,7 @@ router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, n
  * GET /api/costing-sheets/:id/download-pdf
  * ✅ UPDATED: Custom filename pattern CS0001_Client_DD-MM-YYYY.pdf
  */
-router.get('/:id/download-pdf', async (req, res, next) => {
+router.get('/:id/download-pdf', requirePermission('costingSheet', 'export'), async (req, res, next) => {
   try {
     const costingSheet = await costingSheetService.getCostingSheetById(
       req.params.id, 
@@ -393,7 +513,7 @@ router.get('/:id/download-pdf', async (req, res, next) => {
  * ✅ SEND COSTING SHEET VIA EMAIL
  * POST /api/costing-sheets/:id/send-email
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('costingSheet', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -413,6 +533,13 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
+    // Check visibility first
+    await costingSheetService.getCostingSheetById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
     const result = await costingSheetService.sendCostingSheetByEmail(
       req.params.id,
       req.user.id,
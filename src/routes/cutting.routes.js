@@ -3,7 +3,11 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const cuttingService = require('../services/cutting.service');
-const { protect, checkRouteAccess ,checkSystemAccess  } = require('../middleware/auth.middleware');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 
 // Configure multer for file upload (memory storage)
 const storage = multer.memoryStorage();
@@ -27,24 +31,23 @@ const upload = multer({
 // Apply authentication to all routes
 router.use(protect);
 
-// Check system access for laser cutting management
-// Super admins automatically have access, others need laserCuttingManagement permission
-router.use(checkSystemAccess('laserCuttingManagement'));
-router.use(checkRouteAccess('cutting'));
-
 /**
  * @route   POST /api/cutting
  * @desc    Create new cutting job
- * @access  Private (Super Admin or users with cutting access)
+ * @access  Private (cutting:create)
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+router.post('/', requirePermission('cutting', 'create'), bindContext(upload.single('file')), async (req, res, next) => {
   try {
     const {
       projectName,
       pieceName,
       quantity,
       materialType,
+      grade,
       thickness,
+      sheetsRequired,
+      sheetStockId,
+      dateFrom,
       notes
     } = req.body;
 
@@ -76,7 +79,11 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       pieceName,
       quantity,
       materialType,
+      grade,
       thickness,
+      sheetsRequired,
+      sheetStockId,
+      dateFrom,
       notes
     };
 
@@ -96,9 +103,9 @@ router.post('/', upload.single('file'), async (req, res, next) => {
 /**
  * @route   GET /api/cutting
  * @desc    Get all cutting jobs with filters and pagination
- * @access  Private
+ * @access  Private (cutting:view)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('cutting', 'view'), async (req, res, next) => {
   try {
     const {
       fileStatus,
@@ -135,9 +142,9 @@ router.get('/', async (req, res, next) => {
 /**
  * @route   GET /api/cutting/statistics
  * @desc    Get cutting jobs statistics
- * @access  Private
+ * @access  Private (cutting:view)
  */
-router.get('/statistics', async (req, res, next) => {
+router.get('/statistics', requirePermission('cutting', 'view'), async (req, res, next) => {
   try {
     const stats = await cuttingService.getStatistics();
 
@@ -153,9 +160,9 @@ router.get('/statistics', async (req, res, next) => {
 /**
  * @route   GET /api/cutting/download/:id
  * @desc    Download cutting job file
- * @access  Private
+ * @access  Private (cutting:view)
  */
-router.get('/download/:id', async (req, res, next) => {
+router.get('/download/:id', requirePermission('cutting', 'view'), async (req, res, next) => {
   try {
     const job = await cuttingService.getCuttingJobById(req.params.id);
 
@@ -182,9 +189,9 @@ router.get('/download/:id', async (req, res, next) => {
 /**
  * @route   GET /api/cutting/:id
  * @desc    Get specific cutting job by ID
- * @access  Private
+ * @access  Private (cutting:view)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('cutting', 'view'), async (req, res, next) => {
   try {
     const job = await cuttingService.getCuttingJobById(req.params.id);
 
@@ -197,19 +204,42 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/cutting/:id/history
+ * @desc    Get the audit trail of a cutting job
+ * @access  Private (cutting:view)
+ */
+router.get('/:id/history', requirePermission('cutting', 'view'), async (req, res, next) => {
+  try {
+    await cuttingService.getCuttingJobById(req.params.id);
+
+    const history = await auditService.getHistory('cuttingJobs', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/cutting/:id
  * @desc    Update cutting job
- * @access  Private
+ * @access  Private (cutting:edit)
  */
-router.put('/:id', upload.single('file'), async (req, res, next) => {
+router.put('/:id', requirePermission('cutting', 'edit'), bindContext(upload.single('file')), async (req, res, next) => {
   try {
     const {
       projectName,
       pieceName,
       quantity,
       materialType,
+      grade,
       thickness,
+      sheetsRequired,
+      sheetStockId,
       notes,
       fileStatus,
       dateFrom,
@@ -259,11 +289,15 @@ router.put('/:id', upload.single('file'), async (req, res, next) => {
       pieceName,
       quantity,
       materialType,
+      grade,
       thickness,
+      sheetsRequired,
+      sheetStockId,
       notes,
       fileStatus,
       dateFrom,
-      currentlyCut  // ✅ NEW: Include currentlyCut in update data
+      currentlyCut,  // ✅ NEW: Include currentlyCut in update data
+      version: getExpectedVersion(req)
     };
 
     const updatedBy = req.user.id;
@@ -289,7 +323,7 @@ router.put('/:id', upload.single('file'), async (req, res, next) => {
  * Super Admin: Can delete any cutting job
  * Admin/Employee: Can delete only their own cutting jobs
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('cutting', 'delete'), async (req, res, next) => {
   try {
     // First, get the cutting job to check ownership
     const job = await cuttingService.getCuttingJobById(req.params.id);
@@ -331,9 +365,9 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route   PATCH /api/cutting/:id/status
  * @desc    Update only the file status of a cutting job
- * @access  Private
+ * @access  Private (cutting:edit)
  */
-router.patch('/:id/status', async (req, res, next) => {
+router.patch('/:id/status', requirePermission('cutting', 'edit'), async (req, res, next) => {
   try {
     const { fileStatus } = req.body;
 
@@ -355,7 +389,7 @@ router.patch('/:id/status', async (req, res, next) => {
     const updatedBy = req.user.id;
     const job = await cuttingService.updateCuttingJob(
       req.params.id,
-      { fileStatus },
+      { fileStatus, version: getExpectedVersion(req) },
       null,
       updatedBy
     );
@@ -373,11 +407,13 @@ router.patch('/:id/status', async (req, res, next) => {
 /**
  * @route   PATCH /api/cutting/:id/track
  * @desc    Update cutting progress (currentlyCut) for a job
- * @access  Private
+ * @access  Private (cutting:edit)
+ * @body    { currentlyCut, fileStatus, notes, sheetsUsed, remnants: [{ width, length, quantity }] }
+ *          sheetsUsed defaults to the share of sheetsRequired matching the progress
  */
-router.patch('/:id/track', async (req, res, next) => {
+router.patch('/:id/track', requirePermission('cutting', 'edit'), async (req, res, next) => {
   try {
-    const { currentlyCut, fileStatus, notes } = req.body;
+    const { currentlyCut, fileStatus, notes, sheetsUsed, remnants } = req.body;
 
     if (currentlyCut === undefined) {
       return res.status(400).json({
@@ -409,7 +445,10 @@ router.patch('/:id/track', async (req, res, next) => {
     const updateData = {
       currentlyCut: cutAmount,
       fileStatus,
-      notes
+      notes,
+      sheetsUsed,
+      remnants,
+      version: getExpectedVersion(req)
     };
 
     const job = await cuttingService.updateCuttingJob(
@@ -2,21 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const fileManagementService = require('../services/File-management.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
-// All routes require authentication and super_admin role ONLY
+// All routes require authentication (each route declares its filesControl permission)
 router.use(protect);
-router.use(checkRouteAccess('fileManagement'));
-router.use(restrictTo('super_admin'));
 
 /**
  * @route   GET /api/file-management
  * @desc    Get all files with filters and pagination
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  * @query   type, category, extension, search, createdBy, startDate, endDate, sortBy, sortOrder, page, limit
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const {
       type,
@@ -61,9 +59,9 @@ router.get('/', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/statistics
  * @desc    Get file statistics
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/statistics', async (req, res, next) => {
+router.get('/statistics', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const stats = await fileManagementService.getFileStatistics();
 
@@ -79,9 +77,9 @@ router.get('/statistics', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/storage-usage
  * @desc    Get storage usage by type
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/storage-usage', async (req, res, next) => {
+router.get('/storage-usage', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const usage = await fileManagementService.getStorageUsageByType();
 
@@ -97,9 +95,9 @@ router.get('/storage-usage', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/orphaned
  * @desc    Get orphaned files (files without metadata)
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/orphaned', async (req, res, next) => {
+router.get('/orphaned', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const result = await fileManagementService.getOrphanedFiles();
 
@@ -115,9 +113,9 @@ router.get('/orphaned', async (req, res, next) => {
 /**
  * @route   POST /api/file-management/cleanup-orphaned
  * @desc    Delete all orphaned files
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:delete)
  */
-router.post('/cleanup-orphaned', async (req, res, next) => {
+router.post('/cleanup-orphaned', requirePermission('filesControl', 'delete'), async (req, res, next) => {
   try {
     const result = await fileManagementService.cleanupOrphanedFiles();
 
@@ -134,9 +132,9 @@ router.post('/cleanup-orphaned', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/duplicates
  * @desc    Get duplicate files
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/duplicates', async (req, res, next) => {
+router.get('/duplicates', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const result = await fileManagementService.getDuplicateFiles();
 
@@ -153,9 +151,9 @@ router.get('/duplicates', async (req, res, next) => {
  * ✅ UPDATED: Get available file types and categories WITH NEW TYPES INCLUDING EMPTY RECEIPTS
  * @route   GET /api/file-management/types
  * @desc    Get available file types and categories
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/types', (req, res) => {
+router.get('/types', requirePermission('filesControl', 'view'), (req, res) => {
   res.status(200).json({
     success: true,
     data: {
@@ -201,9 +199,9 @@ router.get('/types', (req, res) => {
 /**
  * @route   GET /api/file-management/:id
  * @desc    Get specific file details
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const file = await fileManagementService.getFileById(req.params.id);
 
@@ -219,9 +217,9 @@ router.get('/:id', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/:id/download
  * @desc    Download file
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/:id/download', async (req, res, next) => {
+router.get('/:id/download', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const fileInfo = await fileManagementService.getFileForDownload(req.params.id);
 
@@ -238,9 +236,9 @@ router.get('/:id/download', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/:id/preview
  * @desc    Preview file (for PDFs and images)
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:view)
  */
-router.get('/:id/preview', async (req, res, next) => {
+router.get('/:id/preview', requirePermission('filesControl', 'view'), async (req, res, next) => {
   try {
     const fileInfo = await fileManagementService.getFileForDownload(req.params.id);
 
@@ -258,9 +256,9 @@ router.get('/:id/preview', async (req, res, next) => {
 /**
  * @route   DELETE /api/file-management/:id
  * @desc    Delete file
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:delete)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('filesControl', 'delete'), async (req, res, next) => {
   try {
     const result = await fileManagementService.deleteFile(req.params.id);
 
@@ -277,9 +275,9 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route   POST /api/file-management/bulk-delete
  * @desc    Delete multiple files
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:delete)
  */
-router.post('/bulk-delete', async (req, res, next) => {
+router.post('/bulk-delete', requirePermission('filesControl', 'delete'), async (req, res, next) => {
   try {
     const { fileIds } = req.body;
 
@@ -323,9 +321,9 @@ router.post('/bulk-delete', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/export/list
  * @desc    Export file list as JSON
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:export)
  */
-router.get('/export/list', async (req, res, next) => {
+router.get('/export/list', requirePermission('filesControl', 'export'), async (req, res, next) => {
   try {
     const { files } = await fileManagementService.getAllFiles({ limit: 999999 });
 
@@ -358,9 +356,9 @@ router.get('/export/list', async (req, res, next) => {
 /**
  * @route   GET /api/file-management/export/csv
  * @desc    Export file list as CSV
- * @access  Super Admin ONLY
+ * @access  Private (filesControl:export)
  */
-router.get('/export/csv', async (req, res, next) => {
+router.get('/export/csv', requirePermission('filesControl', 'export'), async (req, res, next) => {
   try {
     const { files } = await fileManagementService.getAllFiles({ limit: 999999 });
 
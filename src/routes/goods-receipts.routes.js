@@ -0,0 +1,123 @@
+// src/routes/goods-receipts.routes.js
+const express = require('express');
+const router = express.Router();
+const goodsReceiptService = require('../services/goods-receipt.service');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   POST /api/goods-receipts
+ * @desc    Receive goods against the lines of an approved purchase order
+ * @access  Private (goodsReceipts:create)
+ * @body    { purchaseOrderId, date, deliveryNoteNumber, notes, location: 'MAIN',
+ *            lines: [{ line: 1, quantity: 8, rejectedQuantity: 1, note: 'One sheet dented', itemId: 'IT0003' }] }
+ */
+router.post('/', requirePermission('goodsReceipts', 'create'), async (req, res, next) => {
+  try {
+    const result = await goodsReceiptService.createGoodsReceipt(req.body, req.user.id, req.user.role);
+
+    res.status(201).json({
+      success: true,
+      message: `Goods receipt ${result.goodsReceipt.grnNumber} created (order ${result.receivingStatus.replace('_', ' ')})`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/goods-receipts
+ * @desc    List goods receipts
+ * @access  Private (goodsReceipts:view)
+ * @query   purchaseOrderId, supplierId, startDate, endDate, discrepancies=true, search, page, limit
+ */
+router.get('/', requirePermission('goodsReceipts', 'view'), async (req, res, next) => {
+  try {
+    const { purchaseOrderId, supplierId, startDate, endDate, discrepancies, search, page, limit } = req.query;
+
+    const result = await goodsReceiptService.getAllGoodsReceipts(
+      {
+        purchaseOrderId,
+        supplierId,
+        startDate,
+        endDate,
+        discrepancies,
+        search,
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10
+      },
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.goodsReceipts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/goods-receipts/:id
+ * @desc    Get a goods receipt
+ * @access  Private (goodsReceipts:view)
+ */
+router.get('/:id', requirePermission('goodsReceipts', 'view'), async (req, res, next) => {
+  try {
+    const grn = await goodsReceiptService.getGoodsReceiptById(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: grn
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/goods-receipts/:id/history
+ * @desc    Get the audit trail of a goods receipt
+ * @access  Private (goodsReceipts:view)
+ */
+router.get('/:id/history', requirePermission('goodsReceipts', 'view'), async (req, res, next) => {
+  try {
+    await goodsReceiptService.getGoodsReceiptById(req.params.id, req.user.id, req.user.role);
+    const history = await auditService.getHistory('goodsReceipts', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/goods-receipts/:id
+ * @desc    Delete a goods receipt (its quantities are taken off the purchase order)
+ * @access  Private (goodsReceipts:delete)
+ */
+router.delete('/:id', requirePermission('goodsReceipts', 'delete'), async (req, res, next) => {
+  try {
+    const result = await goodsReceiptService.deleteGoodsReceipt(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
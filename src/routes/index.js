@@ -5,9 +5,13 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth.routes');
 const usersRoutes = require('./users.routes');
+const rolesRoutes = require('./roles.routes');
+const auditRoutes = require('./audit.routes');
+const approvalRoutes = require('./approvals.routes');
 const priceQuoteRoutes = require('./price-quote.routes');
 const proformaInvoiceRoutes = require('./proforma-invoice.routes');
 const receiptsRoutes = require('./receipts.routes');
+const goodsReceiptsRoutes = require('./goods-receipts.routes');
 const cuttingRoutes = require('./cutting.routes');
 const secretariatRoutes = require('./secretariat.routes');
 const secretariatUserRoutes = require('./secretariat-user.routes');
@@ -15,9 +19,13 @@ const rfqRoutes = require('./rfqs.routes');
 const PurchaseOrderRoutes = require('./purchases.routes');
 const materialsRoutes = require('./materials.routes');
 const supplierRoutes = require('./suppliers.routes');
+const clientRoutes = require('./clients.routes');
 const itemsRoutes = require('./Items.routes');
+const inventoryRoutes = require('./inventory.routes');
+const sheetStockRoutes = require('./sheet-stock.routes');
 const fileManagementRoutes = require('./file-management.routes');
 const costingSheetsRoutes = require('./costing-sheet.routes');
+const { versionHeaders } = require('../middleware/version.middleware');
 // Check if system routes exist
 let systemRoutes;
 try {
@@ -26,12 +34,19 @@ try {
   console.log('⚠️  System routes not found, skipping');
 }
 
+// Send ETag headers for versioned records
+router.use(versionHeaders);
+
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/users', usersRoutes);
+router.use('/roles', rolesRoutes);
+router.use('/audit', auditRoutes);
+router.use('/approvals', approvalRoutes);
 router.use('/price-quotes', priceQuoteRoutes);
 router.use('/proforma-invoices', proformaInvoiceRoutes);
 router.use('/receipts', receiptsRoutes);
+router.use('/goods-receipts', goodsReceiptsRoutes);
 router.use('/cutting', cuttingRoutes);
 router.use('/secretariat', secretariatRoutes);
 router.use('/user-forms', secretariatUserRoutes);
@@ -39,7 +54,10 @@ router.use('/rfqs', rfqRoutes);
 router.use('/purchases', PurchaseOrderRoutes);
 router.use('/materials', materialsRoutes);
 router.use('/suppliers', supplierRoutes);
+router.use('/clients', clientRoutes);
 router.use('/items', itemsRoutes);
+router.use('/inventory', inventoryRoutes);
+router.use('/sheet-stock', sheetStockRoutes);
 router.use('/file-management', fileManagementRoutes);
 router.use('/costing-sheets', costingSheetsRoutes);
 
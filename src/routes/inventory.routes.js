@@ -0,0 +1,209 @@
+// src/routes/inventory.routes.js
+const express = require('express');
+const router = express.Router();
+const inventoryService = require('../services/inventory.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/inventory/balances
+ * @desc    Current stock per item and location
+ * @access  Private (inventory:view)
+ * @query   itemId, location, search, includeZero=true
+ */
+router.get('/balances', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const { itemId, location, search, includeZero } = req.query;
+    const balances = await inventoryService.getBalances({ itemId, location, search, includeZero });
+
+    res.status(200).json({
+      success: true,
+      count: balances.length,
+      data: balances
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/inventory/low-stock
+ * @desc    Items at or below their reorder point
+ * @access  Private (inventory:view)
+ */
+router.get('/low-stock', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const items = await inventoryService.getLowStock();
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/inventory/items/:itemId/ledger
+ * @desc    Stock movements of an item with its current balances
+ * @access  Private (inventory:view)
+ * @query   location, type, startDate, endDate
+ */
+router.get('/items/:itemId/ledger', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const { location, type, startDate, endDate } = req.query;
+    const ledger = await inventoryService.getItemLedger(req.params.itemId, { location, type, startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/inventory/locations
+ * @desc    Stock locations
+ * @access  Private (inventory:view)
+ */
+router.get('/locations', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const locations = await inventoryService.getLocations();
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/inventory/locations
+ * @desc    Add a stock location
+ * @access  Private (inventory:edit)
+ * @body    { id: 'WS2', name: 'Workshop 2', description }
+ */
+router.post('/locations', requirePermission('inventory', 'edit'), async (req, res, next) => {
+  try {
+    const location = await inventoryService.createLocation(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/inventory/locations/:id
+ * @desc    Rename or (de)activate a stock location
+ * @access  Private (inventory:edit)
+ */
+router.put('/locations/:id', requirePermission('inventory', 'edit'), async (req, res, next) => {
+  try {
+    const location = await inventoryService.updateLocation(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/inventory/receipts
+ * @desc    Receive stock that did not come through a goods receipt
+ * @access  Private (inventory:create)
+ * @body    { location, notes, lines: [{ itemId, quantity }] }
+ */
+router.post('/receipts', requirePermission('inventory', 'create'), async (req, res, next) => {
+  try {
+    const movements = await inventoryService.receive({ ...req.body, reference: undefined }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received',
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/inventory/issues
+ * @desc    Issue stock to a material request or a cutting job
+ * @access  Private (inventory:create)
+ * @body    { materialRequestId | cuttingJobId, location, notes, lines: [{ itemId, quantity, line }] }
+ */
+router.post('/issues', requirePermission('inventory', 'create'), async (req, res, next) => {
+  try {
+    const movements = await inventoryService.issue(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock issued',
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/inventory/transfers
+ * @desc    Move stock between locations
+ * @access  Private (inventory:create)
+ * @body    { fromLocation, toLocation, notes, lines: [{ itemId, quantity }] }
+ */
+router.post('/transfers', requirePermission('inventory', 'create'), async (req, res, next) => {
+  try {
+    const result = await inventoryService.transfer(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${result.transferId} posted`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/inventory/adjustments
+ * @desc    Correct a balance (quantity = signed change, or countedQuantity = new balance)
+ * @access  Private (inventory:edit)
+ * @body    { itemId, location, reason, quantity | countedQuantity }
+ */
+router.post('/adjustments', requirePermission('inventory', 'edit'), async (req, res, next) => {
+  try {
+    const movement = await inventoryService.adjust(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted',
+      data: movement
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
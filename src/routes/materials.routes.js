@@ -4,8 +4,13 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const materialService = require('../services/material.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const approvalService = require('../services/approval.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../utils/permissions.util');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 const multer = require('multer');
 
 // Configure multer for file uploads (in memory)
@@ -24,12 +29,11 @@ const upload = multer({
 });
 
 router.use(protect);
-router.use(checkRouteAccess('materialRequests'));
 
 /**
  * CREATE MATERIAL REQUEST - WITH includeStaticFile SUPPORT
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('materialRequests', 'create'), async (req, res, next) => {
   try {
     // Parse items - handle both JSON string and object
     let items = [];
@@ -80,7 +84,7 @@ router.post('/', async (req, res, next) => {
 /**
  * GET ALL MATERIAL REQUESTS
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('materialRequests', 'view'), async (req, res, next) => {
   try {
     const { 
       mrNumber, 
@@ -90,6 +94,7 @@ router.get('/', async (req, res, next) => {
       project,
       priority,
       status,
+      orderStatus,
       search, 
       page, 
       limit 
@@ -104,6 +109,7 @@ router.get('/', async (req, res, next) => {
         project,
         priority,
         status,
+        orderStatus,
         search,
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10
@@ -126,7 +132,7 @@ router.get('/', async (req, res, next) => {
 /**
  * GET MATERIAL REQUEST STATISTICS
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('materialRequests', 'view'), async (req, res, next) => {
   try {
     const stats = await materialService.getMaterialStats(req.user.id, req.user.role);
     res.status(200).json({
@@ -141,7 +147,7 @@ router.get('/stats', async (req, res, next) => {
 /**
  * RESET COUNTER - Super admin only
  */
-router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const result = await materialService.resetMaterialCounter();
     res.status(200).json({
@@ -157,7 +163,7 @@ router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next)
 /**
  * GET SPECIFIC MATERIAL REQUEST (By ID)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('materialRequests', 'view'), async (req, res, next) => {
   try {
     const material = await materialService.getMaterialRequestById(
       req.params.id, 
@@ -174,10 +180,133 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET MATERIAL REQUEST HISTORY (audit trail)
+ */
+router.get('/:id/history', requirePermission('materialRequests', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await materialService.getMaterialRequestById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    const history = await auditService.getHistory('materialRequests', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET MATERIAL REQUEST APPROVAL (workflow steps, current step and history)
+ */
+router.get('/:id/approval', requirePermission('materialRequests', 'view'), async (req, res, next) => {
+  try {
+    const approval = await approvalService.getApproval('materialRequests', req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * APPROVE / REJECT / RETURN MATERIAL REQUEST FOR CHANGES
+ * Body: { comment } (required to reject or return)
+ */
+const decide = (decision, message) => async (req, res, next) => {
+  try {
+    const doc = await approvalService.decide(
+      'materialRequests',
+      req.params.id,
+      decision,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/approve', requirePermission('materialRequests', 'approve'), decide('approve', 'Material Request approved successfully'));
+router.post('/:id/reject', requirePermission('materialRequests', 'approve'), decide('reject', 'Material Request rejected'));
+router.post('/:id/return', requirePermission('materialRequests', 'approve'), decide('return', 'Material Request returned for changes'));
+
+/**
+ * RESUBMIT MATERIAL REQUEST (after it was returned for changes)
+ */
+router.post('/:id/submit', requirePermission('materialRequests', 'edit'), async (req, res, next) => {
+  try {
+    const doc = await approvalService.resubmit(
+      'materialRequests',
+      req.params.id,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Material Request resubmitted for approval',
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CONVERT APPROVED MATERIAL REQUEST INTO RFQs (one per supplier) OR A PURCHASE ORDER
+ * Body: { target: 'rfq' | 'purchaseOrder', suppliers: [...], lines: [{ line (from 1), quantity, unitPrice }], ... }
+ */
+router.post('/:id/convert', requirePermission('materialRequests', 'view'), async (req, res, next) => {
+  try {
+    const resource = req.body.target === 'purchaseOrder' ? 'purchases' : 'rfqs';
+    if (!hasPermission(req.permissions, resource, 'create')) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to perform this action (${resource}:create). Please contact your administrator.`,
+        requiredPermission: `${resource}:create`
+      });
+    }
+
+    const result = await materialService.convertMaterialRequest(
+      req.params.id,
+      req.body,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Material Request converted into ${result.documents.length} ${req.body.target === 'purchaseOrder' ? 'Purchase Order' : 'RFQ(s)'}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * UPDATE MATERIAL REQUEST - WITH includeStaticFile SUPPORT
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requirePermission('materialRequests', 'edit'), async (req, res, next) => {
   try {
     // Parse items - handle both JSON string and object
     let items = undefined;
@@ -210,10 +339,10 @@ router.put('/:id', async (req, res, next) => {
       requestReason: req.body.requestReason,
       items: items,
       additionalNotes: req.body.additionalNotes,
-      status: req.body.status,
       includeStaticFile: req.body.includeStaticFile !== undefined 
         ? (req.body.includeStaticFile === true || req.body.includeStaticFile === 'true')
-        : undefined
+        : undefined,
+      version: getExpectedVersion(req)
     };
 
     const material = await materialService.updateMaterialRequest(
@@ -236,39 +365,13 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE MATERIAL REQUEST
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('materialRequests', 'delete'), async (req, res, next) => {
   try {
-    const material = await materialService.getMaterialRequestById(
-      req.params.id,
-      req.user.id,
-      req.user.role
-    );
-
-    if (req.user.role === 'super_admin') {
-      await materialService.deleteMaterialRequest(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Material Request deleted successfully'
-      });
-    }
-
-    if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (material.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this material request'
-        });
-      }
-      await materialService.deleteMaterialRequest(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Material Request deleted successfully'
-      });
-    }
+    await materialService.deleteMaterialRequest(req.params.id, req.user.id, req.user.role);
 
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete material requests'
+    res.status(200).json({
+      success: true,
+      message: 'Material Request deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -278,7 +381,7 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * GENERATE MATERIAL REQUEST PDF (WITH OPTIONAL ATTACHMENT AND TERMS & CONDITIONS)
  */
-router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, next) => {
+router.post('/:id/generate-pdf', requirePermission('materialRequests', 'export'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const attachmentPdf = req.file ? req.file.buffer : null;
 
@@ -325,7 +428,7 @@ router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, n
  * ✅ DOWNLOAD MATERIAL REQUEST PDF - WITH CUSTOM FILENAME PATTERN MR0001_ProjectName_DD-MM-YYYY.pdf
  * GET /api/materials/:id/download-pdf
  */
-router.get('/:id/download-pdf', async (req, res, next) => {
+router.get('/:id/download-pdf', requirePermission('materialRequests', 'export'), async (req, res, next) => {
   try {
     const material = await materialService.getMaterialRequestById(
       req.params.id, 
@@ -384,7 +487,7 @@ router.get('/:id/download-pdf', async (req, res, next) => {
  * ✅ SEND MATERIAL REQUEST VIA EMAIL
  * POST /api/materials/:id/send-email
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('materialRequests', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -404,6 +507,13 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
+    // Check visibility first
+    await materialService.getMaterialRequestById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
     const result = await materialService.sendMaterialByEmail(
       req.params.id,
       req.user.id,
@@ -2,9 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
 const priceQuoteService = require('../services/price-quote.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
+const { hasPermission } = require('../utils/permissions.util');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -24,17 +30,18 @@ const upload = multer({
 
 // All routes require authentication
 router.use(protect);
-router.use(checkRouteAccess('priceQuotes'));
 
 /**
  * @route   POST /api/price-quotes
- * @desc    Create a new price quote
- * @access  Private (Admin, Employee with permission, Super Admin)
+ * @desc    Create a new price quote. With clientId the client's details, language
+ *          and tax rate are used for any of those fields not sent.
+ * @access  Private (priceQuotes:create)
  * ✅ UPDATED: Now accepts includeStaticFile parameter
  */
-router.post('/', upload.single('attachment'), async (req, res, next) => {
+router.post('/', requirePermission('priceQuotes', 'create'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -51,11 +58,11 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
       includeStaticFile // ✅ NEW FIELD
     } = req.body;
 
-    // Validate required fields
-    if (!clientName || !date || !clientPhone) {
+    // Validate required fields (a linked client supplies its name and phone)
+    if (!date || (!clientId && (!clientName || !clientPhone))) {
       return res.status(400).json({
         success: false,
-        message: 'Client name, date, and phone are required'
+        message: 'Date and a client (clientId, or client name and phone) are required'
       });
     }
 
@@ -105,6 +112,7 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
     }
 
     const quoteData = {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -113,8 +121,8 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
       date,
       revNumber,
       validForDays,
-      language: language || 'arabic',
-      includeTax: includeTaxBool,
+      language,
+      includeTax: includeTax !== undefined ? includeTaxBool : undefined,
       taxRate: includeTaxBool ? parseFloat(taxRate) : 0,
       items: parsedItems,
       customNotes,
@@ -140,31 +148,21 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
 /**
  * @route   GET /api/price-quotes
  * @desc    Get all price quotes
- * @access  Private (Super Admin sees all, Admin/Employee see only their own)
+ * @access  Private (priceQuotes:view)
+ * @query   search, page, limit, createdBy, clientId, status=draft|sent|accepted|rejected|expired
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
   try {
-    const { search, page, limit, createdBy } = req.query;
-
-    let filterCreatedBy = createdBy;
-
-    if (req.user.role === 'super_admin') {
-      filterCreatedBy = createdBy;
-    } else if (req.user.role === 'admin' || req.user.role === 'employee') {
-      filterCreatedBy = req.user.id;
-    } else {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to access price quotes'
-      });
-    }
+    const { search, page, limit, createdBy, clientId, status } = req.query;
 
     const result = await priceQuoteService.getAllQuotes({
       search,
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
-      createdBy: filterCreatedBy
-    });
+      createdBy,
+      clientId,
+      status
+    }, req.user.id, req.user.role);
 
     res.status(200).json({
       success: true,
@@ -179,18 +177,19 @@ router.get('/', async (req, res, next) => {
 /**
  * @route   GET /api/price-quotes/my-quotes
  * @desc    Get all quotes by current user with pagination
- * @access  Private (Admin/Employee)
+ * @access  Private (priceQuotes:view)
  */
-router.get('/my-quotes', async (req, res, next) => {
+router.get('/my-quotes', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
   try {
-    const { search, page, limit } = req.query;
+    const { search, page, limit, status } = req.query;
 
     const result = await priceQuoteService.getAllQuotes({
       search,
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
-      createdBy: req.user.id
-    });
+      createdBy: req.user.id,
+      status
+    }, req.user.id, req.user.role);
 
     res.status(200).json({
       success: true,
@@ -205,9 +204,9 @@ router.get('/my-quotes', async (req, res, next) => {
 /**
  * @route   GET /api/price-quotes/my-latest
  * @desc    Get latest quote by current user (Admin/Employee)
- * @access  Private
+ * @access  Private (priceQuotes:view)
  */
-router.get('/my-latest', async (req, res, next) => {
+router.get('/my-latest', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
   try {
     const quote = await priceQuoteService.getLatestQuoteByUser(req.user.id);
 
@@ -227,21 +226,95 @@ router.get('/my-latest', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/price-quotes/statuses
+ * @desc    Quote statuses and the reasons a quote can be lost for
+ * @access  Private (priceQuotes:view)
+ */
+router.get('/statuses', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: priceQuoteService.getStatuses()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/expiring
+ * @desc    Open quotes whose validity ends within the given number of days
+ * @access  Private (priceQuotes:view)
+ * @query   days (default QUOTE_EXPIRY_WARNING_DAYS, 3)
+ */
+router.get('/expiring', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days);
+    const quotes = await priceQuoteService.getExpiringQuotes(
+      Number.isInteger(days) ? days : undefined,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      count: quotes.length,
+      data: quotes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/price-quotes/expiry-check
+ * @desc    Run the expiry check now (also run daily by the server): expire lapsed
+ *          quotes and email creators about sent quotes about to expire
+ * @access  Private (priceQuotes:edit)
+ */
+router.post('/expiry-check', requirePermission('priceQuotes', 'edit'), async (req, res, next) => {
+  try {
+    const result = await priceQuoteService.checkExpiry();
+
+    res.status(200).json({
+      success: true,
+      message: `${result.expired.length} quote(s) expired, ${result.expiring.length} about to expire`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/stats/win-rate
+ * @desc    Win rate and quoted/accepted value per creator and per client
+ * @access  Private (priceQuotes:view)
+ * @query   from, to (quote date, YYYY-MM-DD), createdBy, clientId
+ */
+router.get('/stats/win-rate', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    const { from, to, createdBy, clientId } = req.query;
+    const stats = await priceQuoteService.getWinRateStats({ from, to, createdBy, clientId }, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/price-quotes/:id/pdf
  * @desc    Download PDF of price quote
- * @access  Private (Owner or Super Admin)
+ * @access  Private (priceQuotes:export)
  */
-router.get('/:id/pdf', async (req, res, next) => {
+router.get('/:id/pdf', requirePermission('priceQuotes', 'export'), async (req, res, next) => {
   try {
-    const quote = await priceQuoteService.getQuoteById(req.params.id);
-
-    if (req.user.role !== 'super_admin' && quote.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to download this PDF'
-      });
-    }
+    const quote = await priceQuoteService.getQuoteById(req.params.id, req.user.id, req.user.role);
 
     // ✅ Generate custom filename for download
     const sanitizeFilename = (str) => {
@@ -278,97 +351,121 @@ router.get('/:id/pdf', async (req, res, next) => {
   }
 });
 /**
- * @route   PUT /api/price-quotes/:id
- * @desc    Update price quote
- * @access  Private (Owner or Super Admin)
- * ✅ UPDATED: Now accepts includeStaticFile parameter
+ * @route   GET /api/price-quotes/:id/history
+ * @desc    Get the audit trail of a price quote
+ * @access  Private (priceQuotes:view)
  */
-router.put('/:id', upload.single('attachment'), async (req, res, next) => {
+router.get('/:id/history', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
   try {
-    const quote = await priceQuoteService.getQuoteById(req.params.id);
+    // Check visibility first
+    await priceQuoteService.getQuoteById(req.params.id, req.user.id, req.user.role);
 
-    if (req.user.role !== 'super_admin' && quote.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this quote'
-      });
-    }
+    const history = await auditService.getHistory('quotations', req.params.id);
 
-    const {
-      clientName,
-      clientPhone,
-      clientAddress,
-      clientCity,
-      projectName,
-      date,
-      revNumber,
-      validForDays,
-      language,
-      includeTax,
-      taxRate,
-      items,
-      customNotes,
-      includeStaticFile // ✅ NEW FIELD
-    } = req.body;
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    let parsedItems = items;
-    if (items && typeof items === 'string') {
-      try {
-        parsedItems = JSON.parse(items);
-      } catch (e) {
-        return res.status(400).json({
-          success: false,
-          message: 'Items must be a valid JSON array'
-        });
-      }
+/**
+ * Changes to a quote from a PUT / new revision body (multipart or JSON).
+ * Throws a 400 on malformed items.
+ */
+function parseQuoteChanges(body) {
+  const {
+    clientId,
+    clientName,
+    clientPhone,
+    clientAddress,
+    clientCity,
+    projectName,
+    date,
+    validForDays,
+    language,
+    includeTax,
+    taxRate,
+    items,
+    customNotes,
+    includeStaticFile
+  } = body;
+
+  const badRequest = message => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  let parsedItems = items;
+  if (items && typeof items === 'string') {
+    try {
+      parsedItems = JSON.parse(items);
+    } catch (e) {
+      throw badRequest('Items must be a valid JSON array');
     }
+  }
 
-    if (parsedItems) {
-      if (!Array.isArray(parsedItems)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Items must be an array'
-        });
-      }
+  if (parsedItems) {
+    if (!Array.isArray(parsedItems)) {
+      throw badRequest('Items must be an array');
+    }
 
-      if (parsedItems.length > 0) {
-        for (const item of parsedItems) {
-          if (!item.description || item.quantity === undefined || item.unitPrice === undefined) {
-            return res.status(400).json({
-              success: false,
-              message: 'Each item must have description, quantity, and unit price'
-            });
-          }
-        }
+    for (const item of parsedItems) {
+      if (!item.description || item.quantity === undefined || item.unitPrice === undefined) {
+        throw badRequest('Each item must have description, quantity, and unit price');
       }
     }
+  }
 
-    const includeTaxBool = includeTax === 'true' || includeTax === true;
-
-    const updateData = {
-      clientName,
-      clientPhone,
-      clientAddress,
-      clientCity,
-      projectName,
-      date,
-      revNumber,
-      validForDays,
-      language,
-      includeTax: includeTaxBool,
-      taxRate: includeTaxBool ? parseFloat(taxRate) : 0,
-      items: parsedItems,
-      customNotes,
-      includeStaticFile: includeStaticFile !== undefined 
-        ? (includeStaticFile === true || includeStaticFile === 'true')
-        : undefined // ✅ NEW FIELD
-    };
+  const includeTaxBool = includeTax === 'true' || includeTax === true;
+
+  return {
+    clientId,
+    clientName,
+    clientPhone,
+    clientAddress,
+    clientCity,
+    projectName,
+    date,
+    validForDays,
+    language,
+    includeTax: includeTaxBool,
+    taxRate: includeTaxBool ? parseFloat(taxRate) : 0,
+    items: parsedItems,
+    customNotes,
+    includeStaticFile: includeStaticFile !== undefined
+      ? (includeStaticFile === true || includeStaticFile === 'true')
+      : undefined
+  };
+}
+
+// Appended to the save message of a quote priced from a costing sheet
+function costWarningText(quote) {
+  const count = (quote.costWarnings || []).length;
+  return count > 0 ? ` (warning: ${count} line(s) priced below cost, see costWarnings)` : '';
+}
 
-    const updatedQuote = await priceQuoteService.updateQuote(req.params.id, updateData, req.file);
+/**
+ * @route   PUT /api/price-quotes/:id
+ * @desc    Update the current revision of a price quote (409 once it was sent to the client)
+ * @access  Private (priceQuotes:edit)
+ */
+router.put('/:id', requirePermission('priceQuotes', 'edit'), bindContext(upload.single('attachment')), async (req, res, next) => {
+  try {
+    const updatedQuote = await priceQuoteService.updateQuote(
+      req.params.id,
+      { ...parseQuoteChanges(req.body), version: getExpectedVersion(req) },
+      req.file,
+      req.user.id,
+      req.user.role
+    );
 
     res.status(200).json({
       success: true,
-      message: 'Price quote updated successfully',
+      message: `Price quote updated successfully${costWarningText(updatedQuote)}`,
       data: updatedQuote
     });
   } catch (error) {
@@ -377,34 +474,134 @@ router.put('/:id', upload.single('attachment'), async (req, res, next) => {
 });
 
 /**
- * @route   DELETE /api/price-quotes/:id
- * @desc    Delete price quote
- * @access  Private (Super Admin can delete all, Admin/Employee can delete their own)
+ * @route   GET /api/price-quotes/:id/revisions
+ * @desc    All revisions of a quote, oldest first (the last one is current)
+ * @access  Private (priceQuotes:view)
  */
-router.delete('/:id', async (req, res, next) => {
+router.get('/:id/revisions', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
   try {
-    const quote = await priceQuoteService.getQuoteById(req.params.id);
+    const revisions = await priceQuoteService.getRevisions(req.params.id, req.user.id, req.user.role);
 
-    if (req.user.role === 'super_admin') {
-      await priceQuoteService.deleteQuote(req.params.id);
-    } else if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (quote.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this quote'
-        });
-      }
-      await priceQuoteService.deleteQuote(req.params.id);
-    } else {
-      return res.status(403).json({
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/price-quotes/:id/revisions
+ * @desc    Create the next revision; the current one and its PDF are kept unchanged.
+ *          Takes the same fields as PUT /:id (multipart with an optional attachment).
+ * @access  Private (priceQuotes:edit)
+ */
+router.post('/:id/revisions', requirePermission('priceQuotes', 'edit'), bindContext(upload.single('attachment')), async (req, res, next) => {
+  try {
+    const quote = await priceQuoteService.createRevision(
+      req.params.id,
+      { ...parseQuoteChanges(req.body), version: getExpectedVersion(req) },
+      req.file,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Rev ${quote.revNumber} created successfully${costWarningText(quote)}`,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/:id/revisions/diff
+ * @desc    Field and line-by-line item differences between two revisions
+ * @access  Private (priceQuotes:view)
+ * @query   from, to (revision numbers; default: the current revision against the previous one)
+ */
+router.get('/:id/revisions/diff', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    const diff = await priceQuoteService.diffRevisions(req.params.id, req.query.from, req.query.to, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/:id/revisions/:revNumber
+ * @desc    Full content of one revision
+ * @access  Private (priceQuotes:view)
+ */
+router.get('/:id/revisions/:revNumber', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    const revision = await priceQuoteService.getRevision(req.params.id, req.params.revNumber, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/:id/revisions/:revNumber/pdf
+ * @desc    Download the PDF of a revision as it was issued
+ * @access  Private (priceQuotes:export)
+ */
+router.get('/:id/revisions/:revNumber/pdf', requirePermission('priceQuotes', 'export'), async (req, res, next) => {
+  try {
+    const revision = await priceQuoteService.getRevision(req.params.id, req.params.revNumber, req.user.id, req.user.role);
+
+    if (!revision.pdfPath || !fs.existsSync(revision.pdfPath)) {
+      return res.status(404).json({
         success: false,
-        message: 'You do not have permission to delete quotes'
+        message: `No PDF stored for Rev ${revision.revNumber}`
       });
     }
 
+    res.download(revision.pdfPath, path.basename(revision.pdfPath), (err) => {
+      if (err) {
+        next(err);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/price-quotes/:id/revisions/:revNumber/sent
+ * @desc    Mark a revision as sent to the client (emailing it from here does this automatically)
+ * @access  Private (priceQuotes:edit)
+ * @body    { to: 'client@example.com', method: 'email|whatsapp|hand|manual', at: ISO date (default now) }
+ */
+router.post('/:id/revisions/:revNumber/sent', requirePermission('priceQuotes', 'edit'), async (req, res, next) => {
+  try {
+    const { to, method, at } = req.body;
+    const result = await priceQuoteService.markRevisionSent(
+      req.params.id,
+      req.params.revNumber,
+      { to, method, at },
+      req.user.id,
+      req.user.role
+    );
+
     res.status(200).json({
       success: true,
-      message: 'Price quote deleted successfully'
+      message: `Rev ${result.revNumber} marked as sent`,
+      data: result
     });
   } catch (error) {
     next(error);
@@ -412,21 +609,111 @@ router.delete('/:id', async (req, res, next) => {
 });
 
 /**
- * @route   GET /api/price-quotes/:id/pdf
- * @desc    Download PDF of price quote
- * @access  Private (Owner or Super Admin)
+ * @route   PATCH /api/price-quotes/:id/status
+ * @desc    Mark a quote sent, accepted (while still valid) or rejected (lost, with a reason)
+ * @access  Private (priceQuotes:edit)
+ * @body    { status: sent|accepted|rejected, lostReason, lostNote }
  */
-router.get('/:id/pdf', async (req, res, next) => {
+router.patch('/:id/status', requirePermission('priceQuotes', 'edit'), async (req, res, next) => {
   try {
-    const quote = await priceQuoteService.getQuoteById(req.params.id);
+    const { status, lostReason, lostNote } = req.body;
+    const quote = await priceQuoteService.setStatus(
+      req.params.id,
+      { status, lostReason, lostNote, version: getExpectedVersion(req) },
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Quote marked as ${quote.status}`,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (req.user.role !== 'super_admin' && quote.createdBy !== req.user.id) {
+/**
+ * @route   GET /api/price-quotes/:id/invoicing
+ * @desc    Proforma invoices raised from a quote and the amount left to invoice
+ * @access  Private (priceQuotes:view)
+ */
+router.get('/:id/invoicing', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    const invoicing = await priceQuoteService.getQuoteInvoicing(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: invoicing
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/price-quotes/:id/convert-to-proforma
+ * @desc    Create a proforma invoice from an accepted quote: the whole quote, a percentage
+ *          of it (advance/partial) or, without a percentage, the balance not invoiced yet
+ * @access  Private (priceQuotes:view + proformaInvoice:create)
+ * @body    { percentage, billingType: advance|partial, date, customNotes }
+ */
+router.post('/:id/convert-to-proforma', requirePermission('priceQuotes', 'view'), async (req, res, next) => {
+  try {
+    if (!hasPermission(req.permissions, 'proformaInvoice', 'create')) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to download this PDF'
+        message: 'You do not have permission to perform this action (proformaInvoice:create). Please contact your administrator.',
+        requiredPermission: 'proformaInvoice:create'
       });
     }
 
+    const { percentage, billingType, date, customNotes } = req.body;
+    const result = await priceQuoteService.convertToProforma(
+      req.params.id,
+      { percentage, billingType, date, customNotes },
+      req.user,
+      req.user.role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Proforma invoice ${result.invoice.invoiceNumber} created from the quote`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/price-quotes/:id
+ * @desc    Delete price quote
+ * @access  Private (priceQuotes:delete)
+ */
+router.delete('/:id', requirePermission('priceQuotes', 'delete'), async (req, res, next) => {
+  try {
+    await priceQuoteService.deleteQuote(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Price quote deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/price-quotes/:id/pdf
+ * @desc    Download PDF of price quote
+ * @access  Private (priceQuotes:export)
+ */
+router.get('/:id/pdf', requirePermission('priceQuotes', 'export'), async (req, res, next) => {
+  try {
+    const quote = await priceQuoteService.getQuoteById(req.params.id, req.user.id, req.user.role);
+
     const filename = quote.pdfPath.split('/').pop();
 
     res.download(quote.pdfPath, filename, (err) => {
@@ -441,9 +728,9 @@ router.get('/:id/pdf', async (req, res, next) => {
 /**
  * @route   POST /api/price-quotes/:id/send-email
  * @desc    Send quote PDF by email
- * @access  Private (Owner or Super Admin)
+ * @access  Private (priceQuotes:export)
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('priceQuotes', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -463,14 +750,8 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
-    // Check permission
-    const quote = await priceQuoteService.getQuoteById(req.params.id);
-    if (req.user.role !== 'super_admin' && quote.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to send this quote'
-      });
-    }
+    // Check visibility first
+    await priceQuoteService.getQuoteById(req.params.id, req.user.id, req.user.role);
 
     const result = await priceQuoteService.sendQuoteByEmail(
       req.params.id,
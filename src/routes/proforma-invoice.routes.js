@@ -3,8 +3,11 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const proformaInvoiceService = require('../services/proforma-invoice.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -24,17 +27,18 @@ const upload = multer({
 
 // All routes require authentication
 router.use(protect);
-router.use(checkRouteAccess('proformaInvoices'));
 
 /**
  * @route   POST /api/proforma-invoices
- * @desc    Create a new proforma invoice
- * @access  Private (Admin, Employee with permission, Super Admin)
+ * @desc    Create a new proforma invoice. With clientId the client's details, language
+ *          and tax rate are used for any of those fields not sent.
+ * @access  Private (proformaInvoice:create)
  * ✅ UPDATED: Now accepts includeStaticFile parameter
  */
-router.post('/', upload.single('attachment'), async (req, res, next) => {
+router.post('/', requirePermission('proformaInvoice', 'create'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -51,11 +55,11 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
       includeStaticFile // ✅ NEW FIELD
     } = req.body;
 
-    // Validate required fields
-    if (!clientName || !date || !clientPhone) {
+    // Validate required fields (a linked client supplies its name and phone)
+    if (!date || (!clientId && (!clientName || !clientPhone))) {
       return res.status(400).json({
         success: false,
-        message: 'Client name, date, and phone are required'
+        message: 'Date and a client (clientId, or client name and phone) are required'
       });
     }
 
@@ -105,6 +109,7 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
     }
 
     const invoiceData = {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -113,8 +118,8 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
       date,
       revNumber,
       validForDays,
-      language: language || 'arabic',
-      includeTax: includeTaxBool,
+      language,
+      includeTax: includeTax !== undefined ? includeTaxBool : undefined,
       taxRate: includeTaxBool ? parseFloat(taxRate) : 0,
       items: parsedItems,
       customNotes,
@@ -140,31 +145,21 @@ router.post('/', upload.single('attachment'), async (req, res, next) => {
 /**
  * @route   GET /api/proforma-invoices
  * @desc    Get all proforma invoices
- * @access  Private (Super Admin sees all, Admin/Employee see only their own)
+ * @access  Private (proformaInvoice:view)
+ * @query   search, page, limit, createdBy, clientId, quoteId (invoices raised from that quote)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('proformaInvoice', 'view'), async (req, res, next) => {
   try {
-    const { search, page, limit, createdBy } = req.query;
-
-    let filterCreatedBy = createdBy;
-
-    if (req.user.role === 'super_admin') {
-      filterCreatedBy = createdBy;
-    } else if (req.user.role === 'admin' || req.user.role === 'employee') {
-      filterCreatedBy = req.user.id;
-    } else {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to access proforma invoices'
-      });
-    }
+    const { search, page, limit, createdBy, clientId, quoteId } = req.query;
 
     const result = await proformaInvoiceService.getAllInvoices({
       search,
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
-      createdBy: filterCreatedBy
-    });
+      createdBy,
+      clientId,
+      quoteId
+    }, req.user.id, req.user.role);
 
     res.status(200).json({
       success: true,
@@ -179,9 +174,9 @@ router.get('/', async (req, res, next) => {
 /**
  * @route   GET /api/proforma-invoices/my-invoices
  * @desc    Get all invoices by current user with pagination
- * @access  Private (Admin/Employee)
+ * @access  Private (proformaInvoice:view)
  */
-router.get('/my-invoices', async (req, res, next) => {
+router.get('/my-invoices', requirePermission('proformaInvoice', 'view'), async (req, res, next) => {
   try {
     const { search, page, limit } = req.query;
 
@@ -190,7 +185,7 @@ router.get('/my-invoices', async (req, res, next) => {
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
       createdBy: req.user.id
-    });
+    }, req.user.id, req.user.role);
 
     res.status(200).json({
       success: true,
@@ -205,9 +200,9 @@ router.get('/my-invoices', async (req, res, next) => {
 /**
  * @route   GET /api/proforma-invoices/my-latest
  * @desc    Get latest invoice by current user (Admin/Employee)
- * @access  Private
+ * @access  Private (proformaInvoice:view)
  */
-router.get('/my-latest', async (req, res, next) => {
+router.get('/my-latest', requirePermission('proformaInvoice', 'view'), async (req, res, next) => {
   try {
     const invoice = await proformaInvoiceService.getLatestInvoiceByUser(req.user.id);
 
@@ -230,18 +225,11 @@ router.get('/my-latest', async (req, res, next) => {
 /**
  * @route   GET /api/proforma-invoices/:id/pdf
  * @desc    Download PDF of proforma invoice
- * @access  Private (Owner or Super Admin)
+ * @access  Private (proformaInvoice:export)
  */
-router.get('/:id/pdf', async (req, res, next) => {
+router.get('/:id/pdf', requirePermission('proformaInvoice', 'export'), async (req, res, next) => {
   try {
-    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id);
-
-    if (req.user.role !== 'super_admin' && invoice.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to download this PDF'
-      });
-    }
+    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id, req.user.id, req.user.role);
 
     // ✅ Generate custom filename for download
     const sanitizeFilename = (str) => {
@@ -278,24 +266,37 @@ router.get('/:id/pdf', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/proforma-invoices/:id/history
+ * @desc    Get the audit trail of a proforma invoice
+ * @access  Private (proformaInvoice:view)
+ */
+router.get('/:id/history', requirePermission('proformaInvoice', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await proformaInvoiceService.getInvoiceById(req.params.id, req.user.id, req.user.role);
+
+    const history = await auditService.getHistory('proformaInvoices', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/proforma-invoices/:id
  * @desc    Update proforma invoice
- * @access  Private (Owner or Super Admin)
+ * @access  Private (proformaInvoice:edit)
  * ✅ UPDATED: Now accepts includeStaticFile parameter
  */
-router.put('/:id', upload.single('attachment'), async (req, res, next) => {
+router.put('/:id', requirePermission('proformaInvoice', 'edit'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
-    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id);
-
-    if (req.user.role !== 'super_admin' && invoice.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this invoice'
-      });
-    }
-
     const {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -347,6 +348,7 @@ router.put('/:id', upload.single('attachment'), async (req, res, next) => {
     const includeTaxBool = includeTax === 'true' || includeTax === true;
 
     const updateData = {
+      clientId,
       clientName,
       clientPhone,
       clientAddress,
@@ -362,10 +364,17 @@ router.put('/:id', upload.single('attachment'), async (req, res, next) => {
       customNotes,
       includeStaticFile: includeStaticFile !== undefined 
         ? (includeStaticFile === true || includeStaticFile === 'true')
-        : undefined // ✅ NEW FIELD
+        : undefined, // ✅ NEW FIELD
+      version: getExpectedVersion(req)
     };
 
-    const updatedInvoice = await proformaInvoiceService.updateInvoice(req.params.id, updateData, req.file);
+    const updatedInvoice = await proformaInvoiceService.updateInvoice(
+      req.params.id,
+      updateData,
+      req.file,
+      req.user.id,
+      req.user.role
+    );
 
     res.status(200).json({
       success: true,
@@ -380,28 +389,11 @@ router.put('/:id', upload.single('attachment'), async (req, res, next) => {
 /**
  * @route   DELETE /api/proforma-invoices/:id
  * @desc    Delete proforma invoice
- * @access  Private (Super Admin can delete all, Admin/Employee can delete their own)
+ * @access  Private (proformaInvoice:delete)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('proformaInvoice', 'delete'), async (req, res, next) => {
   try {
-    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id);
-
-    if (req.user.role === 'super_admin') {
-      await proformaInvoiceService.deleteInvoice(req.params.id);
-    } else if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (invoice.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this invoice'
-        });
-      }
-      await proformaInvoiceService.deleteInvoice(req.params.id);
-    } else {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete invoices'
-      });
-    }
+    await proformaInvoiceService.deleteInvoice(req.params.id, req.user.id, req.user.role);
 
     res.status(200).json({
       success: true,
@@ -415,18 +407,11 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route   GET /api/proforma-invoices/:id/pdf
  * @desc    Download PDF of proforma invoice
- * @access  Private (Owner or Super Admin)
+ * @access  Private (proformaInvoice:export)
  */
-router.get('/:id/pdf', async (req, res, next) => {
+router.get('/:id/pdf', requirePermission('proformaInvoice', 'export'), async (req, res, next) => {
   try {
-    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id);
-
-    if (req.user.role !== 'super_admin' && invoice.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to download this PDF'
-      });
-    }
+    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id, req.user.id, req.user.role);
 
     const filename = invoice.pdfPath.split('/').pop();
 
@@ -443,9 +428,9 @@ router.get('/:id/pdf', async (req, res, next) => {
 /**
  * @route   POST /api/proforma-invoices/:id/send-email
  * @desc    Send invoice PDF by email
- * @access  Private (Owner or Super Admin)
+ * @access  Private (proformaInvoice:export)
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('proformaInvoice', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -465,14 +450,8 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
-    // Check permission
-    const invoice = await proformaInvoiceService.getInvoiceById(req.params.id);
-    if (req.user.role !== 'super_admin' && invoice.createdBy !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to send this invoice'
-      });
-    }
+    // Check visibility first
+    await proformaInvoiceService.getInvoiceById(req.params.id, req.user.id, req.user.role);
 
     const result = await proformaInvoiceService.sendInvoiceByEmail(
       req.params.id,
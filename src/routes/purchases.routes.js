@@ -5,11 +5,15 @@ const router = express.Router();
 const path = require('path');
 const multer = require('multer');
 const purchaseService = require('../services/purchase.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const approvalService = require('../services/approval.service');
+const goodsReceiptService = require('../services/goods-receipt.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 
 router.use(protect);
-router.use(checkRouteAccess('purchases'));
 
 // Configure multer for PDF uploads (memory storage)
 const upload = multer({
@@ -29,7 +33,7 @@ const upload = multer({
 /**
  * RESET PO COUNTER - Super admin only
  */
-router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const result = await purchaseService.resetPOCounter();
 
@@ -46,7 +50,7 @@ router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next)
 /**
  * GET PO STATISTICS
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('purchases', 'view'), async (req, res, next) => {
   try {
     const stats = await purchaseService.getPOStats(req.user.id, req.user.role);
 
@@ -62,13 +66,17 @@ router.get('/stats', async (req, res, next) => {
 /**
  * CREATE PURCHASE ORDER - Now accepts includeStaticFile
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('purchases', 'create'), async (req, res, next) => {
   try {
     const poData = {
       date: req.body.date,
       supplier: req.body.supplier,
       supplierAddress: req.body.supplierAddress,
       supplierPhone: req.body.supplierPhone,
+      supplierId: req.body.supplierId,
+      currency: req.body.currency,
+      paymentTerms: req.body.paymentTerms,
+      expectedDeliveryDate: req.body.expectedDeliveryDate,
       receiver: req.body.receiver,
       receiverCity: req.body.receiverCity,
       receiverAddress: req.body.receiverAddress,
@@ -77,6 +85,7 @@ router.post('/', async (req, res, next) => {
       taxRate: req.body.taxRate,
       items: req.body.items || [],
       notes: req.body.notes,
+      project: req.body.project,
       includeStaticFile: req.body.includeStaticFile === true || req.body.includeStaticFile === 'true'
     };
 
@@ -99,14 +108,16 @@ router.post('/', async (req, res, next) => {
 /**
  * GET ALL PURCHASE ORDERS
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('purchases', 'view'), async (req, res, next) => {
   try {
     const { 
       poNumber, 
       startDate, 
       endDate, 
       supplier, 
+      supplierId,
       status,
+      receivingStatus,
       search, 
       page, 
       limit 
@@ -118,7 +129,9 @@ router.get('/', async (req, res, next) => {
         startDate,
         endDate,
         supplier,
+        supplierId,
         status,
+        receivingStatus,
         search,
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10
@@ -141,7 +154,7 @@ router.get('/', async (req, res, next) => {
 /**
  * GET SPECIFIC PURCHASE ORDER (By ID)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('purchases', 'view'), async (req, res, next) => {
   try {
     const po = await purchaseService.getPOById(
       req.params.id, 
@@ -158,16 +171,212 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET PURCHASE ORDER HISTORY (audit trail)
+ */
+router.get('/:id/history', requirePermission('purchases', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await purchaseService.getPOById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    const history = await auditService.getHistory('purchases', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET PURCHASE ORDER APPROVAL (workflow steps, current step and history)
+ */
+router.get('/:id/approval', requirePermission('purchases', 'view'), async (req, res, next) => {
+  try {
+    const approval = await approvalService.getApproval('purchases', req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * APPROVE / REJECT / RETURN PURCHASE ORDER FOR CHANGES
+ * Body: { comment } (required to reject or return)
+ */
+const decide = (decision, message) => async (req, res, next) => {
+  try {
+    const doc = await approvalService.decide(
+      'purchases',
+      req.params.id,
+      decision,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/approve', requirePermission('purchases', 'approve'), decide('approve', 'Purchase Order approved successfully'));
+router.post('/:id/reject', requirePermission('purchases', 'approve'), decide('reject', 'Purchase Order rejected'));
+router.post('/:id/return', requirePermission('purchases', 'approve'), decide('return', 'Purchase Order returned for changes'));
+
+/**
+ * RESUBMIT PURCHASE ORDER (after it was returned for changes)
+ */
+router.post('/:id/submit', requirePermission('purchases', 'edit'), async (req, res, next) => {
+  try {
+    const doc = await approvalService.resubmit(
+      'purchases',
+      req.params.id,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase Order resubmitted for approval',
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET PURCHASE ORDER RECEIVING (ordered / received / remaining per line, GRNs and invoices)
+ */
+router.get('/:id/receiving', requirePermission('purchases', 'view'), async (req, res, next) => {
+  try {
+    const summary = await goodsReceiptService.getReceivingSummary(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CLOSE PURCHASE ORDER (no further deliveries expected)
+ * Body: { reason } (required while quantities are still to receive)
+ */
+router.post('/:id/close', requirePermission('purchases', 'edit'), async (req, res, next) => {
+  try {
+    const summary = await goodsReceiptService.closePurchaseOrder(req.params.id, req.body.reason, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase Order closed',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * REOPEN A CLOSED PURCHASE ORDER
+ */
+router.post('/:id/reopen', requirePermission('purchases', 'edit'), async (req, res, next) => {
+  try {
+    const summary = await goodsReceiptService.reopenPurchaseOrder(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase Order reopened',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * RECORD A SUPPLIER INVOICE AGAINST A PURCHASE ORDER
+ * Body: { invoiceNumber, date, notes, lines: [{ line (from 1), quantity, unitPrice }] }
+ */
+router.post('/:id/invoices', requirePermission('purchases', 'edit'), async (req, res, next) => {
+  try {
+    const invoice = await goodsReceiptService.recordInvoice(req.params.id, req.body, req.user.id, req.user.role);
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} recorded`,
+      data: invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * REMOVE A SUPPLIER INVOICE FROM A PURCHASE ORDER
+ */
+router.delete('/:id/invoices/:invoiceId', requirePermission('purchases', 'edit'), async (req, res, next) => {
+  try {
+    const result = await goodsReceiptService.removeInvoice(req.params.id, req.params.invoiceId, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * THREE-WAY MATCH REPORT (PO vs received vs invoiced)
+ */
+router.get('/:id/three-way-match', requirePermission('purchases', 'view'), async (req, res, next) => {
+  try {
+    const report = await goodsReceiptService.getThreeWayMatch(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * UPDATE PURCHASE ORDER - Now accepts includeStaticFile
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requirePermission('purchases', 'edit'), async (req, res, next) => {
   try {
     const updateData = {
       date: req.body.date,
       supplier: req.body.supplier,
       supplierAddress: req.body.supplierAddress,
       supplierPhone: req.body.supplierPhone,
+      supplierId: req.body.supplierId,
+      currency: req.body.currency,
+      paymentTerms: req.body.paymentTerms,
+      expectedDeliveryDate: req.body.expectedDeliveryDate,
       receiver: req.body.receiver,
       receiverCity: req.body.receiverCity,
       receiverAddress: req.body.receiverAddress,
@@ -176,10 +385,11 @@ router.put('/:id', async (req, res, next) => {
       taxRate: req.body.taxRate,
       items: req.body.items,
       notes: req.body.notes,
-      status: req.body.status,
+      project: req.body.project,
       includeStaticFile: req.body.includeStaticFile !== undefined 
         ? (req.body.includeStaticFile === true || req.body.includeStaticFile === 'true')
-        : undefined
+        : undefined,
+      version: getExpectedVersion(req)
     };
 
     const po = await purchaseService.updatePO(
@@ -202,39 +412,13 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE PURCHASE ORDER
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('purchases', 'delete'), async (req, res, next) => {
   try {
-    const po = await purchaseService.getPOById(
-      req.params.id,
-      req.user.id,
-      req.user.role
-    );
-
-    if (req.user.role === 'super_admin') {
-      await purchaseService.deletePO(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Purchase Order deleted successfully'
-      });
-    }
-
-    if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (po.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this purchase order'
-        });
-      }
-      await purchaseService.deletePO(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Purchase Order deleted successfully'
-      });
-    }
+    await purchaseService.deletePO(req.params.id, req.user.id, req.user.role);
 
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete purchase orders'
+    res.status(200).json({
+      success: true,
+      message: 'Purchase Order deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -244,7 +428,7 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * GENERATE PO PDF (with optional attachment support)
  */
-router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, next) => {
+router.post('/:id/generate-pdf', requirePermission('purchases', 'export'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const attachmentPdf = req.file ? req.file.buffer : null;
 
@@ -291,7 +475,7 @@ router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, n
  * ✅ DOWNLOAD PO PDF - WITH CUSTOM FILENAME PATTERN PO00001_Receiver_DD-MM-YYYY.pdf
  * GET /api/purchases/:id/download-pdf
  */
-router.get('/:id/download-pdf', async (req, res, next) => {
+router.get('/:id/download-pdf', requirePermission('purchases', 'export'), async (req, res, next) => {
   try {
     const po = await purchaseService.getPOById(
       req.params.id, 
@@ -352,7 +536,7 @@ router.get('/:id/download-pdf', async (req, res, next) => {
  * ✅ POST /api/purchases/:id/send-email
  * Send Purchase Order PDF by email
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('purchases', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -372,22 +556,12 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
-    // Check ownership first
-    const po = await purchaseService.getPOById(
+    // Check visibility first
+    await purchaseService.getPOById(
       req.params.id,
       req.user.id,
       req.user.role
     );
-    
-    // Role-based access control
-    if (req.user.role !== 'super_admin') {
-      if (po.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to send this purchase order'
-        });
-      }
-    }
 
     const result = await purchaseService.sendPOByEmail(
       req.params.id,
@@ -4,11 +4,13 @@ const router = express.Router();
 const path = require('path');
 const multer = require('multer');
 const receiptService = require('../services/receipt.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware'); 
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 
 router.use(protect);
-router.use(checkRouteAccess('receipts')); 
 
 // Configure multer for PDF uploads (memory storage)
 const upload = multer({
@@ -28,7 +30,7 @@ const upload = multer({
 /**
  * CREATE receipt
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('receipts', 'create'), async (req, res, next) => {
   try {
     let parsedItems = [];
     if (req.body.items && Array.isArray(req.body.items)) {
@@ -36,6 +38,7 @@ router.post('/', async (req, res, next) => {
     }
     
     const receiptData = {
+      clientId: req.body.clientId,
       to: req.body.to,
       date: req.body.date,
       address: req.body.address,
@@ -69,9 +72,9 @@ router.post('/', async (req, res, next) => {
 /**
  * GET all receipts
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('receipts', 'view'), async (req, res, next) => {
   try {
-    const { receiptNumber, startDate, endDate, to, search, page, limit } = req.query;
+    const { receiptNumber, startDate, endDate, to, clientId, search, page, limit } = req.query;
 
     const result = await receiptService.getAllReceipts(
       {
@@ -79,6 +82,7 @@ router.get('/', async (req, res, next) => {
         startDate,
         endDate,
         to,
+        clientId,
         search,
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10
@@ -101,7 +105,7 @@ router.get('/', async (req, res, next) => {
 /**
  * GET stats
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('receipts', 'view'), async (req, res, next) => {
   try {
     const stats = await receiptService.getReceiptStats(req.user.id, req.user.role);
 
@@ -117,7 +121,7 @@ router.get('/stats', async (req, res, next) => {
 /**
  * RESET COUNTER - Super admin only
  */
-router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const newCounter = req.body && req.body.newCounter !== undefined 
       ? req.body.newCounter 
@@ -138,7 +142,7 @@ router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next)
 /**
  * GET receipt by ID
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('receipts', 'view'), async (req, res, next) => {
   try {
     const receipt = await receiptService.getReceiptById(
       req.params.id, 
@@ -155,10 +159,33 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET receipt history (audit trail)
+ */
+router.get('/:id/history', requirePermission('receipts', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await receiptService.getReceiptById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    const history = await auditService.getHistory('receipts', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET receipt by number
  */
-router.get('/number/:receiptNumber', async (req, res, next) => {
+router.get('/number/:receiptNumber', requirePermission('receipts', 'view'), async (req, res, next) => {
   try {
     const receipt = await receiptService.getReceiptByNumber(
       req.params.receiptNumber, 
@@ -178,7 +205,7 @@ router.get('/number/:receiptNumber', async (req, res, next) => {
 /**
  * UPDATE receipt
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requirePermission('receipts', 'edit'), async (req, res, next) => {
   try {
     let parsedItems = undefined;
     if (req.body.items !== undefined) {
@@ -188,6 +215,7 @@ router.put('/:id', async (req, res, next) => {
     }
     
     const updateData = {
+      clientId: req.body.clientId,
       to: req.body.to,
       date: req.body.date,
       address: req.body.address,
@@ -201,7 +229,8 @@ router.put('/:id', async (req, res, next) => {
       notes: req.body.notes,
       includeStaticFile: req.body.includeStaticFile !== undefined 
         ? (req.body.includeStaticFile === true || req.body.includeStaticFile === 'true')
-        : undefined
+        : undefined,
+      version: getExpectedVersion(req)
     };
 
     const receipt = await receiptService.updateReceipt(
@@ -224,39 +253,13 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE RECEIPT
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('receipts', 'delete'), async (req, res, next) => {
   try {
-    const receipt = await receiptService.getReceiptById(
-      req.params.id,
-      req.user.id,
-      req.user.role
-    );
-
-    if (req.user.role === 'super_admin') {
-      await receiptService.deleteReceipt(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Receipt deleted successfully'
-      });
-    }
-
-    if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (receipt.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this receipt'
-        });
-      }
-      await receiptService.deleteReceipt(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'Receipt deleted successfully'
-      });
-    }
+    await receiptService.deleteReceipt(req.params.id, req.user.id, req.user.role);
 
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete receipts'
+    res.status(200).json({
+      success: true,
+      message: 'Receipt deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -266,7 +269,7 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * GENERATE PDF
  */
-router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, next) => {
+router.post('/:id/generate-pdf', requirePermission('receipts', 'export'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const attachmentPdf = req.file ? req.file.buffer : null;
 
@@ -312,7 +315,7 @@ router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, n
 /**
  * ✅ UPDATED: DOWNLOAD PDF - Uses custom filename pattern
  */
-router.get('/:id/download-pdf', async (req, res, next) => {
+router.get('/:id/download-pdf', requirePermission('receipts', 'export'), async (req, res, next) => {
   try {
     const receipt = await receiptService.getReceiptById(
       req.params.id, 
@@ -353,7 +356,7 @@ router.get('/:id/download-pdf', async (req, res, next) => {
 /**
  * ✅ SEND RECEIPT VIA EMAIL
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('receipts', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -373,6 +376,13 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
+    // Check visibility first
+    await receiptService.getReceiptById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
     const result = await receiptService.sendReceiptByEmail(
       req.params.id,
       req.user.id,
@@ -5,10 +5,14 @@ const router = express.Router();
 const path = require('path');
 const multer = require('multer');
 const rfqService = require('../services/rfq.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const auditService = require('../services/audit.service');
+const approvalService = require('../services/approval.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../utils/permissions.util');
+const { bindContext } = require('../utils/request-context.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
 router.use(protect);
-router.use(checkRouteAccess('rfqs'));
 
 // Configure multer for PDF uploads (memory storage)
 const upload = multer({
@@ -28,7 +32,7 @@ const upload = multer({
 /**
  * RESET COUNTER - Super admin only
  */
-router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const result = await rfqService.resetRFQCounter();
 
@@ -45,7 +49,7 @@ router.post('/reset-counter', restrictTo('super_admin'), async (req, res, next)
 /**
  * GET RFQ STATISTICS
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('rfqs', 'view'), async (req, res, next) => {
   try {
     const stats = await rfqService.getRFQStats(req.user.id, req.user.role);
 
@@ -61,7 +65,7 @@ router.get('/stats', async (req, res, next) => {
 /**
  * CREATE RFQ - Now accepts includeStaticFile
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('rfqs', 'create'), async (req, res, next) => {
   try {
     const rfqData = {
       date: req.body.date,
@@ -70,9 +74,11 @@ router.post('/', async (req, res, next) => {
       production: req.body.production,
       supplier: req.body.supplier,
       supplierAddress: req.body.supplierAddress,
+      supplierId: req.body.supplierId,
       urgent: req.body.urgent === true || req.body.urgent === 'true',
       items: req.body.items || [],
       notes: req.body.notes,
+      project: req.body.project,
       includeStaticFile: req.body.includeStaticFile === true || req.body.includeStaticFile === 'true'
     };
 
@@ -95,7 +101,7 @@ router.post('/', async (req, res, next) => {
 /**
  * GET ALL RFQs
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('rfqs', 'view'), async (req, res, next) => {
   try {
     const { 
       rfqNumber, 
@@ -141,7 +147,7 @@ router.get('/', async (req, res, next) => {
 /**
  * GET SPECIFIC RFQ (By ID)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('rfqs', 'view'), async (req, res, next) => {
   try {
     const rfq = await rfqService.getRFQById(
       req.params.id, 
@@ -158,10 +164,256 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET RFQ HISTORY (audit trail)
+ */
+router.get('/:id/history', requirePermission('rfqs', 'view'), async (req, res, next) => {
+  try {
+    // Check visibility first
+    await rfqService.getRFQById(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    const history = await auditService.getHistory('rfqs', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET RFQ APPROVAL (workflow steps, current step and history)
+ */
+router.get('/:id/approval', requirePermission('rfqs', 'view'), async (req, res, next) => {
+  try {
+    const approval = await approvalService.getApproval('rfqs', req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * APPROVE / REJECT / RETURN RFQ FOR CHANGES
+ * Body: { comment } (required to reject or return)
+ */
+const decide = (decision, message) => async (req, res, next) => {
+  try {
+    const doc = await approvalService.decide(
+      'rfqs',
+      req.params.id,
+      decision,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/approve', requirePermission('rfqs', 'approve'), decide('approve', 'RFQ approved successfully'));
+router.post('/:id/reject', requirePermission('rfqs', 'approve'), decide('reject', 'RFQ rejected'));
+router.post('/:id/return', requirePermission('rfqs', 'approve'), decide('return', 'RFQ returned for changes'));
+
+/**
+ * RESUBMIT RFQ (after it was returned for changes)
+ */
+router.post('/:id/submit', requirePermission('rfqs', 'edit'), async (req, res, next) => {
+  try {
+    const doc = await approvalService.resubmit(
+      'rfqs',
+      req.params.id,
+      req.user,
+      req.body.comment,
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'RFQ resubmitted for approval',
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * INVITE SUPPLIERS TO AN RFQ (from the supplier registry)
+ * Body: { supplierIds: ['SUP0001', 'SUP0002'], sendEmail: true } (sendEmail needs a generated PDF)
+ */
+router.post('/:id/suppliers', requirePermission('rfqs', 'edit'), async (req, res, next) => {
+  try {
+    const sendEmail = req.body.sendEmail === true || req.body.sendEmail === 'true';
+    if (sendEmail && !hasPermission(req.permissions, 'rfqs', 'export')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action (rfqs:export). Please contact your administrator.',
+        requiredPermission: 'rfqs:export'
+      });
+    }
+
+    const result = await rfqService.addSuppliers(
+      req.params.id,
+      req.body.supplierIds,
+      req.user.id,
+      req.user.role,
+      sendEmail
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added.length} supplier(s) invited`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * REMOVE AN INVITED SUPPLIER (before it responded)
+ */
+router.delete('/:id/suppliers/:supplierId', requirePermission('rfqs', 'edit'), async (req, res, next) => {
+  try {
+    const rfq = await rfqService.removeSupplier(
+      req.params.id,
+      req.params.supplierId,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier removed from RFQ',
+      data: rfq
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * RECORD A SUPPLIER'S QUOTE
+ * Body: { lines: [{ line (from 1), unitPrice, leadTimeDays, notes }], leadTimeDays, validUntil, currency, notes }
+ */
+router.put('/:id/responses/:supplierId', requirePermission('rfqs', 'edit'), async (req, res, next) => {
+  try {
+    const rfq = await rfqService.recordResponse(
+      req.params.id,
+      req.params.supplierId,
+      req.body,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier response recorded',
+      data: rfq
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET BID COMPARISON MATRIX
+ */
+router.get('/:id/comparison', requirePermission('rfqs', 'view'), async (req, res, next) => {
+  try {
+    const comparison = await rfqService.getComparison(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DOWNLOAD BID COMPARISON MATRIX PDF
+ */
+router.get('/:id/comparison/pdf', requirePermission('rfqs', 'export'), async (req, res, next) => {
+  try {
+    const result = await rfqService.generateComparisonPDF(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+
+    res.download(result.filepath, result.filename, (err) => {
+      require('fs').unlink(result.filepath, () => {});
+      if (err) {
+        next(err);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * AWARD RFQ LINES - creates one Purchase Order per awarded supplier
+ * Body: { awards: [{ line (from 1), supplierId }], receiver, receiverCity, receiverAddress, receiverPhone, taxRate, notes, expectedDeliveryDate }
+ */
+router.post('/:id/award', requirePermission('rfqs', 'edit'), async (req, res, next) => {
+  try {
+    if (!hasPermission(req.permissions, 'purchases', 'create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action (purchases:create). Please contact your administrator.',
+        requiredPermission: 'purchases:create'
+      });
+    }
+
+    const { awards, receiver, receiverCity, receiverAddress, receiverPhone, taxRate, notes, expectedDeliveryDate } = req.body;
+
+    const result = await rfqService.awardLines(
+      req.params.id,
+      awards,
+      { receiver, receiverCity, receiverAddress, receiverPhone, taxRate, notes, expectedDeliveryDate },
+      req.user.id,
+      req.user.role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${result.purchaseOrders.length} Purchase Order(s) created from the awarded lines`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * UPDATE RFQ - Now accepts includeStaticFile
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requirePermission('rfqs', 'edit'), async (req, res, next) => {
   try {
     const updateData = {
       date: req.body.date,
@@ -170,13 +422,15 @@ router.put('/:id', async (req, res, next) => {
       production: req.body.production,
       supplier: req.body.supplier,
       supplierAddress: req.body.supplierAddress,
+      supplierId: req.body.supplierId,
       urgent: req.body.urgent !== undefined ? (req.body.urgent === true || req.body.urgent === 'true') : undefined,
       items: req.body.items,
       notes: req.body.notes,
-      status: req.body.status,
+      project: req.body.project,
       includeStaticFile: req.body.includeStaticFile !== undefined 
         ? (req.body.includeStaticFile === true || req.body.includeStaticFile === 'true')
-        : undefined
+        : undefined,
+      version: getExpectedVersion(req)
     };
 
     const rfq = await rfqService.updateRFQ(
@@ -199,39 +453,13 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE RFQ
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('rfqs', 'delete'), async (req, res, next) => {
   try {
-    const rfq = await rfqService.getRFQById(
-      req.params.id,
-      req.user.id,
-      req.user.role
-    );
+    await rfqService.deleteRFQ(req.params.id, req.user.id, req.user.role);
 
-    if (req.user.role === 'super_admin') {
-      await rfqService.deleteRFQ(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'RFQ deleted successfully'
-      });
-    }
-
-    if (req.user.role === 'admin' || req.user.role === 'employee') {
-      if (rfq.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to delete this RFQ'
-        });
-      }
-      await rfqService.deleteRFQ(req.params.id);
-      return res.status(200).json({
-        success: true,
-        message: 'RFQ deleted successfully'
-      });
-    }
-
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete RFQs'
+    res.status(200).json({
+      success: true,
+      message: 'RFQ deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -241,7 +469,7 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * GENERATE RFQ PDF (with optional attachment support)
  */
-router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, next) => {
+router.post('/:id/generate-pdf', requirePermission('rfqs', 'export'), bindContext(upload.single('attachment')), async (req, res, next) => {
   try {
     const attachmentPdf = req.file ? req.file.buffer : null;
 
@@ -288,7 +516,7 @@ router.post('/:id/generate-pdf', upload.single('attachment'), async (req, res, n
  * ✅ DOWNLOAD RFQ PDF - WITH CUSTOM FILENAME PATTERN RFQ0001_Requester_DD-MM-YYYY.pdf
  * GET /api/rfqs/:id/download-pdf
  */
-router.get('/:id/download-pdf', async (req, res, next) => {
+router.get('/:id/download-pdf', requirePermission('rfqs', 'export'), async (req, res, next) => {
   try {
     const rfq = await rfqService.getRFQById(
       req.params.id, 
@@ -349,7 +577,7 @@ router.get('/:id/download-pdf', async (req, res, next) => {
  * ✅ POST /api/rfqs/:id/send-email
  * Send RFQ PDF by email
  */
-router.post('/:id/send-email', async (req, res, next) => {
+router.post('/:id/send-email', requirePermission('rfqs', 'export'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
@@ -369,22 +597,12 @@ router.post('/:id/send-email', async (req, res, next) => {
       });
     }
 
-    // Check ownership first
-    const rfq = await rfqService.getRFQById(
+    // Check visibility first
+    await rfqService.getRFQById(
       req.params.id,
       req.user.id,
       req.user.role
     );
-    
-    // Role-based access control
-    if (req.user.role !== 'super_admin') {
-      if (rfq.createdBy !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to send this RFQ'
-        });
-      }
-    }
 
     const result = await rfqService.sendRFQByEmail(
       req.params.id,
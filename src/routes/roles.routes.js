@@ -0,0 +1,177 @@
+// src/routes/roles.routes.js
+const express = require('express');
+const router = express.Router();
+const roleService = require('../services/role.service');
+const visibilityService = require('../services/visibility.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { getExpectedVersion } = require('../middleware/version.middleware');
+const { getRegistry, getDeclaredPermissions } = require('../utils/permissions.util');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Permission registry (resources, actions and the permissions used by routes)
+ * @access  Private (roles:view)
+ */
+router.get('/permissions', requirePermission('roles', 'view'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      ...getRegistry(),
+      declared: getDeclaredPermissions()
+    }
+  });
+});
+
+/**
+ * @route   GET /api/roles/visibility
+ * @desc    Record visibility scope of every role per document type
+ * @access  Private (roles:view)
+ */
+router.get('/visibility', requirePermission('roles', 'view'), async (req, res, next) => {
+  try {
+    const rules = await visibilityService.getRules();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scopes: visibilityService.getAvailableScopes(),
+        documentTypes: visibilityService.getDocumentTypes(),
+        rules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles (built-in and custom)
+ * @access  Private (roles:view)
+ */
+router.get('/', requirePermission('roles', 'view'), async (req, res, next) => {
+  try {
+    const roles = await roleService.getRoles();
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/roles/:key
+ * @desc    Get a role
+ * @access  Private (roles:view)
+ */
+router.get('/:key', requirePermission('roles', 'view'), async (req, res, next) => {
+  try {
+    const role = await roleService.getRole(req.params.key);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (roles:create)
+ * @body    { key, name, description, permissions: ['purchases:view', 'purchases:approve'] }
+ */
+router.post('/', requirePermission('roles', 'create'), async (req, res, next) => {
+  try {
+    const role = await roleService.createRole(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/roles/:key
+ * @desc    Update a custom role
+ * @access  Private (roles:edit)
+ */
+router.put('/:key', requirePermission('roles', 'edit'), async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const role = await roleService.updateRole(
+      req.params.key,
+      { name, description, permissions },
+      getExpectedVersion(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/roles/:key/visibility
+ * @desc    Set the record visibility scopes of a role (built-in or custom)
+ * @access  Private (roles:edit)
+ * @body    { scopes: { purchases: 'department', rfqs: 'all', receipts: 'project' } }
+ */
+router.put('/:key/visibility', requirePermission('roles', 'edit'), async (req, res, next) => {
+  try {
+    const result = await visibilityService.updateScopes(req.params.key, req.body.scopes, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visibility rules updated successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/roles/:key
+ * @desc    Delete a custom role (only when no user has it)
+ * @access  Private (roles:delete)
+ */
+router.delete('/:key', requirePermission('roles', 'delete'), async (req, res, next) => {
+  try {
+    const result = await roleService.deleteRole(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const secretariatUserService = require('../services/secretariat-user.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 // All routes require authentication
 router.use(protect);
@@ -11,10 +11,10 @@ router.use(protect);
 /**
  * @route   POST /api/user-forms
  * @desc    Create a new form with optional manual data (Employee/Admin/Super Admin)
- * @access  Employees with 'secretariatUserManagement' access, Admin, Super Admin
+ * @access  Private (secretariatUserManagement:create)
  */
 router.post('/', 
-  checkRouteAccess('secretariatUserManagement'), 
+  requirePermission('secretariatUserManagement', 'create'), 
   async (req, res, next) => {
     try {
       const { formType, projectName, date, manualData } = req.body;
@@ -104,10 +104,10 @@ router.post('/',
 /**
  * @route   GET /api/user-forms/my-forms
  * @desc    Get current user's forms
- * @access  Employees with 'secretariatUserManagement' access, Admin, Super Admin
+ * @access  Private (secretariatUserManagement:view)
  */
 router.get('/my-forms', 
-  checkRouteAccess('secretariatUserManagement'), 
+  requirePermission('secretariatUserManagement', 'view'), 
   async (req, res, next) => {
     try {
       const { formType, status, page, limit } = req.query;
@@ -163,10 +163,10 @@ router.get('/my-forms',
 /**
  * @route   GET /api/user-forms/all
  * @desc    Get all user forms (Secretariat/Super Admin only)
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
 router.get('/all', 
-  restrictTo('secretariat', 'super_admin'), 
+  requirePermission('secretariat', 'view'), 
   async (req, res, next) => {
     try {
       const { formType, status, search, page, limit } = req.query;
@@ -235,10 +235,10 @@ router.get('/form-types/list', async (req, res) => {
 /**
  * @route   GET /api/user-forms/notifications/all
  * @desc    Get all notifications (Secretariat/Super Admin only)
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
 router.get('/notifications/all', 
-  restrictTo('secretariat', 'super_admin'), 
+  requirePermission('secretariat', 'view'), 
   async (req, res, next) => {
     try {
       const notifications = await secretariatUserService.getNotifications();
@@ -261,10 +261,10 @@ router.get('/notifications/all',
 /**
  * @route   PATCH /api/user-forms/notifications/:id/read
  * @desc    Mark notification as read
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:edit)
  */
 router.patch('/notifications/:id/read', 
-  restrictTo('secretariat', 'super_admin'), 
+  requirePermission('secretariat', 'edit'), 
   async (req, res, next) => {
     try {
       if (!req.params.id) {
@@ -303,10 +303,10 @@ router.patch('/notifications/:id/read',
 /**
  * @route   PATCH /api/user-forms/notifications/mark-all-read
  * @desc    Mark all notifications as read
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:edit)
  */
 router.patch('/notifications/mark-all-read', 
-  restrictTo('secretariat', 'super_admin'), 
+  requirePermission('secretariat', 'edit'), 
   async (req, res, next) => {
     try {
       await secretariatUserService.markAllNotificationsAsRead();
@@ -2,20 +2,18 @@
 const express = require('express');
 const router = express.Router();
 const secretariatService = require('../services/secretariat.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
-// جميع المسارات تتطلب المصادقة والدور: secretariat أو super_admin
+// جميع المسارات تتطلب المصادقة وصلاحية secretariat
 router.use(protect);
-router.use(restrictTo('secretariat', 'super_admin'));
-router.use(checkRouteAccess('secretariatManagement'));
 
 /**
  * @route   GET /api/secretariat/employees
  * @desc    Get all employees for selection
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
-router.get('/employees', async (req, res, next) => {
+router.get('/employees', requirePermission('secretariat', 'view'), async (req, res, next) => {
   try {
     const employees = await secretariatService.getAllEmployees();
 
@@ -31,9 +29,9 @@ router.get('/employees', async (req, res, next) => {
 /**
  * @route   POST /api/secretariat/forms
  * @desc    إنشاء نموذج جديد من قبل السكرتارية
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:create)
  */
-router.post('/forms', async (req, res, next) => {
+router.post('/forms', requirePermission('secretariat', 'create'), async (req, res, next) => {
   try {
     const { employeeId, formType, date, projectName } = req.body;
 
@@ -75,9 +73,9 @@ router.post('/forms', async (req, res, next) => {
 /**
  * @route   GET /api/secretariat/forms
  * @desc    UPDATED: الحصول على جميع النماذج (من السكرتارية والمستخدمين)
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
-router.get('/forms', async (req, res, next) => {
+router.get('/forms', requirePermission('secretariat', 'view'), async (req, res, next) => {
   try {
     const { formType, employeeId, status, search, page, limit } = req.query;
 
@@ -103,9 +101,9 @@ router.get('/forms', async (req, res, next) => {
 /**
  * @route   GET /api/secretariat/forms/:id
  * @desc    الحصول على نموذج محدد بواسطة المعرف
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
-router.get('/forms/:id', async (req, res, next) => {
+router.get('/forms/:id', requirePermission('secretariat', 'view'), async (req, res, next) => {
   try {
     const form = await secretariatService.getFormById(req.params.id);
 
@@ -121,9 +119,9 @@ router.get('/forms/:id', async (req, res, next) => {
 /**
  * @route   DELETE /api/secretariat/forms/:id
  * @desc    حذف نموذج
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:delete)
  */
-router.delete('/forms/:id', async (req, res, next) => {
+router.delete('/forms/:id', requirePermission('secretariat', 'delete'), async (req, res, next) => {
   try {
     await secretariatService.deleteForm(req.params.id);
 
@@ -139,9 +137,9 @@ router.delete('/forms/:id', async (req, res, next) => {
 /**
  * @route   PATCH /api/secretariat/forms/:id/status
  * @desc    تحديث حالة النموذج (يعمل مع كل من نماذج السكرتارية والمستخدمين)
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:approve)
  */
-router.patch('/forms/:id/status', async (req, res, next) => {
+router.patch('/forms/:id/status', requirePermission('secretariat', 'approve'), async (req, res, next) => {
   try {
     const { status } = req.body;
 
@@ -175,9 +173,9 @@ router.patch('/forms/:id/status', async (req, res, next) => {
 /**
  * @route   GET /api/secretariat/forms/:id/pdf
  * @desc    تحميل ملف PDF للنموذج
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:export)
  */
-router.get('/forms/:id/pdf', async (req, res, next) => {
+router.get('/forms/:id/pdf', requirePermission('secretariat', 'export'), async (req, res, next) => {
   try {
     const form = await secretariatService.getFormById(req.params.id);
 
@@ -196,9 +194,9 @@ router.get('/forms/:id/pdf', async (req, res, next) => {
 /**
  * @route   GET /api/secretariat/form-types
  * @desc    الحصول على أنواع النماذج المتاحة
- * @access  Secretariat, Super Admin
+ * @access  Private (secretariat:view)
  */
-router.get('/form-types', (req, res) => {
+router.get('/form-types', requirePermission('secretariat', 'view'), (req, res) => {
   res.status(200).json({
     success: true,
     data: {
@@ -0,0 +1,127 @@
+// src/routes/sheet-stock.routes.js
+const express = require('express');
+const router = express.Router();
+const sheetStockService = require('../services/sheet-stock.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/sheet-stock
+ * @desc    Sheet and remnant lots with reserved and available quantities
+ * @access  Private (inventory:view)
+ * @query   materialType, grade, thickness, kind=sheet|remnant, location, availableOnly=true
+ */
+router.get('/', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const { materialType, grade, thickness, kind, location, availableOnly } = req.query;
+    const lots = await sheetStockService.getSheets({ materialType, grade, thickness, kind, location, availableOnly });
+
+    res.status(200).json({
+      success: true,
+      count: lots.length,
+      data: lots
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sheet-stock/summary
+ * @desc    Sheets, remnants, reserved and available per material, grade and thickness
+ * @access  Private (inventory:view)
+ */
+router.get('/summary', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const summary = await sheetStockService.getSummary();
+
+    res.status(200).json({
+      success: true,
+      count: summary.length,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sheet-stock/:id
+ * @desc    Get a sheet lot with its reservations
+ * @access  Private (inventory:view)
+ */
+router.get('/:id', requirePermission('inventory', 'view'), async (req, res, next) => {
+  try {
+    const lot = await sheetStockService.getSheetById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sheet-stock
+ * @desc    Receive full sheets
+ * @access  Private (inventory:create)
+ * @body    { materialType: 'Stainless Steel', grade: '304', thickness: 3, width: 1250, length: 2500, quantity: 10, location, notes }
+ */
+router.post('/', requirePermission('inventory', 'create'), async (req, res, next) => {
+  try {
+    const lot = await sheetStockService.receiveSheets(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sheets received',
+      data: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sheet-stock/:id/adjust
+ * @desc    Correct a lot (quantity = signed change, or countedQuantity = new count)
+ * @access  Private (inventory:edit)
+ * @body    { reason, quantity | countedQuantity }
+ */
+router.post('/:id/adjust', requirePermission('inventory', 'edit'), async (req, res, next) => {
+  try {
+    const lot = await sheetStockService.adjustSheets(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sheet lot adjusted',
+      data: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/sheet-stock/:id
+ * @desc    Delete an empty lot or scrap a remnant
+ * @access  Private (inventory:edit)
+ */
+router.delete('/:id', requirePermission('inventory', 'edit'), async (req, res, next) => {
+  try {
+    const result = await sheetStockService.deleteSheet(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
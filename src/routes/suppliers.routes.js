@@ -2,22 +2,39 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const supplierService = require('../services/supplier.service');
-const { protect, checkRouteAccess } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const purchaseService = require('../services/purchase.service');
+const supplierScorecardService = require('../services/supplier-scorecard.service');
+const supplierDocumentService = require('../services/supplier-document.service');
+const supplierImportService = require('../services/supplier-import.service');
+const auditService = require('../services/audit.service');
+const { protect } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../utils/permissions.util');
+const { getExpectedVersion } = require('../middleware/version.middleware');
+const { bindContext } = require('../utils/request-context.util');
+const { readSpreadsheet } = require('../utils/spreadsheet.util');
+
+// Supplier documents and import spreadsheets are kept in memory until processed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
 
 // All routes require authentication
 router.use(protect);
-router.use(checkRouteAccess('suppliers')); // ✅ FIXED: Changed from 'supplierManagement' to 'suppliers'
 
 /**
  * @route   POST /api/suppliers
  * @desc    Create new supplier
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (suppliers:create)
  */
-router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.post('/', requirePermission('suppliers', 'create'), async (req, res) => {
   try {
-    const supplier = await supplierService.createSupplier(req.body, req.user.id);
+    const supplier = await supplierService.addSupplier({ ...req.body, createdBy: req.user.id });
 
     res.status(201).json({
       success: true,
@@ -26,7 +43,7 @@ router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating supplier:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'فشل إنشاء المورد'
     });
@@ -36,9 +53,9 @@ router.post('/', restrictTo('admin', 'super_admin'), async (req, res) => {
 /**
  * @route   GET /api/suppliers
  * @desc    Get all suppliers with optional filters
- * @access  Private (All authenticated users)
+ * @access  Private (suppliers:view)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('suppliers', 'view'), async (req, res) => {
   try {
     const {
       status,
@@ -74,9 +91,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   GET /api/suppliers/search
  * @desc    Search suppliers by query
- * @access  Private (All authenticated users)
+ * @access  Private (suppliers:view)
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requirePermission('suppliers', 'view'), async (req, res) => {
   try {
     const { q } = req.query;
 
@@ -106,9 +123,9 @@ router.get('/search', async (req, res) => {
 /**
  * @route   GET /api/suppliers/material/:materialType
  * @desc    Get suppliers by material type
- * @access  Private (All authenticated users)
+ * @access  Private (suppliers:view)
  */
-router.get('/material/:materialType', async (req, res) => {
+router.get('/material/:materialType', requirePermission('suppliers', 'view'), async (req, res) => {
   try {
     const suppliers = await supplierService.getSuppliersByMaterial(req.params.materialType);
 
@@ -129,9 +146,9 @@ router.get('/material/:materialType', async (req, res) => {
 /**
  * @route   GET /api/suppliers/statistics
  * @desc    Get supplier statistics
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (suppliers:view)
  */
-router.get('/statistics', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.get('/statistics', requirePermission('suppliers', 'view'), async (req, res) => {
   try {
     const statistics = await supplierService.getStatistics();
 
@@ -148,12 +165,63 @@ router.get('/statistics', restrictTo('admin', 'super_admin'), async (req, res) =
   }
 });
 
+/**
+ * @route   GET /api/suppliers/documents/expiring
+ * @desc    Supplier documents that expired or are within their reminder window
+ * @access  Private (suppliers:view)
+ * @query   days (overrides each document's reminderDays)
+ */
+router.get('/documents/expiring', requirePermission('suppliers', 'view'), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : null;
+    const documents = await supplierDocumentService.getExpiringDocuments(Number.isInteger(days) ? days : null);
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    console.error('Error fetching expiring supplier documents:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'فشل جلب المستندات'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers/documents/reminders
+ * @desc    Email reminders for expiring documents now (also sent daily by the server)
+ * @access  Private (suppliers:edit)
+ * @body    { recipients: ['purchasing@example.com'] } (default: SUPPLIER_DOCUMENT_REMINDER_EMAILS)
+ */
+router.post('/documents/reminders', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const result = await supplierDocumentService.sendExpiryReminders(req.body.recipients);
+
+    res.status(200).json({
+      success: true,
+      message: result.sent
+        ? `Reminder sent for ${result.documents.length} document(s)`
+        : 'No reminder sent (no documents due or no recipients)',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending supplier document reminders:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'فشل إرسال التذكير'
+    });
+  }
+});
+
 /**
  * @route   GET /api/suppliers/:id
  * @desc    Get supplier by ID
- * @access  Private (All authenticated users)
+ * @access  Private (suppliers:view)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('suppliers', 'view'), async (req, res) => {
   try {
     const supplier = await supplierService.getSupplierById(req.params.id);
 
@@ -170,16 +238,299 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/suppliers/:id/history
+ * @desc    Get the audit trail of a supplier
+ * @access  Private (suppliers:view)
+ */
+router.get('/:id/history', requirePermission('suppliers', 'view'), async (req, res) => {
+  try {
+    await supplierService.getSupplierById(req.params.id);
+    const history = await auditService.getHistory('suppliers', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching supplier history:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || 'المورد غير موجود'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id/purchase-orders
+ * @desc    Purchase orders linked to a supplier with spend totals
+ * @access  Private (suppliers:view + purchases:view)
+ */
+router.get('/:id/purchase-orders', requirePermission('suppliers', 'view'), requirePermission('purchases', 'view'), async (req, res) => {
+  try {
+    const result = await purchaseService.getSupplierPurchaseOrders(req.params.id, req.user.id, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      count: result.purchaseOrders.length,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching supplier purchase orders:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'المورد غير موجود'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id/scorecard
+ * @desc    Delivery, quality, price and spend performance computed from POs, receipts and RFQs
+ * @access  Private (suppliers:view + purchases:view)
+ * @query   startDate, endDate, period=month|quarter|year
+ */
+router.get('/:id/scorecard', requirePermission('suppliers', 'view'), requirePermission('purchases', 'view'), async (req, res) => {
+  try {
+    const { startDate, endDate, period } = req.query;
+    const scorecard = await supplierScorecardService.getScorecard(req.params.id, { startDate, endDate, period });
+
+    res.status(200).json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    console.error('Error fetching supplier scorecard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'فشل حساب أداء المورد'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers/ratings/refresh
+ * @desc    Recompute the rating of every supplier with autoRating switched on
+ * @access  Private (suppliers:edit)
+ */
+router.post('/ratings/refresh', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const result = await supplierScorecardService.refreshAllRatings();
+
+    res.status(200).json({
+      success: true,
+      message: `${result.updated.length} of ${result.checked} auto-rated supplier(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error refreshing supplier ratings:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'فشل تحديث تقييمات الموردين'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers/:id/contacts
+ * @desc    Add a contact to a supplier
+ * @access  Private (suppliers:edit)
+ * @body    { name, role: sales|accounts|technical|logistics|quality|management|other, title, email, phone, notes, isPrimary }
+ */
+router.post('/:id/contacts', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const contact = await supplierService.addContact(req.params.id, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'تمت إضافة جهة الاتصال بنجاح',
+      data: contact
+    });
+  } catch (error) {
+    console.error('Error adding supplier contact:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'فشل إضافة جهة الاتصال'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/suppliers/:id/contacts/:contactId
+ * @desc    Update a supplier contact
+ * @access  Private (suppliers:edit)
+ */
+router.put('/:id/contacts/:contactId', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const contact = await supplierService.updateContact(req.params.id, req.params.contactId, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'تم تحديث جهة الاتصال بنجاح',
+      data: contact
+    });
+  } catch (error) {
+    console.error('Error updating supplier contact:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'فشل تحديث جهة الاتصال'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/suppliers/:id/contacts/:contactId
+ * @desc    Remove a supplier contact
+ * @access  Private (suppliers:edit)
+ */
+router.delete('/:id/contacts/:contactId', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const contacts = await supplierService.removeContact(req.params.id, req.params.contactId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'تم حذف جهة الاتصال بنجاح',
+      data: contacts
+    });
+  } catch (error) {
+    console.error('Error removing supplier contact:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'فشل حذف جهة الاتصال'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id/documents
+ * @desc    Supplier documents with expiry status and mandatory document check
+ * @access  Private (suppliers:view)
+ */
+router.get('/:id/documents', requirePermission('suppliers', 'view'), async (req, res) => {
+  try {
+    const result = await supplierDocumentService.getDocuments(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: result.documents.length,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching supplier documents:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'المورد غير موجود'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers/:id/documents
+ * @desc    Upload a supplier document (multipart: file + fields)
+ * @access  Private (suppliers:edit)
+ * @body    { type: commercial_registration|tax_certificate|material_certificate|other, name, documentNumber,
+ *            issueDate, expiryDate, reminderDays: 30, mandatory, notes }
+ */
+router.post('/:id/documents', requirePermission('suppliers', 'edit'), bindContext(upload.single('file')), async (req, res) => {
+  try {
+    const document = await supplierDocumentService.addDocument(req.params.id, req.body, req.file, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم رفع المستند بنجاح',
+      data: document
+    });
+  } catch (error) {
+    console.error('Error uploading supplier document:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || 'فشل رفع المستند'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/suppliers/:id/documents/:documentId
+ * @desc    Update document details, optionally replacing the file (e.g. a renewed certificate)
+ * @access  Private (suppliers:edit)
+ */
+router.put('/:id/documents/:documentId', requirePermission('suppliers', 'edit'), bindContext(upload.single('file')), async (req, res) => {
+  try {
+    const document = await supplierDocumentService.updateDocument(
+      req.params.id,
+      req.params.documentId,
+      req.body,
+      req.file,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'تم تحديث المستند بنجاح',
+      data: document
+    });
+  } catch (error) {
+    console.error('Error updating supplier document:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || 'فشل تحديث المستند'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id/documents/:documentId/download
+ * @desc    Download a supplier document file
+ * @access  Private (suppliers:view)
+ */
+router.get('/:id/documents/:documentId/download', requirePermission('suppliers', 'view'), async (req, res) => {
+  try {
+    const file = await supplierDocumentService.getDocumentFile(req.params.id, req.params.documentId);
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.fileName)}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Error downloading supplier document:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'المستند غير موجود'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/suppliers/:id/documents/:documentId
+ * @desc    Delete a supplier document and its file
+ * @access  Private (suppliers:edit)
+ */
+router.delete('/:id/documents/:documentId', requirePermission('suppliers', 'edit'), async (req, res) => {
+  try {
+    const result = await supplierDocumentService.deleteDocument(req.params.id, req.params.documentId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Error deleting supplier document:', error);
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message || 'فشل حذف المستند'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/suppliers/:id
  * @desc    Update supplier
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (suppliers:edit)
  */
-router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.put('/:id', requirePermission('suppliers', 'edit'), async (req, res) => {
   try {
     const supplier = await supplierService.updateSupplier(
       req.params.id,
-      req.body,
+      { ...req.body, version: getExpectedVersion(req) },
       req.user.id
     );
 
@@ -190,7 +541,7 @@ router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating supplier:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'فشل تحديث المورد'
     });
@@ -200,9 +551,9 @@ router.put('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
 /**
  * @route   PATCH /api/suppliers/:id/status
  * @desc    Update supplier status
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (suppliers:edit)
  */
-router.patch('/:id/status', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.patch('/:id/status', requirePermission('suppliers', 'edit'), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -236,9 +587,9 @@ router.patch('/:id/status', restrictTo('admin', 'super_admin'), async (req, res)
 /**
  * @route   DELETE /api/suppliers/:id
  * @desc    Delete supplier
- * @access  Private (Admin & Super Admin only)
+ * @access  Private (suppliers:delete)
  */
-router.delete('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
+router.delete('/:id', requirePermission('suppliers', 'delete'), async (req, res) => {
   try {
     const result = await supplierService.deleteSupplier(req.params.id);
 
@@ -258,30 +609,62 @@ router.delete('/:id', restrictTo('admin', 'super_admin'), async (req, res) => {
 
 /**
  * @route   POST /api/suppliers/bulk-import
- * @desc    Bulk import suppliers
- * @access  Private (Super Admin only)
+ * @desc    Import suppliers from a CSV/XLSX upload (multipart `file`) or a JSON array (`suppliers`)
+ * @access  Private (suppliers:create, plus suppliers:edit with updateExisting)
+ * @body    { dryRun: true, updateExisting: false, mapping: { 'Supplier Name': 'name', 'VAT No': 'taxId' } }
+ *          (mapping may be a JSON string in multipart uploads; unmapped columns are matched by header)
  */
-router.post('/bulk-import', restrictTo('super_admin'), async (req, res) => {
+router.post('/bulk-import', requirePermission('suppliers', 'create'), bindContext(upload.single('file')), async (req, res) => {
   try {
-    const { suppliers } = req.body;
+    const flag = value => value === true || value === 'true';
+    const dryRun = flag(req.body.dryRun);
+    const updateExisting = flag(req.body.updateExisting);
+
+    if (updateExisting && !hasPermission(req.permissions, 'suppliers', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action (suppliers:edit). Please contact your administrator.',
+        requiredPermission: 'suppliers:edit'
+      });
+    }
+
+    let mapping = req.body.mapping || {};
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be a JSON object of { column: field }'
+        });
+      }
+    }
 
-    if (!suppliers || !Array.isArray(suppliers) || suppliers.length === 0) {
+    const rows = req.file ? readSpreadsheet(req.file).rows : req.body.suppliers;
+    if (!Array.isArray(rows) || rows.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Suppliers array is required and must not be empty'
+        message: 'Upload a CSV/XLSX file or send a non-empty suppliers array'
       });
     }
 
-    const result = await supplierService.bulkImportSuppliers(suppliers, req.user.id);
+    const result = await supplierImportService.importSuppliers(rows, {
+      mapping,
+      dryRun,
+      updateExisting,
+      createdBy: req.user.id
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Bulk import completed',
+      message: dryRun
+        ? `Dry run: ${result.summary.create} to create, ${result.summary.update} to update, ${result.summary.skip} duplicate(s), ${result.summary.error} error(s)`
+        : `Import completed: ${result.summary.create} created, ${result.summary.update} updated, ${result.summary.skip} duplicate(s) skipped, ${result.summary.error} error(s)`,
       data: result
     });
   } catch (error) {
     console.error('Error in bulk import:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'فشل الاستيراد الجماعي'
     });
@@ -2,19 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const resetService = require('../services/reset.service');
+const numberingService = require('../services/numbering.service');
 const { protect } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
-// All routes require super_admin
+// All routes require authentication (each route declares its system permission)
 router.use(protect);
-router.use(restrictTo('super_admin'));
 
 /**
  * @route   GET /api/system/stats
  * @desc    Get system statistics
- * @access  Super Admin only
+ * @access  Private (system:view)
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('system', 'view'), async (req, res, next) => {
   try {
     const stats = await resetService.getSystemStats();
     
@@ -30,9 +30,9 @@ router.get('/stats', async (req, res, next) => {
 /**
  * @route   POST /api/system/reindex
  * @desc    Reindex all users (fix duplicate IDs and sync counter)
- * @access  Super Admin only
+ * @access  Private (system:edit)
  */
-router.post('/reindex', async (req, res, next) => {
+router.post('/reindex', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     const result = await resetService.reindexUsers();
     
@@ -52,9 +52,9 @@ router.post('/reindex', async (req, res, next) => {
 /**
  * @route   POST /api/system/reset
  * @desc    Full system reset (recreate default admin and reset counter)
- * @access  Super Admin only
+ * @access  Private (system:delete)
  */
-router.post('/reset', async (req, res, next) => {
+router.post('/reset', requirePermission('system', 'delete'), async (req, res, next) => {
   try {
     const { confirm } = req.body;
     
@@ -80,9 +80,9 @@ router.post('/reset', async (req, res, next) => {
 /**
  * @route   POST /api/system/reset-counter
  * @desc    Reset user counter only (without deleting users)
- * @access  Super Admin only
+ * @access  Private (system:edit)
  */
-router.post('/reset-counter', async (req, res, next) => {
+router.post('/reset-counter', requirePermission('system', 'edit'), async (req, res, next) => {
   try {
     await resetService.resetUserCounter();
     
@@ -95,4 +95,59 @@ router.post('/reset-counter', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/system/numbering
+ * @desc    List document number sequences with current counters
+ * @access  Private (system:view)
+ */
+router.get('/numbering', requirePermission('system', 'view'), async (req, res, next) => {
+  try {
+    const sequences = await numberingService.getSequences();
+
+    res.status(200).json({
+      success: true,
+      data: sequences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/system/numbering/:type
+ * @desc    Change a sequence format (prefix, separator, includeYear, padding, resetYearly)
+ * @access  Private (system:edit)
+ */
+router.put('/numbering/:type', requirePermission('system', 'edit'), async (req, res, next) => {
+  try {
+    const sequence = await numberingService.updateFormat(req.params.type, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Numbering format updated successfully',
+      data: sequence
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/system/numbering/:type/audit
+ * @desc    Report missing, duplicate and out-of-range numbers for a sequence
+ * @access  Private (system:view)
+ */
+router.get('/numbering/:type/audit', requirePermission('system', 'view'), async (req, res, next) => {
+  try {
+    const audit = await numberingService.auditGaps(req.params.type);
+
+    res.status(200).json({
+      success: true,
+      data: audit
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
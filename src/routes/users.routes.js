@@ -2,8 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/user.service');
+const auditService = require('../services/audit.service');
 const { protect } = require('../middleware/auth.middleware');
-const { restrictTo } = require('../middleware/role.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 // Import validation functions - check if they exist
 let validateUser, validateUserUpdate;
@@ -20,15 +21,12 @@ try {
 // All routes require authentication
 router.use(protect);
 
-// Only super_admin can access user management
-router.use(restrictTo('super_admin'));
-
 /**
  * @route   GET /api/users/available-routes
  * @desc    Get available routes for assignment
- * @access  Super Admin only
+ * @access  Private (users:view)
  */
-router.get('/available-routes', (req, res) => {
+router.get('/available-routes', requirePermission('users', 'view'), (req, res) => {
   const availableRoutes = userService.getAvailableRoutes();
   
   res.status(200).json({
@@ -40,9 +38,9 @@ router.get('/available-routes', (req, res) => {
 /**
  * @route   POST /api/users
  * @desc    Create a new user
- * @access  Super Admin only
+ * @access  Private (users:create)
  */
-router.post('/', validateUser, async (req, res, next) => {
+router.post('/', requirePermission('users', 'create'), validateUser, async (req, res, next) => {
   try {
     const userData = {
       name: req.body.name,
@@ -50,7 +48,10 @@ router.post('/', validateUser, async (req, res, next) => {
       password: req.body.password,
       role: req.body.role || 'employee',
       systemAccess: req.body.systemAccess || {},
-      routeAccess: req.body.routeAccess || [] // NEW
+      routeAccess: req.body.routeAccess || [], // NEW
+      permissions: req.body.permissions || [],
+      department: req.body.department,
+      projects: req.body.projects
     };
 
     const user = await userService.createUser(userData);
@@ -68,9 +69,9 @@ router.post('/', validateUser, async (req, res, next) => {
 /**
  * @route   GET /api/users
  * @desc    Get all users with optional filters
- * @access  Super Admin only
+ * @access  Private (users:view)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('users', 'view'), async (req, res, next) => {
   try {
     const { role, search, page = 1, limit = 10 } = req.query;
     
@@ -91,12 +92,40 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/users/login-attempts
+ * @desc    Failed login attempts (filters: username, ip, reason, since, page, limit)
+ * @access  Private (users:view)
+ */
+router.get('/login-attempts', requirePermission('users', 'view'), async (req, res, next) => {
+  try {
+    const { username, ip, reason, since, page = 1, limit = 50 } = req.query;
+
+    const result = await userService.getLoginAttempts({
+      username,
+      ip,
+      reason,
+      since,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.attempts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get specific user by ID
- * @access  Super Admin only
+ * @access  Private (users:view)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('users', 'view'), async (req, res, next) => {
   try {
     const user = await userService.getUserById(req.params.id);
     
@@ -109,12 +138,32 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/users/:id/history
+ * @desc    Get the audit trail of a user (password and 2FA values are redacted)
+ * @access  Private (users:view)
+ */
+router.get('/:id/history', requirePermission('users', 'view'), async (req, res, next) => {
+  try {
+    await userService.getUserById(req.params.id);
+
+    const history = await auditService.getHistory('users', req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user information
- * @access  Super Admin only
+ * @access  Private (users:edit)
  */
-router.put('/:id', validateUserUpdate, async (req, res, next) => {
+router.put('/:id', requirePermission('users', 'edit'), validateUserUpdate, async (req, res, next) => {
   try {
     const updateData = {
       name: req.body.name,
@@ -123,7 +172,10 @@ router.put('/:id', validateUserUpdate, async (req, res, next) => {
       role: req.body.role,
       active: req.body.active,
       systemAccess: req.body.systemAccess,
-      routeAccess: req.body.routeAccess // NEW
+      routeAccess: req.body.routeAccess, // NEW
+      permissions: req.body.permissions,
+      department: req.body.department,
+      projects: req.body.projects
     };
 
     const user = await userService.updateUser(req.params.id, updateData);
@@ -141,9 +193,9 @@ router.put('/:id', validateUserUpdate, async (req, res, next) => {
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Super Admin only
+ * @access  Private (users:delete)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('users', 'delete'), async (req, res, next) => {
   try {
     await userService.deleteUser(req.params.id);
     
@@ -159,13 +211,13 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route   PATCH /api/users/:id/role
  * @desc    Update user role
- * @access  Super Admin only
+ * @access  Private (users:edit)
  */
-router.patch('/:id/role', async (req, res, next) => {
+router.patch('/:id/role', requirePermission('users', 'edit'), async (req, res, next) => {
   try {
     const { role } = req.body;
     
-    if (!role || !['super_admin', 'admin', 'employee', 'secretariat'].includes(role)) {
+    if (!role) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role specified'
@@ -187,9 +239,9 @@ router.patch('/:id/role', async (req, res, next) => {
 /**
  * @route   PATCH /api/users/:id/toggle-active
  * @desc    Activate or deactivate user
- * @access  Super Admin only
+ * @access  Private (users:edit)
  */
-router.patch('/:id/toggle-active', async (req, res, next) => {
+router.patch('/:id/toggle-active', requirePermission('users', 'edit'), async (req, res, next) => {
   try {
     const user = await userService.toggleUserActive(req.params.id);
     
@@ -203,12 +255,108 @@ router.patch('/:id/toggle-active', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   PATCH /api/users/:id/unlock
+ * @desc    Unlock an account locked after failed logins
+ * @access  Private (users:edit)
+ */
+router.patch('/:id/unlock', requirePermission('users', 'edit'), async (req, res, next) => {
+  try {
+    const user = await userService.unlockUser(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @access  Private (users:delete)
+ */
+router.delete('/:id/two-factor', requirePermission('users', 'delete'), async (req, res, next) => {
+  try {
+    const user = await userService.resetTwoFactor(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must set it up again',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/:id/login-attempts
+ * @desc    Failed login attempts for one user
+ * @access  Private (users:view)
+ */
+router.get('/:id/login-attempts', requirePermission('users', 'view'), async (req, res, next) => {
+  try {
+    const user = await userService.getUserById(req.params.id);
+    const result = await userService.getLoginAttempts({ ...req.query, username: user.username });
+
+    res.status(200).json({
+      success: true,
+      data: result.attempts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List a user's login sessions (?includeRevoked=true for history)
+ * @access  Private (users:view)
+ */
+router.get('/:id/sessions', requirePermission('users', 'view'), async (req, res, next) => {
+  try {
+    const sessions = await userService.getUserSessions(req.params.id, req.query.includeRevoked === 'true');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Log a user out of all devices
+ * @access  Private (users:delete)
+ */
+router.delete('/:id/sessions', requirePermission('users', 'delete'), async (req, res, next) => {
+  try {
+    const result = await userService.revokeUserSessions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out from all devices',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/users/check/username/:username
  * @desc    Check if username is available
- * @access  Super Admin only
+ * @access  Private (users:view)
  */
-router.get('/check/username/:username', async (req, res, next) => {
+router.get('/check/username/:username', requirePermission('users', 'view'), async (req, res, next) => {
   try {
     const isAvailable = await userService.checkUsernameAvailability(req.params.username);
     
@@ -225,9 +373,9 @@ router.get('/check/username/:username', async (req, res, next) => {
 /**
  * @route   PATCH /api/users/:id/username
  * @desc    Update username manually
- * @access  Super Admin only
+ * @access  Private (users:edit)
  */
-router.patch('/:id/username', async (req, res, next) => {
+router.patch('/:id/username', requirePermission('users', 'edit'), async (req, res, next) => {
   try {
     const { username } = req.body;
     
@@ -262,9 +410,9 @@ router.patch('/:id/username', async (req, res, next) => {
 /**
  * @route   PATCH /api/users/:id/system-access
  * @desc    Update user system access permissions
- * @access  Super Admin only
+ * @access  Private (users:edit)
  */
-router.patch('/:id/system-access', async (req, res, next) => {
+router.patch('/:id/system-access', requirePermission('users', 'edit'), async (req, res, next) => {
   try {
     const systemAccessUpdates = req.body;
 
@@ -300,13 +448,60 @@ router.patch('/:id/system-access', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/users/:id/permissions
+ * @desc    Get role permissions, extra grants and effective permissions of a user
+ * @access  Private (users:view)
+ */
+router.get('/:id/permissions', requirePermission('users', 'view'), async (req, res, next) => {
+  try {
+    const permissions = await userService.getUserPermissions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/users/:id/permissions
+ * @desc    Replace the extra permissions granted to a user on top of their role
+ * @access  Private (users:edit)
+ * @body    { permissions: ['purchases:view', 'purchases:approve'] }
+ */
+router.patch('/:id/permissions', requirePermission('users', 'edit'), async (req, res, next) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array of "resource:action" strings'
+      });
+    }
+
+    const user = await userService.updatePermissions(req.params.id, permissions);
+
+    res.status(200).json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PATCH /api/users/:id/route-access
  * @desc    Update employee route access permissions
- * @access  Super Admin only
+ * @access  Private (users:edit)
  * @body    { routeAccess: ['price-quotes', 'purchases', 'rfqs'] }
  */
-router.patch('/:id/route-access', async (req, res, next) => {
+router.patch('/:id/route-access', requirePermission('users', 'edit'), async (req, res, next) => {
   try {
     const { routeAccess } = req.body;
 
@@ -386,7 +581,7 @@ router.patch('/:id/route-access', async (req, res, next) => {
     console.log('==========================================');
     
     // Send detailed error response
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Internal server error',
       error: process.env.NODE_ENV === 'development' ? {
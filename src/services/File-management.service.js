@@ -2,6 +2,7 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { getRepository, COLLECTIONS } = require('../utils/repository.util');
 
 class FileManagementService {
   constructor() {
@@ -42,6 +43,11 @@ class FileManagementService {
       costingSheets: path.join(__dirname, '../../data/costing-sheets/index.json')
     };
 
+    // Metadata types stored through the repository layer (type -> collection)
+    this.repositoryCollections = {
+      materials: 'materialRequests'
+    };
+
     // Cache for users data
     this.usersCache = null;
   }
@@ -88,13 +94,7 @@ class FileManagementService {
     }
 
     try {
-      const usersPath = this.metadataFiles.users;
-      if (!fsSync.existsSync(usersPath)) {
-        return [];
-      }
-      const data = await fs.readFile(usersPath, 'utf8');
-      const parsed = JSON.parse(data);
-      this.usersCache = Array.isArray(parsed) ? parsed : [];
+      this.usersCache = await this.loadMetadata(this.metadataFiles.users, 'users');
       return this.usersCache;
     } catch (error) {
       console.error('Error loading users:', error);
@@ -168,10 +168,23 @@ class FileManagementService {
   }
 
   /**
-   * Load metadata from JSON file
+   * Get the repository backing a metadata type (null for plain JSON files)
+   */
+  getMetadataRepository(type) {
+    const collection = this.repositoryCollections[type] || type;
+    return COLLECTIONS[collection] ? getRepository(collection) : null;
+  }
+
+  /**
+   * Load metadata from storage (repository) or JSON file
    */
-  async loadMetadata(metadataPath) {
+  async loadMetadata(metadataPath, type = null) {
     try {
+      const repository = type ? this.getMetadataRepository(type) : null;
+      if (repository) {
+        return await repository.findAll();
+      }
+
       if (!fsSync.existsSync(metadataPath)) {
         return [];
       }
@@ -396,7 +409,7 @@ class FileManagementService {
 
     // Load all metadata
     const metadataPromises = Object.entries(this.metadataFiles).map(async ([key, path]) => {
-      return { key, data: await this.loadMetadata(path) };
+      return { key, data: await this.loadMetadata(path, key) };
     });
 
     const metadataResults = await Promise.all(metadataPromises);
@@ -568,51 +581,61 @@ class FileManagementService {
   async updateMetadataAfterDelete(file) {
     try {
       const metadataPath = this.metadataFiles[file.type];
-      if (!metadataPath || !fsSync.existsSync(metadataPath)) {
+      const repository = this.getMetadataRepository(file.type);
+      if (!metadataPath || (!repository && !fsSync.existsSync(metadataPath))) {
         return;
       }
 
-      const metadata = await this.loadMetadata(metadataPath);
-      
       // Filter using database ID if available, otherwise use filename
-      let updatedMetadata;
+      const removeRecord = (metadata) => {
+        let updatedMetadata;
       
-      if (file.databaseId) {
-        // Use database ID for deletion (most reliable)
-        updatedMetadata = metadata.filter(record => {
-          const recordId = record._id || record.id;
-          return recordId !== file.databaseId;
+        if (file.databaseId) {
+          // Use database ID for deletion (most reliable)
+          updatedMetadata = metadata.filter(record => {
+            const recordId = record._id || record.id;
+            return recordId !== file.databaseId;
+          });
+        } else {
+          // Fallback to filename matching
+          updatedMetadata = metadata.filter(record => {
+            if (file.type === 'quotations') {
+              return !(record.pdfPath && record.pdfPath.includes(file.name));
+            } else if (file.type === 'receipts') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'secretariatForms' || file.type === 'secretariatUserForms') {
+              return !(record.pdfPath && record.pdfPath.includes(file.name));
+            } else if (file.type === 'rfqs') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'purchases') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'materials') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'cuttingJobs') {
+              return record.fileName !== file.name;
+            } else if (file.type === 'emptyReceipts') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'proformaInvoices') {
+              return record.pdfFilename !== file.name;
+            } else if (file.type === 'costingSheets') {
+              return record.pdfFilename !== file.name;
+            }
+            return true;
+          });
+        }
+        return updatedMetadata;
+      };
+
+      // Write updated metadata back (re-read under the collection lock)
+      if (repository) {
+        await repository.transaction(docs => {
+          const remaining = removeRecord(docs);
+          docs.splice(0, docs.length, ...remaining);
         });
       } else {
-        // Fallback to filename matching
-        updatedMetadata = metadata.filter(record => {
-          if (file.type === 'quotations') {
-            return !(record.pdfPath && record.pdfPath.includes(file.name));
-          } else if (file.type === 'receipts') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'secretariatForms' || file.type === 'secretariatUserForms') {
-            return !(record.pdfPath && record.pdfPath.includes(file.name));
-          } else if (file.type === 'rfqs') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'purchases') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'materials') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'cuttingJobs') {
-            return record.fileName !== file.name;
-          } else if (file.type === 'emptyReceipts') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'proformaInvoices') {
-            return record.pdfFilename !== file.name;
-          } else if (file.type === 'costingSheets') {
-            return record.pdfFilename !== file.name;
-          }
-          return true;
-        });
+        const metadata = await this.loadMetadata(metadataPath, file.type);
+        await fs.writeFile(metadataPath, JSON.stringify(removeRecord(metadata), null, 2), 'utf8');
       }
-
-      // Write updated metadata back
-      await fs.writeFile(metadataPath, JSON.stringify(updatedMetadata, null, 2), 'utf8');
     } catch (error) {
       console.error(`Error updating metadata after deletion:`, error);
     }
@@ -2,22 +2,19 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util');
-const { generateId } = require('../utils/id-generator.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
 
-const ITEMS_FILE = path.join(__dirname, '../../data/items/index.json');
 const ITEMS_DIR = path.join(__dirname, '../../data/items');
 
+const itemRepository = getRepository('items');
+
 class ItemsService {
   async initialize() {
     try {
       if (!fsSync.existsSync(ITEMS_DIR)) {
         await fs.mkdir(ITEMS_DIR, { recursive: true });
       }
-
-      if (!fsSync.existsSync(ITEMS_FILE)) {
-        await atomicWrite.writeFile(ITEMS_FILE, JSON.stringify([], null, 2));
-      }
     } catch (error) {
       console.error('Error initializing items:', error);
       throw error;
@@ -27,8 +24,7 @@ class ItemsService {
   async loadItems() {
     try {
       await this.initialize();
-      const data = await fs.readFile(ITEMS_FILE, 'utf8');
-      return JSON.parse(data);
+      return await itemRepository.findAll();
     } catch (error) {
       console.error('Error loading items:', error);
       return [];
@@ -36,21 +32,29 @@ class ItemsService {
   }
 
   async saveItems(items) {
-    await atomicWrite.writeFile(ITEMS_FILE, JSON.stringify(items, null, 2));
+    await itemRepository.replaceAll(items);
   }
 
-  async generateItemId() {
-    const items = await this.loadItems();
-    
-    if (items.length === 0) return 'IT0001';
+  /**
+   * Reorder point / quantity: a non-negative number, or null to clear it
+   */
+  parseStockLevel(value, field) {
+    if (value === null || value === '') {
+      return null;
+    }
 
-    const numbers = items.map(item => {
-      const match = item.id.match(/\d+/);
-      return match ? parseInt(match[0]) : 0;
-    });
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+      const error = new Error(`${field} must be zero or more`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return number;
+  }
 
-    const maxNumber = Math.max(...numbers);
-    return `IT${(maxNumber + 1).toString().padStart(4, '0')}`;
+  async generateItemId() {
+    const { number } = await numberingService.next('item');
+    return number;
   }
 
   async createItem(itemData, createdBy) {
@@ -77,13 +81,14 @@ class ItemsService {
       name: itemData.name.trim(),
       description: itemData.description ? itemData.description.trim() : null,
       unit: itemData.unit ? itemData.unit.trim() : null,
+      reorderPoint: itemData.reorderPoint !== undefined ? this.parseStockLevel(itemData.reorderPoint, 'reorderPoint') : null,
+      reorderQuantity: itemData.reorderQuantity !== undefined ? this.parseStockLevel(itemData.reorderQuantity, 'reorderQuantity') : null,
       createdBy,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    items.push(newItem);
-    await this.saveItems(items);
+    await itemRepository.insert(newItem);
 
     return newItem;
   }
@@ -124,8 +129,7 @@ class ItemsService {
   }
 
   async getItemById(id) {
-    const items = await this.loadItems();
-    const item = items.find(i => i.id === id);
+    const item = await itemRepository.findById(id);
 
     if (!item) {
       throw new Error('الصنف غير موجود');
@@ -136,12 +140,14 @@ class ItemsService {
 
   async updateItem(id, updateData, updatedBy) {
     const items = await this.loadItems();
-    const itemIndex = items.findIndex(i => i.id === id);
+    const item = items.find(i => i.id === id);
 
-    if (itemIndex === -1) {
+    if (!item) {
       throw new Error('الصنف غير موجود');
     }
 
+    assertVersion(item, updateData.version);
+
     // Validate name if provided
     if (updateData.name !== undefined) {
       if (!updateData.name || updateData.name.trim().length === 0) {
@@ -159,37 +165,51 @@ class ItemsService {
     }
 
     // Update fields
+    const changes = {};
+
     if (updateData.name !== undefined) {
-      items[itemIndex].name = updateData.name.trim();
+      changes.name = updateData.name.trim();
     }
 
     if (updateData.description !== undefined) {
-      items[itemIndex].description = updateData.description ? updateData.description.trim() : null;
+      changes.description = updateData.description ? updateData.description.trim() : null;
     }
 
     if (updateData.unit !== undefined) {
-      items[itemIndex].unit = updateData.unit ? updateData.unit.trim() : null;
+      changes.unit = updateData.unit ? updateData.unit.trim() : null;
     }
 
-    items[itemIndex].updatedBy = updatedBy;
-    items[itemIndex].updatedAt = new Date().toISOString();
+    if (updateData.reorderPoint !== undefined) {
+      changes.reorderPoint = this.parseStockLevel(updateData.reorderPoint, 'reorderPoint');
+    }
 
-    await this.saveItems(items);
+    if (updateData.reorderQuantity !== undefined) {
+      changes.reorderQuantity = this.parseStockLevel(updateData.reorderQuantity, 'reorderQuantity');
+    }
 
-    return items[itemIndex];
+    changes.updatedBy = updatedBy;
+    changes.updatedAt = new Date().toISOString();
+
+    return await itemRepository.update(id, changes, { expectedVersion: getVersion(item) });
   }
 
   async deleteItem(id) {
-    const items = await this.loadItems();
-    const itemIndex = items.findIndex(i => i.id === id);
+    const deletedItem = await itemRepository.findById(id);
 
-    if (itemIndex === -1) {
+    if (!deletedItem) {
       throw new Error('الصنف غير موجود');
     }
 
-    const deletedItem = items[itemIndex];
-    items.splice(itemIndex, 1);
-    await this.saveItems(items);
+    // Lazy require: the inventory service reads the items collection
+    const inventoryService = require('./inventory.service');
+    const onHand = await inventoryService.getOnHand(id);
+    if (onHand !== 0) {
+      const error = new Error(`لا يمكن حذف الصنف لوجود رصيد مخزون (${onHand})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await itemRepository.remove(id);
 
     return { message: 'تم حذف الصنف بنجاح', item: deletedItem };
   }
@@ -0,0 +1,464 @@
+// src/services/approval.service.js
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const roleService = require('./role.service');
+const visibilityService = require('./visibility.service');
+
+const sumItems = (items, priceField) => (items || []).reduce((sum, item) =>
+  sum + (parseFloat(item.quantity) || 0) * (parseFloat(item[priceField]) || 0), 0);
+
+/**
+ * Document types with an approval workflow (keys match the permission resources)
+ * - collection: repository collection of the documents
+ * - numberField: document number shown in the pending list
+ * - amount: value compared with a step's minAmount (null = steps with a minAmount never apply)
+ */
+const DOCUMENT_TYPES = {
+  purchases: {
+    label: 'Purchase Order',
+    collection: 'purchases',
+    numberField: 'poNumber',
+    amount: po => sumItems(po.items, 'unitPrice') * (1 + (parseFloat(po.taxRate) || 0) / 100)
+  },
+  rfqs: {
+    label: 'RFQ',
+    collection: 'rfqs',
+    numberField: 'rfqNumber',
+    amount: rfq => sumItems(rfq.items, 'estimatedUnitPrice')
+  },
+  materialRequests: {
+    label: 'Material Request',
+    collection: 'materialRequests',
+    numberField: 'mrNumber',
+    amount: () => null
+  },
+  costingSheet: {
+    label: 'Costing Sheet',
+    collection: 'costingSheets',
+    numberField: 'csNumber',
+    amount: cs => sumItems(cs.items, 'unitPrice') * (1 + (parseFloat(cs.profitPercentage) || 0) / 100)
+  }
+};
+
+/**
+ * Document statuses
+ * - pending: waiting for the current step's approver
+ * - returned: sent back to the requester for changes (resubmit to restart)
+ * - approved: every step approved, the document is locked against edits
+ * - rejected: final
+ */
+const STATUSES = ['pending', 'returned', 'approved', 'rejected'];
+
+// Approver actions and the status they lead to (approve moves to the next step)
+const DECISIONS = {
+  approve: null,
+  reject: 'rejected',
+  return: 'returned'
+};
+
+// Workflow used when none is configured: one step for anyone with the approve permission
+const DEFAULT_STEPS = [
+  { name: 'Approval', roles: [], sameDepartment: false, allowSelfApproval: false, minAmount: null }
+];
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+/**
+ * Multi-step approval workflow of POs, RFQs, material requests and costing sheets.
+ * Workflows are stored per document type in the "approvalWorkflows" collection as
+ * { id: type, steps: [{ name, roles, sameDepartment, allowSelfApproval, minAmount }] }:
+ * - roles: roles that may act on the step (empty = anyone with type:approve)
+ * - sameDepartment: approver must be in the requester's department (e.g. department head)
+ * - allowSelfApproval: the requester may act on the step (never, unless set)
+ * - minAmount: step only applies to documents of at least this amount
+ *
+ * The state lives on the document: status plus
+ * approval: { steps, currentStep, history: [{ action, step, stepName, comment, userId, userName, role, at }] }
+ * where steps are the workflow steps that applied when the document was submitted.
+ */
+class ApprovalService {
+  get repository() {
+    return getRepository('approvalWorkflows');
+  }
+
+  async _loadUsers() {
+    return getRepository('users').findAll();
+  }
+
+  _getType(type) {
+    if (!DOCUMENT_TYPES[type]) {
+      const error = new Error(`Unknown document type "${type}". Valid types: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return DOCUMENT_TYPES[type];
+  }
+
+  getStatuses() {
+    return STATUSES;
+  }
+
+  getDocumentTypes() {
+    return Object.entries(DOCUMENT_TYPES).map(([key, { label }]) => ({
+      key,
+      label,
+      supportsAmount: key !== 'materialRequests'
+    }));
+  }
+
+  /**
+   * Workflow of a document type (stored steps, else the default)
+   */
+  async getWorkflow(type) {
+    this._getType(type);
+    const workflow = await this.repository.findById(type);
+
+    return {
+      type,
+      configured: Boolean(workflow),
+      steps: workflow ? workflow.steps : DEFAULT_STEPS,
+      updatedBy: workflow ? workflow.updatedBy : null,
+      updatedAt: workflow ? workflow.updatedAt : null
+    };
+  }
+
+  async getWorkflows() {
+    return Promise.all(Object.keys(DOCUMENT_TYPES).map(type => this.getWorkflow(type)));
+  }
+
+  /**
+   * Replace the workflow of a document type (applies to documents submitted afterwards)
+   * @param {Array} steps - [{ name, roles: ['department_head'], sameDepartment: true, allowSelfApproval: false, minAmount: 5000 }]
+   */
+  async updateWorkflow(type, steps, updatedBy = null) {
+    this._getType(type);
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      const error = new Error('Steps must be a non-empty array');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const roleKeys = await roleService.getRoleKeys();
+    const problems = [];
+
+    const normalized = steps.map((step, index) => {
+      const label = `Step ${index + 1}`;
+      const roles = step.roles === undefined ? [] : step.roles;
+      const minAmount = step.minAmount === undefined || step.minAmount === null || step.minAmount === ''
+        ? null
+        : Number(step.minAmount);
+
+      if (!step.name || typeof step.name !== 'string' || !step.name.trim()) {
+        problems.push(`${label}: name is required`);
+      }
+      if (!Array.isArray(roles)) {
+        problems.push(`${label}: roles must be an array`);
+      } else {
+        const unknown = roles.filter(role => !roleKeys.includes(role));
+        if (unknown.length > 0) {
+          problems.push(`${label}: unknown roles ${unknown.join(', ')}`);
+        }
+      }
+      if (minAmount !== null && (isNaN(minAmount) || minAmount < 0)) {
+        problems.push(`${label}: minAmount must be a positive number`);
+      }
+
+      return {
+        name: String(step.name || '').trim(),
+        roles: Array.isArray(roles) ? roles : [],
+        sameDepartment: step.sameDepartment === true || step.sameDepartment === 'true',
+        allowSelfApproval: step.allowSelfApproval === true || step.allowSelfApproval === 'true',
+        minAmount
+      };
+    });
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid workflow: ${problems.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const data = { steps: normalized, updatedBy, updatedAt: new Date().toISOString() };
+    if (await this.repository.findById(type)) {
+      await this.repository.update(type, data);
+    } else {
+      await this.repository.insert({ id: type, ...data });
+    }
+
+    return this.getWorkflow(type);
+  }
+
+  async _historyEntry(action, step, stepName, comment, userId) {
+    const users = await this._loadUsers();
+    const user = users.find(u => u.id === userId) || {};
+
+    return {
+      action,
+      step,
+      stepName,
+      comment: comment || '',
+      userId: userId || null,
+      userName: user.name || null,
+      role: user.role || null,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * (Re)submit a document: snapshot the steps that apply to its amount and
+   * set it pending at the first step. Mutates and returns doc (not saved).
+   */
+  async start(type, doc, userId, comment = '') {
+    const { amount } = this._getType(type);
+    const { steps } = await this.getWorkflow(type);
+    const value = amount(doc);
+
+    const applicable = steps.filter(step =>
+      step.minAmount === null || step.minAmount === undefined || (value !== null && value >= step.minAmount)
+    );
+
+    const history = doc.approval ? doc.approval.history : [];
+    history.push(await this._historyEntry('submit', null, null, comment, userId));
+
+    doc.approval = { steps: applicable, currentStep: 0, history };
+    doc.status = 'pending';
+
+    // Below every threshold: nothing to approve
+    if (applicable.length === 0) {
+      history.push(await this._historyEntry('approve', null, null, 'No approval required for this amount', null));
+      doc.status = 'approved';
+      doc.approval.completedAt = new Date().toISOString();
+    }
+
+    return doc;
+  }
+
+  /**
+   * Throw a 409 when the document can no longer be edited
+   */
+  assertEditable(type, doc) {
+    if (doc.status === 'approved') {
+      const error = new Error(`${this._getType(type).label} is approved and locked against edits`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * After an edit: a pending document starts over with the steps that apply to
+   * its new amount, so approvers never approve content they have not seen and a
+   * raised amount never keeps a shorter chain. Mutates doc.
+   */
+  async restartIfInProgress(type, doc, userId) {
+    if (doc.status === 'pending') {
+      await this.start(type, doc, userId, 'Approval restarted after changes');
+    }
+    return doc;
+  }
+
+  /**
+   * Whether the user is the requester and the step does not allow self-approval
+   */
+  isSelfApproval(doc, user, step) {
+    return Boolean(doc.createdBy) && doc.createdBy === user.id && !(step && step.allowSelfApproval);
+  }
+
+  /**
+   * Whether a user may act on the current step of a pending document
+   */
+  canAct(doc, user, users) {
+    if (doc.status !== 'pending' || !doc.approval) {
+      return false;
+    }
+
+    const step = doc.approval.steps[doc.approval.currentStep];
+    if (!step) {
+      return false;
+    }
+    if (this.isSelfApproval(doc, user, step)) {
+      return false;
+    }
+    if (user.role === 'super_admin') {
+      return true;
+    }
+    if (step.roles.length > 0 && !step.roles.includes(user.role)) {
+      return false;
+    }
+    if (step.sameDepartment) {
+      const approver = users.find(u => u.id === user.id) || {};
+      const requester = users.find(u => u.id === doc.createdBy) || {};
+      const department = normalize(requester.department);
+      return Boolean(department) && normalize(approver.department) === department;
+    }
+    return true;
+  }
+
+  async _loadDocument(type, id) {
+    const { label, collection } = this._getType(type);
+    const doc = await getRepository(collection).findById(id);
+
+    if (!doc) {
+      const error = new Error(`${label} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Documents created before workflows existed start at the first step
+    if (!doc.approval && doc.status === 'pending') {
+      await this.start(type, doc, doc.createdBy, 'Approval workflow started');
+    }
+
+    return doc;
+  }
+
+  async _save(type, doc, expectedVersion) {
+    doc.updatedAt = new Date().toISOString();
+    await getRepository(this._getType(type).collection).update(doc.id, doc, { expectedVersion });
+    return doc;
+  }
+
+  /**
+   * Approve, reject or return the current step of a document
+   * @param {string} decision - approve | reject | return
+   * @param {object} user - { id, role }
+   * @param {string} comment - Required to reject or return
+   */
+  async decide(type, id, decision, user, comment = '', expectedVersion) {
+    if (!Object.prototype.hasOwnProperty.call(DECISIONS, decision)) {
+      const error = new Error(`Invalid decision "${decision}". Valid decisions: ${Object.keys(DECISIONS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { label } = this._getType(type);
+    const doc = await this._loadDocument(type, id);
+    assertVersion(doc, expectedVersion);
+    const currentVersion = getVersion(doc);
+
+    if (doc.status !== 'pending') {
+      const error = new Error(`${label} is ${doc.status}; only pending documents can be approved, rejected or returned`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const users = await this._loadUsers();
+    const step = doc.approval.steps[doc.approval.currentStep];
+
+    if (this.isSelfApproval(doc, user, step)) {
+      const error = new Error(`You cannot approve, reject or return your own ${label}`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!this.canAct(doc, user, users)) {
+      const error = new Error(`You are not an approver for the current step (${step.name}) of this ${label}`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (decision !== 'approve' && !String(comment || '').trim()) {
+      const error = new Error('A comment is required to reject or return a document');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    doc.approval.history.push(
+      await this._historyEntry(decision, doc.approval.currentStep, step.name, comment, user.id)
+    );
+
+    if (decision === 'approve') {
+      doc.approval.currentStep++;
+      if (doc.approval.currentStep >= doc.approval.steps.length) {
+        doc.status = 'approved';
+        doc.approval.completedAt = new Date().toISOString();
+      }
+    } else {
+      doc.status = DECISIONS[decision];
+    }
+
+    return this._save(type, doc, currentVersion);
+  }
+
+  /**
+   * Resubmit a document that was returned for changes (requester side)
+   */
+  async resubmit(type, id, user, comment = '', expectedVersion) {
+    const { label } = this._getType(type);
+    const doc = await this._loadDocument(type, id);
+    assertVersion(doc, expectedVersion);
+    const currentVersion = getVersion(doc);
+
+    await visibilityService.assertVisible(type, doc, user.id, user.role, 'submit');
+
+    if (doc.status !== 'returned') {
+      const error = new Error(`${label} is ${doc.status}; only documents returned for changes can be resubmitted`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.start(type, doc, user.id, comment);
+    return this._save(type, doc, currentVersion);
+  }
+
+  /**
+   * Approval state of a document for a user (visible documents, or ones the
+   * user is asked to approve)
+   */
+  async getApproval(type, id, user) {
+    const doc = await this._loadDocument(type, id);
+    const users = await this._loadUsers();
+    const canAct = this.canAct(doc, user, users);
+
+    if (!canAct) {
+      await visibilityService.assertVisible(type, doc, user.id, user.role, 'view');
+    }
+
+    const approval = doc.approval || { steps: [], currentStep: 0, history: [] };
+
+    return {
+      id: doc.id,
+      status: doc.status,
+      steps: approval.steps,
+      currentStep: doc.status === 'pending' ? approval.steps[approval.currentStep] || null : null,
+      currentStepIndex: doc.status === 'pending' ? approval.currentStep : null,
+      history: approval.history,
+      completedAt: approval.completedAt || null,
+      canAct,
+      version: getVersion(doc)
+    };
+  }
+
+  /**
+   * Pending documents waiting for the user's decision, oldest first
+   */
+  async getPendingForUser(user) {
+    const users = await this._loadUsers();
+    const pending = [];
+
+    for (const [type, { label, collection, numberField, amount }] of Object.entries(DOCUMENT_TYPES)) {
+      if (!(await roleService.userHasPermission(user, type, 'approve'))) continue;
+
+      const docs = await getRepository(collection).find(doc => doc.status === 'pending' && doc.approval);
+      docs
+        .filter(doc => this.canAct(doc, user, users))
+        .forEach(doc => {
+          const submitted = [...doc.approval.history].reverse().find(entry => entry.action === 'submit');
+          pending.push({
+            type,
+            label,
+            id: doc.id,
+            number: doc[numberField],
+            createdBy: doc.createdBy,
+            createdByName: doc.createdByName,
+            amount: amount(doc),
+            step: doc.approval.steps[doc.approval.currentStep].name,
+            submittedAt: submitted ? submitted.at : doc.createdAt
+          });
+        });
+    }
+
+    return pending.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,156 @@
+// src/services/audit.service.js
+const crypto = require('crypto');
+const { getRepository, onChange } = require('../utils/repository.util');
+const { getActor } = require('../utils/request-context.util');
+
+/**
+ * Entities recorded in the audit log (repository collection names)
+ */
+const AUDITED_ENTITIES = [
+  'purchases',
+  'rfqs',
+  'receipts',
+  'goodsReceipts',
+  'materialRequests',
+  'costingSheets',
+  'quotations',
+  'proformaInvoices',
+  'items',
+  'suppliers',
+  'clients',
+  'cuttingJobs',
+  'stockLocations',
+  'sheetStock',
+  'roles',
+  'visibilityRules',
+  'approvalWorkflows',
+  'users'
+];
+
+// Bookkeeping fields that are not worth an audit entry on their own
+const IGNORED_FIELDS = ['version', 'updatedAt', 'lastLogin', 'failedLoginAttempts', 'lockedUntil', 'lockoutCount'];
+
+// Stored as "[redacted]" instead of their values
+const REDACTED_FIELDS = ['password', 'passwordHistory', 'twoFactor'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Append-only audit trail of creates, updates and deletes.
+ * Each entry: { id, entity, entityId, action, actor: { userId, role, ip, userAgent },
+ *               changes: [{ field, before, after }], createdAt }
+ */
+class AuditService {
+  get repository() {
+    return getRepository('auditLog');
+  }
+
+  getAuditedEntities() {
+    return AUDITED_ENTITIES;
+  }
+
+  /**
+   * Field-level differences between two versions of a document
+   */
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) return;
+
+      const oldValue = before ? before[field] : undefined;
+      const newValue = after ? after[field] : undefined;
+      if (isEqual(oldValue, newValue)) return;
+
+      const redacted = REDACTED_FIELDS.includes(field);
+      changes.push({
+        field,
+        before: redacted && oldValue !== undefined ? '[redacted]' : (oldValue ?? null),
+        after: redacted && newValue !== undefined ? '[redacted]' : (newValue ?? null)
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record one change (no entry when only ignored fields changed)
+   * @param {object} change - { entity, action: create|update|delete, before, after }
+   */
+  async record({ entity, action, before = null, after = null }) {
+    if (!AUDITED_ENTITIES.includes(entity)) {
+      return null;
+    }
+
+    const changes = this.diff(before, after);
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    const entry = {
+      id: `AUDIT-${crypto.randomUUID()}`,
+      entity,
+      entityId: (after || before).id,
+      action,
+      actor: getActor(),
+      changes,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.repository.append(entry);
+    return entry;
+  }
+
+  /**
+   * Search the audit log
+   * @param {object} filters - { entity, entityId, userId, action, from, to, page, limit }
+   */
+  async list(filters = {}) {
+    let entries = await this.repository.findAll();
+
+    if (filters.entity) entries = entries.filter(e => e.entity === filters.entity);
+    if (filters.entityId) entries = entries.filter(e => e.entityId === filters.entityId);
+    if (filters.userId) entries = entries.filter(e => e.actor && e.actor.userId === filters.userId);
+    if (filters.action) entries = entries.filter(e => e.action === filters.action);
+    if (filters.from) {
+      const from = new Date(filters.from).getTime();
+      entries = entries.filter(e => new Date(e.createdAt).getTime() >= from);
+    }
+    if (filters.to) {
+      const to = new Date(filters.to).getTime();
+      entries = entries.filter(e => new Date(e.createdAt).getTime() <= to);
+    }
+
+    entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 50;
+    const startIndex = (page - 1) * limit;
+
+    return {
+      entries: entries.slice(startIndex, startIndex + limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(entries.length / limit),
+        totalEntries: entries.length,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Full history of one record, oldest first
+   */
+  async getHistory(entity, entityId) {
+    const entries = await this.repository.find(e => e.entity === entity && e.entityId === entityId);
+    return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+}
+
+const auditService = new AuditService();
+
+// Every repository write of an audited collection ends up here
+onChange(change => auditService.record({ entity: change.collection, ...change }));
+
+module.exports = auditService;
@@ -6,21 +6,29 @@ const crypto = require('crypto');
 const logger = require('../utils/logger.util');
 const emailService = require('../utils/email.util');
 const atomicWrite = require('../utils/atomic-write.util');
-
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+const { isHashed, hashPassword, hashPasswordSync, verifyPassword, setUserPassword } = require('../utils/password.util');
+const sessionService = require('./session.service');
+const loginAttemptService = require('./login-attempt.service');
+const twoFactorService = require('./two-factor.service');
+const roleService = require('./role.service');
+const { getRepository } = require('../utils/repository.util');
+
+const userRepository = getRepository('users');
 const RESET_TOKENS_FILE = path.join(__dirname, '../../data/users/reset-tokens.json');
 
+// Compared against when the username does not exist, so unknown and known
+// usernames take the same time to reject
+const DUMMY_PASSWORD_HASH = hashPasswordSync(crypto.randomBytes(16).toString('hex'));
+
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email address, a password reset link has been sent';
+
 class AuthService {
   /**
-   * Read users from file
+   * Read all users
    */
-  _readUsers() {
+  async _readUsers() {
     try {
-      if (!fs.existsSync(USERS_FILE)) {
-        return [];
-      }
-      const data = fs.readFileSync(USERS_FILE, 'utf8');
-      return JSON.parse(data);
+      return await userRepository.findAll();
     } catch (error) {
       logger.error('Error reading users file', error);
       throw new Error('Failed to read users data');
@@ -28,16 +36,20 @@ class AuthService {
   }
 
   /**
-   * Write users to file
+   * Apply changes to a single user record (read-modify-write under the users write lock)
+   * @param {Function} updater - async (user) => void, mutates the record
+   * @returns {Promise<object|null>} Updated user or null if not found
    */
-  _writeUsers(users) {
-    try {
-      // Use sync version since this is a synchronous method
-      atomicWrite.sync(USERS_FILE, JSON.stringify(users, null, 2));
-    } catch (error) {
-      logger.error('Error writing users file', error);
-      throw new Error('Failed to save users data');
-    }
+  async _updateUser(userId, updater) {
+    return userRepository.transaction(async users => {
+      const user = users.find(u => u.id === userId);
+      if (!user) {
+        return null;
+      }
+
+      await updater(user);
+      return user;
+    });
   }
 
   /**
@@ -70,19 +82,43 @@ class AuthService {
   }
 
   /**
-   * Generate JWT token with systemAccess and routeAccess
+   * Generate short-lived access token bound to a session
+   * (systemAccess/routeAccess are informational - protect() reloads them from the user record)
    */
-  _generateToken(userId, role, systemAccess = {}, routeAccess = []) {
+  _generateToken(userId, role, systemAccess = {}, routeAccess = [], sessionId) {
     return jwt.sign(
       { 
         id: userId, 
         role: role,
         systemAccess: systemAccess,
-        routeAccess: routeAccess // NEW
+        routeAccess: routeAccess,
+        sid: sessionId
       },
       process.env.JWT_SECRET || 'your-secret-key-change-this',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
+      { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+    );
+  }
+
+  /**
+   * Build the token pair returned by login and refresh
+   */
+  _buildAuthTokens(user, session, refreshToken) {
+    const token = this._generateToken(
+      user.id,
+      user.role,
+      user.systemAccess || { laserCuttingManagement: false },
+      user.routeAccess || [],
+      session.id
     );
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      tokenExpiresAt: new Date(exp * 1000).toISOString(),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session.id
+    };
   }
 
   /**
@@ -95,84 +131,447 @@ class AuthService {
   /**
    * Login user with username and password
    */
-  async login(username, password) {
+  async login(username, password, meta = {}) {
     try {
-      const users = this._readUsers();
+      // Per-username / per-IP throttling (same answer whether the account exists or not)
+      await loginAttemptService.assertNotThrottled(username, meta.ip);
 
       // Find user by username (case-insensitive)
-      const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+      let user = (await this._readUsers()).find(u => u.username.toLowerCase() === username.toLowerCase());
 
-      if (!user) {
-        const error = new Error('Invalid username or password');
-        error.statusCode = 401;
-        throw error;
+      // Locked accounts are rejected before the password is checked
+      if (user && user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+        await loginAttemptService.recordFailure({ username, userId: user.id, ...meta, reason: 'account_locked' });
+        throw loginAttemptService.throttledError(user.lockedUntil);
+      }
+
+      // Verify password (bcrypt hash, or legacy plaintext record)
+      const passwordValid = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+      if (!user || !passwordValid) {
+        await this._handleFailedLogin(username, user, meta);
       }
 
-      // Check if user is active
+      // Only reveal the account status once the password has been proven
       if (!user.active) {
         const error = new Error('Account is deactivated. Please contact administrator');
         error.statusCode = 403;
         throw error;
       }
 
-      // Verify password (plain text comparison - you should hash in production)
-      if (user.password !== password) {
-        const error = new Error('Invalid username or password');
+      // Transparently upgrade legacy plaintext passwords to bcrypt
+      if (!isHashed(user.password)) {
+        const upgradedPassword = await hashPassword(password);
+        user = await this._updateUser(user.id, u => {
+          if (!isHashed(u.password)) {
+            u.password = upgradedPassword;
+            u.passwordChangedAt = u.passwordChangedAt || new Date().toISOString();
+            logger.info(`Upgraded plaintext password to bcrypt for user: ${u.username}`);
+          }
+        });
+      }
+
+      // Second step: TOTP code, or enrollment when the role requires 2FA
+      if (twoFactorService.isEnabled(user)) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: this._generateChallengeToken(user.id, '2fa')
+        };
+      }
+
+      if (twoFactorService.isRequiredForRole(user.role)) {
+        return {
+          twoFactorSetupRequired: true,
+          challengeToken: this._generateChallengeToken(user.id, '2fa_setup')
+        };
+      }
+
+      return this._completeLogin(user, meta);
+    } catch (error) {
+      logger.error('Login error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a session for a fully authenticated user and build the login response
+   */
+  async _completeLogin(user, meta) {
+    // Start a session and issue the access/refresh token pair
+    const { session, refreshToken } = await sessionService.createSession(user.id, meta);
+
+    // Update last login and reset the lockout counters
+    user = await this._updateUser(user.id, u => {
+      u.lastLogin = new Date().toISOString();
+      u.failedLoginAttempts = 0;
+      u.lockoutCount = 0;
+      u.lockedUntil = null;
+    });
+    await loginAttemptService.clearUsername(user.username);
+
+    const tokens = this._buildAuthTokens(user, session, refreshToken);
+
+    logger.info(`User logged in: ${user.username}`);
+
+    // Return user data without password
+    const { password: _, passwordHistory, twoFactor, ...userWithoutPassword } = user;
+
+    return {
+      user: {
+        ...userWithoutPassword,
+        twoFactorEnabled: twoFactorService.isEnabled(user),
+        effectivePermissions: await roleService.getEffectivePermissions(user)
+      },
+      ...tokens
+    };
+  }
+
+  /**
+   * Short-lived token proving the password step of a 2FA login
+   * @param {string} purpose - '2fa' (enter a code) or '2fa_setup' (enroll first)
+   */
+  _generateChallengeToken(userId, purpose) {
+    return jwt.sign(
+      { id: userId, purpose },
+      process.env.JWT_SECRET || 'your-secret-key-change-this',
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+    );
+  }
+
+  /**
+   * Resolve the user behind a login challenge token
+   */
+  async _resolveChallenge(challengeToken, purpose, meta) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key-change-this');
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== purpose) {
+      const error = new Error('Invalid or expired login challenge. Please login again');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const user = (await this._readUsers()).find(u => u.id === decoded.id);
+    if (!user || !user.active) {
+      const error = new Error('Invalid or expired login challenge. Please login again');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    await loginAttemptService.assertNotThrottled(user.username, meta.ip);
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      throw loginAttemptService.throttledError(user.lockedUntil);
+    }
+
+    return user;
+  }
+
+  /**
+   * Login step 2: verify a TOTP code or recovery code
+   */
+  async verifyTwoFactorLogin(challengeToken, credentials, meta = {}) {
+    try {
+      const user = await this._resolveChallenge(challengeToken, '2fa', meta);
+
+      let method = null;
+      const updated = await this._updateUser(user.id, u => {
+        method = twoFactorService.verify(u, credentials);
+      });
+
+      if (!method) {
+        await this._handleFailedLogin(user.username, user, meta, {
+          reason: 'invalid_2fa_code',
+          message: 'Invalid verification code'
+        });
+      }
+
+      const result = await this._completeLogin(updated, meta);
+      if (method === 'recovery_code') {
+        logger.warn(`Recovery code used to login: ${user.username}`);
+        result.recoveryCodesRemaining = updated.twoFactor.recoveryCodes.length;
+      }
+      return result;
+    } catch (error) {
+      logger.error('Two-factor login error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Login step 2 for users who must enroll: create the TOTP secret
+   */
+  async startTwoFactorLoginSetup(challengeToken, meta = {}) {
+    const user = await this._resolveChallenge(challengeToken, '2fa_setup', meta);
+
+    let setup;
+    await this._updateUser(user.id, u => {
+      setup = twoFactorService.startSetup(u);
+    });
+    return setup;
+  }
+
+  /**
+   * Login step 2 for users who must enroll: confirm the code and finish the login
+   */
+  async completeTwoFactorLoginSetup(challengeToken, code, meta = {}) {
+    try {
+      const user = await this._resolveChallenge(challengeToken, '2fa_setup', meta);
+
+      let recoveryCodes;
+      const updated = await this._updateUser(user.id, u => {
+        recoveryCodes = twoFactorService.enable(u, code);
+      });
+      logger.info(`Two-factor authentication enabled for user: ${user.username}`);
+
+      const result = await this._completeLogin(updated, meta);
+      return { ...result, recoveryCodes };
+    } catch (error) {
+      logger.error('Two-factor setup error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 2FA status of the logged in user
+   */
+  async getTwoFactorStatus(userId) {
+    return twoFactorService.getStatus(await this._getUserOrThrow(userId));
+  }
+
+  /**
+   * Start 2FA enrollment for the logged in user
+   */
+  async setupTwoFactor(userId) {
+    await this._getUserOrThrow(userId);
+
+    let setup;
+    await this._updateUser(userId, u => {
+      setup = twoFactorService.startSetup(u);
+    });
+    return setup;
+  }
+
+  /**
+   * Confirm 2FA enrollment for the logged in user
+   * @returns {Promise<string[]>} Recovery codes
+   */
+  async enableTwoFactor(userId, code) {
+    await this._getUserOrThrow(userId);
+
+    let recoveryCodes;
+    const user = await this._updateUser(userId, u => {
+      recoveryCodes = twoFactorService.enable(u, code);
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.username}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Disable 2FA (requires the password and a current code or recovery code)
+   */
+  async disableTwoFactor(userId, password, credentials, currentSessionId = null) {
+    const user = await this._getUserOrThrow(userId);
+
+    if (twoFactorService.isRequiredForRole(user.role)) {
+      const error = new Error('Two-factor authentication is required for your role and cannot be disabled');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!(await verifyPassword(password, user.password))) {
+      const error = new Error('Password is incorrect');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    await this._updateUser(userId, u => {
+      if (!twoFactorService.verify(u, credentials)) {
+        const error = new Error('Invalid verification code');
         error.statusCode = 401;
         throw error;
       }
+      twoFactorService.reset(u);
+    });
 
-      // Initialize systemAccess if it doesn't exist
-      const systemAccess = user.systemAccess || {
-        laserCuttingManagement: false
-      };
+    await sessionService.revokeAllForUser(userId, '2fa_disabled', { exceptSessionId: currentSessionId });
+    logger.info(`Two-factor authentication disabled for user: ${user.username}`);
+    return { message: 'Two-factor authentication disabled' };
+  }
 
-      // Initialize routeAccess if it doesn't exist (NEW)
-      const routeAccess = user.routeAccess || [];
+  /**
+   * Replace the recovery codes (requires a current TOTP code)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this._getUserOrThrow(userId);
 
-      // Generate token with systemAccess and routeAccess
-      const token = this._generateToken(user.id, user.role, systemAccess, routeAccess);
+    let recoveryCodes;
+    await this._updateUser(userId, u => {
+      if (twoFactorService.verify(u, { code }) !== 'totp') {
+        const error = new Error('Invalid verification code');
+        error.statusCode = 401;
+        throw error;
+      }
+      recoveryCodes = twoFactorService.regenerateRecoveryCodes(u);
+    });
+    return recoveryCodes;
+  }
+
+  async _getUserOrThrow(userId) {
+    const user = (await this._readUsers()).find(u => u.id === userId);
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return user;
+  }
 
-      // Update last login
-      user.lastLogin = new Date().toISOString();
-      this._writeUsers(users);
+  /**
+   * Record a failed login, lock the account when it reaches the threshold,
+   * wait the progressive delay and throw the generic 401
+   */
+  async _handleFailedLogin(username, user, meta, { reason, message = 'Invalid username or password' } = {}) {
+    const { lockoutThreshold } = loginAttemptService.settings;
+    let failures = 1;
+
+    if (user) {
+      await this._updateUser(user.id, u => {
+        u.failedLoginAttempts = (u.failedLoginAttempts || 0) + 1;
+        failures = u.failedLoginAttempts;
+
+        if (u.failedLoginAttempts >= lockoutThreshold) {
+          u.lockedUntil = loginAttemptService.getLockoutUntil(u.lockoutCount || 0);
+          u.lockoutCount = (u.lockoutCount || 0) + 1;
+          u.failedLoginAttempts = 0;
+          logger.warn(`Account locked until ${u.lockedUntil}: ${u.username}`);
+        }
+      });
+    } else {
+      failures = (await loginAttemptService.getRecentFailures(username)).username + 1;
+    }
 
-      logger.info(`User logged in: ${user.username}`);
+    await loginAttemptService.recordFailure({
+      username,
+      userId: user ? user.id : null,
+      ...meta,
+      reason: reason || (user ? 'invalid_password' : 'unknown_user')
+    });
 
-      // Return user data without password
-      const { password: _, ...userWithoutPassword } = user;
+    const delay = loginAttemptService.getDelayMs(failures);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
 
-      return {
-        user: userWithoutPassword,
-        token
-      };
+    const error = new Error(message);
+    error.statusCode = 401;
+    throw error;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   */
+  async refresh(refreshToken, meta = {}) {
+    try {
+      const { session, refreshToken: newRefreshToken } = await sessionService.rotate(refreshToken, meta);
+
+      const user = (await this._readUsers()).find(u => u.id === session.userId);
+      if (!user || !user.active) {
+        await sessionService.revokeAllForUser(session.userId, user ? 'user_deactivated' : 'user_deleted');
+        const error = new Error('Account is no longer active. Please contact administrator');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      return this._buildAuthTokens(user, session, newRefreshToken);
     } catch (error) {
-      logger.error('Login error', error);
+      logger.error('Refresh token error', error);
       throw error;
     }
   }
 
+  /**
+   * Resolve the user behind a verified access token
+   * Rejects tokens of deleted/deactivated users and revoked or expired sessions.
+   */
+  async authenticateToken(decoded) {
+    const unauthorized = (message) => {
+      const error = new Error(message);
+      error.statusCode = 401;
+      return error;
+    };
+
+    if (!decoded.sid || !(await sessionService.getActiveSession(decoded.sid))) {
+      throw unauthorized('Session has been revoked or expired. Please login again');
+    }
+
+    const user = (await this._readUsers()).find(u => u.id === decoded.id);
+    if (!user) {
+      throw unauthorized('User no longer exists. Please login again');
+    }
+    if (!user.active) {
+      throw unauthorized('Account is deactivated. Please contact administrator');
+    }
+
+    return {
+      id: user.id,
+      role: user.role,
+      systemAccess: user.systemAccess || {},
+      routeAccess: user.routeAccess || [],
+      permissions: user.permissions || [],
+      sessionId: decoded.sid
+    };
+  }
+
+  /**
+   * Logout the current session
+   */
+  async logout(userId, sessionId) {
+    await sessionService.revoke(sessionId, 'logout', userId);
+    logger.info(`User logged out: ${userId}`);
+    return { message: 'Logged out successfully' };
+  }
+
+  /**
+   * Logout from all devices
+   */
+  async logoutAll(userId) {
+    const count = await sessionService.revokeAllForUser(userId, 'logout_all');
+    return { message: 'Logged out from all devices', revokedSessions: count };
+  }
+
+  /**
+   * List the active sessions of a user
+   */
+  async getSessions(userId, currentSessionId = null) {
+    return sessionService.listForUser(userId, { currentSessionId });
+  }
+
+  /**
+   * Revoke one of the user's own sessions
+   */
+  async revokeSession(userId, sessionId) {
+    return sessionService.revoke(sessionId, 'revoked_by_user', userId);
+  }
+
   /**
    * Forgot password - Generate reset token and send email
    */
   async forgotPassword(email) {
     try {
-      const users = this._readUsers();
+      const users = await this._readUsers();
 
       // Find user by email
       const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
 
-      if (!user) {
-        const error = new Error('No user found with this email address');
-        error.statusCode = 404;
-        throw error;
-      }
-
-      // Check if user is active
-      if (!user.active) {
-        const error = new Error('Account is deactivated. Please contact administrator');
-        error.statusCode = 403;
-        throw error;
+      // Same answer whether or not the account exists (or is active)
+      if (!user || !user.active) {
+        logger.info(`Password reset requested for unknown or inactive email: ${email}`);
+        return { message: FORGOT_PASSWORD_MESSAGE };
       }
 
       // Generate reset token
@@ -205,13 +604,9 @@ class AuthService {
         logger.error('Failed to send password reset email', emailError);
         // Remove the token if email fails
         this._writeResetTokens(resetTokens.filter(t => t.userId !== user.id));
-        throw new Error('Failed to send password reset email. Please try again later.');
       }
 
-      return {
-        message: 'Password reset email has been sent to your email address',
-        email: user.email
-      };
+      return { message: FORGOT_PASSWORD_MESSAGE };
     } catch (error) {
       logger.error('Forgot password error', error);
       throw error;
@@ -238,27 +633,27 @@ class AuthService {
         throw error;
       }
 
-      // Update user password
-      const users = this._readUsers();
-      const userIndex = users.findIndex(u => u.id === tokenData.userId);
+      // Update password
+      const user = await this._updateUser(tokenData.userId, async u => {
+        await setUserPassword(u, newPassword);
+        u.updatedAt = new Date().toISOString();
+      });
 
-      if (userIndex === -1) {
+      if (!user) {
         const error = new Error('User not found');
         error.statusCode = 404;
         throw error;
       }
 
-      // Update password
-      users[userIndex].password = newPassword;
-      users[userIndex].updatedAt = new Date().toISOString();
-      this._writeUsers(users);
+      // Password reset signs the user out everywhere
+      await sessionService.revokeAllForUser(user.id, 'password_reset');
 
       // Mark token as used
       tokenData.used = true;
       tokenData.usedAt = new Date().toISOString();
       this._writeResetTokens(resetTokens);
 
-      logger.info(`Password reset successful for user: ${users[userIndex].email}`);
+      logger.info(`Password reset successful for user: ${user.email}`);
 
       return { message: 'Password reset successful' };
     } catch (error) {
@@ -270,30 +665,29 @@ class AuthService {
   /**
    * Change password for logged in user
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
-      const users = this._readUsers();
-      const userIndex = users.findIndex(u => u.id === userId);
+      const user = await this._updateUser(userId, async u => {
+        // Verify current password
+        if (!(await verifyPassword(currentPassword, u.password))) {
+          const error = new Error('Current password is incorrect');
+          error.statusCode = 401;
+          throw error;
+        }
+
+        // Update password
+        await setUserPassword(u, newPassword);
+        u.updatedAt = new Date().toISOString();
+      });
 
-      if (userIndex === -1) {
+      if (!user) {
         const error = new Error('User not found');
         error.statusCode = 404;
         throw error;
       }
 
-      const user = users[userIndex];
-
-      // Verify current password
-      if (user.password !== currentPassword) {
-        const error = new Error('Current password is incorrect');
-        error.statusCode = 401;
-        throw error;
-      }
-
-      // Update password
-      users[userIndex].password = newPassword;
-      users[userIndex].updatedAt = new Date().toISOString();
-      this._writeUsers(users);
+      // Sign out every other device
+      await sessionService.revokeAllForUser(userId, 'password_changed', { exceptSessionId: currentSessionId });
 
       logger.info(`Password changed for user: ${user.email}`);
 
@@ -309,7 +703,7 @@ class AuthService {
    */
   async getCurrentUser(userId) {
     try {
-      const users = this._readUsers();
+      const users = await this._readUsers();
       const user = users.find(u => u.id === userId);
 
       if (!user) {
@@ -319,8 +713,12 @@ class AuthService {
       }
 
       // Return user without password
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      const { password, passwordHistory, twoFactor, ...userWithoutPassword } = user;
+      return {
+        ...userWithoutPassword,
+        twoFactorEnabled: twoFactorService.isEnabled(user),
+        effectivePermissions: await roleService.getEffectivePermissions(user)
+      };
     } catch (error) {
       logger.error('Get current user error', error);
       throw error;
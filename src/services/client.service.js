@@ -0,0 +1,379 @@
+// src/services/client.service.js
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const { hasPermission } = require('../utils/permissions.util');
+
+const clientRepository = getRepository('clients');
+
+const CLIENT_STATUSES = ['active', 'inactive'];
+const LANGUAGES = ['arabic', 'english'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Documents that can reference a client
+ * - resource: permission resource and visibility type
+ * - summary: fields listed in the per-client view
+ */
+const CLIENT_DOCUMENTS = {
+  quotes: {
+    label: 'quote(s)',
+    collection: 'quotations',
+    resource: 'priceQuotes',
+    summary: q => ({ id: q.id, number: q.quoteNumber, date: q.date, projectName: q.projectName || null, total: q.total || 0, createdAt: q.createdAt })
+  },
+  proformaInvoices: {
+    label: 'proforma invoice(s)',
+    collection: 'proformaInvoices',
+    resource: 'proformaInvoice',
+    summary: inv => ({ id: inv.id, number: inv.invoiceNumber, date: inv.date, projectName: inv.projectName || null, total: inv.total || 0, createdAt: inv.createdAt })
+  },
+  costingSheets: {
+    label: 'costing sheet(s)',
+    collection: 'costingSheets',
+    resource: 'costingSheet',
+    summary: cs => ({ id: cs.id, number: cs.csNumber, date: cs.date, project: cs.project || null, status: cs.status, createdAt: cs.createdAt })
+  },
+  receipts: {
+    label: 'receipt(s)',
+    collection: 'receipts',
+    resource: 'receipts',
+    summary: r => ({ id: r.id, number: r.receiptNumber, date: r.date, projectCode: r.projectCode || null, createdAt: r.createdAt })
+  }
+};
+
+const clientError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Customer master records. Quotes, proforma invoices, costing sheets and
+ * receipts reference a client by clientId and keep a snapshot of it.
+ */
+class ClientService {
+  async getAllClients(filters = {}) {
+    let clients = await clientRepository.findAll();
+
+    if (filters.status) {
+      clients = clients.filter(c => c.status === filters.status);
+    }
+
+    if (filters.city) {
+      clients = clients.filter(c => c.city === filters.city);
+    }
+
+    if (filters.search) {
+      const search = filters.search.toLowerCase().trim();
+      clients = clients.filter(c =>
+        [c.id, c.name, c.companyName, c.email, c.phone, c.taxNumber, c.city]
+          .some(value => value && String(value).toLowerCase().includes(search)) ||
+        (c.contacts || []).some(contact => contact.name.toLowerCase().includes(search))
+      );
+    }
+
+    return clients.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getClientById(id) {
+    const client = await clientRepository.findById(id);
+
+    if (!client) {
+      throw clientError('Client not found', 404);
+    }
+
+    return client;
+  }
+
+  /**
+   * Copy of the client's details for linking it to a document. Documents keep
+   * this copy so they stay as issued after the client is edited.
+   */
+  async getSnapshot(id) {
+    const client = await clientRepository.findById(id);
+
+    if (!client) {
+      throw clientError(`Client ${id} not found`, 400);
+    }
+
+    if (client.status !== 'active') {
+      throw clientError(`Client ${id} is ${client.status} and cannot be used on new documents`, 400);
+    }
+
+    const primary = (client.contacts || []).find(c => c.isPrimary);
+
+    return {
+      id: client.id,
+      name: client.name,
+      companyName: client.companyName || client.name,
+      contactPerson: primary ? primary.name : null,
+      email: client.email || null,
+      phone: client.phone || null,
+      address: client.address || null,
+      city: client.city || null,
+      country: client.country || null,
+      taxNumber: client.taxNumber || null,
+      defaultLanguage: client.defaultLanguage,
+      defaultTaxRate: client.defaultTaxRate,
+      paymentTerms: client.paymentTerms || null,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Field problems of client data (partial: only the fields present are checked)
+   */
+  getValidationErrors(data, { partial = false } = {}) {
+    const errors = [];
+    const has = field => data[field] !== undefined && data[field] !== null && String(data[field]).trim() !== '';
+
+    if (!partial && !has('name')) errors.push('name is required');
+    if (partial && data.name !== undefined && !has('name')) errors.push('name cannot be empty');
+    if (has('email') && !EMAIL_PATTERN.test(String(data.email).trim())) {
+      errors.push('email is not a valid address');
+    }
+    if (has('defaultLanguage') && !LANGUAGES.includes(data.defaultLanguage)) {
+      errors.push(`defaultLanguage must be one of: ${LANGUAGES.join(', ')}`);
+    }
+    if (has('defaultTaxRate')) {
+      const rate = parseFloat(data.defaultTaxRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) errors.push('defaultTaxRate must be between 0 and 100');
+    }
+    if (has('status') && !CLIENT_STATUSES.includes(data.status)) {
+      errors.push(`status must be one of: ${CLIENT_STATUSES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw a 409 if another client has the same tax number or email
+   */
+  assertUnique(data, clients, excludeId = null) {
+    const taxNumber = data.taxNumber ? String(data.taxNumber).trim() : '';
+    const email = data.email ? String(data.email).toLowerCase().trim() : '';
+
+    const duplicate = clients.find(c => c.id !== excludeId && (
+      (taxNumber && c.taxNumber === taxNumber) || (email && c.email === email)
+    ));
+
+    if (duplicate) {
+      const field = taxNumber && duplicate.taxNumber === taxNumber ? 'tax number' : 'email';
+      throw clientError(`Client with this ${field} already exists (${duplicate.id})`, 409);
+    }
+  }
+
+  async createClient(data, userId) {
+    const errors = this.getValidationErrors(data);
+    if (errors.length > 0) {
+      throw clientError(`Invalid client: ${errors.join('; ')}`, 400);
+    }
+
+    this.assertUnique(data, await clientRepository.findAll());
+
+    const { number: id } = await numberingService.next('client');
+
+    const client = {
+      id,
+      name: String(data.name).trim(),
+      companyName: data.companyName || String(data.name).trim(),
+      email: data.email ? String(data.email).toLowerCase().trim() : null,
+      phone: data.phone || null,
+      address: data.address || null,
+      city: data.city || null,
+      country: data.country || null,
+      taxNumber: data.taxNumber ? String(data.taxNumber).trim() : null,
+      defaultLanguage: data.defaultLanguage || 'arabic',
+      defaultTaxRate: parseFloat(data.defaultTaxRate) || 0,
+      paymentTerms: data.paymentTerms || null,
+      notes: data.notes || '',
+      status: data.status || 'active',
+      contacts: [],
+      createdBy: userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    // The contact person given on creation becomes the primary contact
+    if (data.contactPerson) {
+      client.contacts.push(this.buildContact({
+        name: data.contactPerson,
+        email: client.email,
+        phone: client.phone,
+        isPrimary: true
+      }, []));
+    }
+
+    return clientRepository.insert(client);
+  }
+
+  async updateClient(id, data, userId) {
+    const client = await this.getClientById(id);
+    assertVersion(client, data.version);
+
+    const errors = this.getValidationErrors(data, { partial: true });
+    if (errors.length > 0) {
+      throw clientError(`Invalid client: ${errors.join('; ')}`, 400);
+    }
+
+    this.assertUnique(data, await clientRepository.findAll(), id);
+
+    // Contacts have their own endpoints
+    const { version, id: ignoredId, contacts, createdBy, createdAt, ...changes } = data;
+
+    if (changes.name !== undefined) changes.name = String(changes.name).trim();
+    if (changes.email) changes.email = String(changes.email).toLowerCase().trim();
+    if (changes.taxNumber) changes.taxNumber = String(changes.taxNumber).trim();
+    if (changes.defaultTaxRate !== undefined) changes.defaultTaxRate = parseFloat(changes.defaultTaxRate) || 0;
+
+    return clientRepository.update(id, {
+      ...changes,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: getVersion(client) });
+  }
+
+  /**
+   * Delete a client that no document references (deactivate it otherwise)
+   */
+  async deleteClient(id) {
+    const client = await this.getClientById(id);
+
+    const references = [];
+    for (const { label, collection } of Object.values(CLIENT_DOCUMENTS)) {
+      const count = (await getRepository(collection).find(doc => doc.clientId === id)).length;
+      if (count > 0) references.push(`${count} ${label}`);
+    }
+
+    if (references.length > 0) {
+      throw clientError(`Client ${id} is referenced by ${references.join(', ')}. Set it inactive instead.`, 409);
+    }
+
+    await clientRepository.remove(id);
+    return client;
+  }
+
+  /**
+   * Quotes, proforma invoices, costing sheets and receipts of a client.
+   * Only document types the user may view are listed, filtered by visibility.
+   * @param {string[]} permissions - the user's resolved permissions
+   */
+  async getClientDocuments(id, userId, userRole, permissions) {
+    const client = await this.getClientById(id);
+    const result = { client: { id: client.id, name: client.name, companyName: client.companyName } };
+
+    for (const [key, { collection, resource, summary }] of Object.entries(CLIENT_DOCUMENTS)) {
+      if (!hasPermission(permissions, resource, 'view')) continue;
+
+      let docs = await getRepository(collection).find(doc => doc.clientId === id);
+      docs = await visibilityService.filterVisible(resource, docs, userId, userRole);
+      result[key] = docs
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(summary);
+    }
+
+    const sum = docs => Math.round(docs.reduce((total, doc) => total + doc.total, 0) * 100) / 100;
+    result.totals = {
+      quotes: result.quotes ? result.quotes.length : null,
+      quotedValue: result.quotes ? sum(result.quotes) : null,
+      proformaInvoices: result.proformaInvoices ? result.proformaInvoices.length : null,
+      invoicedValue: result.proformaInvoices ? sum(result.proformaInvoices) : null,
+      costingSheets: result.costingSheets ? result.costingSheets.length : null,
+      receipts: result.receipts ? result.receipts.length : null
+    };
+
+    return result;
+  }
+
+  /**
+   * Validate a contact and give it the next ID on the client
+   */
+  buildContact(data, contacts, existing = {}) {
+    const pick = (field, fallback = null) => (data[field] !== undefined ? data[field] || fallback : existing[field] || fallback);
+
+    const contact = {
+      id: existing.id || `C${contacts.reduce((max, c) => Math.max(max, parseInt(c.id.slice(1)) || 0), 0) + 1}`,
+      name: data.name !== undefined ? String(data.name).trim() : existing.name,
+      title: pick('title', ''),
+      email: data.email !== undefined ? (data.email ? String(data.email).toLowerCase().trim() : null) : (existing.email || null),
+      phone: pick('phone'),
+      notes: pick('notes', ''),
+      isPrimary: data.isPrimary !== undefined ? data.isPrimary === true || data.isPrimary === 'true' : Boolean(existing.isPrimary)
+    };
+
+    if (!contact.name) {
+      throw clientError('Contact name is required', 400);
+    }
+    if (contact.email && !EMAIL_PATTERN.test(contact.email)) {
+      throw clientError('Contact email is not a valid address', 400);
+    }
+    if (!contact.email && !contact.phone) {
+      throw clientError('A contact needs an email or a phone number', 400);
+    }
+
+    return contact;
+  }
+
+  /**
+   * Save contacts, keeping exactly one primary contact
+   */
+  async saveContacts(client, contacts, userId) {
+    if (contacts.length > 0 && !contacts.some(c => c.isPrimary)) {
+      contacts[0].isPrimary = true;
+    }
+
+    return clientRepository.update(client.id, {
+      contacts,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: getVersion(client) });
+  }
+
+  async addContact(id, data, userId) {
+    const client = await this.getClientById(id);
+    const contacts = [...(client.contacts || [])];
+    const contact = this.buildContact(data, contacts);
+
+    if (contact.isPrimary) {
+      contacts.forEach(c => { c.isPrimary = false; });
+    }
+    contacts.push(contact);
+
+    const updated = await this.saveContacts(client, contacts, userId);
+    return updated.contacts.find(c => c.id === contact.id);
+  }
+
+  async updateContact(id, contactId, data, userId) {
+    const client = await this.getClientById(id);
+    const contacts = [...(client.contacts || [])];
+    const index = contacts.findIndex(c => c.id === contactId);
+
+    if (index === -1) {
+      throw clientError('Contact not found', 404);
+    }
+
+    const contact = this.buildContact(data, contacts, contacts[index]);
+    if (contact.isPrimary) {
+      contacts.forEach(c => { c.isPrimary = false; });
+    }
+    contacts[index] = contact;
+
+    const updated = await this.saveContacts(client, contacts, userId);
+    return updated.contacts.find(c => c.id === contactId);
+  }
+
+  async removeContact(id, contactId, userId) {
+    const client = await this.getClientById(id);
+    const contacts = (client.contacts || []).filter(c => c.id !== contactId);
+
+    if (contacts.length === (client.contacts || []).length) {
+      throw clientError('Contact not found', 404);
+    }
+
+    const updated = await this.saveContacts(client, contacts, userId);
+    return updated.contacts;
+  }
+}
+
+module.exports = new ClientService();
@@ -2,15 +2,18 @@
 // COSTING SHEET SERVICE - WITH TERMS AND CONDITIONS PDF SUPPORT
 // src/services/costing-sheet.service.js
 // ============================================================
-const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const clientService = require('./client.service');
+const approvalService = require('./approval.service');
+const priceQuoteService = require('./price-quote.service');
 const costingSheetPdfGenerator = require('../utils/pdf-generator-costing-sheet.util');
 const nodemailer = require('nodemailer');
-const COSTING_SHEETS_FILE = path.join(__dirname, '../../data/costing-sheets/index.json');
-const COUNTER_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+
+const costingSheetRepository = getRepository('costingSheets');
 
 // ✅ Path to your static Terms and Conditions PDF file
 const STATIC_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
@@ -36,17 +39,11 @@ class CostingSheetService {
    */
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -98,49 +95,24 @@ class CostingSheetService {
   }
 
   async loadCostingSheets() {
-    try {
-      const data = await fs.readFile(COSTING_SHEETS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') return [];
-      throw error;
-    }
+    return costingSheetRepository.findAll();
   }
 
   async saveCostingSheets(costingSheets) {
-    await atomicWrite(COSTING_SHEETS_FILE, JSON.stringify(costingSheets, null, 2));
+    await costingSheetRepository.replaceAll(costingSheets);
   }
 
   async loadCounter() {
-    try {
-      const data = await fs.readFile(COUNTER_FILE, 'utf8');
-      const counters = JSON.parse(data);
-      return counters.ICS || 0;
-    } catch (error) {
-      if (error.code === 'ENOENT') return 0;
-      throw error;
-    }
+    return numberingService.getCounter('costingSheet');
   }
 
   async saveCounter(counter) {
-    try {
-      let counters = {};
-      try {
-        const data = await fs.readFile(COUNTER_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') throw error;
-      }
-      counters.ICS = counter;
-      await atomicWrite(COUNTER_FILE, JSON.stringify(counters, null, 2));
-    } catch (error) {
-      throw error;
-    }
+    await numberingService.setCounter('costingSheet', counter);
   }
 
-  generateCSNumber(counter) {
-    const paddedNumber = String(counter).padStart(4, '0');
-    return `CS${paddedNumber}`;
+  async generateCSNumber(counter) {
+    const sequence = await numberingService.getSequence('costingSheet');
+    return numberingService.formatNumber(sequence, counter);
   }
 
   detectLanguage(text) {
@@ -212,16 +184,7 @@ class CostingSheetService {
     console.log('userRole:', userRole);
     console.log('Include Terms & Conditions PDF:', costingSheetData.includeStaticFile); // ✅ LOG
     
-    const costingSheets = await this.loadCostingSheets();
-    
-    const counter = await this.loadCounter();
-    const newCounter = counter + 1;
-    
-    const paddedCounter = String(newCounter).padStart(4, '0');
-    const id = `CS-${paddedCounter}`;
-    const csNumber = this.generateCSNumber(newCounter);
-    
-    await this.saveCounter(newCounter);
+    const { id, number: csNumber } = await numberingService.next('costingSheet');
 
     const today = new Date().toISOString().split('T')[0];
     const detectedLanguage = costingSheetData.forceLanguage || this.detectCostingSheetLanguage(costingSheetData);
@@ -238,6 +201,8 @@ class CostingSheetService {
       id,
       csNumber,
       date: costingSheetData.date || today,
+      clientId: null,
+      clientSnapshot: null,
       client: costingSheetData.client || '',
       project: costingSheetData.project || '',
       profitPercentage: costingSheetData.profitPercentage || 0,
@@ -254,32 +219,46 @@ class CostingSheetService {
       updatedAt: new Date().toISOString()
     };
 
-    costingSheets.push(newCostingSheet);
-    await this.saveCostingSheets(costingSheets);
+    if (costingSheetData.clientId) {
+      this.applyClient(newCostingSheet, await clientService.getSnapshot(costingSheetData.clientId), costingSheetData);
+      if (!costingSheetData.forceLanguage) {
+        newCostingSheet.language = this.detectCostingSheetLanguage(newCostingSheet);
+      }
+    }
+
+    await approvalService.start('costingSheet', newCostingSheet, userId);
+    await costingSheetRepository.insert(newCostingSheet);
 
     console.log('Costing Sheet created with name:', newCostingSheet.createdByName);
     console.log('Include Terms & Conditions:', newCostingSheet.includeStaticFile); // ✅ LOG
     return newCostingSheet;
   }
 
+  /**
+   * Link a costing sheet to a client record; a client name sent with the
+   * request wins over the snapshot
+   */
+  applyClient(costingSheet, snapshot, data = {}) {
+    costingSheet.clientId = snapshot.id;
+    costingSheet.clientSnapshot = snapshot;
+    costingSheet.client = data.client || snapshot.companyName;
+  }
+
   /**
    * ✅ UPDATE COSTING SHEET - WITH includeStaticFile (Terms & Conditions) SUPPORT
    */
   async updateCostingSheet(id, updateData, userId, userRole) {
-    const costingSheets = await this.loadCostingSheets();
-    const costingSheetIndex = costingSheets.findIndex(cs => cs.id === id);
+    const costingSheet = await costingSheetRepository.findById(id);
 
-    if (costingSheetIndex === -1) {
+    if (!costingSheet) {
       throw new Error('Costing Sheet not found');
     }
 
-    const costingSheet = costingSheets[costingSheetIndex];
+    assertVersion(costingSheet, updateData.version);
+    const expectedVersion = getVersion(costingSheet);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (costingSheet.createdBy !== userId) {
-        throw new Error('Access denied: You can only edit your own Costing Sheets');
-      }
-    }
+    await visibilityService.assertVisible('costingSheet', costingSheet, userId, userRole, 'edit');
+    approvalService.assertEditable('costingSheet', costingSheet);
 
     // Update fields
     if (updateData.date) costingSheet.date = updateData.date;
@@ -289,15 +268,24 @@ class CostingSheetService {
     if (updateData.notes !== undefined) costingSheet.notes = updateData.notes;
     if (updateData.items) costingSheet.items = updateData.items;
     if (updateData.additionalNotes !== undefined) costingSheet.additionalNotes = updateData.additionalNotes;
-    if (updateData.status) costingSheet.status = updateData.status;
     if (updateData.includeStaticFile !== undefined) costingSheet.includeStaticFile = updateData.includeStaticFile; // ✅ UPDATE THE FLAG
 
+    // The snapshot is only refreshed when the sheet is linked to a different client
+    if (updateData.clientId !== undefined && (updateData.clientId || null) !== (costingSheet.clientId || null)) {
+      if (updateData.clientId) {
+        this.applyClient(costingSheet, await clientService.getSnapshot(updateData.clientId), updateData);
+      } else {
+        costingSheet.clientId = null;
+        costingSheet.clientSnapshot = null;
+      }
+    }
+
     const detectedLanguage = updateData.forceLanguage || this.detectCostingSheetLanguage(costingSheet);
     costingSheet.language = detectedLanguage;
     costingSheet.updatedAt = new Date().toISOString();
 
-    costingSheets[costingSheetIndex] = costingSheet;
-    await this.saveCostingSheets(costingSheets);
+    await approvalService.restartIfInProgress('costingSheet', costingSheet, userId);
+    await costingSheetRepository.update(id, costingSheet, { expectedVersion });
 
     // Add creator name
     const createdByName = await this.getUserNameById(costingSheet.createdBy);
@@ -456,19 +444,16 @@ class CostingSheetService {
     }
 
     // Update costing sheet record with PDF info
-    const costingSheets = await this.loadCostingSheets();
-    const costingSheetIndex = costingSheets.findIndex(cs => cs.id === id);
-
-    if (costingSheetIndex !== -1) {
-      costingSheets[costingSheetIndex].pdfFilename = finalPdfResult.filename;
-      costingSheets[costingSheetIndex].pdfLanguage = finalPdfResult.language;
-      costingSheets[costingSheetIndex].pdfGeneratedAt = new Date().toISOString();
-      costingSheets[costingSheetIndex].pdfMerged = finalPdfResult.merged || false;
-      if (finalPdfResult.pageCount) {
-        costingSheets[costingSheetIndex].pdfPageCount = finalPdfResult.pageCount;
-      }
-      await this.saveCostingSheets(costingSheets);
+    const pdfMetadata = {
+      pdfFilename: finalPdfResult.filename,
+      pdfLanguage: finalPdfResult.language,
+      pdfGeneratedAt: new Date().toISOString(),
+      pdfMerged: finalPdfResult.merged || false
+    };
+    if (finalPdfResult.pageCount) {
+      pdfMetadata.pdfPageCount = finalPdfResult.pageCount;
     }
+    await costingSheetRepository.update(id, pdfMetadata, { keepVersion: true });
 
     console.log('════════════════════════════════════════════════════════════');
     console.log('✅ PDF generation complete!');
@@ -489,9 +474,7 @@ class CostingSheetService {
     // Add creator names to all costing sheets
     costingSheets = await this.enrichCostingSheetsWithCreatorNames(costingSheets);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      costingSheets = costingSheets.filter(cs => cs.createdBy === userId);
-    }
+    costingSheets = await visibilityService.filterVisible('costingSheet', costingSheets, userId, userRole);
 
     if (filters.csNumber) {
       costingSheets = costingSheets.filter(cs => 
@@ -501,6 +484,7 @@ class CostingSheetService {
 
     if (filters.startDate) costingSheets = costingSheets.filter(cs => cs.date >= filters.startDate);
     if (filters.endDate) costingSheets = costingSheets.filter(cs => cs.date <= filters.endDate);
+    if (filters.clientId) costingSheets = costingSheets.filter(cs => cs.clientId === filters.clientId);
     if (filters.client) costingSheets = costingSheets.filter(cs => cs.client.toLowerCase().includes(filters.client.toLowerCase()));
     if (filters.project) costingSheets = costingSheets.filter(cs => cs.project.toLowerCase().includes(filters.project.toLowerCase()));
 
@@ -539,16 +523,10 @@ class CostingSheetService {
    * GET COSTING SHEET BY ID
    */
   async getCostingSheetById(id, userId, userRole) {
-    const costingSheets = await this.loadCostingSheets();
-    const costingSheet = costingSheets.find(cs => cs.id === id);
+    const costingSheet = await costingSheetRepository.findById(id);
 
     if (!costingSheet) throw new Error('Costing Sheet not found');
-
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (costingSheet.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own Costing Sheets');
-      }
-    }
+    await visibilityService.assertVisible('costingSheet', costingSheet, userId, userRole, 'view');
 
     // Add creator name
     const createdByName = await this.getUserNameById(costingSheet.createdBy);
@@ -563,13 +541,18 @@ class CostingSheetService {
    * DELETE COSTING SHEET
    * ✅ UPDATED: Now notifies File Management service
    */
-  async deleteCostingSheet(id) {
-    const costingSheets = await this.loadCostingSheets();
-    const costingSheetIndex = costingSheets.findIndex(cs => cs.id === id);
+  async deleteCostingSheet(id, userId, userRole) {
+    const costingSheet = await costingSheetRepository.findById(id);
 
-    if (costingSheetIndex === -1) throw new Error('Costing Sheet not found');
+    if (!costingSheet) throw new Error('Costing Sheet not found');
+
+    await visibilityService.assertVisible('costingSheet', costingSheet, userId, userRole, 'delete');
 
-    const costingSheet = costingSheets[costingSheetIndex];
+    if (costingSheet.conversions && costingSheet.conversions.length > 0) {
+      const error = new Error(`Costing Sheet has linked documents (${costingSheet.conversions.map(c => c.number).join(', ')}); delete them first`);
+      error.statusCode = 409;
+      throw error;
+    }
     
     // ✅ Delete from File Management if PDF exists
     if (costingSheet.pdfFilename) {
@@ -591,27 +574,160 @@ class CostingSheetService {
       }
     }
 
-    costingSheets.splice(costingSheetIndex, 1);
-    await this.saveCostingSheets(costingSheets);
+    await costingSheetRepository.remove(id);
 
     return { message: 'Costing Sheet deleted successfully' };
   }
 
+  /**
+   * CREATE PRICE QUOTE FROM AN APPROVED COSTING SHEET
+   * Each line is priced at its cost × (1 + markup%), using the line's own markup from
+   * lineMarkups or else the global markup (default: the sheet's profitPercentage).
+   * The sheet stays linked to the quote as its internal justification, and the line
+   * costs go with the quote so later edits below cost are flagged. Lines are numbered
+   * from 1 as on the costing sheet PDF; each quote item keeps its line as costLine.
+   * @param {object} data - { markup, lineMarkups: [{ line, markup }], date, validForDays, clientPhone,
+   *                          language, includeTax, taxRate, customNotes }
+   */
+  async createQuote(id, data = {}, currentUser, userRole) {
+    const costingSheet = await this.getCostingSheetById(id, currentUser.id, userRole);
+
+    if (costingSheet.status !== 'approved') {
+      const error = new Error(`Costing Sheet ${costingSheet.csNumber} is ${costingSheet.status}; only approved costing sheets can be quoted`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const parseMarkup = (value, label) => {
+      const markup = parseFloat(value);
+      if (isNaN(markup) || markup <= -100) {
+        const error = new Error(`${label} must be a number greater than -100`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return markup;
+    };
+
+    const items = costingSheet.items || [];
+    const markup = data.markup !== undefined && data.markup !== null && data.markup !== ''
+      ? parseMarkup(data.markup, 'Markup')
+      : parseFloat(costingSheet.profitPercentage) || 0;
+
+    const lineMarkups = {};
+    (Array.isArray(data.lineMarkups) ? data.lineMarkups : []).forEach(entry => {
+      const line = parseInt(entry.line);
+      if (!items[line - 1]) {
+        const error = new Error(`Line ${entry.line} does not exist on the costing sheet`);
+        error.statusCode = 400;
+        throw error;
+      }
+      lineMarkups[line] = parseMarkup(entry.markup, `Markup of line ${line}`);
+    });
+
+    // Empty rows are skipped, as on the costing sheet PDF
+    const costBasis = items
+      .map((item, index) => ({ item, line: index + 1 }))
+      .filter(({ item }) => item.description || parseFloat(item.quantity) || parseFloat(item.unitPrice))
+      .map(({ item, line }) => {
+        const costUnitPrice = parseFloat(item.unitPrice) || 0;
+        const lineMarkup = lineMarkups[line] !== undefined ? lineMarkups[line] : markup;
+        return {
+          line,
+          description: item.description || '',
+          unit: item.unit || '',
+          quantity: parseFloat(item.quantity) || 0,
+          costUnitPrice,
+          markup: lineMarkup,
+          unitPrice: parseFloat((costUnitPrice * (1 + lineMarkup / 100)).toFixed(2))
+        };
+      });
+
+    if (costBasis.length === 0) {
+      const error = new Error(`Costing Sheet ${costingSheet.csNumber} has no items to quote`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!costingSheet.clientId && !data.clientPhone) {
+      const error = new Error('Client phone is required: the costing sheet is not linked to a client');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const quote = await priceQuoteService.createQuote({
+      clientId: costingSheet.clientId || null,
+      clientName: costingSheet.client,
+      clientPhone: data.clientPhone,
+      projectName: costingSheet.project || null,
+      date: data.date || new Date().toISOString().split('T')[0],
+      validForDays: data.validForDays,
+      language: data.language || (costingSheet.language === 'ar' ? 'arabic' : 'english'),
+      includeTax: data.includeTax,
+      taxRate: data.taxRate,
+      items: costBasis.map(({ line, description, unit, quantity, unitPrice }) => ({ description, unit, quantity, unitPrice, costLine: line })),
+      customNotes: data.customNotes,
+      includeStaticFile: costingSheet.includeStaticFile,
+      sourceCostingSheet: { id: costingSheet.id, csNumber: costingSheet.csNumber },
+      costBasis
+    }, currentUser);
+
+    await this.linkConversion(id, {
+      type: 'priceQuote',
+      id: quote.id,
+      number: quote.quoteNumber,
+      markup,
+      total: quote.total,
+      createdBy: currentUser.id,
+      createdAt: quote.createdAt
+    });
+
+    return quote;
+  }
+
+  /**
+   * Add a link to a quote created from this sheet, under the costing sheet write lock
+   * so quotes created at the same time all keep their link
+   */
+  async linkConversion(costingSheetId, conversion) {
+    await costingSheetRepository.transaction(costingSheets => {
+      const costingSheet = costingSheets.find(c => c.id === costingSheetId);
+      if (!costingSheet) return;
+
+      costingSheet.conversions = [...(costingSheet.conversions || []), conversion];
+      costingSheet.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Remove the link to a quote created from this sheet (called when the quote is deleted)
+   */
+  async removeConversion(costingSheetId, documentId) {
+    await costingSheetRepository.transaction(costingSheets => {
+      const costingSheet = costingSheets.find(c => c.id === costingSheetId);
+      if (!costingSheet || !costingSheet.conversions) return;
+
+      const conversions = costingSheet.conversions.filter(c => c.id !== documentId);
+      if (conversions.length === costingSheet.conversions.length) return;
+
+      costingSheet.conversions = conversions;
+      costingSheet.updatedAt = new Date().toISOString();
+    });
+  }
+
   /**
    * GET COSTING SHEET STATS
    */
   async getCostingSheetStats(userId, userRole) {
     let costingSheets = await this.loadCostingSheets();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      costingSheets = costingSheets.filter(cs => cs.createdBy === userId);
-    }
+    costingSheets = await visibilityService.filterVisible('costingSheet', costingSheets, userId, userRole);
 
     const stats = {
       totalCostingSheets: costingSheets.length,
       pending: costingSheets.filter(cs => cs.status === 'pending').length,
       approved: costingSheets.filter(cs => cs.status === 'approved').length,
       rejected: costingSheets.filter(cs => cs.status === 'rejected').length,
+      returned: costingSheets.filter(cs => cs.status === 'returned').length,
       thisMonth: 0,
       thisWeek: 0,
       today: 0
@@ -660,7 +776,7 @@ class CostingSheetService {
       oldCounter,
       newCounter: 0,
       deletedCostingSheets: deletedCount,
-      nextICSNumber: this.generateCSNumber(1),
+      nextICSNumber: await this.generateCSNumber(1),
       message: `Counter reset to 0 and ${deletedCount} Costing Sheet(s) deleted`
     };
   }
@@ -2,12 +2,13 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const sheetStockService = require('./sheet-stock.service');
 
-const CUTTING_JOBS_FILE = path.join(__dirname, '../../data/cutting-jobs/index.json');
 const CUTTING_JOBS_DIR = path.join(__dirname, '../../data/cutting-jobs');
-const COUNTERS_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+
+const cuttingJobRepository = getRepository('cuttingJobs');
 
 // Status folders
 const STATUS_FOLDERS = {
@@ -19,15 +20,11 @@ const STATUS_FOLDERS = {
 
 class CuttingService {
   /**
-   * Load users from file
+   * Load users
    */
   async loadUsers() {
     try {
-      if (!fsSync.existsSync(USERS_FILE)) {
-        return [];
-      }
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      return JSON.parse(data);
+      return await getRepository('users').findAll();
     } catch (error) {
       console.error('Error loading users:', error);
       return [];
@@ -136,16 +133,6 @@ class CuttingService {
         }
       }
 
-      // Initialize index.json if doesn't exist
-      if (!fsSync.existsSync(CUTTING_JOBS_FILE)) {
-        await atomicWrite(CUTTING_JOBS_FILE, JSON.stringify([], null, 2));
-      }
-
-      // Initialize counters.json if doesn't exist
-      if (!fsSync.existsSync(COUNTERS_FILE)) {
-        await atomicWrite(COUNTERS_FILE, JSON.stringify({ cuttingJobs: 0 }, null, 2));
-      }
-
       return { success: true, message: 'Cutting system initialized' };
     } catch (error) {
       console.error('Error initializing cutting system:', error);
@@ -154,16 +141,11 @@ class CuttingService {
   }
 
   /**
-   * Load cutting jobs from file
+   * Load cutting jobs from storage
    */
   async loadCuttingJobs() {
     try {
-      if (!fsSync.existsSync(CUTTING_JOBS_FILE)) {
-        await this.initializeCuttingSystem();
-        return [];
-      }
-      const data = await fs.readFile(CUTTING_JOBS_FILE, 'utf8');
-      return JSON.parse(data);
+      return await cuttingJobRepository.findAll();
     } catch (error) {
       console.error('Error loading cutting jobs:', error);
       return [];
@@ -171,10 +153,10 @@ class CuttingService {
   }
 
   /**
-   * Save cutting jobs to file
+   * Save cutting jobs to storage
    */
   async saveCuttingJobs(jobs) {
-    await atomicWrite(CUTTING_JOBS_FILE, JSON.stringify(jobs, null, 2));
+    await cuttingJobRepository.replaceAll(jobs);
   }
 
   /**
@@ -182,23 +164,8 @@ class CuttingService {
    */
   async getNextCuttingJobId() {
     try {
-      let counters = { cuttingJobs: 0 };
-      
-      if (fsSync.existsSync(COUNTERS_FILE)) {
-        const data = await fs.readFile(COUNTERS_FILE, 'utf8');
-        counters = JSON.parse(data);
-      }
-
-      if (!counters.cuttingJobs) {
-        counters.cuttingJobs = 0;
-      }
-
-      counters.cuttingJobs += 1;
-      const newId = `LC${counters.cuttingJobs.toString().padStart(4, '0')}`;
-
-      await atomicWrite(COUNTERS_FILE, JSON.stringify(counters, null, 2));
-
-      return newId;
+      const { number } = await numberingService.next('cuttingJob');
+      return number;
     } catch (error) {
       console.error('Error generating cutting job ID:', error);
       throw error;
@@ -359,6 +326,25 @@ class CuttingService {
           });
           break;
 
+        case 'sheetsConsumed':
+          descriptions.push({
+            field: 'sheetsConsumed',
+            description: `Used ${mod.newValue - mod.oldValue} sheet(s) from ${mod.sheetStockId} (${mod.newValue} in total)`,
+            descriptionAr: `تم استخدام ${mod.newValue - mod.oldValue} لوح من ${mod.sheetStockId} (الإجمالي ${mod.newValue})`,
+            oldValue: mod.oldValue,
+            newValue: mod.newValue
+          });
+          break;
+
+        case 'remnants':
+          descriptions.push({
+            field: 'remnants',
+            description: `Registered remnant(s) ${mod.newValue.join(', ')}`,
+            descriptionAr: `تم تسجيل البواقي ${mod.newValue.join('، ')}`,
+            newValue: mod.newValue
+          });
+          break;
+
         default:
           descriptions.push({
             field: mod.field,
@@ -416,7 +402,6 @@ class CuttingService {
     try {
       await this.initializeCuttingSystem();
 
-      const jobs = await this.loadCuttingJobs();
       const jobId = await this.getNextCuttingJobId();
 
       // Validate required fields
@@ -458,7 +443,10 @@ class CuttingService {
         quantity: parseInt(jobData.quantity),
         currentlyCut: 0,
         materialType: jobData.materialType,
+        grade: jobData.grade || '',
         thickness: parseFloat(jobData.thickness),
+        sheetsRequired: parseInt(jobData.sheetsRequired) || 0,
+        sheetStockId: jobData.sheetStockId || null,
         notes: jobData.notes || '',
         fileStatus: 'معلق',
         fileName: savedFileName,
@@ -482,13 +470,19 @@ class CuttingService {
             }
           })
         ],
-        dateFrom: null,
+        dateFrom: jobData.dateFrom || null,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
-      jobs.push(newJob);
-      await this.saveCuttingJobs(jobs);
+      const remnants = await this.syncSheetStock(newJob, {}, uploadedBy);
+
+      try {
+        await cuttingJobRepository.insert(newJob);
+      } catch (error) {
+        await this.revertSheetStock(newJob, null, remnants);
+        throw error;
+      }
 
       return await this.enrichJobWithUserInfo(newJob);
     } catch (error) {
@@ -572,8 +566,7 @@ class CuttingService {
    */
   async getCuttingJobById(id) {
     try {
-      const jobs = await this.loadCuttingJobs();
-      const job = jobs.find(j => j.id === id);
+      const job = await cuttingJobRepository.findById(id);
 
       if (!job) {
         throw new Error('Cutting job not found');
@@ -591,14 +584,14 @@ class CuttingService {
    */
   async updateCuttingJob(id, updateData, file, updatedBy) {
     try {
-      const jobs = await this.loadCuttingJobs();
-      const jobIndex = jobs.findIndex(j => j.id === id);
+      const job = await cuttingJobRepository.findById(id);
 
-      if (jobIndex === -1) {
+      if (!job) {
         throw new Error('Cutting job not found');
       }
 
-      const job = jobs[jobIndex];
+      assertVersion(job, updateData.version);
+      const expectedVersion = getVersion(job);
       const oldStatus = job.fileStatus;
       
       // Initialize updateHistory if it doesn't exist
@@ -657,6 +650,33 @@ class CuttingService {
         job.thickness = parseFloat(updateData.thickness);
       }
 
+      if (updateData.grade !== undefined && updateData.grade !== (job.grade || '')) {
+        modifications.push({
+          field: 'grade',
+          oldValue: job.grade || '',
+          newValue: updateData.grade
+        });
+        job.grade = updateData.grade;
+      }
+
+      if (updateData.sheetsRequired !== undefined && (parseInt(updateData.sheetsRequired) || 0) !== (job.sheetsRequired || 0)) {
+        modifications.push({
+          field: 'sheetsRequired',
+          oldValue: job.sheetsRequired || 0,
+          newValue: parseInt(updateData.sheetsRequired) || 0
+        });
+        job.sheetsRequired = parseInt(updateData.sheetsRequired) || 0;
+      }
+
+      if (updateData.sheetStockId !== undefined && (updateData.sheetStockId || null) !== (job.sheetStockId || null)) {
+        modifications.push({
+          field: 'sheetStockId',
+          oldValue: job.sheetStockId || null,
+          newValue: updateData.sheetStockId || null
+        });
+        job.sheetStockId = updateData.sheetStockId || null;
+      }
+
       if (updateData.dateFrom !== undefined && updateData.dateFrom !== job.dateFrom) {
         modifications.push({
           field: 'dateFrom',
@@ -797,6 +817,30 @@ class CuttingService {
         actionType = 'file_updated';
       }
 
+      // Keep the sheet reservation in step with the job and record sheets used / remnants left
+      const reservationBefore = job.sheetReservation || null;
+      const consumedBefore = job.sheetReservation ? job.sheetReservation.consumed : 0;
+      const remnants = await this.syncSheetStock(
+        job,
+        { sheetsUsed: updateData.sheetsUsed, remnants: updateData.remnants },
+        updatedBy
+      );
+      if (job.sheetReservation && job.sheetReservation.consumed !== consumedBefore) {
+        modifications.push({
+          field: 'sheetsConsumed',
+          oldValue: consumedBefore,
+          newValue: job.sheetReservation.consumed,
+          sheetStockId: job.sheetReservation.sheetStockId
+        });
+      }
+      if (remnants.length > 0) {
+        modifications.push({
+          field: 'remnants',
+          action: 'added',
+          newValue: remnants
+        });
+      }
+
       // Update tracking fields
       job.lastUpdatedBy = updatedBy;
       job.updatedAt = new Date().toISOString();
@@ -817,8 +861,13 @@ class CuttingService {
         );
       }
 
-      jobs[jobIndex] = job;
-      await this.saveCuttingJobs(jobs);
+      // A failed save (e.g. 409) gives the sheets back, so a retry does not deduct them twice
+      try {
+        await cuttingJobRepository.update(id, job, { expectedVersion });
+      } catch (error) {
+        await this.revertSheetStock(job, reservationBefore, remnants);
+        throw error;
+      }
 
       return await this.enrichJobWithUserInfo(job);
     } catch (error) {
@@ -827,19 +876,59 @@ class CuttingService {
     }
   }
 
+  /**
+   * Reserve / consume sheet stock for a job that uses it; stores the result on job.sheetReservation
+   * @returns {Promise<string[]>} IDs of remnant lots registered
+   */
+  async syncSheetStock(job, options, userId) {
+    const usesSheets = job.sheetsRequired > 0 || job.sheetStockId || job.sheetReservation ||
+      (options.sheetsUsed !== undefined && options.sheetsUsed !== '') ||
+      (Array.isArray(options.remnants) && options.remnants.length > 0);
+
+    if (!usesSheets) {
+      return [];
+    }
+
+    const { remnants, ...reservation } = await sheetStockService.syncJob(job, options, userId);
+    job.sheetReservation = reservation;
+    if (remnants.length > 0) {
+      job.remnants = [...(job.remnants || []), ...remnants];
+    }
+    return remnants;
+  }
+
+  /**
+   * Undo syncSheetStock after the job could not be saved
+   * @param {object} previous - job.sheetReservation before the sync (null if none)
+   * @param {string[]} remnants - IDs of remnant lots the sync registered
+   */
+  async revertSheetStock(job, previous, remnants) {
+    if (!job.sheetReservation) {
+      return;
+    }
+
+    try {
+      await sheetStockService.revertJobSync(job, previous, { ...job.sheetReservation, remnants });
+    } catch (error) {
+      console.error(`❌ Could not revert sheet stock of cutting job ${job.id}:`, error.message);
+    }
+  }
+
   /**
    * Delete cutting job
    */
   async deleteCuttingJob(id) {
     try {
-      const jobs = await this.loadCuttingJobs();
-      const jobIndex = jobs.findIndex(j => j.id === id);
+      const job = await cuttingJobRepository.findById(id);
 
-      if (jobIndex === -1) {
+      if (!job) {
         throw new Error('Cutting job not found');
       }
 
-      const job = jobs[jobIndex];
+      // Give back sheets still reserved for the job
+      if (job.sheetReservation) {
+        await sheetStockService.syncJob(job, { release: true });
+      }
 
       // Delete associated file if exists
       if (job.fileName) {
@@ -849,8 +938,7 @@ class CuttingService {
         }
       }
 
-      jobs.splice(jobIndex, 1);
-      await this.saveCuttingJobs(jobs);
+      await cuttingJobRepository.remove(id);
 
       return { message: 'Cutting job deleted successfully' };
     } catch (error) {
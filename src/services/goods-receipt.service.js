@@ -0,0 +1,590 @@
+// src/services/goods-receipt.service.js
+const { getRepository, getVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const inventoryService = require('./inventory.service');
+const supplierScorecardService = require('./supplier-scorecard.service');
+
+const grnRepository = getRepository('goodsReceipts');
+const poRepository = getRepository('purchases');
+
+/**
+ * Receiving status of a purchase order
+ * - open: nothing received yet
+ * - partially_received: some lines are still short
+ * - received: every line received in full (or more)
+ * - closed: closed by a user, nothing more can be received
+ */
+const RECEIVING_STATUSES = ['open', 'partially_received', 'received', 'closed'];
+
+const round = value => Math.round(value * 100) / 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Goods received notes (GRN): what actually arrived against the lines of a
+ * purchase order. Each GRN is linked on the PO (po.goodsReceipts) so the PO's
+ * received quantities and receivingStatus are kept without re-reading GRNs.
+ * Supplier invoices are recorded on the PO (po.supplierInvoices) for the
+ * three-way match. Accepted quantities of lines linked to a catalog item
+ * (itemId) are received into stock.
+ */
+class GoodsReceiptService {
+  async getUserName(userId) {
+    try {
+      const users = await getRepository('users').findAll();
+      const user = users.find(u => u.id === userId);
+      return user ? user.name : 'Unknown User';
+    } catch (error) {
+      return 'Unknown User';
+    }
+  }
+
+  getReceivingStatuses() {
+    return RECEIVING_STATUSES;
+  }
+
+  /**
+   * Load a PO the user may see (404 when missing)
+   */
+  async loadPurchaseOrder(poId, userId, userRole, action = 'view') {
+    const po = await poRepository.findById(poId);
+
+    if (!po) {
+      const error = new Error('Purchase Order not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await visibilityService.assertVisible('purchases', po, userId, userRole, action);
+    return po;
+  }
+
+  /**
+   * Per line: ordered, received (accepted), rejected, remaining and invoiced quantities,
+   * plus the receivingStatus that follows from them
+   */
+  applyReceiving(po) {
+    const receipts = po.goodsReceipts || [];
+    const invoices = po.supplierInvoices || [];
+
+    const lines = (po.items || []).map((item, index) => {
+      const line = index + 1;
+      const orderedQuantity = parseFloat(item.quantity) || 0;
+      let receivedQuantity = 0;
+      let rejectedQuantity = 0;
+      let invoicedQuantity = 0;
+      let invoicedAmount = 0;
+
+      receipts.forEach(receipt => receipt.lines
+        .filter(l => l.line === line)
+        .forEach(l => {
+          receivedQuantity += l.acceptedQuantity;
+          rejectedQuantity += l.rejectedQuantity;
+        }));
+
+      invoices.forEach(invoice => invoice.lines
+        .filter(l => l.line === line)
+        .forEach(l => {
+          invoicedQuantity += l.quantity;
+          invoicedAmount += l.quantity * l.unitPrice;
+        }));
+
+      return {
+        line,
+        description: item.description || '',
+        unit: item.unit || '',
+        unitPrice: parseFloat(item.unitPrice) || 0,
+        orderedQuantity,
+        receivedQuantity: round(receivedQuantity),
+        rejectedQuantity: round(rejectedQuantity),
+        remainingQuantity: round(Math.max(orderedQuantity - receivedQuantity, 0)),
+        overReceivedQuantity: round(Math.max(receivedQuantity - orderedQuantity, 0)),
+        invoicedQuantity: round(invoicedQuantity),
+        invoicedAmount: round(invoicedAmount)
+      };
+    });
+
+    let receivingStatus;
+    if (po.closedAt) {
+      receivingStatus = 'closed';
+    } else if (lines.every(l => l.receivedQuantity === 0)) {
+      receivingStatus = 'open';
+    } else if (lines.every(l => l.remainingQuantity === 0)) {
+      receivingStatus = 'received';
+    } else {
+      receivingStatus = 'partially_received';
+    }
+
+    return { lines, receivingStatus };
+  }
+
+  /**
+   * Receiving view of a PO: line quantities, GRNs, invoices and status
+   */
+  async getReceivingSummary(poId, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole);
+    const { lines, receivingStatus } = this.applyReceiving(po);
+
+    return {
+      purchaseOrder: { id: po.id, poNumber: po.poNumber, supplier: po.supplier, status: po.status },
+      receivingStatus,
+      closedAt: po.closedAt || null,
+      closedBy: po.closedBy || null,
+      closeReason: po.closeReason || '',
+      lines,
+      goodsReceipts: po.goodsReceipts || [],
+      supplierInvoices: po.supplierInvoices || []
+    };
+  }
+
+  /**
+   * ✅ RECEIVE GOODS AGAINST A PURCHASE ORDER
+   * @param {object} grnData - {
+   *   purchaseOrderId, date, deliveryNoteNumber (supplier's reference), notes, location (stock location, default MAIN),
+   *   lines: [{ line, quantity, rejectedQuantity, note, itemId (default: the PO line's itemId) }]
+   * }
+   * A note is required on lines with rejected goods or that take the line over the ordered quantity.
+   */
+  async createGoodsReceipt(grnData, userId, userRole) {
+    const po = await this.loadPurchaseOrder(grnData.purchaseOrderId, userId, userRole);
+    const expectedVersion = getVersion(po);
+
+    if (po.status !== 'approved') {
+      throw conflict(`Purchase Order is ${po.status}; only approved orders can be received`);
+    }
+    if (po.closedAt) {
+      throw conflict('Purchase Order is closed');
+    }
+
+    if (!Array.isArray(grnData.lines) || grnData.lines.length === 0) {
+      throw badRequest('At least one line is required');
+    }
+
+    const { lines: current } = this.applyReceiving(po);
+    const problems = [];
+    const seen = new Set();
+
+    const lines = grnData.lines.map((entry, index) => {
+      const line = Number(entry.line);
+      const quantity = parseFloat(entry.quantity);
+      const rejectedQuantity = entry.rejectedQuantity === undefined || entry.rejectedQuantity === ''
+        ? 0
+        : parseFloat(entry.rejectedQuantity);
+      const note = entry.note ? String(entry.note).trim() : '';
+      const tracked = current[line - 1];
+
+      if (!Number.isInteger(line) || !tracked) {
+        problems.push(`entry ${index + 1}: line ${entry.line} does not exist on the order`);
+        return null;
+      }
+      if (seen.has(line)) {
+        problems.push(`line ${line} is listed twice`);
+        return null;
+      }
+      seen.add(line);
+
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        problems.push(`line ${line}: quantity must be a positive number`);
+        return null;
+      }
+      if (!Number.isFinite(rejectedQuantity) || rejectedQuantity < 0 || rejectedQuantity > quantity) {
+        problems.push(`line ${line}: rejectedQuantity must be between 0 and the delivered quantity`);
+        return null;
+      }
+
+      const acceptedQuantity = round(quantity - rejectedQuantity);
+      const overQuantity = round(Math.max(acceptedQuantity - tracked.remainingQuantity, 0));
+      const discrepancies = [];
+      if (rejectedQuantity > 0) discrepancies.push('rejected');
+      if (overQuantity > 0) discrepancies.push('over_delivered');
+      if (acceptedQuantity < tracked.remainingQuantity) discrepancies.push('short_delivered');
+
+      if (!note && (rejectedQuantity > 0 || overQuantity > 0)) {
+        problems.push(`line ${line}: a discrepancy note is required for rejected or over-delivered goods`);
+      }
+
+      return {
+        line,
+        itemId: entry.itemId || po.items[line - 1].itemId || null,
+        description: tracked.description,
+        unit: tracked.unit,
+        orderedQuantity: tracked.orderedQuantity,
+        remainingBefore: tracked.remainingQuantity,
+        quantity: round(quantity),
+        rejectedQuantity: round(rejectedQuantity),
+        acceptedQuantity,
+        overQuantity,
+        discrepancies,
+        note
+      };
+    });
+
+    if (problems.length > 0) {
+      throw badRequest(`Invalid goods receipt: ${problems.join('; ')}`);
+    }
+
+    const stockEntries = lines
+      .filter(l => l.itemId && l.acceptedQuantity > 0)
+      .map(l => ({ itemId: l.itemId, location: grnData.location, quantity: l.acceptedQuantity }));
+    const resolvedStock = await inventoryService.resolveEntries(stockEntries);
+
+    const { id, number: grnNumber } = await numberingService.next('goodsReceipt');
+    const now = new Date().toISOString();
+
+    const grn = {
+      id,
+      grnNumber,
+      purchaseOrderId: po.id,
+      poNumber: po.poNumber,
+      supplierId: po.supplierId || null,
+      supplier: po.supplier || '',
+      project: po.project || '',
+      date: grnData.date || now.split('T')[0],
+      deliveryNoteNumber: grnData.deliveryNoteNumber || '',
+      location: resolvedStock.length > 0 ? resolvedStock[0].location : null,
+      notes: grnData.notes || '',
+      lines,
+      hasDiscrepancies: lines.some(l => l.discrepancies.some(d => d !== 'short_delivered')),
+      createdBy: userId,
+      createdByName: await this.getUserName(userId),
+      createdByRole: userRole,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // The PO is updated first so a concurrent receipt against it fails before the GRN exists
+    const goodsReceipts = [
+      ...(po.goodsReceipts || []),
+      {
+        id: grn.id,
+        grnNumber,
+        date: grn.date,
+        lines: lines.map(({ line, acceptedQuantity, rejectedQuantity }) => ({ line, acceptedQuantity, rejectedQuantity }))
+      }
+    ];
+    const { receivingStatus } = this.applyReceiving({ ...po, goodsReceipts });
+    await poRepository.update(po.id, { goodsReceipts, receivingStatus, updatedAt: now }, { expectedVersion });
+
+    await grnRepository.insert(grn);
+
+    if (stockEntries.length > 0) {
+      await inventoryService.postMovements(stockEntries.map(entry => ({
+        ...entry,
+        type: 'receipt',
+        reference: { type: 'goodsReceipt', id: grn.id, number: grnNumber },
+        notes: `${po.poNumber} - ${grn.supplier}`
+      })), userId);
+    }
+
+    await supplierScorecardService.refreshRating(po.supplierId);
+
+    return { goodsReceipt: grn, receivingStatus };
+  }
+
+  /**
+   * Get all GRNs with filtering and pagination
+   */
+  async getAllGoodsReceipts(filters = {}, userId, userRole) {
+    let grns = await grnRepository.findAll();
+
+    grns = await visibilityService.filterVisible('goodsReceipts', grns, userId, userRole);
+
+    if (filters.purchaseOrderId) {
+      grns = grns.filter(g => g.purchaseOrderId === filters.purchaseOrderId);
+    }
+    if (filters.supplierId) {
+      grns = grns.filter(g => g.supplierId === filters.supplierId);
+    }
+    if (filters.startDate) {
+      grns = grns.filter(g => g.date >= filters.startDate);
+    }
+    if (filters.endDate) {
+      grns = grns.filter(g => g.date <= filters.endDate);
+    }
+    if (filters.discrepancies === 'true' || filters.discrepancies === true) {
+      grns = grns.filter(g => g.hasDiscrepancies);
+    }
+    if (filters.search) {
+      const searchLower = filters.search.toLowerCase();
+      grns = grns.filter(g =>
+        g.grnNumber.toLowerCase().includes(searchLower) ||
+        g.poNumber.toLowerCase().includes(searchLower) ||
+        (g.supplier && g.supplier.toLowerCase().includes(searchLower)) ||
+        (g.deliveryNoteNumber && g.deliveryNoteNumber.toLowerCase().includes(searchLower))
+      );
+    }
+
+    grns.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const page = filters.page || 1;
+    const limit = filters.limit || 10;
+    const startIndex = (page - 1) * limit;
+
+    return {
+      goodsReceipts: grns.slice(startIndex, page * limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(grns.length / limit),
+        totalGoodsReceipts: grns.length,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Get GRN by ID
+   */
+  async getGoodsReceiptById(id, userId, userRole, action = 'view') {
+    const grn = await grnRepository.findById(id);
+
+    if (!grn) {
+      const error = new Error('Goods receipt not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await visibilityService.assertVisible('goodsReceipts', grn, userId, userRole, action);
+    return grn;
+  }
+
+  /**
+   * Delete a GRN (e.g. entered against the wrong order); its quantities are taken off the PO
+   * and out of stock (409 when the stock has already been issued)
+   */
+  async deleteGoodsReceipt(id, userId, userRole) {
+    const grn = await this.getGoodsReceiptById(id, userId, userRole, 'delete');
+
+    const po = await poRepository.findById(grn.purchaseOrderId);
+    if (po && po.closedAt) {
+      throw conflict(`Purchase Order ${po.poNumber} is closed; reopen it before deleting its goods receipts`);
+    }
+
+    await inventoryService.reverseReference('goodsReceipt', id, userId, `${grn.grnNumber} deleted`);
+
+    if (po) {
+      const goodsReceipts = (po.goodsReceipts || []).filter(r => r.id !== id);
+      const { receivingStatus } = this.applyReceiving({ ...po, goodsReceipts });
+      await poRepository.update(po.id, { goodsReceipts, receivingStatus, updatedAt: new Date().toISOString() }, {
+        expectedVersion: getVersion(po)
+      });
+    }
+
+    await grnRepository.remove(id);
+
+    await supplierScorecardService.refreshRating(grn.supplierId);
+
+    return { message: 'Goods receipt deleted successfully' };
+  }
+
+  /**
+   * Close a PO (no further deliveries expected, e.g. the supplier short-shipped)
+   */
+  async closePurchaseOrder(poId, reason, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole, 'edit');
+
+    if (po.closedAt) {
+      throw conflict('Purchase Order is already closed');
+    }
+    if (po.status !== 'approved') {
+      throw conflict(`Purchase Order is ${po.status}; only approved orders can be closed`);
+    }
+
+    const { lines } = this.applyReceiving(po);
+    if (lines.some(l => l.remainingQuantity > 0) && !(reason && String(reason).trim())) {
+      throw badRequest('A reason is required to close an order with quantities still to receive');
+    }
+
+    const now = new Date().toISOString();
+    await poRepository.update(po.id, {
+      closedAt: now,
+      closedBy: userId,
+      closeReason: reason ? String(reason).trim() : '',
+      receivingStatus: 'closed',
+      updatedAt: now
+    }, { expectedVersion: getVersion(po) });
+
+    await supplierScorecardService.refreshRating(po.supplierId);
+
+    return this.getReceivingSummary(po.id, userId, userRole);
+  }
+
+  /**
+   * Reopen a closed PO
+   */
+  async reopenPurchaseOrder(poId, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole, 'edit');
+
+    if (!po.closedAt) {
+      throw conflict('Purchase Order is not closed');
+    }
+
+    const { receivingStatus } = this.applyReceiving({ ...po, closedAt: null });
+    await poRepository.update(po.id, {
+      closedAt: null,
+      closedBy: null,
+      closeReason: '',
+      receivingStatus,
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: getVersion(po) });
+
+    await supplierScorecardService.refreshRating(po.supplierId);
+
+    return this.getReceivingSummary(po.id, userId, userRole);
+  }
+
+  /**
+   * ✅ RECORD A SUPPLIER INVOICE AGAINST A PURCHASE ORDER
+   * @param {object} invoiceData - { invoiceNumber, date, notes, lines: [{ line, quantity, unitPrice }] }
+   */
+  async recordInvoice(poId, invoiceData, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole, 'edit');
+
+    if (po.status !== 'approved') {
+      throw conflict(`Purchase Order is ${po.status}; invoices can only be recorded against approved orders`);
+    }
+
+    const invoiceNumber = invoiceData.invoiceNumber ? String(invoiceData.invoiceNumber).trim() : '';
+    if (!invoiceNumber) {
+      throw badRequest('invoiceNumber is required');
+    }
+
+    const invoices = po.supplierInvoices || [];
+    if (invoices.some(i => i.invoiceNumber.toLowerCase() === invoiceNumber.toLowerCase())) {
+      throw conflict(`Invoice ${invoiceNumber} is already recorded on this order`);
+    }
+
+    if (!Array.isArray(invoiceData.lines) || invoiceData.lines.length === 0) {
+      throw badRequest('At least one invoice line is required');
+    }
+
+    const problems = [];
+    const lines = invoiceData.lines.map((entry, index) => {
+      const line = Number(entry.line);
+      const quantity = parseFloat(entry.quantity);
+      const unitPrice = parseFloat(entry.unitPrice);
+
+      if (!Number.isInteger(line) || !po.items || !po.items[line - 1]) {
+        problems.push(`entry ${index + 1}: line ${entry.line} does not exist on the order`);
+      } else if (!Number.isFinite(quantity) || quantity <= 0) {
+        problems.push(`line ${line}: quantity must be a positive number`);
+      } else if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        problems.push(`line ${line}: unitPrice must be a non-negative number`);
+      }
+      return { line, quantity: round(quantity), unitPrice };
+    });
+
+    if (problems.length > 0) {
+      throw badRequest(`Invalid invoice: ${problems.join('; ')}`);
+    }
+
+    const invoice = {
+      id: await numberingService.nextId('SINV'),
+      invoiceNumber,
+      date: invoiceData.date || new Date().toISOString().split('T')[0],
+      notes: invoiceData.notes || '',
+      lines,
+      total: round(lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0)),
+      recordedBy: userId,
+      recordedAt: new Date().toISOString()
+    };
+
+    await poRepository.update(po.id, {
+      supplierInvoices: [...invoices, invoice],
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: getVersion(po) });
+
+    return invoice;
+  }
+
+  /**
+   * Remove a supplier invoice recorded by mistake
+   */
+  async removeInvoice(poId, invoiceId, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole, 'edit');
+    const invoices = po.supplierInvoices || [];
+
+    if (!invoices.some(i => i.id === invoiceId)) {
+      const error = new Error('Invoice not found on this order');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await poRepository.update(po.id, {
+      supplierInvoices: invoices.filter(i => i.id !== invoiceId),
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: getVersion(po) });
+
+    return { message: 'Invoice removed successfully' };
+  }
+
+  /**
+   * ✅ THREE-WAY MATCH: ordered vs received vs invoiced, per line
+   * - quantityVariance: invoiced - received (positive = billed for goods not received)
+   * - priceVariance: invoiced amount - invoiced quantity at the PO price
+   * - status: mismatch (any variance above), pending (not everything received is invoiced yet), matched
+   */
+  async getThreeWayMatch(poId, userId, userRole) {
+    const po = await this.loadPurchaseOrder(poId, userId, userRole);
+    const { lines, receivingStatus } = this.applyReceiving(po);
+
+    const matchLines = lines.map(l => {
+      const quantityVariance = round(l.invoicedQuantity - l.receivedQuantity);
+      const priceVariance = round(l.invoicedAmount - l.invoicedQuantity * l.unitPrice);
+
+      let status;
+      if (quantityVariance > 0 || priceVariance !== 0) {
+        status = 'mismatch';
+      } else if (l.receivedQuantity === 0 || quantityVariance < 0) {
+        status = 'pending';
+      } else {
+        status = 'matched';
+      }
+
+      return {
+        line: l.line,
+        description: l.description,
+        unit: l.unit,
+        ordered: { quantity: l.orderedQuantity, unitPrice: l.unitPrice, amount: round(l.orderedQuantity * l.unitPrice) },
+        received: { quantity: l.receivedQuantity, rejected: l.rejectedQuantity, amount: round(l.receivedQuantity * l.unitPrice) },
+        invoiced: {
+          quantity: l.invoicedQuantity,
+          unitPrice: l.invoicedQuantity > 0 ? round(l.invoicedAmount / l.invoicedQuantity) : null,
+          amount: l.invoicedAmount
+        },
+        quantityVariance,
+        priceVariance,
+        status
+      };
+    });
+
+    let status = 'matched';
+    if (matchLines.some(l => l.status === 'mismatch')) status = 'mismatch';
+    else if (matchLines.some(l => l.status === 'pending')) status = 'pending';
+
+    return {
+      purchaseOrder: { id: po.id, poNumber: po.poNumber, supplier: po.supplier, currency: po.currency || '' },
+      receivingStatus,
+      status,
+      totals: {
+        ordered: round(matchLines.reduce((sum, l) => sum + l.ordered.amount, 0)),
+        received: round(matchLines.reduce((sum, l) => sum + l.received.amount, 0)),
+        invoiced: round(matchLines.reduce((sum, l) => sum + l.invoiced.amount, 0))
+      },
+      lines: matchLines,
+      invoices: (po.supplierInvoices || []).map(({ id, invoiceNumber, date, total }) => ({ id, invoiceNumber, date, total }))
+    };
+  }
+}
+
+module.exports = new GoodsReceiptService();
@@ -0,0 +1,515 @@
+// src/services/inventory.service.js
+const { getRepository } = require('../utils/repository.util');
+const { generateId } = require('../utils/id-generator.util');
+
+const movementRepository = getRepository('stockMovements');
+const locationRepository = getRepository('stockLocations');
+const itemRepository = getRepository('items');
+
+/**
+ * Ledger movement types
+ * - receipt: goods in (goods receipts, manual receipts)
+ * - issue: goods out (material requests, cutting job consumption)
+ * - adjustment: stock count corrections (positive or negative, reason required)
+ * - transfer: out of one location and into another (two entries sharing a transferId)
+ * - reversal: undo of the movements of a deleted source document
+ */
+const MOVEMENT_TYPES = ['receipt', 'issue', 'adjustment', 'transfer', 'reversal'];
+
+const DEFAULT_LOCATION = { id: 'MAIN', name: 'Main Warehouse', description: '' };
+
+const round = value => Math.round(value * 1000) / 1000;
+const balanceKey = (itemId, location) => `${itemId}@${location}`;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Stock ledger per item (items catalog) and location. The ledger is append-only:
+ * balances are the sum of the movements, and every entry records the balance
+ * of its item/location right after it was posted.
+ */
+class InventoryService {
+  async getUserName(userId) {
+    try {
+      const users = await getRepository('users').findAll();
+      const user = users.find(u => u.id === userId);
+      return user ? user.name : 'Unknown User';
+    } catch (error) {
+      return 'Unknown User';
+    }
+  }
+
+  getMovementTypes() {
+    return MOVEMENT_TYPES;
+  }
+
+  // ==================== LOCATIONS ====================
+
+  /**
+   * All locations (the main warehouse is created on first use)
+   */
+  async getLocations() {
+    let locations = await locationRepository.findAll();
+
+    if (locations.length === 0) {
+      await locationRepository.insert({
+        ...DEFAULT_LOCATION,
+        active: true,
+        createdBy: null,
+        createdAt: new Date().toISOString()
+      });
+      locations = await locationRepository.findAll();
+    }
+
+    return locations;
+  }
+
+  async createLocation(data, userId) {
+    const id = data.id ? String(data.id).trim().toUpperCase() : '';
+    if (!/^[A-Z0-9_-]{2,20}$/.test(id)) {
+      throw httpError('Location code must be 2-20 letters, digits, "-" or "_"', 400);
+    }
+    if (!data.name || !String(data.name).trim()) {
+      throw httpError('Location name is required', 400);
+    }
+
+    const locations = await this.getLocations();
+    if (locations.some(l => l.id === id)) {
+      throw httpError(`Location ${id} already exists`, 409);
+    }
+
+    const location = {
+      id,
+      name: String(data.name).trim(),
+      description: data.description || '',
+      active: true,
+      createdBy: userId,
+      createdAt: new Date().toISOString()
+    };
+
+    await locationRepository.insert(location);
+    return location;
+  }
+
+  /**
+   * Rename or (de)activate a location; inactive locations take no new movements
+   */
+  async updateLocation(id, data, userId) {
+    const location = await locationRepository.findById(id);
+    if (!location) {
+      throw httpError(`Location ${id} not found`, 404);
+    }
+
+    const changes = { updatedBy: userId, updatedAt: new Date().toISOString() };
+    if (data.name !== undefined) {
+      if (!String(data.name).trim()) throw httpError('Location name is required', 400);
+      changes.name = String(data.name).trim();
+    }
+    if (data.description !== undefined) changes.description = data.description || '';
+    if (data.active !== undefined) {
+      changes.active = data.active === true || data.active === 'true';
+      if (!changes.active) {
+        const onHand = (await this.getBalances({ location: id })).filter(b => b.onHand !== 0);
+        if (onHand.length > 0) {
+          throw httpError(`Location ${id} still holds stock of ${onHand.length} item(s); transfer it first`, 409);
+        }
+      }
+    }
+
+    return locationRepository.update(id, changes);
+  }
+
+  // ==================== POSTING ====================
+
+  /**
+   * Check that every entry names an existing item and an active location,
+   * and fill in the item's name and unit
+   * @param {Array} entries - [{ itemId, location, quantity }]
+   */
+  async resolveEntries(entries) {
+    const locations = await this.getLocations();
+    const problems = [];
+
+    const resolved = await Promise.all(entries.map(async (entry, index) => {
+      const label = `entry ${index + 1}`;
+      const quantity = parseFloat(entry.quantity);
+      const location = entry.location ? String(entry.location).trim().toUpperCase() : DEFAULT_LOCATION.id;
+
+      const item = entry.itemId ? await itemRepository.findById(entry.itemId) : null;
+      if (!item) {
+        problems.push(`${label}: item ${entry.itemId || '(missing)'} not found`);
+      }
+
+      const stockLocation = locations.find(l => l.id === location);
+      if (!stockLocation) {
+        problems.push(`${label}: location ${location} not found`);
+      } else if (stockLocation.active === false) {
+        problems.push(`${label}: location ${location} is inactive`);
+      }
+
+      if (!Number.isFinite(quantity) || quantity === 0) {
+        problems.push(`${label}: quantity must be a non-zero number`);
+      }
+
+      return {
+        ...entry,
+        itemId: entry.itemId,
+        itemName: item ? item.name : '',
+        unit: item ? item.unit || '' : '',
+        location,
+        quantity: round(quantity)
+      };
+    }));
+
+    if (problems.length > 0) {
+      throw httpError(`Invalid stock movement: ${problems.join('; ')}`, 400);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Append movements to the ledger as one unit. Outgoing quantities may not take
+   * an item/location below zero.
+   * @param {Array} entries - [{ itemId, location, quantity (signed), type, reference, notes, transferId }]
+   * @returns {Promise<Array>} The ledger entries written
+   */
+  async postMovements(entries, userId) {
+    const resolved = await this.resolveEntries(entries);
+    const ids = [];
+    for (let i = 0; i < resolved.length; i++) {
+      ids.push(await generateId('STK'));
+    }
+    const createdByName = await this.getUserName(userId);
+    const now = new Date().toISOString();
+
+    return movementRepository.transaction(async docs => {
+      const balances = new Map();
+      docs.forEach(doc => {
+        const key = balanceKey(doc.itemId, doc.location);
+        balances.set(key, round((balances.get(key) || 0) + doc.quantity));
+      });
+
+      const shortages = [];
+      const written = resolved.map((entry, index) => {
+        const key = balanceKey(entry.itemId, entry.location);
+        const balanceAfter = round((balances.get(key) || 0) + entry.quantity);
+        if (entry.quantity < 0 && balanceAfter < 0) {
+          shortages.push(`${entry.itemName} at ${entry.location}: ${round(balanceAfter - entry.quantity)} on hand, ${-entry.quantity} requested`);
+        }
+        balances.set(key, balanceAfter);
+
+        return {
+          id: ids[index],
+          type: entry.type,
+          itemId: entry.itemId,
+          itemName: entry.itemName,
+          unit: entry.unit,
+          location: entry.location,
+          quantity: entry.quantity,
+          balanceAfter,
+          reference: entry.reference || null,
+          transferId: entry.transferId || null,
+          notes: entry.notes || '',
+          createdBy: userId,
+          createdByName,
+          createdAt: now
+        };
+      });
+
+      if (shortages.length > 0) {
+        throw httpError(`Insufficient stock: ${shortages.join('; ')}`, 409);
+      }
+
+      docs.push(...written);
+      return written;
+    });
+  }
+
+  /**
+   * Receive stock
+   * @param {object} data - { location, notes, reference, lines: [{ itemId, quantity, location }] }
+   */
+  async receive(data, userId) {
+    const lines = this.requireLines(data.lines);
+    if (lines.some(l => !(parseFloat(l.quantity) > 0))) {
+      throw httpError('Received quantities must be positive', 400);
+    }
+
+    return this.postMovements(lines.map(line => ({
+      itemId: line.itemId,
+      location: line.location || data.location,
+      quantity: parseFloat(line.quantity),
+      type: 'receipt',
+      reference: data.reference || { type: 'manual' },
+      notes: line.notes || data.notes
+    })), userId);
+  }
+
+  /**
+   * Issue stock against a material request or a cutting job
+   * @param {object} data - { materialRequestId | cuttingJobId, location, notes, lines: [{ itemId, quantity, location, line }] }
+   */
+  async issue(data, userId) {
+    const lines = this.requireLines(data.lines);
+    if (lines.some(l => !(parseFloat(l.quantity) > 0))) {
+      throw httpError('Issued quantities must be positive', 400);
+    }
+
+    const reference = await this.resolveIssueReference(data);
+
+    return this.postMovements(lines.map(line => ({
+      itemId: line.itemId,
+      location: line.location || data.location,
+      quantity: -parseFloat(line.quantity),
+      type: 'issue',
+      reference: line.line !== undefined ? { ...reference, line: Number(line.line) } : reference,
+      notes: line.notes || data.notes
+    })), userId);
+  }
+
+  /**
+   * Material requests must be approved; cutting jobs must exist
+   */
+  async resolveIssueReference(data) {
+    if (data.materialRequestId && data.cuttingJobId) {
+      throw httpError('Issue against either a material request or a cutting job, not both', 400);
+    }
+
+    if (data.materialRequestId) {
+      const material = await getRepository('materialRequests').findById(data.materialRequestId);
+      if (!material) throw httpError('Material Request not found', 404);
+      if (material.status !== 'approved') {
+        throw httpError(`Material Request is ${material.status}; only approved requests can be issued`, 409);
+      }
+      return { type: 'materialRequest', id: material.id, number: material.mrNumber };
+    }
+
+    if (data.cuttingJobId) {
+      const job = await getRepository('cuttingJobs').findById(data.cuttingJobId);
+      if (!job) throw httpError('Cutting job not found', 404);
+      return { type: 'cuttingJob', id: job.id, number: job.id };
+    }
+
+    throw httpError('materialRequestId or cuttingJobId is required', 400);
+  }
+
+  /**
+   * Correct the balance of an item at a location
+   * @param {object} data - { itemId, location, reason, quantity (signed change) | countedQuantity (new balance) }
+   */
+  async adjust(data, userId) {
+    if (!data.reason || !String(data.reason).trim()) {
+      throw httpError('A reason is required for stock adjustments', 400);
+    }
+
+    let quantity = parseFloat(data.quantity);
+    if (data.countedQuantity !== undefined && data.countedQuantity !== '') {
+      const counted = parseFloat(data.countedQuantity);
+      if (!Number.isFinite(counted) || counted < 0) {
+        throw httpError('countedQuantity must be zero or more', 400);
+      }
+      const location = data.location ? String(data.location).trim().toUpperCase() : DEFAULT_LOCATION.id;
+      const [current] = await this.getBalances({ itemId: data.itemId, location, includeZero: true });
+      quantity = round(counted - (current ? current.onHand : 0));
+      if (quantity === 0) {
+        throw httpError('Counted quantity matches the current balance; nothing to adjust', 400);
+      }
+    }
+
+    const [movement] = await this.postMovements([{
+      itemId: data.itemId,
+      location: data.location,
+      quantity,
+      type: 'adjustment',
+      reference: { type: 'manual' },
+      notes: String(data.reason).trim()
+    }], userId);
+
+    return movement;
+  }
+
+  /**
+   * Move stock between locations
+   * @param {object} data - { fromLocation, toLocation, notes, lines: [{ itemId, quantity }] }
+   */
+  async transfer(data, userId) {
+    const lines = this.requireLines(data.lines);
+    const from = data.fromLocation ? String(data.fromLocation).trim().toUpperCase() : '';
+    const to = data.toLocation ? String(data.toLocation).trim().toUpperCase() : '';
+
+    if (!from || !to || from === to) {
+      throw httpError('fromLocation and toLocation are required and must differ', 400);
+    }
+    if (lines.some(l => !(parseFloat(l.quantity) > 0))) {
+      throw httpError('Transferred quantities must be positive', 400);
+    }
+
+    const transferId = await generateId('TRF');
+    const entries = [];
+    lines.forEach(line => {
+      const quantity = parseFloat(line.quantity);
+      const common = { itemId: line.itemId, type: 'transfer', transferId, reference: { type: 'transfer', id: transferId }, notes: data.notes };
+      entries.push({ ...common, location: from, quantity: -quantity });
+      entries.push({ ...common, location: to, quantity });
+    });
+
+    const movements = await this.postMovements(entries, userId);
+    return { transferId, movements };
+  }
+
+  /**
+   * Undo every movement posted for a source document (e.g. a deleted goods receipt).
+   * Fails with 409 when the stock has already been issued.
+   */
+  async reverseReference(type, id, userId, notes = '') {
+    const movements = await movementRepository.find(m => m.reference && m.reference.type === type && m.reference.id === id);
+
+    const net = new Map();
+    movements.forEach(m => {
+      const key = balanceKey(m.itemId, m.location);
+      const current = net.get(key) || { itemId: m.itemId, location: m.location, quantity: 0, reference: m.reference };
+      current.quantity = round(current.quantity + m.quantity);
+      net.set(key, current);
+    });
+
+    const entries = [...net.values()]
+      .filter(e => e.quantity !== 0)
+      .map(e => ({
+        itemId: e.itemId,
+        location: e.location,
+        quantity: -e.quantity,
+        type: 'reversal',
+        reference: { type, id, number: e.reference.number },
+        notes
+      }));
+
+    return entries.length > 0 ? this.postMovements(entries, userId) : [];
+  }
+
+  requireLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw httpError('At least one line is required', 400);
+    }
+    return lines;
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Current balance per item and location
+   * @param {object} filters - { itemId, location, search, includeZero }
+   */
+  async getBalances(filters = {}) {
+    const movements = await movementRepository.findAll();
+    const balances = new Map();
+
+    movements.forEach(m => {
+      if (filters.itemId && m.itemId !== filters.itemId) return;
+      if (filters.location && m.location !== filters.location) return;
+
+      const key = balanceKey(m.itemId, m.location);
+      const balance = balances.get(key) || {
+        itemId: m.itemId,
+        itemName: m.itemName,
+        unit: m.unit,
+        location: m.location,
+        onHand: 0,
+        lastMovementAt: null
+      };
+      balance.onHand = round(balance.onHand + m.quantity);
+      balance.lastMovementAt = m.createdAt;
+      balances.set(key, balance);
+    });
+
+    let result = [...balances.values()];
+
+    if (filters.itemId && filters.location && result.length === 0 && filters.includeZero) {
+      const item = await itemRepository.findById(filters.itemId);
+      if (item) {
+        result.push({ itemId: item.id, itemName: item.name, unit: item.unit || '', location: filters.location, onHand: 0, lastMovementAt: null });
+      }
+    }
+
+    if (!(filters.includeZero === true || filters.includeZero === 'true')) {
+      result = result.filter(b => b.onHand !== 0);
+    }
+
+    if (filters.search) {
+      const searchLower = filters.search.toLowerCase();
+      result = result.filter(b =>
+        b.itemId.toLowerCase().includes(searchLower) ||
+        (b.itemName && b.itemName.toLowerCase().includes(searchLower))
+      );
+    }
+
+    return result.sort((a, b) => a.itemName.localeCompare(b.itemName) || a.location.localeCompare(b.location));
+  }
+
+  /**
+   * Total on hand of an item over all locations
+   */
+  async getOnHand(itemId) {
+    const balances = await this.getBalances({ itemId, includeZero: true });
+    return round(balances.reduce((sum, b) => sum + b.onHand, 0));
+  }
+
+  /**
+   * Ledger of an item, oldest first
+   * @param {object} filters - { location, type, startDate, endDate }
+   */
+  async getItemLedger(itemId, filters = {}) {
+    const item = await itemRepository.findById(itemId);
+    if (!item) {
+      throw httpError(`Item ${itemId} not found`, 404);
+    }
+
+    let movements = await movementRepository.find(m => m.itemId === itemId);
+
+    if (filters.location) movements = movements.filter(m => m.location === filters.location);
+    if (filters.type) movements = movements.filter(m => m.type === filters.type);
+    if (filters.startDate) movements = movements.filter(m => m.createdAt >= filters.startDate);
+    if (filters.endDate) movements = movements.filter(m => m.createdAt.split('T')[0] <= filters.endDate);
+
+    return {
+      item: { id: item.id, name: item.name, unit: item.unit || '', reorderPoint: item.reorderPoint ?? null },
+      balances: await this.getBalances({ itemId }),
+      movements
+    };
+  }
+
+  /**
+   * Items at or below their reorder point (over all locations)
+   */
+  async getLowStock() {
+    const items = (await itemRepository.findAll())
+      .filter(item => item.reorderPoint !== undefined && item.reorderPoint !== null);
+    const balances = await this.getBalances({ includeZero: true });
+
+    return items
+      .map(item => {
+        const locations = balances.filter(b => b.itemId === item.id);
+        const onHand = round(locations.reduce((sum, b) => sum + b.onHand, 0));
+        const shortfall = round(item.reorderPoint - onHand);
+
+        return {
+          itemId: item.id,
+          itemName: item.name,
+          unit: item.unit || '',
+          onHand,
+          reorderPoint: item.reorderPoint,
+          reorderQuantity: item.reorderQuantity ?? null,
+          suggestedOrderQuantity: Math.max(item.reorderQuantity || 0, shortfall > 0 ? shortfall : 0),
+          locations: locations.map(({ location, onHand: qty }) => ({ location, onHand: qty }))
+        };
+      })
+      .filter(row => row.onHand <= row.reorderPoint)
+      .sort((a, b) => (a.onHand - a.reorderPoint) - (b.onHand - b.reorderPoint));
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,194 @@
+// src/services/login-attempt.service.js
+const crypto = require('crypto');
+const { getRepository } = require('../utils/repository.util');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Brute-force protection settings (configurable through environment variables)
+ * - maxFailuresPerUsername/maxFailuresPerIp: failed logins allowed inside the window
+ * - lockoutThreshold: consecutive failures that lock an existing account
+ * - lockoutMinutes: first lockout duration, doubled for every repeated lockout (capped at maxLockoutMinutes)
+ * - delay*: progressive delay added to failed login responses
+ */
+const LOGIN_PROTECTION = {
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15'),
+  maxFailuresPerUsername: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME || '5'),
+  maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20'),
+  lockoutThreshold: parseInt(process.env.LOCKOUT_THRESHOLD || '5'),
+  lockoutMinutes: parseInt(process.env.LOCKOUT_DURATION_MINUTES || '15'),
+  maxLockoutMinutes: parseInt(process.env.LOCKOUT_MAX_DURATION_MINUTES || '1440'),
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS || '250'),
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS || '5000'),
+  retentionDays: parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || '30')
+};
+
+const THROTTLED_MESSAGE = 'Too many failed login attempts. Please try again later';
+
+/**
+ * Failed login log and throttling
+ * Every failed login is stored (username, IP, reason) so super admins can
+ * review it; recent failures drive the per-username/per-IP throttling.
+ */
+class LoginAttemptService {
+  get repository() {
+    return getRepository('loginAttempts');
+  }
+
+  get settings() {
+    return { ...LOGIN_PROTECTION };
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Failures inside the throttling window for a username and an IP
+   */
+  async getRecentFailures(username, ip) {
+    const since = Date.now() - LOGIN_PROTECTION.windowMinutes * MINUTE_MS;
+    const name = this.normalizeUsername(username);
+    const recent = await this.repository.find(a => !a.cleared && new Date(a.createdAt).getTime() > since);
+
+    const byUsername = recent.filter(a => a.username === name);
+    const byIp = ip ? recent.filter(a => a.ip === ip) : [];
+
+    return {
+      username: byUsername.length,
+      ip: byIp.length,
+      oldestUsernameFailure: byUsername[0] ? byUsername[0].createdAt : null,
+      oldestIpFailure: byIp[0] ? byIp[0].createdAt : null
+    };
+  }
+
+  /**
+   * Throw 429 when the username or IP has too many recent failures.
+   * Applies the same way to existing and unknown usernames.
+   */
+  async assertNotThrottled(username, ip) {
+    const failures = await this.getRecentFailures(username, ip);
+
+    const limited = [];
+    if (failures.username >= LOGIN_PROTECTION.maxFailuresPerUsername) {
+      limited.push(failures.oldestUsernameFailure);
+    }
+    if (failures.ip >= LOGIN_PROTECTION.maxFailuresPerIp) {
+      limited.push(failures.oldestIpFailure);
+    }
+
+    if (limited.length > 0) {
+      const windowEnds = limited.map(at => new Date(at).getTime() + LOGIN_PROTECTION.windowMinutes * MINUTE_MS);
+      throw this.throttledError(new Date(Math.max(...windowEnds)));
+    }
+  }
+
+  throttledError(until) {
+    const error = new Error(THROTTLED_MESSAGE);
+    error.statusCode = 429;
+    error.retryAfter = Math.max(Math.ceil((new Date(until).getTime() - Date.now()) / 1000), 1);
+    return error;
+  }
+
+  /**
+   * Store a failed login
+   * @param {object} attempt - { username, userId, ip, userAgent, reason }
+   */
+  async recordFailure({ username, userId = null, ip = null, userAgent = null, reason }) {
+    const entry = {
+      id: `ATTEMPT-${crypto.randomUUID()}`,
+      username: this.normalizeUsername(username),
+      userId,
+      ip,
+      userAgent,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+
+    const cutoff = Date.now() - LOGIN_PROTECTION.retentionDays * 24 * 60 * MINUTE_MS;
+    await this.repository.transaction(attempts => {
+      const keep = attempts.filter(a => new Date(a.createdAt).getTime() > cutoff);
+      attempts.splice(0, attempts.length, ...keep, entry);
+    });
+
+    return entry;
+  }
+
+  /**
+   * Progressive delay for the n-th consecutive failure
+   * (nothing for the first one, then doubling up to delayMaxMs)
+   */
+  getDelayMs(failureCount) {
+    if (failureCount <= 1) {
+      return 0;
+    }
+    return Math.min(LOGIN_PROTECTION.delayBaseMs * 2 ** (failureCount - 2), LOGIN_PROTECTION.delayMaxMs);
+  }
+
+  /**
+   * Lockout end for an account that reached the threshold
+   * @param {number} previousLockouts - Lockouts since the last successful login
+   */
+  getLockoutUntil(previousLockouts = 0) {
+    const minutes = Math.min(
+      LOGIN_PROTECTION.lockoutMinutes * 2 ** previousLockouts,
+      LOGIN_PROTECTION.maxLockoutMinutes
+    );
+    return new Date(Date.now() + minutes * MINUTE_MS).toISOString();
+  }
+
+  /**
+   * Clear the throttling window of a username (successful login or admin unlock)
+   */
+  async clearUsername(username) {
+    const name = this.normalizeUsername(username);
+    const since = Date.now() - LOGIN_PROTECTION.windowMinutes * MINUTE_MS;
+
+    // Failures stay in the log but are marked so they no longer count
+    await this.repository.transaction(attempts => {
+      attempts.forEach(a => {
+        if (a.username === name && !a.cleared && new Date(a.createdAt).getTime() > since) {
+          a.cleared = true;
+        }
+      });
+    });
+  }
+
+  /**
+   * List failed logins (newest first)
+   * @param {object} filters - { username, userId, ip, reason, since, page, limit }
+   */
+  async list(filters = {}) {
+    let attempts = await this.repository.findAll();
+
+    if (filters.username) {
+      const name = this.normalizeUsername(filters.username);
+      attempts = attempts.filter(a => a.username === name);
+    }
+    if (filters.userId) attempts = attempts.filter(a => a.userId === filters.userId);
+    if (filters.ip) attempts = attempts.filter(a => a.ip === filters.ip);
+    if (filters.reason) attempts = attempts.filter(a => a.reason === filters.reason);
+    if (filters.since) {
+      const since = new Date(filters.since).getTime();
+      attempts = attempts.filter(a => new Date(a.createdAt).getTime() >= since);
+    }
+
+    attempts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 50;
+    const startIndex = (page - 1) * limit;
+
+    return {
+      attempts: attempts.slice(startIndex, startIndex + limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(attempts.length / limit),
+        totalAttempts: attempts.length,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new LoginAttemptService();
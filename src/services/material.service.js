@@ -1,15 +1,17 @@
 // src/services/material.service.js - WITH FILE MANAGEMENT INTEGRATION AND CUSTOM FILENAME
-const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const approvalService = require('./approval.service');
+const supplierService = require('./supplier.service');
 const materialPdfGenerator = require('../utils/pdf-generator-material.util');
 const nodemailer = require('nodemailer');
-const MATERIALS_FILE = path.join(__dirname, '../../data/materials-requests/index.json');
-const COUNTER_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
 const STATIC_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
 
+const materialRepository = getRepository('materialRequests');
+
 // ✅ Email configuration with proper credential checks
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
 const EMAIL_PORT = parseInt(process.env.EMAIL_PORT || '587');
@@ -28,17 +30,11 @@ console.log('  - From:', EMAIL_FROM);
 class MaterialService {
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -84,49 +80,24 @@ class MaterialService {
   }
 
   async loadMaterialRequests() {
-    try {
-      const data = await fs.readFile(MATERIALS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') return [];
-      throw error;
-    }
+    return materialRepository.findAll();
   }
 
   async saveMaterialRequests(materials) {
-    await atomicWrite(MATERIALS_FILE, JSON.stringify(materials, null, 2));
+    await materialRepository.replaceAll(materials);
   }
 
   async loadCounter() {
-    try {
-      const data = await fs.readFile(COUNTER_FILE, 'utf8');
-      const counters = JSON.parse(data);
-      return counters.IMR || 0;
-    } catch (error) {
-      if (error.code === 'ENOENT') return 0;
-      throw error;
-    }
+    return numberingService.getCounter('materialRequest');
   }
 
   async saveCounter(counter) {
-    try {
-      let counters = {};
-      try {
-        const data = await fs.readFile(COUNTER_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') throw error;
-      }
-      counters.IMR = counter;
-      await atomicWrite(COUNTER_FILE, JSON.stringify(counters, null, 2));
-    } catch (error) {
-      throw error;
-    }
+    await numberingService.setCounter('materialRequest', counter);
   }
 
-  generateMRNumber(counter) {
-    const paddedNumber = String(counter).padStart(4, '0');
-    return `MR${paddedNumber}`;
+  async generateMRNumber(counter) {
+    const sequence = await numberingService.getSequence('materialRequest');
+    return numberingService.formatNumber(sequence, counter);
   }
 
   detectLanguage(text) {
@@ -189,16 +160,7 @@ class MaterialService {
     console.log('userRole:', userRole);
     console.log('Include Terms & Conditions PDF:', materialData.includeStaticFile);
     
-    const materials = await this.loadMaterialRequests();
-    
-    const counter = await this.loadCounter();
-    const newCounter = counter + 1;
-    
-    const paddedCounter = String(newCounter).padStart(4, '0');
-    const id = `MR-${paddedCounter}`;
-    const mrNumber = this.generateMRNumber(newCounter);
-    
-    await this.saveCounter(newCounter);
+    const { id, number: mrNumber } = await numberingService.next('materialRequest');
 
     const today = new Date().toISOString().split('T')[0];
     const detectedLanguage = materialData.forceLanguage || this.detectMaterialLanguage(materialData);
@@ -230,8 +192,8 @@ class MaterialService {
       updatedAt: new Date().toISOString()
     };
 
-    materials.push(newMaterialRequest);
-    await this.saveMaterialRequests(materials);
+    await approvalService.start('materialRequests', newMaterialRequest, userId);
+    await materialRepository.insert(newMaterialRequest);
 
     console.log('Material Request created with name:', newMaterialRequest.createdByName);
     console.log('Include Terms & Conditions:', newMaterialRequest.includeStaticFile);
@@ -239,20 +201,17 @@ class MaterialService {
   }
 
   async updateMaterialRequest(id, updateData, userId, userRole) {
-    const materials = await this.loadMaterialRequests();
-    const materialIndex = materials.findIndex(m => m.id === id);
+    const material = await materialRepository.findById(id);
 
-    if (materialIndex === -1) {
+    if (!material) {
       throw new Error('Material Request not found');
     }
 
-    const material = materials[materialIndex];
+    assertVersion(material, updateData.version);
+    const expectedVersion = getVersion(material);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (material.createdBy !== userId) {
-        throw new Error('Access denied: You can only edit your own Material Requests');
-      }
-    }
+    await visibilityService.assertVisible('materialRequests', material, userId, userRole, 'edit');
+    approvalService.assertEditable('materialRequests', material);
 
     if (updateData.date) material.date = updateData.date;
     if (updateData.section !== undefined) material.section = updateData.section;
@@ -261,15 +220,14 @@ class MaterialService {
     if (updateData.requestReason !== undefined) material.requestReason = updateData.requestReason;
     if (updateData.items) material.items = updateData.items;
     if (updateData.additionalNotes !== undefined) material.additionalNotes = updateData.additionalNotes;
-    if (updateData.status) material.status = updateData.status;
     if (updateData.includeStaticFile !== undefined) material.includeStaticFile = updateData.includeStaticFile;
 
     const detectedLanguage = updateData.forceLanguage || this.detectMaterialLanguage(material);
     material.language = detectedLanguage;
     material.updatedAt = new Date().toISOString();
 
-    materials[materialIndex] = material;
-    await this.saveMaterialRequests(materials);
+    await approvalService.restartIfInProgress('materialRequests', material, userId);
+    await materialRepository.update(id, material, { expectedVersion });
 
     const createdByName = await this.getUserNameById(material.createdBy);
 
@@ -410,19 +368,16 @@ class MaterialService {
       finalPdfResult.mergeError = mergeError.message;
     }
 
-    const materials = await this.loadMaterialRequests();
-    const materialIndex = materials.findIndex(m => m.id === id);
-
-    if (materialIndex !== -1) {
-      materials[materialIndex].pdfFilename = finalPdfResult.filename;
-      materials[materialIndex].pdfLanguage = finalPdfResult.language;
-      materials[materialIndex].pdfGeneratedAt = new Date().toISOString();
-      materials[materialIndex].pdfMerged = finalPdfResult.merged || false;
-      if (finalPdfResult.pageCount) {
-        materials[materialIndex].pdfPageCount = finalPdfResult.pageCount;
-      }
-      await this.saveMaterialRequests(materials);
+    const pdfMetadata = {
+      pdfFilename: finalPdfResult.filename,
+      pdfLanguage: finalPdfResult.language,
+      pdfGeneratedAt: new Date().toISOString(),
+      pdfMerged: finalPdfResult.merged || false
+    };
+    if (finalPdfResult.pageCount) {
+      pdfMetadata.pdfPageCount = finalPdfResult.pageCount;
     }
+    await materialRepository.update(id, pdfMetadata, { keepVersion: true });
 
     console.log('════════════════════════════════════════════════════════════');
     console.log('✅ PDF generation complete!');
@@ -439,9 +394,7 @@ class MaterialService {
 
     materials = await this.enrichMaterialsWithCreatorNames(materials);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      materials = materials.filter(m => m.createdBy === userId);
-    }
+    materials = await visibilityService.filterVisible('materialRequests', materials, userId, userRole);
 
     if (filters.mrNumber) {
       materials = materials.filter(m => 
@@ -455,6 +408,7 @@ class MaterialService {
     if (filters.project) materials = materials.filter(m => m.project.toLowerCase().includes(filters.project.toLowerCase()));
     if (filters.priority) materials = materials.filter(m => m.requestPriority === filters.priority);
     if (filters.status) materials = materials.filter(m => m.status === filters.status);
+    if (filters.orderStatus) materials = materials.filter(m => (m.orderStatus || 'not_ordered') === filters.orderStatus);
 
     if (filters.search) {
       const searchLower = filters.search.toLowerCase();
@@ -488,16 +442,10 @@ class MaterialService {
   }
 
   async getMaterialRequestById(id, userId, userRole) {
-    const materials = await this.loadMaterialRequests();
-    const material = materials.find(m => m.id === id);
+    const material = await materialRepository.findById(id);
 
     if (!material) throw new Error('Material Request not found');
-
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (material.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own Material Requests');
-      }
-    }
+    await visibilityService.assertVisible('materialRequests', material, userId, userRole, 'view');
 
     const createdByName = await this.getUserNameById(material.createdBy);
 
@@ -510,14 +458,19 @@ class MaterialService {
   /**
    * ✅ DELETE MATERIAL REQUEST - WITH FILE MANAGEMENT INTEGRATION (like price-quote)
    */
-  async deleteMaterialRequest(id) {
-    const materials = await this.loadMaterialRequests();
-    const materialIndex = materials.findIndex(m => m.id === id);
+  async deleteMaterialRequest(id, userId, userRole) {
+    const material = await materialRepository.findById(id);
 
-    if (materialIndex === -1) throw new Error('Material Request not found');
+    if (!material) throw new Error('Material Request not found');
+
+    await visibilityService.assertVisible('materialRequests', material, userId, userRole, 'delete');
+
+    if (material.conversions && material.conversions.length > 0) {
+      const error = new Error(`Material Request has linked documents (${material.conversions.map(c => c.number).join(', ')}); delete them first`);
+      error.statusCode = 409;
+      throw error;
+    }
 
-    const material = materials[materialIndex];
-    
     // ✅ DELETE FROM FILE MANAGEMENT (like price-quote)
     if (material.pdfFilename) {
       const fileManagementService = require('./File-management.service');
@@ -539,24 +492,304 @@ class MaterialService {
       }
     }
 
-    materials.splice(materialIndex, 1);
-    await this.saveMaterialRequests(materials);
+    await materialRepository.remove(id);
 
     return { message: 'Material Request deleted successfully' };
   }
 
+  /**
+   * Ordered quantity and order status of every line (from the PO conversions)
+   * - orderStatus: not_ordered | partially_ordered | ordered
+   */
+  applyOrderStatus(material) {
+    const conversions = material.conversions || [];
+
+    material.items = (material.items || []).map((item, index) => {
+      const line = index + 1;
+      const orderedQuantity = conversions
+        .filter(c => c.type === 'purchaseOrder')
+        .reduce((sum, c) => sum + c.lines
+          .filter(l => l.line === line)
+          .reduce((lineSum, l) => lineSum + l.quantity, 0), 0);
+      const quantity = parseFloat(item.quantity) || 0;
+
+      let orderStatus = 'not_ordered';
+      if (orderedQuantity > 0) {
+        orderStatus = orderedQuantity >= quantity ? 'ordered' : 'partially_ordered';
+      }
+
+      return {
+        ...item,
+        orderedQuantity,
+        remainingQuantity: Math.max(quantity - orderedQuantity, 0),
+        orderStatus,
+        rfqNumbers: conversions
+          .filter(c => c.type === 'rfq' && c.lines.some(l => l.line === line))
+          .map(c => c.number)
+      };
+    });
+
+    const statuses = material.items.map(item => item.orderStatus);
+    if (statuses.length > 0 && statuses.every(status => status === 'ordered')) {
+      material.orderStatus = 'ordered';
+    } else if (statuses.some(status => status !== 'not_ordered')) {
+      material.orderStatus = 'partially_ordered';
+    } else {
+      material.orderStatus = 'not_ordered';
+    }
+
+    return material;
+  }
+
+  /**
+   * ✅ CONVERT AN APPROVED MATERIAL REQUEST INTO RFQs (one per supplier) OR A PURCHASE ORDER
+   * @param {object} options - {
+   *   target: 'rfq' | 'purchaseOrder',
+   *   suppliers: ['Supplier A', { supplierId } or { supplier, supplierAddress, supplierPhone }] (exactly one for a PO),
+   *   lines: [{ line, quantity, unitPrice }] (default: every line, or every line still to order for a PO),
+   *   notes, urgent (RFQ), taxRate / receiver / receiverCity / receiverAddress / receiverPhone (PO)
+   * }
+   * @returns {object} { materialRequest, documents }
+   */
+  async convertMaterialRequest(id, options, userId, userRole) {
+    const material = await materialRepository.findById(id);
+
+    if (!material) throw new Error('Material Request not found');
+
+    await visibilityService.assertVisible('materialRequests', material, userId, userRole, 'convert');
+
+    if (material.status !== 'approved') {
+      const error = new Error(`Material Request is ${material.status}; only approved requests can be converted`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const { target } = options;
+    if (!['rfq', 'purchaseOrder'].includes(target)) {
+      const error = new Error('Target must be "rfq" or "purchaseOrder"');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const suppliers = (Array.isArray(options.suppliers) ? options.suppliers : [])
+      .map(s => (typeof s === 'string' ? { supplier: s } : s || {}))
+      .filter(s => s.supplierId || (s.supplier && String(s.supplier).trim()));
+    if (suppliers.length === 0 || (target === 'purchaseOrder' && suppliers.length !== 1)) {
+      const error = new Error(target === 'rfq'
+        ? 'At least one supplier is required'
+        : 'Exactly one supplier is required for a Purchase Order');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const expectedVersion = getVersion(material);
+    const tracked = this.applyOrderStatus({ ...material });
+
+    // Lines to carry over
+    let lines = options.lines;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      lines = tracked.items
+        .map((item, index) => ({ line: index + 1, quantity: target === 'rfq' ? parseFloat(item.quantity) || 0 : item.remainingQuantity }))
+        .filter(l => l.quantity > 0);
+    }
+
+    const problems = [];
+    const seenLines = new Set();
+    lines = lines.map(l => {
+      const line = parseInt(l.line);
+      const item = tracked.items[line - 1];
+      const quantity = l.quantity === undefined || l.quantity === ''
+        ? (item ? (target === 'rfq' ? parseFloat(item.quantity) || 0 : item.remainingQuantity) : 0)
+        : parseFloat(l.quantity);
+
+      // Each line once per call, so the remaining-quantity check covers the whole order
+      const duplicate = seenLines.has(line);
+      seenLines.add(line);
+
+      if (!item) {
+        problems.push(`line ${l.line} does not exist`);
+      } else if (duplicate) {
+        problems.push(`line ${line} is listed more than once`);
+      } else if (isNaN(quantity) || quantity <= 0) {
+        problems.push(`line ${line}: quantity must be a positive number`);
+      } else if (target === 'purchaseOrder' && quantity > item.remainingQuantity) {
+        problems.push(`line ${line}: quantity ${quantity} exceeds the remaining ${item.remainingQuantity}`);
+      }
+      return { line, quantity, unitPrice: l.unitPrice };
+    });
+
+    if (lines.length === 0) {
+      problems.push('no lines left to order');
+    }
+    if (problems.length > 0) {
+      const error = new Error(`Cannot convert Material Request: ${problems.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const source = { id: material.id, mrNumber: material.mrNumber };
+    const toItem = ({ line, quantity, unitPrice }) => ({
+      description: material.items[line - 1].description,
+      unit: material.items[line - 1].unit,
+      quantity,
+      ...(target === 'rfq'
+        ? { estimatedUnitPrice: unitPrice || '' }
+        : { unitPrice: unitPrice || '' }),
+      sourceLine: line
+    });
+
+    // Linked suppliers are checked up front so a bad one does not leave half the documents created
+    for (const supplier of suppliers.filter(s => s.supplierId)) {
+      await supplierService.getSnapshot(supplier.supplierId);
+    }
+
+    // Lazy requires: both services link back to material requests
+    const documents = [];
+    try {
+      if (target === 'rfq') {
+        const rfqService = require('./rfq.service');
+        for (const supplier of suppliers) {
+          documents.push(await rfqService.createRFQ({
+            production: material.section,
+            supplierId: supplier.supplierId,
+            supplier: supplier.supplier,
+            supplierAddress: supplier.supplierAddress,
+            urgent: options.urgent !== undefined
+              ? options.urgent === true || options.urgent === 'true'
+              : String(material.requestPriority).toLowerCase() === 'urgent',
+            items: lines.map(toItem),
+            notes: options.notes,
+            project: material.project,
+            sourceMaterialRequest: source
+          }, userId, userRole));
+        }
+      } else {
+        const purchaseService = require('./purchase.service');
+        const [supplier] = suppliers;
+        documents.push(await purchaseService.createPO({
+          supplierId: supplier.supplierId,
+          supplier: supplier.supplier,
+          supplierAddress: supplier.supplierAddress,
+          supplierPhone: supplier.supplierPhone,
+          receiver: options.receiver,
+          receiverCity: options.receiverCity,
+          receiverAddress: options.receiverAddress,
+          receiverPhone: options.receiverPhone,
+          taxRate: options.taxRate,
+          items: lines.map(toItem),
+          notes: options.notes,
+          project: material.project,
+          sourceMaterialRequest: source
+        }, userId, userRole));
+      }
+
+      const now = new Date().toISOString();
+      const conversions = [
+        ...(material.conversions || []),
+        ...documents.map(doc => ({
+          type: target,
+          id: doc.id,
+          number: target === 'rfq' ? doc.rfqNumber : doc.poNumber,
+          supplier: doc.supplier,
+          lines: lines.map(({ line, quantity }) => ({ line, quantity })),
+          createdBy: userId,
+          createdAt: now
+        }))
+      ];
+
+      const updated = this.applyOrderStatus({ ...material, conversions });
+      await materialRepository.update(id, {
+        conversions,
+        items: updated.items,
+        orderStatus: updated.orderStatus,
+        updatedAt: now
+      }, { expectedVersion });
+    } catch (error) {
+      // A supplier failed partway, or the request was converted concurrently:
+      // drop the documents created above so none is left without its link
+      const repository = getRepository(target === 'rfq' ? 'rfqs' : 'purchases');
+      for (const doc of documents) {
+        await repository.remove(doc.id).catch(removeError =>
+          console.error(`❌ Could not remove ${doc.id} after a failed conversion:`, removeError.message));
+      }
+      throw error;
+    }
+
+    return {
+      materialRequest: await this.getMaterialRequestById(id, userId, userRole),
+      documents
+    };
+  }
+
+  /**
+   * Stored request with the ordered and remaining quantity of every line (null if not found)
+   */
+  async getOpenQuantities(materialId) {
+    const material = await materialRepository.findById(materialId);
+    return material ? this.applyOrderStatus(material) : null;
+  }
+
+  /**
+   * Add a link to an RFQ/PO created from this request elsewhere (e.g. an awarded RFQ).
+   * Runs under the material request write lock; a PO may not order more of a line
+   * than is still open (409).
+   * @param {object} conversion - { type, id, number, supplier, lines: [{ line, quantity }], createdBy, createdAt }
+   */
+  async linkConversion(materialId, conversion) {
+    await materialRepository.transaction(materials => {
+      const material = materials.find(m => m.id === materialId);
+      if (!material) return;
+
+      if (conversion.type === 'purchaseOrder') {
+        const tracked = this.applyOrderStatus({ ...material });
+        const over = conversion.lines.filter(l => {
+          const item = tracked.items[l.line - 1];
+          return item && l.quantity > item.remainingQuantity;
+        });
+
+        if (over.length > 0) {
+          const error = new Error(`Cannot order more than ${material.mrNumber} still needs: ${over
+            .map(l => `line ${l.line} has ${tracked.items[l.line - 1].remainingQuantity} left, ${l.quantity} ordered`)
+            .join('; ')}`);
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+
+      material.conversions = [...(material.conversions || []), conversion];
+      this.applyOrderStatus(material);
+      material.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Remove the link to a converted RFQ/PO (called when that document is deleted)
+   */
+  async removeConversion(materialId, documentId) {
+    await materialRepository.transaction(materials => {
+      const material = materials.find(m => m.id === materialId);
+      if (!material || !material.conversions) return;
+
+      const conversions = material.conversions.filter(c => c.id !== documentId);
+      if (conversions.length === material.conversions.length) return;
+
+      material.conversions = conversions;
+      this.applyOrderStatus(material);
+      material.updatedAt = new Date().toISOString();
+    });
+  }
+
   async getMaterialStats(userId, userRole) {
     let materials = await this.loadMaterialRequests();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      materials = materials.filter(m => m.createdBy === userId);
-    }
+    materials = await visibilityService.filterVisible('materialRequests', materials, userId, userRole);
 
     const stats = {
       totalMaterials: materials.length,
       pending: materials.filter(m => m.status === 'pending').length,
       approved: materials.filter(m => m.status === 'approved').length,
       rejected: materials.filter(m => m.status === 'rejected').length,
+      returned: materials.filter(m => m.status === 'returned').length,
       thisMonth: 0,
       thisWeek: 0,
       today: 0
@@ -601,7 +834,7 @@ class MaterialService {
       oldCounter,
       newCounter: 0,
       deletedMaterials: deletedCount,
-      nextIMRNumber: this.generateMRNumber(1),
+      nextIMRNumber: await this.generateMRNumber(1),
       message: `Counter reset to 0 and ${deletedCount} Material Request(s) deleted`
     };
   }
@@ -0,0 +1,398 @@
+// src/services/numbering.service.js
+const fs = require('fs').promises;
+const path = require('path');
+const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository } = require('../utils/repository.util');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const COUNTERS_FILE = path.join(DATA_DIR, 'counters.json');
+const SETTINGS_FILE = path.join(DATA_DIR, 'numbering.json');
+
+/**
+ * Document number sequences
+ * - counterKey: key in counters.json (kept compatible with the old per-service counters)
+ * - prefix/separator/includeYear/padding: number format, e.g. PO00042 or PO-2026-00042
+ * - resetYearly: restart the sequence at 1 every calendar year
+ * - idPrefix: prefix of the record ID (null when the number itself is the ID)
+ * - collection/field: where issued numbers are stored (used for seeding and gap audits)
+ */
+const SEQUENCES = {
+  purchaseOrder: { counterKey: 'PO', prefix: 'PO', padding: 5, idPrefix: 'PO', collection: 'purchases', field: 'poNumber' },
+  rfq: { counterKey: 'RFQ', prefix: 'RFQ', padding: 4, idPrefix: 'RFQ', collection: 'rfqs', field: 'rfqNumber' },
+  receipt: { counterKey: 'RECEIPT', prefix: 'DN', padding: 4, idPrefix: 'RECEIPT', collection: 'receipts', field: 'receiptNumber' },
+  goodsReceipt: { counterKey: 'GRN', prefix: 'GRN', padding: 4, idPrefix: 'GRN', collection: 'goodsReceipts', field: 'grnNumber' },
+  materialRequest: { counterKey: 'IMR', prefix: 'MR', padding: 4, idPrefix: 'MR', collection: 'materialRequests', field: 'mrNumber' },
+  costingSheet: { counterKey: 'ICS', prefix: 'CS', padding: 4, idPrefix: 'CS', collection: 'costingSheets', field: 'csNumber' },
+  quotation: { counterKey: 'QUOTATION', prefix: 'Q', padding: 4, idPrefix: 'QUOTE', collection: 'quotations', field: 'quoteNumber' },
+  proformaInvoice: { counterKey: 'PROFORMA', prefix: 'PI', padding: 4, idPrefix: 'INVOICE', collection: 'proformaInvoices', field: 'invoiceNumber' },
+  cuttingJob: { counterKey: 'cuttingJobs', prefix: 'LC', padding: 4, idPrefix: null, collection: 'cuttingJobs', field: 'id' },
+  supplier: { counterKey: 'SUP', prefix: 'SUP', padding: 4, idPrefix: null, collection: 'suppliers', field: 'id' },
+  client: { counterKey: 'CL', prefix: 'CL', padding: 4, idPrefix: null, collection: 'clients', field: 'id' },
+  item: { counterKey: 'IT', prefix: 'IT', padding: 4, idPrefix: null, collection: 'items', field: 'id' }
+};
+
+/**
+ * Where records with a generic ID (nextId) are stored, so a counter used for
+ * the first time starts after the highest ID that already exists
+ * - file: plain JSON array file, or collection: repository collection
+ * - ids: IDs of a stored record carrying this prefix (defaults to record.id)
+ */
+const ID_SOURCES = {
+  USER: { collection: 'users' },
+  FORM: { file: 'secretariat-forms/index.json' },
+  UFORM: { file: 'secretariat-forms/user-forms.json' },
+  NOTIF: { file: 'secretariat-forms/notifications.json' },
+  STK: { collection: 'stockMovements' },
+  TRF: { collection: 'stockMovements', ids: doc => [doc.transferId] },
+  SHT: { collection: 'sheetStock' },
+  SDOC: { collection: 'suppliers', ids: doc => (doc.documents || []).map(document => document.id) },
+  SINV: { collection: 'purchases', ids: doc => (doc.supplierInvoices || []).map(invoice => invoice.id) }
+};
+
+const FORMAT_DEFAULTS = {
+  separator: '',
+  includeYear: false,
+  resetYearly: false
+};
+
+const EDITABLE_FIELDS = ['prefix', 'separator', 'includeYear', 'padding', 'resetYearly'];
+
+class NumberingService {
+  /**
+   * Load format overrides saved by administrators
+   */
+  async loadSettings() {
+    try {
+      const data = await fs.readFile(SETTINGS_FILE, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the effective configuration of a sequence
+   */
+  async getSequence(type) {
+    const base = SEQUENCES[type];
+    if (!base) {
+      const error = new Error(`Unknown numbering sequence "${type}". Valid sequences: ${Object.keys(SEQUENCES).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const settings = await this.loadSettings();
+    return { type, ...FORMAT_DEFAULTS, ...base, ...(settings[type] || {}) };
+  }
+
+  /**
+   * Counter key for a sequence in a given year
+   */
+  getCounterKey(sequence, year) {
+    return sequence.resetYearly ? `${sequence.counterKey}:${year}` : sequence.counterKey;
+  }
+
+  /**
+   * Format a sequence value as a document number (e.g. PO-2026-00042)
+   */
+  formatNumber(sequence, value, year = new Date().getFullYear()) {
+    const parts = [sequence.prefix];
+    if (sequence.includeYear) {
+      parts.push(String(year));
+    }
+    parts.push(String(value).padStart(sequence.padding, '0'));
+    return parts.join(sequence.separator);
+  }
+
+  /**
+   * Format the record ID for a sequence value
+   */
+  formatId(sequence, value, year = new Date().getFullYear()) {
+    if (!sequence.idPrefix) {
+      return this.formatNumber(sequence, value, year);
+    }
+
+    const padded = String(value).padStart(sequence.padding, '0');
+    return sequence.resetYearly
+      ? `${sequence.idPrefix}-${year}-${padded}`
+      : `${sequence.idPrefix}-${padded}`;
+  }
+
+  /**
+   * Parse a document number issued by a sequence
+   * @returns {object|null} { year, value } or null if it does not match the format
+   */
+  parseNumber(sequence, number) {
+    if (typeof number !== 'string') {
+      return null;
+    }
+
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const yearPart = sequence.includeYear ? `(\\d{4})${escape(sequence.separator)}` : '';
+    const pattern = new RegExp(`^${escape(sequence.prefix)}${escape(sequence.separator)}${yearPart}(\\d+)$`);
+    const match = number.match(pattern);
+
+    if (!match) {
+      return null;
+    }
+
+    return sequence.includeYear
+      ? { year: parseInt(match[1]), value: parseInt(match[2]) }
+      : { year: null, value: parseInt(match[1]) };
+  }
+
+  /**
+   * Highest value already used in the collection (seeds new counters so
+   * switching to this service never re-issues an existing number)
+   */
+  async findHighestIssued(sequence, year) {
+    const docs = await getRepository(sequence.collection).findAll();
+
+    return docs.reduce((max, doc) => {
+      const parsed = this.parseNumber(sequence, doc[sequence.field]);
+      if (!parsed) return max;
+      if (sequence.resetYearly && parsed.year !== null && parsed.year !== year) return max;
+      return Math.max(max, parsed.value);
+    }, 0);
+  }
+
+  /**
+   * Atomically issue the next number of a sequence
+   * @returns {Promise<object>} { type, year, sequence, number, id }
+   */
+  async next(type) {
+    const sequence = await this.getSequence(type);
+    const year = new Date().getFullYear();
+    const key = this.getCounterKey(sequence, year);
+    const seed = await this.findHighestIssued(sequence, year);
+
+    let value;
+    await atomicWrite.updateJSON(COUNTERS_FILE, counters => {
+      value = Math.max(counters[key] || 0, seed) + 1;
+      counters[key] = value;
+    });
+
+    return {
+      type,
+      year,
+      sequence: value,
+      number: this.formatNumber(sequence, value, year),
+      id: this.formatId(sequence, value, year)
+    };
+  }
+
+  /**
+   * Highest generic ID already stored for a prefix (e.g. 1 for USER-0001)
+   */
+  async findHighestId(prefix) {
+    const source = ID_SOURCES[prefix];
+    if (!source) {
+      return 0;
+    }
+
+    let docs = [];
+    if (source.collection) {
+      docs = await getRepository(source.collection).findAll();
+    } else {
+      try {
+        docs = JSON.parse(await fs.readFile(path.join(DATA_DIR, source.file), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+    const getIds = source.ids || (doc => [doc.id]);
+
+    return (Array.isArray(docs) ? docs : []).reduce((max, doc) => {
+      getIds(doc).forEach(id => {
+        const match = typeof id === 'string' && id.match(pattern);
+        if (match) max = Math.max(max, parseInt(match[1]));
+      });
+      return max;
+    }, 0);
+  }
+
+  /**
+   * Atomically issue a generic sequential ID (e.g. USER-0001)
+   * Used for records that have no document number of their own.
+   * A prefix without a counter yet is seeded from the stored records.
+   */
+  async nextId(prefix) {
+    const counters = await this.readCounters();
+    const seed = counters[prefix] === undefined ? await this.findHighestId(prefix) : 0;
+
+    let value;
+    await atomicWrite.updateJSON(COUNTERS_FILE, counters => {
+      value = Math.max(counters[prefix] || 0, seed) + 1;
+      counters[prefix] = value;
+    });
+
+    return `${prefix}-${String(value).padStart(4, '0')}`;
+  }
+
+  /**
+   * Read a counter (sequence type or raw counters.json key)
+   */
+  async getCounter(typeOrKey) {
+    const key = await this.resolveCounterKey(typeOrKey);
+    const counters = await this.readCounters();
+    return counters[key] || 0;
+  }
+
+  async readCounters() {
+    try {
+      const data = await fs.readFile(COUNTERS_FILE, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set a counter (sequence type or raw counters.json key)
+   */
+  async setCounter(typeOrKey, value) {
+    const key = await this.resolveCounterKey(typeOrKey);
+    await atomicWrite.updateJSON(COUNTERS_FILE, counters => {
+      counters[key] = value;
+    });
+  }
+
+  async resolveCounterKey(typeOrKey) {
+    if (!SEQUENCES[typeOrKey]) {
+      return typeOrKey;
+    }
+
+    const sequence = await this.getSequence(typeOrKey);
+    return this.getCounterKey(sequence, new Date().getFullYear());
+  }
+
+  /**
+   * List all sequences with their current counter and next number preview
+   */
+  async getSequences() {
+    const year = new Date().getFullYear();
+
+    return Promise.all(Object.keys(SEQUENCES).map(async type => {
+      const sequence = await this.getSequence(type);
+      const current = await this.getCounter(type);
+      return {
+        ...sequence,
+        current,
+        nextNumber: this.formatNumber(sequence, current + 1, year)
+      };
+    }));
+  }
+
+  /**
+   * Change the number format of a sequence (super admin)
+   */
+  async updateFormat(type, changes) {
+    await this.getSequence(type);
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    });
+
+    if (updates.prefix !== undefined && !/^[A-Za-z0-9]{1,10}$/.test(updates.prefix)) {
+      const error = new Error('Prefix must be 1-10 letters or digits');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (updates.separator !== undefined && !['', '-', '/', '_'].includes(updates.separator)) {
+      const error = new Error('Separator must be one of: "", "-", "/", "_"');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (updates.padding !== undefined) {
+      updates.padding = parseInt(updates.padding);
+      if (isNaN(updates.padding) || updates.padding < 1 || updates.padding > 10) {
+        const error = new Error('Padding must be between 1 and 10');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    ['includeYear', 'resetYearly'].forEach(field => {
+      if (updates[field] !== undefined) {
+        updates[field] = updates[field] === true || updates[field] === 'true';
+      }
+    });
+
+    await atomicWrite.updateJSON(SETTINGS_FILE, settings => {
+      settings[type] = { ...(settings[type] || {}), ...updates };
+    });
+
+    return this.getSequence(type);
+  }
+
+  /**
+   * Audit a sequence for gaps and duplicates
+   * Compares every number issued so far (1..counter) with the numbers that
+   * actually exist in the collection.
+   */
+  async auditGaps(type) {
+    const sequence = await this.getSequence(type);
+    const year = new Date().getFullYear();
+    const lastIssued = await this.getCounter(type);
+    const docs = await getRepository(sequence.collection).findAll();
+
+    const seen = new Map();
+    const unparsed = [];
+
+    docs.forEach(doc => {
+      const number = doc[sequence.field];
+      const parsed = this.parseNumber(sequence, number);
+      if (!parsed) {
+        if (number) unparsed.push(number);
+        return;
+      }
+      if (sequence.resetYearly && parsed.year !== null && parsed.year !== year) return;
+
+      seen.set(parsed.value, (seen.get(parsed.value) || 0) + 1);
+    });
+
+    const missing = [];
+    for (let value = 1; value <= lastIssued; value++) {
+      if (!seen.has(value)) {
+        missing.push(this.formatNumber(sequence, value, year));
+      }
+    }
+
+    const duplicates = [];
+    seen.forEach((count, value) => {
+      if (count > 1) {
+        duplicates.push({ number: this.formatNumber(sequence, value, year), count });
+      }
+    });
+
+    const beyondCounter = [...seen.keys()]
+      .filter(value => value > lastIssued)
+      .map(value => this.formatNumber(sequence, value, year));
+
+    return {
+      type,
+      year: sequence.resetYearly ? year : null,
+      lastIssued,
+      totalRecords: docs.length,
+      missing,
+      duplicates,
+      beyondCounter,
+      unparsed
+    };
+  }
+}
+
+module.exports = new NumberingService();
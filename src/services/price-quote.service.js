@@ -1,23 +1,55 @@
 // src/services/price-quote.service.js - UPDATED WITH CUSTOM FILENAME PATTERN
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument } = require('pdf-lib');
-const atomicWrite = require('../utils/atomic-write.util');
-const { generateId } = require('../utils/quotes-id-generator.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const clientService = require('./client.service');
+const emailService = require('../utils/email.util');
 const nodemailer = require('nodemailer');
 const pdfPoppler = require('pdf-poppler');
 const sharp = require('sharp');
 
-const QUOTES_FILE = path.join(__dirname, '../../data/quotations/index.json');
 const QUOTES_DIR = path.join(__dirname, '../../data/quotations');
 const PDF_DIR = path.join(__dirname, '../../data/quotations/pdfs');
 const AR_UPLOADS_DIR = path.join(__dirname, '../../data/quotations/AR-Uploads');
 const EN_UPLOADS_DIR = path.join(__dirname, '../../data/quotations/EN-Uploads');
+const REVISIONS_DIR = path.join(__dirname, '../../data/quotations/pdfs/revisions');
 const LOGO_PATH = path.join(__dirname, '../../assets/images/OmegaLogo.png');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+
+const quoteRepository = getRepository('quotations');
+
+// Fields that make up one revision of a quote; earlier revisions are kept in quote.revisions
+const REVISION_FIELDS = [
+  'revNumber', 'clientId', 'clientSnapshot', 'clientName', 'clientPhone', 'clientAddress', 'clientCity',
+  'projectName', 'date', 'validForDays', 'language', 'includeTax', 'taxRate', 'items', 'customNotes',
+  'includeStaticFile', 'subtotal', 'taxAmount', 'total'
+];
+const DIFF_FIELDS = REVISION_FIELDS.filter(field => !['revNumber', 'clientSnapshot', 'items'].includes(field));
+const ITEM_DIFF_FIELDS = ['description', 'unit', 'quantity', 'unitPrice'];
+
+// Quote lifecycle: draft and sent quotes are open and expire once date + validForDays has passed
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'expired'];
+const OPEN_STATUSES = ['draft', 'sent'];
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'rejected'],
+  sent: ['accepted', 'rejected'],
+  expired: ['rejected'],
+  accepted: [],
+  rejected: []
+};
+const LOST_REASONS = ['price', 'delivery_time', 'competitor', 'specification', 'no_response', 'project_cancelled', 'other'];
+const EXPIRY_WARNING_DAYS = parseInt(process.env.QUOTE_EXPIRY_WARNING_DAYS || '3');
+const DAY_MS = 86400000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysUntil = date => Math.round((new Date(date) - new Date(today())) / DAY_MS);
 
 // ✅ Path to static terms and conditions PDF
 const STATIC_TERMS_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
@@ -41,17 +73,11 @@ console.log('  - From:', EMAIL_FROM);
 class PriceQuoteService {
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -120,10 +146,6 @@ class PriceQuoteService {
           await fs.mkdir(dir, { recursive: true });
         }
       }
-
-      if (!fsSync.existsSync(QUOTES_FILE)) {
-        await atomicWrite.writeFile(QUOTES_FILE, JSON.stringify([], null, 2));
-      }
     } catch (error) {
       console.error('Error initializing price quotes:', error);
       throw error;
@@ -171,8 +193,7 @@ class PriceQuoteService {
   async loadQuotes() {
     try {
       await this.initialize();
-      const data = await fs.readFile(QUOTES_FILE, 'utf8');
-      return JSON.parse(data);
+      return await quoteRepository.findAll();
     } catch (error) {
       console.error('Error loading quotes:', error);
       return [];
@@ -180,20 +201,11 @@ class PriceQuoteService {
   }
 
   async saveQuotes(quotes) {
-    await atomicWrite.writeFile(QUOTES_FILE, JSON.stringify(quotes, null, 2));
+    await quoteRepository.replaceAll(quotes);
   }
 
   async generateQuoteNumber() {
-    const quotes = await this.loadQuotes();
-    if (quotes.length === 0) return 'Q0001';
-
-    const numbers = quotes.map(q => {
-      const match = q.quoteNumber.match(/Q(\d+)/);
-      return match ? parseInt(match[1]) : 0;
-    });
-
-    const maxNumber = Math.max(...numbers);
-    return `Q${(maxNumber + 1).toString().padStart(4, '0')}`;
+    return numberingService.next('quotation');
   }
 
   calculateTotals(items, includeTax, taxRate) {
@@ -628,16 +640,17 @@ class PriceQuoteService {
     console.log('quoteData.projectName:', quoteData.projectName);
     console.log('quoteData.includeStaticFile:', quoteData.includeStaticFile);
     
-    const quotes = await this.loadQuotes();
-    const quoteNumber = await this.generateQuoteNumber();
+    const { id, number: quoteNumber } = await this.generateQuoteNumber();
 
     const createdByName = await this.getUserNameById(currentUser.id);
     console.log('getUserNameById returned:', createdByName);
     console.log('==========================\n');
 
     const newQuote = {
-      id: generateId('QUOTE'),
+      id,
       quoteNumber,
+      clientId: null,
+      clientSnapshot: null,
       clientName: quoteData.clientName,
       clientPhone: quoteData.clientPhone,
       clientAddress: quoteData.clientAddress || null,
@@ -645,6 +658,14 @@ class PriceQuoteService {
       projectName: quoteData.projectName || null,
       date: quoteData.date,
       revNumber: quoteData.revNumber || '00',
+      revisions: [],
+      sent: null,
+      sentRevision: null,
+      status: 'draft',
+      lostReason: null,
+      lostNote: null,
+      closedAt: null,
+      closedBy: null,
       validForDays: quoteData.validForDays || null,
       language: quoteData.language || 'arabic',
       includeTax: !!quoteData.includeTax,
@@ -652,16 +673,31 @@ class PriceQuoteService {
       items: quoteData.items || [],
       customNotes: quoteData.customNotes || null,
       includeStaticFile: quoteData.includeStaticFile || false,
+      sourceCostingSheet: quoteData.sourceCostingSheet || null,
+      costBasis: quoteData.costBasis || null,
       createdBy: currentUser.id,
       createdByName: createdByName || currentUser.name || 'Unknown User', 
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
+    if (quoteData.clientId) {
+      const client = await clientService.getSnapshot(quoteData.clientId);
+      this.applyClient(newQuote, client, quoteData);
+
+      // Language and tax follow the client's defaults unless sent with the quote
+      if (!quoteData.language) newQuote.language = client.defaultLanguage;
+      if (quoteData.includeTax === undefined && client.defaultTaxRate > 0) {
+        newQuote.includeTax = true;
+        newQuote.taxRate = client.defaultTaxRate;
+      }
+    }
+
     const totals = this.calculateTotals(newQuote.items, newQuote.includeTax, newQuote.taxRate);
     newQuote.subtotal = totals.subtotal;
     newQuote.taxAmount = totals.taxAmount;
     newQuote.total = totals.total;
+    newQuote.costWarnings = this.getCostWarnings(newQuote);
 
     let attachmentPath = null;
     if (attachmentFile) {
@@ -672,24 +708,48 @@ class PriceQuoteService {
     const pdfPath = await this.generatePDF(newQuote, attachmentPath, newQuote.includeStaticFile);
     newQuote.pdfPath = pdfPath;
 
-    quotes.push(newQuote);
-    await this.saveQuotes(quotes);
+    await quoteRepository.insert(newQuote);
 
     console.log('Quote created with name:', newQuote.createdByName);
     console.log('Quote created with projectName:', newQuote.projectName);
     console.log('Quote created with includeStaticFile:', newQuote.includeStaticFile);
-    return newQuote;
+    return this.withStatus(newQuote);
   }
 
-  async getAllQuotes(filters = {}) {
+  /**
+   * Link a quote to a client record. Client fields sent with the request win,
+   * the rest are filled from the snapshot.
+   */
+  applyClient(quote, snapshot, data = {}) {
+    quote.clientId = snapshot.id;
+    quote.clientSnapshot = snapshot;
+    quote.clientName = data.clientName || snapshot.companyName;
+    quote.clientPhone = data.clientPhone || snapshot.phone || '';
+    quote.clientAddress = data.clientAddress || snapshot.address;
+    quote.clientCity = data.clientCity || snapshot.city;
+  }
+
+  async getAllQuotes(filters = {}, userId, userRole) {
     let quotes = await this.loadQuotes();
 
     quotes = await this.enrichQuotesWithCreatorNames(quotes);
 
+    quotes = await visibilityService.filterVisible('priceQuotes', quotes, userId, userRole);
+
+    quotes = quotes.map(q => this.withStatus(q));
+
+    if (filters.status) {
+      quotes = quotes.filter(q => q.status === filters.status);
+    }
+
     if (filters.createdBy) {
       quotes = quotes.filter(q => q.createdBy === filters.createdBy);
     }
 
+    if (filters.clientId) {
+      quotes = quotes.filter(q => q.clientId === filters.clientId);
+    }
+
     if (filters.search) {
       const searchLower = filters.search.toLowerCase();
       quotes = quotes.filter(q =>
@@ -733,44 +793,109 @@ class PriceQuoteService {
     const latestQuote = userQuotes[0];
 
     const createdByName = await this.getUserNameById(latestQuote.createdBy);
-    return {
+    return this.withStatus({
       ...latestQuote,
       createdByName: createdByName || latestQuote.createdByName || 'Unknown User'
-    };
+    });
   }
 
-  async getQuoteById(id) {
-    const quotes = await this.loadQuotes();
-    const quote = quotes.find(q => q.id === id);
+  async getQuoteById(id, userId, userRole) {
+    const quote = await quoteRepository.findById(id);
 
     if (!quote) {
       throw new Error('Quote not found');
     }
 
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'view');
+
     const createdByName = await this.getUserNameById(quote.createdBy);
-    return {
+    return this.withStatus({
       ...quote,
       createdByName: createdByName || quote.createdByName || 'Unknown User'
-    };
+    });
   }
 
-  async updateQuote(id, updateData, attachmentFile = null) {
-    const quotes = await this.loadQuotes();
-    const quoteIndex = quotes.findIndex(q => q.id === id);
+  /**
+   * Edit the current revision in place. Once a revision was sent to the client
+   * it is frozen and changes go into a new revision (createRevision).
+   */
+  async updateQuote(id, updateData, attachmentFile = null, userId, userRole) {
+    const quote = await quoteRepository.findById(id);
 
-    if (quoteIndex === -1) {
+    if (!quote) {
       throw new Error('Quote not found');
     }
 
-    const quote = quotes[quoteIndex];
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'edit');
+
+    assertVersion(quote, updateData.version);
+    const expectedVersion = getVersion(quote);
 
+    const { status } = this.withStatus(quote);
+    if (status === 'accepted' || status === 'rejected') {
+      const error = new Error(status === 'accepted'
+        ? `Quote ${quote.quoteNumber} was accepted; it can no longer be changed`
+        : `Quote ${quote.quoteNumber} was lost. Create a new revision to reopen it.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (quote.sent) {
+      const error = new Error(`Rev ${quote.revNumber} was sent to the client on ${quote.sent.at.split('T')[0]}. Create a new revision to change it.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.applyChanges(quote, updateData);
+    return this.saveQuote(quote, attachmentFile, expectedVersion);
+  }
+
+  /**
+   * Start the next revision (Rev 00 -> Rev 01): the current revision and its PDF
+   * are frozen into quote.revisions, then the changes are applied to the new one
+   */
+  async createRevision(id, updateData, attachmentFile = null, userId, userRole) {
+    const quote = await quoteRepository.findById(id);
+
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'edit');
+
+    assertVersion(quote, updateData.version);
+    const expectedVersion = getVersion(quote);
+
+    if (this.withStatus(quote).status === 'accepted') {
+      const error = new Error(`Quote ${quote.quoteNumber} was accepted on Rev ${quote.acceptedRevision || quote.revNumber}; it can no longer be revised`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    quote.revisions = [...(quote.revisions || []), await this.freezeRevision(quote)];
+    quote.revNumber = String((parseInt(quote.revNumber, 10) || 0) + 1).padStart(2, '0');
+    quote.revisionCreatedAt = new Date().toISOString();
+    quote.revisionCreatedBy = userId;
+    quote.sent = null;
+
+    // A new revision reopens a lost or expired quote
+    quote.status = 'draft';
+    quote.lostReason = null;
+    quote.lostNote = null;
+    quote.closedAt = null;
+    quote.closedBy = null;
+
+    await this.applyChanges(quote, updateData);
+    return this.saveQuote(quote, attachmentFile, expectedVersion);
+  }
+
+  async applyChanges(quote, updateData) {
     if (updateData.clientName) quote.clientName = updateData.clientName;
     if (updateData.clientPhone) quote.clientPhone = updateData.clientPhone;
     if (updateData.clientAddress !== undefined) quote.clientAddress = updateData.clientAddress;
     if (updateData.clientCity !== undefined) quote.clientCity = updateData.clientCity;
     if (updateData.projectName !== undefined) quote.projectName = updateData.projectName;
     if (updateData.date) quote.date = updateData.date;
-    if (updateData.revNumber !== undefined) quote.revNumber = updateData.revNumber;
     if (updateData.validForDays !== undefined) quote.validForDays = updateData.validForDays;
     if (updateData.language) quote.language = updateData.language;
     if (updateData.includeTax !== undefined) quote.includeTax = !!updateData.includeTax;
@@ -779,12 +904,27 @@ class PriceQuoteService {
     if (updateData.customNotes !== undefined) quote.customNotes = updateData.customNotes;
     if (updateData.includeStaticFile !== undefined) quote.includeStaticFile = updateData.includeStaticFile;
 
+    // The snapshot is only refreshed when the quote is linked to a different client
+    if (updateData.clientId !== undefined && (updateData.clientId || null) !== (quote.clientId || null)) {
+      if (updateData.clientId) {
+        this.applyClient(quote, await clientService.getSnapshot(updateData.clientId), updateData);
+      } else {
+        quote.clientId = null;
+        quote.clientSnapshot = null;
+      }
+    }
+  }
+
+  // Recalculate totals, regenerate the PDF of the current revision and store the quote
+  async saveQuote(quote, attachmentFile, expectedVersion) {
     const totals = this.calculateTotals(quote.items, quote.includeTax, quote.taxRate);
     quote.subtotal = totals.subtotal;
     quote.taxAmount = totals.taxAmount;
     quote.total = totals.total;
+    quote.costWarnings = this.getCostWarnings(quote);
 
     quote.updatedAt = new Date().toISOString();
+    quote.status = this.withStatus(quote).status;
 
     let attachmentPath = quote.attachmentPath;
     if (attachmentFile) {
@@ -801,25 +941,735 @@ class PriceQuoteService {
     const pdfPath = await this.generatePDF(quote, attachmentPath, quote.includeStaticFile);
     quote.pdfPath = pdfPath;
 
-    quotes[quoteIndex] = quote;
-    await this.saveQuotes(quotes);
+    await quoteRepository.update(quote.id, quote, { expectedVersion });
 
     const createdByName = await this.getUserNameById(quote.createdBy);
-    return {
+    return this.withStatus({
       ...quote,
       createdByName: createdByName || quote.createdByName || 'Unknown User'
+    });
+  }
+
+  /**
+   * Lines of a quote built from a costing sheet that are priced below their cost.
+   * Items are matched to the cost basis by their costLine (the costing sheet line
+   * they were priced from), so reordered or renamed items are still checked; items
+   * added to the quote later have none and are not. Lines are numbered from 1.
+   */
+  getCostWarnings(quote) {
+    if (!quote.costBasis) return [];
+
+    return (quote.items || [])
+      .map((item, index) => {
+        const basis = item.costLine !== undefined && item.costLine !== null
+          ? quote.costBasis.find(b => b.line === parseInt(item.costLine))
+          : null;
+        const unitPrice = parseFloat(item.unitPrice) || 0;
+        if (!basis || unitPrice >= basis.costUnitPrice) return null;
+
+        return {
+          line: index + 1,
+          costLine: basis.line,
+          description: item.description,
+          unitPrice,
+          costUnitPrice: basis.costUnitPrice,
+          shortfall: parseFloat(((basis.costUnitPrice - unitPrice) * (parseFloat(item.quantity) || 0)).toFixed(2))
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Frozen copy of the current revision; its PDF is copied next to the other
+   * revisions of the quote so regenerating the current PDF cannot change it
+   */
+  async freezeRevision(quote) {
+    const revision = {};
+    REVISION_FIELDS.forEach(field => {
+      revision[field] = quote[field] !== undefined ? quote[field] : null;
+    });
+
+    revision.pdfPath = null;
+    if (quote.pdfPath && fsSync.existsSync(quote.pdfPath)) {
+      const dir = path.join(REVISIONS_DIR, quote.id);
+      await fs.mkdir(dir, { recursive: true });
+      revision.pdfPath = path.join(dir, `${path.basename(quote.pdfPath, '.pdf')}_Rev${quote.revNumber}.pdf`);
+      await fs.copyFile(quote.pdfPath, revision.pdfPath);
+    }
+
+    revision.createdAt = quote.revisionCreatedAt || quote.createdAt;
+    revision.createdBy = quote.revisionCreatedBy || quote.createdBy;
+    revision.sent = quote.sent || null;
+    revision.status = this.withStatus(quote).status;
+    revision.frozenAt = new Date().toISOString();
+    return revision;
+  }
+
+  /**
+   * Every revision of a quote, oldest first; the last one is the current revision
+   */
+  async getRevisions(id, userId, userRole) {
+    const quote = await this.getQuoteById(id, userId, userRole);
+    return this.collectRevisions(quote).map(revision => ({
+      revNumber: revision.revNumber,
+      date: revision.date,
+      itemCount: (revision.items || []).length,
+      total: revision.total,
+      createdAt: revision.createdAt,
+      createdBy: revision.createdBy,
+      sent: revision.sent,
+      status: revision.status || null,
+      current: revision.current,
+      hasPdf: Boolean(revision.pdfPath && fsSync.existsSync(revision.pdfPath))
+    }));
+  }
+
+  async getRevision(id, revNumber, userId, userRole) {
+    const quote = await this.getQuoteById(id, userId, userRole);
+    const revision = this.collectRevisions(quote).find(r => r.revNumber === revNumber);
+
+    if (!revision) {
+      const error = new Error(`Quote ${quote.quoteNumber} has no Rev ${revNumber}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return { quoteId: quote.id, quoteNumber: quote.quoteNumber, ...revision };
+  }
+
+  collectRevisions(quote) {
+    const current = {};
+    REVISION_FIELDS.forEach(field => {
+      current[field] = quote[field] !== undefined ? quote[field] : null;
+    });
+
+    return [
+      ...(quote.revisions || []).map(revision => ({ ...revision, current: false })),
+      {
+        ...current,
+        pdfPath: quote.pdfPath || null,
+        createdAt: quote.revisionCreatedAt || quote.createdAt,
+        createdBy: quote.revisionCreatedBy || quote.createdBy,
+        sent: quote.sent || null,
+        status: this.withStatus(quote).status,
+        current: true
+      }
+    ];
+  }
+
+  /**
+   * Differences between two revisions (default: the current one against the one before it).
+   * Item lines are matched by description, so inserted or removed lines do not
+   * show every following line as changed.
+   */
+  async diffRevisions(id, fromRev, toRev, userId, userRole) {
+    const quote = await this.getQuoteById(id, userId, userRole);
+    const revisions = this.collectRevisions(quote);
+
+    const find = revNumber => {
+      const index = revisions.findIndex(r => r.revNumber === revNumber);
+      if (index === -1) {
+        const error = new Error(`Quote ${quote.quoteNumber} has no Rev ${revNumber}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return index;
+    };
+
+    const toIndex = toRev ? find(toRev) : revisions.length - 1;
+    const fromIndex = fromRev ? find(fromRev) : toIndex - 1;
+
+    if (fromIndex < 0) {
+      const error = new Error(`Rev ${revisions[toIndex].revNumber} is the first revision of quote ${quote.quoteNumber}; there is nothing to compare it with`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const from = revisions[fromIndex];
+    const to = revisions[toIndex];
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    const fields = DIFF_FIELDS
+      .filter(field => !same(from[field], to[field]))
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+    const lines = this.diffItems(from.items || [], to.items || []);
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    lines.forEach(line => { summary[line.status]++; });
+
+    return {
+      quoteId: quote.id,
+      quoteNumber: quote.quoteNumber,
+      from: from.revNumber,
+      to: to.revNumber,
+      fields,
+      lines,
+      summary,
+      totals: {
+        from: from.total,
+        to: to.total,
+        difference: parseFloat(((to.total || 0) - (from.total || 0)).toFixed(2))
+      }
     };
   }
 
-  async deleteQuote(id) {
+  diffItems(fromItems, toItems) {
+    const key = item => String(item.description || '').trim().toLowerCase();
+
+    // Longest common subsequence of descriptions
+    const lcs = Array.from({ length: fromItems.length + 1 }, () => new Array(toItems.length + 1).fill(0));
+    for (let i = fromItems.length - 1; i >= 0; i--) {
+      for (let j = toItems.length - 1; j >= 0; j--) {
+        lcs[i][j] = key(fromItems[i]) === key(toItems[j])
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    const line = (status, i, j) => {
+      const from = i !== null ? fromItems[i] : null;
+      const to = j !== null ? toItems[j] : null;
+      const changes = from && to
+        ? ITEM_DIFF_FIELDS
+          .filter(field => !(JSON.stringify(from[field] ?? null) === JSON.stringify(to[field] ?? null)))
+          .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }))
+        : [];
+      lines.push({
+        status: status || (changes.length > 0 ? 'changed' : 'unchanged'),
+        fromLine: i !== null ? i + 1 : null,
+        toLine: j !== null ? j + 1 : null,
+        from,
+        to,
+        changes
+      });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < fromItems.length && j < toItems.length) {
+      if (key(fromItems[i]) === key(toItems[j])) {
+        line(null, i++, j++);
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        line('removed', i++, null);
+      } else {
+        line('added', null, j++);
+      }
+    }
+    while (i < fromItems.length) line('removed', i++, null);
+    while (j < toItems.length) line('added', null, j++);
+
+    return lines;
+  }
+
+  /**
+   * Record that a revision went to the client (by email from here, or by hand
+   * for revisions delivered another way)
+   */
+  async markRevisionSent(id, revNumber, { to = null, method = 'manual', at = null } = {}, userId, userRole) {
+    const quote = await quoteRepository.findById(id);
+
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'edit');
+
+    const sent = { at: at || new Date().toISOString(), by: userId, to, method };
+    const revisions = quote.revisions || [];
+    const index = revisions.findIndex(r => r.revNumber === revNumber);
+
+    if (revNumber !== quote.revNumber && index === -1) {
+      const error = new Error(`Quote ${quote.quoteNumber} has no Rev ${revNumber}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const changes = {};
+    if (revNumber === quote.revNumber) {
+      changes.sent = sent;
+      if (['draft', 'expired'].includes(quote.status || 'draft')) changes.status = 'sent';
+    } else {
+      changes.revisions = revisions.map((r, i) => (i === index ? { ...r, sent } : r));
+    }
+
+    // The latest revision the client has seen
+    if (!quote.sentRevision || parseInt(revNumber, 10) >= parseInt(quote.sentRevision, 10)) {
+      changes.sentRevision = revNumber;
+    }
+
+    changes.updatedAt = new Date().toISOString();
+    await quoteRepository.update(id, changes, { expectedVersion: getVersion(quote) });
+
+    return { revNumber, sent, sentRevision: changes.sentRevision || quote.sentRevision };
+  }
+
+  getStatuses() {
+    return { statuses: QUOTE_STATUSES, lostReasons: LOST_REASONS, expiryWarningDays: EXPIRY_WARNING_DAYS };
+  }
+
+  /**
+   * Last day a quote is valid (date + validForDays), or null without a validity
+   */
+  getExpiryDate(quote) {
+    const days = parseInt(quote.validForDays, 10);
+    const date = new Date(quote.date);
+    if (!days || isNaN(date)) return null;
+
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Quote with its lifecycle status worked out: open quotes past their validity are
+   * expired, open quotes within EXPIRY_WARNING_DAYS of it are flagged expiringSoon
+   */
+  withStatus(quote) {
+    const stored = quote.status || (quote.sent ? 'sent' : 'draft');
+    const status = stored === 'expired' ? (quote.sent ? 'sent' : 'draft') : stored;
+    const expiresAt = this.getExpiryDate(quote);
+    const daysToExpiry = OPEN_STATUSES.includes(status) && expiresAt ? daysUntil(expiresAt) : null;
+
+    return {
+      ...quote,
+      status: daysToExpiry !== null && daysToExpiry < 0 ? 'expired' : status,
+      expiresAt,
+      daysToExpiry,
+      expiringSoon: daysToExpiry !== null && daysToExpiry >= 0 && daysToExpiry <= EXPIRY_WARNING_DAYS
+    };
+  }
+
+  /**
+   * Move a quote along its lifecycle (see STATUS_TRANSITIONS). Accepting needs a quote
+   * that is still valid, losing it needs one of LOST_REASONS; marking it sent records
+   * the current revision as sent.
+   * @param {object} data - { status: sent|accepted|rejected, lostReason, lostNote, version }
+   */
+  async setStatus(id, { status, lostReason = null, lostNote = null, version } = {}, userId, userRole) {
+    if (!['sent', 'accepted', 'rejected'].includes(status)) {
+      const error = new Error('Status must be one of: sent, accepted, rejected');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const quote = await quoteRepository.findById(id);
+
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'edit');
+    assertVersion(quote, version);
+
+    const { status: current, expiresAt } = this.withStatus(quote);
+    if (!STATUS_TRANSITIONS[current].includes(status)) {
+      const error = new Error(current === 'expired' && status === 'accepted'
+        ? `Quote ${quote.quoteNumber} expired on ${expiresAt}. Create a new revision to renew its validity before accepting it.`
+        : `Quote ${quote.quoteNumber} is ${current}; it cannot be marked ${status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (status === 'rejected' && !LOST_REASONS.includes(lostReason)) {
+      const error = new Error(`A lost reason is required: ${LOST_REASONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (status === 'sent') {
+      await this.markRevisionSent(id, quote.revNumber, { method: 'manual' }, userId, userRole);
+      return this.getQuoteById(id, userId, userRole);
+    }
+
+    const now = new Date().toISOString();
+    await quoteRepository.update(id, {
+      status,
+      lostReason: status === 'rejected' ? lostReason : null,
+      lostNote: status === 'rejected' ? (lostNote || null) : null,
+      acceptedRevision: status === 'accepted' ? quote.revNumber : null,
+      closedAt: now,
+      closedBy: userId,
+      updatedAt: now
+    }, { expectedVersion: getVersion(quote) });
+
+    return this.getQuoteById(id, userId, userRole);
+  }
+
+  /**
+   * Open quotes the user can see whose validity ends within `days` (not yet expired)
+   */
+  async getExpiringQuotes(days = EXPIRY_WARNING_DAYS, userId, userRole) {
+    let quotes = await visibilityService.filterVisible('priceQuotes', await this.loadQuotes(), userId, userRole);
+
+    quotes = quotes
+      .map(q => this.withStatus(q))
+      .filter(q => q.daysToExpiry !== null && q.daysToExpiry >= 0 && q.daysToExpiry <= days);
+
+    return quotes.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+  }
+
+  /**
+   * Win rate per creator and per client over the quotes the user can see.
+   * Win rate = accepted / decided (accepted + rejected + expired); open quotes are left out of it.
+   * @param {object} filters - { from, to } on the quote date, createdBy, clientId
+   */
+  async getWinRateStats(filters = {}, userId, userRole) {
+    let quotes = await visibilityService.filterVisible('priceQuotes', await this.loadQuotes(), userId, userRole);
+    quotes = quotes.map(q => this.withStatus(q));
+
+    if (filters.from) quotes = quotes.filter(q => q.date >= filters.from);
+    if (filters.to) quotes = quotes.filter(q => q.date <= filters.to);
+    if (filters.createdBy) quotes = quotes.filter(q => q.createdBy === filters.createdBy);
+    if (filters.clientId) quotes = quotes.filter(q => q.clientId === filters.clientId);
+
+    const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+    const tally = list => {
+      const counts = { total: list.length, draft: 0, sent: 0, accepted: 0, rejected: 0, expired: 0 };
+      list.forEach(q => { counts[q.status]++; });
+
+      const decided = counts.accepted + counts.rejected + counts.expired;
+      const value = items => round(items.reduce((sum, q) => sum + (q.total || 0), 0));
+
+      return {
+        ...counts,
+        open: counts.draft + counts.sent,
+        decided,
+        winRate: decided > 0 ? round(counts.accepted / decided * 100, 1) : null,
+        quotedValue: value(list),
+        acceptedValue: value(list.filter(q => q.status === 'accepted'))
+      };
+    };
+
+    const groupBy = (keyOf, labelOf) => {
+      const groups = new Map();
+      quotes.forEach(q => {
+        const key = keyOf(q);
+        if (!groups.has(key)) groups.set(key, { ...labelOf(q), quotes: [] });
+        groups.get(key).quotes.push(q);
+      });
+
+      return [...groups.values()]
+        .map(({ quotes: list, ...group }) => ({ ...group, ...tally(list) }))
+        .sort((a, b) => b.total - a.total);
+    };
+
+    const users = await this.loadUsers();
+    const lostReasons = {};
+    quotes.filter(q => q.status === 'rejected').forEach(q => {
+      const reason = q.lostReason || 'other';
+      lostReasons[reason] = (lostReasons[reason] || 0) + 1;
+    });
+
+    return {
+      period: { from: filters.from || null, to: filters.to || null },
+      overall: { ...tally(quotes), lostReasons },
+      byCreator: groupBy(q => q.createdBy, q => {
+        const user = users.find(u => u.id === q.createdBy);
+        return { createdBy: q.createdBy, name: user ? user.name : (q.createdByName || 'Unknown User') };
+      }),
+      byClient: groupBy(
+        q => q.clientId || `name:${String(q.clientName || '').trim().toLowerCase()}`,
+        q => ({ clientId: q.clientId || null, clientName: q.clientName })
+      )
+    };
+  }
+
+  /**
+   * Daily expiry check: open quotes past their validity are stored as expired, and the
+   * creator of each sent quote entering the warning window is emailed once per expiry date
+   * @returns {Promise<object>} { expired, expiring, notified }
+   */
+  async checkExpiry(days = EXPIRY_WARNING_DAYS) {
     const quotes = await this.loadQuotes();
-    const quoteIndex = quotes.findIndex(q => q.id === id);
+    const now = new Date().toISOString();
+    const expired = [];
+    const expiring = [];
+
+    for (const stored of quotes) {
+      const quote = this.withStatus(stored);
+
+      if (quote.status === 'expired' && stored.status !== 'expired') {
+        await quoteRepository.update(quote.id, { status: 'expired', expiredAt: now }, { keepVersion: true });
+        expired.push(quote);
+      } else if (quote.status === 'sent' && quote.daysToExpiry !== null && quote.daysToExpiry <= days &&
+        stored.expiryWarnedFor !== quote.expiresAt) {
+        expiring.push(quote);
+      }
+    }
+
+    const users = await this.loadUsers();
+    const notified = [];
+
+    for (const createdBy of [...new Set(expiring.map(q => q.createdBy))]) {
+      const creator = users.find(u => u.id === createdBy);
+      const list = expiring.filter(q => q.createdBy === createdBy);
 
-    if (quoteIndex === -1) {
+      if (creator && creator.email) {
+        try {
+          await emailService.sendQuoteExpiryReminderEmail(creator.email, creator.name, list);
+          notified.push(creator.email);
+        } catch (err) {
+          // Not flagged, so the next run tries again
+          console.error(`Failed to send quote expiry reminder to ${creator.email}:`, err);
+          continue;
+        }
+      }
+
+      for (const quote of list) {
+        await quoteRepository.update(quote.id, { expiryWarnedFor: quote.expiresAt, expiryWarnedAt: now }, { keepVersion: true });
+      }
+    }
+
+    const summary = q => ({ id: q.id, quoteNumber: q.quoteNumber, clientName: q.clientName, createdBy: q.createdBy, expiresAt: q.expiresAt, daysToExpiry: q.daysToExpiry });
+
+    return { expired: expired.map(summary), expiring: expiring.map(summary), notified };
+  }
+
+  /**
+   * Run the expiry check once a day while the server runs
+   */
+  scheduleExpiryCheck() {
+    const run = () => this.checkExpiry().catch(err => {
+      console.error('Failed to check price quote expiry:', err);
+    });
+
+    run();
+    const timer = setInterval(run, DAY_MS);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * How much of a quote has been invoiced through proforma invoices raised from it
+   */
+  getInvoicing(quote) {
+    const invoices = (quote.conversions || []).filter(c => c.type === 'proformaInvoice');
+    const invoiced = parseFloat(invoices.reduce((sum, c) => sum + (c.total || 0), 0).toFixed(2));
+    const quoteTotal = quote.total || 0;
+
+    return {
+      quoteTotal,
+      invoiced,
+      remaining: parseFloat((quoteTotal - invoiced).toFixed(2)),
+      invoicedPercentage: quoteTotal > 0 ? parseFloat((invoiced / quoteTotal * 100).toFixed(2)) : 0,
+      invoices
+    };
+  }
+
+  async getQuoteInvoicing(id, userId, userRole) {
+    const quote = await this.getQuoteById(id, userId, userRole);
+    return { quoteId: quote.id, quoteNumber: quote.quoteNumber, ...this.getInvoicing(quote) };
+  }
+
+  /**
+   * Create a proforma invoice from an accepted quote: the whole quote with its items
+   * copied, or a percentage of it (advance or partial invoice) on a single line.
+   * Without a percentage the remaining balance is invoiced.
+   * @param {object} data - { percentage, billingType: advance|partial, date, customNotes }
+   * @returns {Promise<object>} { invoice, invoicing }
+   */
+  async convertToProforma(id, data = {}, currentUser, userRole) {
+    const quote = await this.getQuoteById(id, currentUser.id, userRole);
+
+    if (quote.status !== 'accepted') {
+      const error = new Error(`Only accepted quotes can be invoiced; quote ${quote.quoteNumber} is ${quote.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const invoicing = this.getInvoicing(quote);
+    if (invoicing.remaining <= 0) {
+      const error = new Error(`Quote ${quote.quoteNumber} is fully invoiced (${invoicing.invoices.map(c => c.number).join(', ')})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const hasPercentage = data.percentage !== undefined && data.percentage !== null && data.percentage !== '';
+    const percentage = hasPercentage ? parseFloat(data.percentage) : null;
+    if (hasPercentage && (isNaN(percentage) || percentage <= 0 || percentage > 100)) {
+      const error = new Error('Percentage must be a number greater than 0 and at most 100');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const billingType = data.billingType || 'partial';
+    if (hasPercentage && percentage < 100 && !['advance', 'partial'].includes(billingType)) {
+      const error = new Error('Billing type must be either "advance" or "partial"');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const isArabic = quote.language === 'arabic';
+    const reference = isArabic
+      ? `عرض سعر رقم ${quote.quoteNumber} مراجعة ${quote.revNumber}`
+      : `Quotation ${quote.quoteNumber} Rev ${quote.revNumber}`;
+    const invoicedSubtotal = invoicing.invoices.reduce((sum, c) => sum + (c.subtotal || 0), 0);
+
+    let billing;
+    let items;
+    if (invoicing.invoiced === 0 && (!hasPercentage || percentage === 100)) {
+      billing = { type: 'full', percentage: 100 };
+      items = (quote.items || []).map(item => ({ ...item }));
+    } else if (hasPercentage) {
+      billing = { type: billingType, percentage };
+      const label = billingType === 'advance'
+        ? (isArabic ? 'دفعة مقدمة' : 'Advance payment')
+        : (isArabic ? 'فاتورة جزئية' : 'Partial invoice');
+      items = [{
+        description: `${label} (${percentage}%) - ${reference}`,
+        unit: '',
+        quantity: 1,
+        unitPrice: parseFloat((quote.subtotal * percentage / 100).toFixed(2))
+      }];
+    } else {
+      const balance = parseFloat((quote.subtotal - invoicedSubtotal).toFixed(2));
+      billing = {
+        type: 'balance',
+        percentage: quote.subtotal > 0 ? parseFloat((balance / quote.subtotal * 100).toFixed(2)) : 0
+      };
+      items = [{
+        description: `${isArabic ? 'الرصيد المتبقي' : 'Balance'} - ${reference}`,
+        unit: '',
+        quantity: 1,
+        unitPrice: balance
+      }];
+    }
+
+    const totals = this.calculateTotals(items, quote.includeTax, quote.taxRate);
+
+    // Lazy require: proforma-invoice.service links back to quotes
+    const proformaInvoiceService = require('./proforma-invoice.service');
+
+    // The amount is held on the quote under a placeholder link before the invoice is
+    // created, so the check and the link happen together and a rejected conversion
+    // never takes an invoice number; the link is dropped again if creation fails
+    const pendingId = `PENDING-${crypto.randomUUID()}`;
+    await this.linkConversion(quote.id, {
+      type: 'proformaInvoice',
+      id: pendingId,
+      number: null,
+      billingType: billing.type,
+      percentage: billing.percentage,
+      subtotal: totals.subtotal,
+      total: totals.total,
+      createdBy: currentUser.id,
+      createdAt: new Date().toISOString()
+    });
+
+    let invoice;
+    try {
+      invoice = await proformaInvoiceService.createInvoice({
+        clientId: quote.clientId,
+        clientSnapshot: quote.clientSnapshot,
+        clientName: quote.clientName,
+        clientPhone: quote.clientPhone,
+        clientAddress: quote.clientAddress,
+        clientCity: quote.clientCity,
+        projectName: quote.projectName,
+        date: data.date || today(),
+        validForDays: quote.validForDays,
+        language: quote.language,
+        includeTax: quote.includeTax,
+        taxRate: quote.taxRate,
+        items,
+        customNotes: data.customNotes !== undefined ? data.customNotes : quote.customNotes,
+        includeStaticFile: quote.includeStaticFile,
+        sourceQuote: { id: quote.id, quoteNumber: quote.quoteNumber, revNumber: quote.revNumber },
+        billing: { ...billing, quoteTotal: quote.total }
+      }, currentUser);
+    } catch (err) {
+      await this.removeConversion(quote.id, pendingId);
+      throw err;
+    }
+
+    await this.updateConversion(quote.id, pendingId, {
+      id: invoice.id,
+      number: invoice.invoiceNumber,
+      createdAt: invoice.createdAt
+    });
+
+    const updated = await quoteRepository.findById(quote.id);
+    return { invoice, invoicing: this.getInvoicing(updated) };
+  }
+
+  /**
+   * Link a document created from this quote (e.g. a proforma invoice), or update the
+   * amounts of one already linked. Runs under the quote write lock so that concurrent
+   * invoices cannot add up to more than was quoted (409).
+   * @param {object} conversion - { type, id, number, billingType, percentage, subtotal, total, createdBy, createdAt }
+   * @returns {Promise<object|null>} The link it replaced, if any
+   */
+  async linkConversion(quoteId, conversion) {
+    return quoteRepository.transaction(quotes => {
+      const quote = quotes.find(q => q.id === quoteId);
+      if (!quote) return null;
+
+      const conversions = quote.conversions || [];
+      const previous = conversions.find(c => c.id === conversion.id) || null;
+
+      if (conversion.type === 'proformaInvoice') {
+        const others = conversions
+          .filter(c => c.type === 'proformaInvoice' && c.id !== conversion.id)
+          .reduce((sum, c) => sum + (c.total || 0), 0);
+
+        if (others + conversion.total > (quote.total || 0) + 0.01) {
+          const error = new Error(`Invoicing JOD ${conversion.total.toFixed(2)} would exceed quote ${quote.quoteNumber}: JOD ${(quote.total || 0).toFixed(2)} quoted, JOD ${others.toFixed(2)} already invoiced`);
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+
+      quote.conversions = previous
+        ? conversions.map(c => (c.id === conversion.id ? { ...c, ...conversion } : c))
+        : [...conversions, conversion];
+      quote.updatedAt = new Date().toISOString();
+      return previous;
+    });
+  }
+
+  /**
+   * Keep the amounts of a linked document in step when it is edited
+   */
+  async updateConversion(quoteId, documentId, changes) {
+    await quoteRepository.transaction(quotes => {
+      const quote = quotes.find(q => q.id === quoteId);
+      if (!quote || !(quote.conversions || []).some(c => c.id === documentId)) return;
+
+      quote.conversions = quote.conversions.map(c => (c.id === documentId ? { ...c, ...changes } : c));
+      quote.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Remove the link to a converted document (called when that document is deleted)
+   */
+  async removeConversion(quoteId, documentId) {
+    await quoteRepository.transaction(quotes => {
+      const quote = quotes.find(q => q.id === quoteId);
+      if (!quote || !quote.conversions) return;
+
+      const conversions = quote.conversions.filter(c => c.id !== documentId);
+      if (conversions.length === quote.conversions.length) return;
+
+      quote.conversions = conversions;
+      quote.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async deleteQuote(id, userId, userRole) {
+    const quote = await quoteRepository.findById(id);
+
+    if (!quote) {
       throw new Error('Quote not found');
     }
 
-    const quote = quotes[quoteIndex];
+    await visibilityService.assertVisible('priceQuotes', quote, userId, userRole, 'delete');
+
+    if (quote.conversions && quote.conversions.length > 0) {
+      const error = new Error(`Quote has linked documents (${quote.conversions.map(c => c.number).join(', ')}); delete them first`);
+      error.statusCode = 409;
+      throw error;
+    }
 
     if (quote.pdfPath && fsSync.existsSync(quote.pdfPath)) {
       await fs.unlink(quote.pdfPath).catch(() => {});
@@ -829,8 +1679,15 @@ class PriceQuoteService {
       await fs.unlink(quote.attachmentPath).catch(() => {});
     }
 
-    quotes.splice(quoteIndex, 1);
-    await this.saveQuotes(quotes);
+    await fs.rm(path.join(REVISIONS_DIR, id), { recursive: true, force: true }).catch(() => {});
+
+    await quoteRepository.remove(id);
+
+    if (quote.sourceCostingSheet) {
+      // Lazy require: costing-sheet.service creates quotes
+      const costingSheetService = require('./costing-sheet.service');
+      await costingSheetService.removeConversion(quote.sourceCostingSheet.id, id);
+    }
 
     return { message: 'Quote deleted successfully' };
   }
@@ -850,7 +1707,7 @@ class PriceQuoteService {
         throw new Error('Email configuration error: Missing SMTP credentials. Please check your .env file.');
       }
 
-      const quote = await this.getQuoteById(quoteId);
+      const quote = await this.getQuoteById(quoteId, userId, userRole);
       console.log('✅ Quote found:', quote.quoteNumber);
 
       if (!quote.pdfPath || !fsSync.existsSync(quote.pdfPath)) {
@@ -970,6 +1827,9 @@ class PriceQuoteService {
 
       const info = await transporter.sendMail(mailOptions);
 
+      await this.markRevisionSent(quoteId, quote.revNumber, { to: recipientEmail, method: 'email' }, userId, userRole)
+        .catch(err => console.error('❌ Failed to mark revision as sent:', err));
+
       console.log('✅ Email sent successfully!');
       console.log('  - Message ID:', info.messageId);
       console.log('  - Attachment:', emailAttachmentName);
@@ -5,19 +5,22 @@ const fsSync = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument } = require('pdf-lib');
-const atomicWrite = require('../utils/atomic-write.util');
-const { generateId } = require('../utils/quotes-id-generator.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const clientService = require('./client.service');
+const priceQuoteService = require('./price-quote.service');
 const nodemailer = require('nodemailer');
 const pdfPoppler = require('pdf-poppler');
 const sharp = require('sharp');
 
-const INVOICES_FILE = path.join(__dirname, '../../data/proforma-invoices/index.json');
 const INVOICES_DIR = path.join(__dirname, '../../data/proforma-invoices');
 const PDF_DIR = path.join(__dirname, '../../data/proforma-invoices/pdfs');
 const AR_UPLOADS_DIR = path.join(__dirname, '../../data/proforma-invoices/AR-Uploads');
 const EN_UPLOADS_DIR = path.join(__dirname, '../../data/proforma-invoices/EN-Uploads');
 const LOGO_PATH = path.join(__dirname, '../../assets/images/OmegaLogo.png');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+
+const invoiceRepository = getRepository('proformaInvoices');
 
 // ✅ Email configuration
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
@@ -31,17 +34,11 @@ const STATIC_TERMS_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditi
 class ProformaInvoiceService {
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -110,10 +107,6 @@ class ProformaInvoiceService {
           await fs.mkdir(dir, { recursive: true });
         }
       }
-
-      if (!fsSync.existsSync(INVOICES_FILE)) {
-        await atomicWrite.writeFile(INVOICES_FILE, JSON.stringify([], null, 2));
-      }
     } catch (error) {
       console.error('Error initializing proforma invoices:', error);
       throw error;
@@ -161,8 +154,7 @@ class ProformaInvoiceService {
   async loadInvoices() {
     try {
       await this.initialize();
-      const data = await fs.readFile(INVOICES_FILE, 'utf8');
-      return JSON.parse(data);
+      return await invoiceRepository.findAll();
     } catch (error) {
       console.error('Error loading invoices:', error);
       return [];
@@ -170,20 +162,11 @@ class ProformaInvoiceService {
   }
 
   async saveInvoices(invoices) {
-    await atomicWrite.writeFile(INVOICES_FILE, JSON.stringify(invoices, null, 2));
+    await invoiceRepository.replaceAll(invoices);
   }
 
   async generateInvoiceNumber() {
-    const invoices = await this.loadInvoices();
-    if (invoices.length === 0) return 'PI0001';
-
-    const numbers = invoices.map(inv => {
-      const match = inv.invoiceNumber.match(/PI(\d+)/);
-      return match ? parseInt(match[1]) : 0;
-    });
-
-    const maxNumber = Math.max(...numbers);
-    return `PI${(maxNumber + 1).toString().padStart(4, '0')}`;
+    return numberingService.next('proformaInvoice');
   }
 
   calculateTotals(items, includeTax, taxRate) {
@@ -646,16 +629,17 @@ class ProformaInvoiceService {
     console.log('invoiceData.projectName:', invoiceData.projectName);
     console.log('invoiceData.includeStaticFile:', invoiceData.includeStaticFile);
     
-    const invoices = await this.loadInvoices();
-    const invoiceNumber = await this.generateInvoiceNumber();
+    const { id, number: invoiceNumber } = await this.generateInvoiceNumber();
 
     const createdByName = await this.getUserNameById(currentUser.id);
     console.log('getUserNameById returned:', createdByName);
     console.log('============================\n');
 
     const newInvoice = {
-      id: generateId('INVOICE'),
+      id,
       invoiceNumber,
+      clientId: null,
+      clientSnapshot: null,
       clientName: invoiceData.clientName,
       clientPhone: invoiceData.clientPhone,
       clientAddress: invoiceData.clientAddress || null,
@@ -670,12 +654,27 @@ class ProformaInvoiceService {
       items: invoiceData.items || [],
       customNotes: invoiceData.customNotes || null,
       includeStaticFile: invoiceData.includeStaticFile || false,
+      sourceQuote: invoiceData.sourceQuote || null,
+      billing: invoiceData.billing || null,
       createdBy: currentUser.id,
       createdByName: createdByName || currentUser.name || 'Unknown User', 
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
+    if (invoiceData.clientId) {
+      // Invoices converted from a quote keep the snapshot taken for the quote
+      const client = invoiceData.clientSnapshot || await clientService.getSnapshot(invoiceData.clientId);
+      this.applyClient(newInvoice, client, invoiceData);
+
+      // Language and tax follow the client's defaults unless sent with the invoice
+      if (!invoiceData.language) newInvoice.language = client.defaultLanguage;
+      if (invoiceData.includeTax === undefined && client.defaultTaxRate > 0) {
+        newInvoice.includeTax = true;
+        newInvoice.taxRate = client.defaultTaxRate;
+      }
+    }
+
     const totals = this.calculateTotals(newInvoice.items, newInvoice.includeTax, newInvoice.taxRate);
     newInvoice.subtotal = totals.subtotal;
     newInvoice.taxAmount = totals.taxAmount;
@@ -690,8 +689,7 @@ class ProformaInvoiceService {
     const pdfPath = await this.generatePDF(newInvoice, attachmentPath, newInvoice.includeStaticFile);
     newInvoice.pdfPath = pdfPath;
 
-    invoices.push(newInvoice);
-    await this.saveInvoices(invoices);
+    await invoiceRepository.insert(newInvoice);
 
     console.log('Invoice created with name:', newInvoice.createdByName);
     console.log('Invoice created with projectName:', newInvoice.projectName);
@@ -699,15 +697,38 @@ class ProformaInvoiceService {
     return newInvoice;
   }
 
-  async getAllInvoices(filters = {}) {
+  /**
+   * Link an invoice to a client record. Client fields sent with the request win,
+   * the rest are filled from the snapshot.
+   */
+  applyClient(invoice, snapshot, data = {}) {
+    invoice.clientId = snapshot.id;
+    invoice.clientSnapshot = snapshot;
+    invoice.clientName = data.clientName || snapshot.companyName;
+    invoice.clientPhone = data.clientPhone || snapshot.phone || '';
+    invoice.clientAddress = data.clientAddress || snapshot.address;
+    invoice.clientCity = data.clientCity || snapshot.city;
+  }
+
+  async getAllInvoices(filters = {}, userId, userRole) {
     let invoices = await this.loadInvoices();
 
     invoices = await this.enrichInvoicesWithCreatorNames(invoices);
 
+    invoices = await visibilityService.filterVisible('proformaInvoice', invoices, userId, userRole);
+
     if (filters.createdBy) {
       invoices = invoices.filter(inv => inv.createdBy === filters.createdBy);
     }
 
+    if (filters.clientId) {
+      invoices = invoices.filter(inv => inv.clientId === filters.clientId);
+    }
+
+    if (filters.quoteId) {
+      invoices = invoices.filter(inv => inv.sourceQuote && inv.sourceQuote.id === filters.quoteId);
+    }
+
     if (filters.search) {
       const searchLower = filters.search.toLowerCase();
       invoices = invoices.filter(inv =>
@@ -757,14 +778,15 @@ class ProformaInvoiceService {
     };
   }
 
-  async getInvoiceById(id) {
-    const invoices = await this.loadInvoices();
-    const invoice = invoices.find(inv => inv.id === id);
+  async getInvoiceById(id, userId, userRole) {
+    const invoice = await invoiceRepository.findById(id);
 
     if (!invoice) {
       throw new Error('Invoice not found');
     }
 
+    await visibilityService.assertVisible('proformaInvoice', invoice, userId, userRole, 'view');
+
     const createdByName = await this.getUserNameById(invoice.createdBy);
     return {
       ...invoice,
@@ -772,15 +794,17 @@ class ProformaInvoiceService {
     };
   }
 
-  async updateInvoice(id, updateData, attachmentFile = null) {
-    const invoices = await this.loadInvoices();
-    const invoiceIndex = invoices.findIndex(inv => inv.id === id);
+  async updateInvoice(id, updateData, attachmentFile = null, userId, userRole) {
+    const invoice = await invoiceRepository.findById(id);
 
-    if (invoiceIndex === -1) {
+    if (!invoice) {
       throw new Error('Invoice not found');
     }
 
-    const invoice = invoices[invoiceIndex];
+    await visibilityService.assertVisible('proformaInvoice', invoice, userId, userRole, 'edit');
+
+    assertVersion(invoice, updateData.version);
+    const expectedVersion = getVersion(invoice);
 
     if (updateData.clientName) invoice.clientName = updateData.clientName;
     if (updateData.clientPhone) invoice.clientPhone = updateData.clientPhone;
@@ -797,30 +821,65 @@ class ProformaInvoiceService {
     if (updateData.customNotes !== undefined) invoice.customNotes = updateData.customNotes;
     if (updateData.includeStaticFile !== undefined) invoice.includeStaticFile = updateData.includeStaticFile;
 
+    // The snapshot is only refreshed when the invoice is linked to a different client
+    if (updateData.clientId !== undefined && (updateData.clientId || null) !== (invoice.clientId || null)) {
+      if (updateData.clientId) {
+        this.applyClient(invoice, await clientService.getSnapshot(updateData.clientId), updateData);
+      } else {
+        invoice.clientId = null;
+        invoice.clientSnapshot = null;
+      }
+    }
+
     const totals = this.calculateTotals(invoice.items, invoice.includeTax, invoice.taxRate);
     invoice.subtotal = totals.subtotal;
     invoice.taxAmount = totals.taxAmount;
     invoice.total = totals.total;
 
+    // Invoices raised from a quote may not add up to more than was quoted; the new
+    // amounts are checked and recorded on the quote together, and put back from the
+    // stored invoice if saving fails
+    if (invoice.sourceQuote) {
+      await priceQuoteService.linkConversion(invoice.sourceQuote.id, {
+        type: 'proformaInvoice',
+        id: invoice.id,
+        number: invoice.invoiceNumber,
+        subtotal: invoice.subtotal,
+        total: invoice.total
+      });
+    }
+
     invoice.updatedAt = new Date().toISOString();
 
-    let attachmentPath = invoice.attachmentPath;
-    if (attachmentFile) {
-      if (attachmentPath && fsSync.existsSync(attachmentPath)) {
-        await fs.unlink(attachmentPath).catch(() => {});
+    try {
+      let attachmentPath = invoice.attachmentPath;
+      if (attachmentFile) {
+        if (attachmentPath && fsSync.existsSync(attachmentPath)) {
+          await fs.unlink(attachmentPath).catch(() => {});
+        }
+        attachmentPath = await this.saveAttachment(attachmentFile, invoice.language);
+        invoice.attachmentPath = attachmentPath;
       }
-      attachmentPath = await this.saveAttachment(attachmentFile, invoice.language);
-      invoice.attachmentPath = attachmentPath;
-    }
-
-    console.log('Updating invoice with projectName:', invoice.projectName);
-    console.log('Updating invoice with includeStaticFile:', invoice.includeStaticFile);
-    
-    const pdfPath = await this.generatePDF(invoice, attachmentPath, invoice.includeStaticFile);
-    invoice.pdfPath = pdfPath;
 
-    invoices[invoiceIndex] = invoice;
-    await this.saveInvoices(invoices);
+      console.log('Updating invoice with projectName:', invoice.projectName);
+      console.log('Updating invoice with includeStaticFile:', invoice.includeStaticFile);
+      
+      const pdfPath = await this.generatePDF(invoice, attachmentPath, invoice.includeStaticFile);
+      invoice.pdfPath = pdfPath;
+
+      await invoiceRepository.update(id, invoice, { expectedVersion });
+    } catch (err) {
+      if (invoice.sourceQuote) {
+        const stored = await invoiceRepository.findById(id);
+        if (stored) {
+          await priceQuoteService.updateConversion(invoice.sourceQuote.id, id, {
+            subtotal: stored.subtotal,
+            total: stored.total
+          });
+        }
+      }
+      throw err;
+    }
 
     const createdByName = await this.getUserNameById(invoice.createdBy);
     return {
@@ -829,15 +888,14 @@ class ProformaInvoiceService {
     };
   }
 
-  async deleteInvoice(id) {
-    const invoices = await this.loadInvoices();
-    const invoiceIndex = invoices.findIndex(inv => inv.id === id);
+  async deleteInvoice(id, userId, userRole) {
+    const invoice = await invoiceRepository.findById(id);
 
-    if (invoiceIndex === -1) {
+    if (!invoice) {
       throw new Error('Invoice not found');
     }
 
-    const invoice = invoices[invoiceIndex];
+    await visibilityService.assertVisible('proformaInvoice', invoice, userId, userRole, 'delete');
 
     if (invoice.pdfPath && fsSync.existsSync(invoice.pdfPath)) {
       await fs.unlink(invoice.pdfPath).catch(() => {});
@@ -847,8 +905,11 @@ class ProformaInvoiceService {
       await fs.unlink(invoice.attachmentPath).catch(() => {});
     }
 
-    invoices.splice(invoiceIndex, 1);
-    await this.saveInvoices(invoices);
+    await invoiceRepository.remove(id);
+
+    if (invoice.sourceQuote) {
+      await priceQuoteService.removeConversion(invoice.sourceQuote.id, id);
+    }
 
     return { message: 'Invoice deleted successfully' };
   }
@@ -868,7 +929,7 @@ class ProformaInvoiceService {
         throw new Error('Email configuration error: Missing SMTP credentials. Please check your .env file.');
       }
 
-      const invoice = await this.getInvoiceById(invoiceId);
+      const invoice = await this.getInvoiceById(invoiceId, userId, userRole);
       console.log('✅ Invoice found:', invoice.invoiceNumber);
 
       if (!invoice.pdfPath || !fsSync.existsSync(invoice.pdfPath)) {
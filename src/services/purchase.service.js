@@ -4,12 +4,15 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const nodemailer = require('nodemailer');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const approvalService = require('./approval.service');
+const supplierService = require('./supplier.service');
+const supplierDocumentService = require('./supplier-document.service');
 const poPdfGenerator = require('../utils/pdf-generator-po.util');
 
-const POS_FILE = path.join(__dirname, '../../data/purchases/index.json');
-const COUNTER_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+const poRepository = getRepository('purchases');
 
 // ✅ Path to your static Terms and Conditions PDF file
 const STATIC_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
@@ -20,17 +23,11 @@ class PurchaseService {
    */
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -98,71 +95,39 @@ class PurchaseService {
   }
 
   /**
-   * Load POs from JSON file
+   * Load POs from storage
    */
   async loadPOs() {
-    try {
-      const data = await fs.readFile(POS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+    return poRepository.findAll();
   }
 
   /**
-   * Save POs to JSON file
+   * Save POs to storage
    */
   async savePOs(pos) {
-    await atomicWrite(POS_FILE, JSON.stringify(pos, null, 2));
+    await poRepository.replaceAll(pos);
   }
 
   /**
-   * Load counter from counters.json file
+   * Load current counter value
    */
   async loadCounter() {
-    try {
-      const data = await fs.readFile(COUNTER_FILE, 'utf8');
-      const counters = JSON.parse(data);
-      return counters.PO || 0;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return 0;
-      }
-      throw error;
-    }
+    return numberingService.getCounter('purchaseOrder');
   }
 
   /**
-   * Save counter to counters.json file
+   * Save counter value
    */
   async saveCounter(counter) {
-    try {
-      let counters = {};
-      try {
-        const data = await fs.readFile(COUNTER_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
-      }
-      
-      counters.PO = counter;
-      await atomicWrite(COUNTER_FILE, JSON.stringify(counters, null, 2));
-    } catch (error) {
-      throw error;
-    }
+    await numberingService.setCounter('purchaseOrder', counter);
   }
 
   /**
    * Generate PO number from counter
    */
-  generatePONumber(counter) {
-    const paddedNumber = String(counter).padStart(5, '0');
-    return `PO${paddedNumber}`;
+  async generatePONumber(counter) {
+    const sequence = await numberingService.getSequence('purchaseOrder');
+    return numberingService.formatNumber(sequence, counter);
   }
 
   /**
@@ -180,7 +145,7 @@ class PurchaseService {
       oldCounter,
       newCounter: 0,
       deletedPOs: deletedCount,
-      nextPONumber: this.generatePONumber(1),
+      nextPONumber: await this.generatePONumber(1),
       message: `Counter reset to 0 and ${deletedCount} PO(s) deleted`
     };
   }
@@ -263,16 +228,7 @@ class PurchaseService {
     console.log('User Role:', userRole);
     console.log('Include Terms & Conditions PDF:', poData.includeStaticFile);
     
-    const pos = await this.loadPOs();
-    
-    const counter = await this.loadCounter();
-    const newCounter = counter + 1;
-    
-    const paddedCounter = String(newCounter).padStart(5, '0');
-    const id = `PO-${paddedCounter}`;
-    const poNumber = this.generatePONumber(newCounter);
-    
-    await this.saveCounter(newCounter);
+    const { id, number: poNumber } = await numberingService.next('purchaseOrder');
 
     const today = new Date().toISOString().split('T')[0];
     const detectedLanguage = poData.forceLanguage || this.detectPOLanguage(poData);
@@ -303,6 +259,11 @@ class PurchaseService {
       supplier: poData.supplier || '',
       supplierAddress: poData.supplierAddress || '',
       supplierPhone: poData.supplierPhone || '',
+      supplierId: null,
+      supplierSnapshot: null,
+      currency: poData.currency || '',
+      paymentTerms: poData.paymentTerms || '',
+      expectedDeliveryDate: poData.expectedDeliveryDate || null,
       receiver: poData.receiver || '',
       receiverCity: poData.receiverCity || '',
       receiverAddress: poData.receiverAddress || '',
@@ -311,9 +272,13 @@ class PurchaseService {
       taxRate: poData.taxRate || 0,
       items: poData.items || [],
       notes: poData.notes || '',
+      project: poData.project || '',
+      sourceMaterialRequest: poData.sourceMaterialRequest || null,
+      sourceRfq: poData.sourceRfq || null,
       includeStaticFile: poData.includeStaticFile || false,
       language: detectedLanguage,
       status: 'pending',
+      receivingStatus: 'open',
       createdBy: userId,
       createdByName: createdByName,
       createdByRole: userRole,
@@ -321,8 +286,13 @@ class PurchaseService {
       updatedAt: new Date().toISOString()
     };
 
-    pos.push(newPO);
-    await this.savePOs(pos);
+    if (poData.supplierId) {
+      this.applySupplier(newPO, await supplierService.getSnapshot(poData.supplierId), poData);
+      await supplierDocumentService.assertDocumentsValid(poData.supplierId);
+    }
+
+    await approvalService.start('purchases', newPO, userId);
+    await poRepository.insert(newPO);
 
     console.log('✓ PO created successfully');
     console.log('Creator name:', newPO.createdByName);
@@ -332,6 +302,70 @@ class PurchaseService {
     return newPO;
   }
 
+  /**
+   * Link a PO to a supplier record. Supplier fields sent with the request win,
+   * the rest are filled from the snapshot.
+   */
+  applySupplier(po, snapshot, data = {}) {
+    po.supplierId = snapshot.id;
+    po.supplierSnapshot = snapshot;
+    po.supplier = data.supplier || snapshot.companyName;
+    po.supplierAddress = data.supplierAddress || snapshot.address || '';
+    po.supplierPhone = data.supplierPhone || snapshot.phone || '';
+    po.currency = data.currency || snapshot.currency || '';
+    po.paymentTerms = data.paymentTerms || snapshot.paymentTerms || '';
+  }
+
+  /**
+   * POs linked to a supplier with spend totals (rejected POs are not counted as spend)
+   */
+  async getSupplierPurchaseOrders(supplierId, userId, userRole) {
+    const supplier = await supplierService.getSupplierById(supplierId);
+
+    let pos = (await this.loadPOs()).filter(po => po.supplierId === supplierId);
+    pos = await visibilityService.filterVisible('purchases', pos, userId, userRole);
+    pos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const totals = { count: pos.length, totalSpend: 0, approvedSpend: 0, pendingSpend: 0, byStatus: {}, byCurrency: {} };
+
+    const purchaseOrders = pos.map(po => {
+      const grandTotal = parseFloat(poPdfGenerator.calculateTotals(po.items, po.taxRate || 0).grandTotal);
+      const currency = po.currency || supplier.currency || '';
+
+      totals.byStatus[po.status] = (totals.byStatus[po.status] || 0) + 1;
+      if (po.status !== 'rejected') {
+        totals.totalSpend += grandTotal;
+        totals.byCurrency[currency] = (totals.byCurrency[currency] || 0) + grandTotal;
+        if (po.status === 'approved') totals.approvedSpend += grandTotal;
+        else totals.pendingSpend += grandTotal;
+      }
+
+      return {
+        id: po.id,
+        poNumber: po.poNumber,
+        date: po.date,
+        status: po.status,
+        project: po.project || '',
+        currency,
+        grandTotal,
+        createdAt: po.createdAt
+      };
+    });
+
+    totals.totalSpend = Number(totals.totalSpend.toFixed(2));
+    totals.approvedSpend = Number(totals.approvedSpend.toFixed(2));
+    totals.pendingSpend = Number(totals.pendingSpend.toFixed(2));
+    Object.keys(totals.byCurrency).forEach(currency => {
+      totals.byCurrency[currency] = Number(totals.byCurrency[currency].toFixed(2));
+    });
+
+    return {
+      supplier: { id: supplier.id, name: supplier.name, companyName: supplier.companyName, currency: supplier.currency },
+      totals,
+      purchaseOrders
+    };
+  }
+
   /**
    * Get all POs with filtering and pagination
    */
@@ -340,9 +374,7 @@ class PurchaseService {
 
     pos = await this.enrichPOsWithCreatorNames(pos);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      pos = pos.filter(p => p.createdBy === userId);
-    }
+    pos = await visibilityService.filterVisible('purchases', pos, userId, userRole);
 
     if (filters.poNumber) {
       pos = pos.filter(p => 
@@ -363,6 +395,14 @@ class PurchaseService {
       );
     }
 
+    if (filters.supplierId) {
+      pos = pos.filter(p => p.supplierId === filters.supplierId);
+    }
+
+    if (filters.receivingStatus) {
+      pos = pos.filter(p => (p.receivingStatus || 'open') === filters.receivingStatus);
+    }
+
     if (filters.status) {
       pos = pos.filter(p => p.status === filters.status);
     }
@@ -402,18 +442,13 @@ class PurchaseService {
    * Get PO by ID
    */
   async getPOById(id, userId, userRole) {
-    const pos = await this.loadPOs();
-    const po = pos.find(p => p.id === id);
+    const po = await poRepository.findById(id);
 
     if (!po) {
       throw new Error('Purchase Order not found');
     }
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (po.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own Purchase Orders');
-      }
-    }
+    await visibilityService.assertVisible('purchases', po, userId, userRole, 'view');
 
     const createdByName = await this.getUserNameById(po.createdBy);
 
@@ -427,20 +462,17 @@ class PurchaseService {
    * ✅ Update PO - WITH includeStaticFile (Terms & Conditions) SUPPORT
    */
   async updatePO(id, updateData, userId, userRole) {
-    const pos = await this.loadPOs();
-    const poIndex = pos.findIndex(p => p.id === id);
+    const po = await poRepository.findById(id);
 
-    if (poIndex === -1) {
+    if (!po) {
       throw new Error('Purchase Order not found');
     }
 
-    const po = pos[poIndex];
+    assertVersion(po, updateData.version);
+    const expectedVersion = getVersion(po);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (po.createdBy !== userId) {
-        throw new Error('Access denied: You can only edit your own Purchase Orders');
-      }
-    }
+    await visibilityService.assertVisible('purchases', po, userId, userRole, 'edit');
+    approvalService.assertEditable('purchases', po);
 
     if (updateData.date) po.date = updateData.date;
     if (updateData.supplier !== undefined) po.supplier = updateData.supplier;
@@ -454,16 +486,30 @@ class PurchaseService {
     if (updateData.taxRate !== undefined) po.taxRate = updateData.taxRate;
     if (updateData.items) po.items = updateData.items;
     if (updateData.notes !== undefined) po.notes = updateData.notes;
-    if (updateData.status) po.status = updateData.status;
+    if (updateData.project !== undefined) po.project = updateData.project;
     if (updateData.includeStaticFile !== undefined) po.includeStaticFile = updateData.includeStaticFile;
+    if (updateData.currency !== undefined) po.currency = updateData.currency;
+    if (updateData.paymentTerms !== undefined) po.paymentTerms = updateData.paymentTerms;
+    if (updateData.expectedDeliveryDate !== undefined) po.expectedDeliveryDate = updateData.expectedDeliveryDate || null;
+
+    // The snapshot is only refreshed when the PO is linked to a different supplier
+    if (updateData.supplierId !== undefined && (updateData.supplierId || null) !== (po.supplierId || null)) {
+      if (updateData.supplierId) {
+        this.applySupplier(po, await supplierService.getSnapshot(updateData.supplierId), updateData);
+        await supplierDocumentService.assertDocumentsValid(updateData.supplierId);
+      } else {
+        po.supplierId = null;
+        po.supplierSnapshot = null;
+      }
+    }
 
     const detectedLanguage = updateData.forceLanguage || this.detectPOLanguage(po);
     po.language = detectedLanguage;
 
     po.updatedAt = new Date().toISOString();
 
-    pos[poIndex] = po;
-    await this.savePOs(pos);
+    await approvalService.restartIfInProgress('purchases', po, userId);
+    await poRepository.update(id, po, { expectedVersion });
 
     const createdByName = await this.getUserNameById(po.createdBy);
 
@@ -476,15 +522,20 @@ class PurchaseService {
   /**
    * ✅ Delete PO - WITH FILE MANAGEMENT INTEGRATION
    */
-  async deletePO(id) {
-    const pos = await this.loadPOs();
-    const poIndex = pos.findIndex(p => p.id === id);
+  async deletePO(id, userId, userRole) {
+    const po = await poRepository.findById(id);
 
-    if (poIndex === -1) {
+    if (!po) {
       throw new Error('Purchase Order not found');
     }
 
-    const po = pos[poIndex];
+    await visibilityService.assertVisible('purchases', po, userId, userRole, 'delete');
+
+    if (po.goodsReceipts && po.goodsReceipts.length > 0) {
+      const error = new Error(`Purchase Order has goods receipts (${po.goodsReceipts.map(r => r.grnNumber).join(', ')}); delete them first`);
+      error.statusCode = 409;
+      throw error;
+    }
     
     if (po.pdfFilename) {
       const fileManagementService = require('./File-management.service');
@@ -503,8 +554,17 @@ class PurchaseService {
       }
     }
 
-    pos.splice(poIndex, 1);
-    await this.savePOs(pos);
+    await poRepository.remove(id);
+
+    if (po.sourceMaterialRequest) {
+      const materialService = require('./material.service');
+      await materialService.removeConversion(po.sourceMaterialRequest.id, id);
+    }
+
+    if (po.sourceRfq) {
+      const rfqService = require('./rfq.service');
+      await rfqService.removeAward(po.sourceRfq.id, id);
+    }
 
     return { message: 'Purchase Order deleted successfully' };
   }
@@ -515,15 +575,14 @@ class PurchaseService {
   async getPOStats(userId, userRole) {
     let pos = await this.loadPOs();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      pos = pos.filter(p => p.createdBy === userId);
-    }
+    pos = await visibilityService.filterVisible('purchases', pos, userId, userRole);
 
     const stats = {
       totalPOs: pos.length,
       pending: pos.filter(p => p.status === 'pending').length,
       approved: pos.filter(p => p.status === 'approved').length,
       rejected: pos.filter(p => p.status === 'rejected').length,
+      returned: pos.filter(p => p.status === 'returned').length,
       thisMonth: 0,
       thisWeek: 0,
       today: 0
@@ -677,19 +736,16 @@ class PurchaseService {
     }
     
     // Update PO record with PDF metadata
-    const pos = await this.loadPOs();
-    const poIndex = pos.findIndex(p => p.id === id);
-    
-    if (poIndex !== -1) {
-      pos[poIndex].pdfFilename = finalPdfResult.filename;
-      pos[poIndex].pdfLanguage = finalPdfResult.language;
-      pos[poIndex].pdfGeneratedAt = new Date().toISOString();
-      pos[poIndex].pdfMerged = finalPdfResult.merged || false;
-      if (finalPdfResult.pageCount) {
-        pos[poIndex].pdfPageCount = finalPdfResult.pageCount;
-      }
-      await this.savePOs(pos);
+    const pdfMetadata = {
+      pdfFilename: finalPdfResult.filename,
+      pdfLanguage: finalPdfResult.language,
+      pdfGeneratedAt: new Date().toISOString(),
+      pdfMerged: finalPdfResult.merged || false
+    };
+    if (finalPdfResult.pageCount) {
+      pdfMetadata.pdfPageCount = finalPdfResult.pageCount;
     }
+    await poRepository.update(id, pdfMetadata, { keepVersion: true });
     
     console.log('════════════════════════════════════════════════════════════');
     console.log('✅ PDF generation complete!');
@@ -3,15 +3,17 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const nodemailer = require('nodemailer');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const clientService = require('./client.service');
 const { generateId } = require('../utils/id-generator.util');
 const pdfGenerator = require('../utils/pdf-generatorRecipts.util');
 
-const RECEIPTS_FILE = path.join(__dirname, '../../data/receipts/index.json');
-const COUNTER_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
 const STATIC_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
 
+const receiptRepository = getRepository('receipts');
+
 // ✅ Email configuration with proper credential checks
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
 const EMAIL_PORT = parseInt(process.env.EMAIL_PORT || '587');
@@ -57,17 +59,11 @@ class ReceiptService {
    */
   async loadUsers() {
     try {
-      console.log('Loading users from:', USERS_FILE);
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       console.log('Loaded users count:', users.length);
       return users;
     } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        console.error('Users file does not exist at:', USERS_FILE);
-        return [];
-      }
+      console.error('Error loading users:', error);
       throw error;
     }
   }
@@ -116,71 +112,39 @@ class ReceiptService {
   }
 
   /**
-   * Load receipts from JSON file
+   * Load receipts from storage
    */
   async loadReceipts() {
-    try {
-      const data = await fs.readFile(RECEIPTS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+    return receiptRepository.findAll();
   }
 
   /**
-   * Save receipts to JSON file
+   * Save receipts to storage
    */
   async saveReceipts(receipts) {
-    await atomicWrite(RECEIPTS_FILE, JSON.stringify(receipts, null, 2));
+    await receiptRepository.replaceAll(receipts);
   }
 
   /**
-   * Load counter from counters.json file
+   * Load current counter value
    */
   async loadCounter() {
-    try {
-      const data = await fs.readFile(COUNTER_FILE, 'utf8');
-      const counters = JSON.parse(data);
-      return counters.RECEIPT || 0;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return 0;
-      }
-      throw error;
-    }
+    return numberingService.getCounter('receipt');
   }
 
   /**
-   * Save counter to counters.json file
+   * Save counter value
    */
   async saveCounter(counter) {
-    try {
-      let counters = {};
-      try {
-        const data = await fs.readFile(COUNTER_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
-      }
-      
-      counters.RECEIPT = counter;
-      await atomicWrite(COUNTER_FILE, JSON.stringify(counters, null, 2));
-    } catch (error) {
-      throw error;
-    }
+    await numberingService.setCounter('receipt', counter);
   }
 
   /**
    * Generate receipt number from counter
    */
-  generateReceiptNumber(counter) {
-    const paddedNumber = String(counter).padStart(4, '0');
-    return `DN${paddedNumber}`;
+  async generateReceiptNumber(counter) {
+    const sequence = await numberingService.getSequence('receipt');
+    return numberingService.formatNumber(sequence, counter);
   }
 
   /**
@@ -202,7 +166,7 @@ class ReceiptService {
       oldCounter,
       newCounter,
       deletedReceipts: deletedCount,
-      nextReceiptNumber: this.generateReceiptNumber(newCounter + 1),
+      nextReceiptNumber: await this.generateReceiptNumber(newCounter + 1),
       message: `Counter reset to ${newCounter} and ${deletedCount} receipt(s) deleted`
     };
   }
@@ -217,16 +181,7 @@ class ReceiptService {
     console.log('userRole:', userRole);
     console.log('includeStaticFile:', receiptData.includeStaticFile);
     
-    const receipts = await this.loadReceipts();
-    
-    const counter = await this.loadCounter();
-    const newCounter = counter + 1;
-    
-    const paddedCounter = String(newCounter).padStart(4, '0');
-    const id = `RECEIPT-${paddedCounter}`;
-    const receiptNumber = this.generateReceiptNumber(newCounter);
-    
-    await this.saveCounter(newCounter);
+    const { id, number: receiptNumber } = await numberingService.next('receipt');
 
     const today = new Date().toISOString().split('T')[0];
 
@@ -240,6 +195,8 @@ class ReceiptService {
     const newReceipt = {
       id,
       receiptNumber,
+      clientId: null,
+      clientSnapshot: null,
       to: receiptData.to,
       date: receiptData.date || today,
       address: receiptData.address || '',
@@ -259,14 +216,29 @@ class ReceiptService {
       updatedAt: new Date().toISOString()
     };
 
-    receipts.push(newReceipt);
-    await this.saveReceipts(receipts);
+    if (receiptData.clientId) {
+      this.applyClient(newReceipt, await clientService.getSnapshot(receiptData.clientId), receiptData);
+    }
+
+    await receiptRepository.insert(newReceipt);
 
     console.log('Receipt created with name:', newReceipt.createdByName);
     console.log('Include static file:', newReceipt.includeStaticFile);
     return newReceipt;
   }
 
+  /**
+   * Link a receipt to a client record. Fields sent with the request win,
+   * the rest are filled from the snapshot.
+   */
+  applyClient(receipt, snapshot, data = {}) {
+    receipt.clientId = snapshot.id;
+    receipt.clientSnapshot = snapshot;
+    receipt.to = data.to || snapshot.companyName;
+    receipt.address = data.address || [snapshot.address, snapshot.city].filter(Boolean).join(', ');
+    receipt.attention = data.attention || snapshot.contactPerson || '';
+  }
+
   /**
    * Add creator names to receipts
    */
@@ -298,9 +270,7 @@ class ReceiptService {
 
     receipts = await this.enrichReceiptsWithCreatorNames(receipts);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      receipts = receipts.filter(r => r.createdBy === userId);
-    }
+    receipts = await visibilityService.filterVisible('receipts', receipts, userId, userRole);
 
     if (filters.receiptNumber) {
       receipts = receipts.filter(r => 
@@ -315,6 +285,10 @@ class ReceiptService {
       receipts = receipts.filter(r => r.date <= filters.endDate);
     }
 
+    if (filters.clientId) {
+      receipts = receipts.filter(r => r.clientId === filters.clientId);
+    }
+
     if (filters.to) {
       receipts = receipts.filter(r => 
         r.to.toLowerCase().includes(filters.to.toLowerCase())
@@ -356,18 +330,13 @@ class ReceiptService {
    * Get receipt by ID
    */
   async getReceiptById(id, userId, userRole) {
-    const receipts = await this.loadReceipts();
-    const receipt = receipts.find(r => r.id === id);
+    const receipt = await receiptRepository.findById(id);
 
     if (!receipt) {
       throw new Error('Receipt not found');
     }
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (receipt.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own receipts');
-      }
-    }
+    await visibilityService.assertVisible('receipts', receipt, userId, userRole, 'view');
 
     const createdByName = await this.getUserNameById(receipt.createdBy);
 
@@ -388,11 +357,7 @@ class ReceiptService {
       throw new Error('Receipt not found');
     }
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (receipt.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own receipts');
-      }
-    }
+    await visibilityService.assertVisible('receipts', receipt, userId, userRole, 'view');
 
     const createdByName = await this.getUserNameById(receipt.createdBy);
 
@@ -406,20 +371,16 @@ class ReceiptService {
    * Update receipt
    */
   async updateReceipt(id, updateData, userId, userRole) {
-    const receipts = await this.loadReceipts();
-    const receiptIndex = receipts.findIndex(r => r.id === id);
+    const receipt = await receiptRepository.findById(id);
 
-    if (receiptIndex === -1) {
+    if (!receipt) {
       throw new Error('Receipt not found');
     }
 
-    const receipt = receipts[receiptIndex];
+    assertVersion(receipt, updateData.version);
+    const expectedVersion = getVersion(receipt);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (receipt.createdBy !== userId) {
-        throw new Error('Access denied: You can only edit your own receipts');
-      }
-    }
+    await visibilityService.assertVisible('receipts', receipt, userId, userRole, 'edit');
 
     if (updateData.to) receipt.to = updateData.to;
     if (updateData.date) receipt.date = updateData.date;
@@ -434,10 +395,19 @@ class ReceiptService {
     if (updateData.notes !== undefined) receipt.notes = updateData.notes;
     if (updateData.includeStaticFile !== undefined) receipt.includeStaticFile = updateData.includeStaticFile;
 
+    // The snapshot is only refreshed when the receipt is linked to a different client
+    if (updateData.clientId !== undefined && (updateData.clientId || null) !== (receipt.clientId || null)) {
+      if (updateData.clientId) {
+        this.applyClient(receipt, await clientService.getSnapshot(updateData.clientId), updateData);
+      } else {
+        receipt.clientId = null;
+        receipt.clientSnapshot = null;
+      }
+    }
+
     receipt.updatedAt = new Date().toISOString();
 
-    receipts[receiptIndex] = receipt;
-    await this.saveReceipts(receipts);
+    await receiptRepository.update(id, receipt, { expectedVersion });
 
     const createdByName = await this.getUserNameById(receipt.createdBy);
 
@@ -450,15 +420,14 @@ class ReceiptService {
   /**
    * Delete receipt
    */
-  async deleteReceipt(id) {
-    const receipts = await this.loadReceipts();
-    const receiptIndex = receipts.findIndex(r => r.id === id);
+  async deleteReceipt(id, userId, userRole) {
+    const receipt = await receiptRepository.findById(id);
 
-    if (receiptIndex === -1) {
+    if (!receipt) {
       throw new Error('Receipt not found');
     }
 
-    const receipt = receipts[receiptIndex];
+    await visibilityService.assertVisible('receipts', receipt, userId, userRole, 'delete');
     
     // Delete from File Management
     if (receipt.pdfFilename) {
@@ -479,8 +448,7 @@ class ReceiptService {
       }
     }
 
-    receipts.splice(receiptIndex, 1);
-    await this.saveReceipts(receipts);
+    await receiptRepository.remove(id);
 
     return { message: 'Receipt deleted successfully' };
   }
@@ -491,9 +459,7 @@ class ReceiptService {
   async getReceiptStats(userId, userRole) {
     let receipts = await this.loadReceipts();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      receipts = receipts.filter(r => r.createdBy === userId);
-    }
+    receipts = await visibilityService.filterVisible('receipts', receipts, userId, userRole);
 
     const stats = {
       totalReceipts: receipts.length,
@@ -607,19 +573,16 @@ class ReceiptService {
       finalPdfResult.mergeError = mergeError.message;
     }
     
-    const receipts = await this.loadReceipts();
-    const receiptIndex = receipts.findIndex(r => r.id === id);
-    
-    if (receiptIndex !== -1) {
-      receipts[receiptIndex].pdfFilename = finalPdfResult.filename;
-      receipts[receiptIndex].pdfLanguage = finalPdfResult.language;
-      receipts[receiptIndex].pdfGeneratedAt = new Date().toISOString();
-      receipts[receiptIndex].pdfMerged = finalPdfResult.merged || false;
-      if (finalPdfResult.pageCount) {
-        receipts[receiptIndex].pdfPageCount = finalPdfResult.pageCount;
-      }
-      await this.saveReceipts(receipts);
+    const pdfMetadata = {
+      pdfFilename: finalPdfResult.filename,
+      pdfLanguage: finalPdfResult.language,
+      pdfGeneratedAt: new Date().toISOString(),
+      pdfMerged: finalPdfResult.merged || false
+    };
+    if (finalPdfResult.pageCount) {
+      pdfMetadata.pdfPageCount = finalPdfResult.pageCount;
     }
+    await receiptRepository.update(id, pdfMetadata, { keepVersion: true });
     
     return {
       receipt,
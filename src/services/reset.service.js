@@ -1,16 +1,15 @@
 // src/services/reset.service.js
-const fs = require('fs').promises;
-const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util'); // ✅ Fixed
+const numberingService = require('./numbering.service');
+const { hashPassword } = require('../utils/password.util');
+const { getRepository } = require('../utils/repository.util');
 
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
-const COUNTERS_FILE = path.join(__dirname, '../../data/counters.json');
+const userRepository = getRepository('users');
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
 
 class ResetService {
   async areAllUsersDeleted() {
     try {
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await userRepository.findAll();
       return users.length === 0;
     } catch (error) {
       return true;
@@ -19,19 +18,7 @@ class ResetService {
 
   async resetUserCounter() {
     try {
-      let counters = {};
-      
-      try {
-        const data = await fs.readFile(COUNTERS_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        // File doesn't exist
-      }
-
-      counters.USER = 0;
-
-      // ✅ Fixed: Use as function
-      await atomicWrite(COUNTERS_FILE, JSON.stringify(counters, null, 2));
+      await numberingService.setCounter('USER', 0);
       
       console.log('✅ User counter reset to start from USER-0001');
       return true;
@@ -47,26 +34,18 @@ class ResetService {
       username: "admin.super",
       name: "Super Admin",
       email: "admin@laser.com",
-      password: "admin123",
+      password: await hashPassword(DEFAULT_ADMIN_PASSWORD),
       role: "super_admin",
       active: true,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    // ✅ Fixed: Use as function
-    await atomicWrite(USERS_FILE, JSON.stringify([defaultAdmin], null, 2));
+    await userRepository.transaction(users => {
+      users.splice(0, users.length, defaultAdmin);
+    });
     
-    let counters = {};
-    try {
-      const data = await fs.readFile(COUNTERS_FILE, 'utf8');
-      counters = JSON.parse(data);
-    } catch (error) {
-      // Ignore
-    }
-    
-    counters.USER = 1;
-    await atomicWrite(COUNTERS_FILE, JSON.stringify(counters, null, 2));
+    await numberingService.setCounter('USER', 1);
     
     console.log('✅ Default super admin recreated');
     return defaultAdmin;
@@ -85,15 +64,21 @@ class ResetService {
       message: 'System reset successfully',
       defaultAdmin: {
         email: admin.email,
-        password: admin.password
+        password: DEFAULT_ADMIN_PASSWORD
       }
     };
   }
 
   async reindexUsers() {
     try {
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      let users = JSON.parse(data);
+      // Renumber the list as it is under the users write lock
+      const users = await userRepository.transaction(users => {
+        users.forEach((user, index) => {
+          user.id = `USER-${String(index + 1).padStart(4, '0')}`;
+          user.updatedAt = new Date().toISOString();
+        });
+        return users;
+      });
 
       if (users.length === 0) {
         await this.resetUserCounter();
@@ -104,28 +89,7 @@ class ResetService {
         };
       }
 
-      users = users.map((user, index) => {
-        const newId = `USER-${String(index + 1).padStart(4, '0')}`;
-        return {
-          ...user,
-          id: newId,
-          updatedAt: new Date().toISOString()
-        };
-      });
-
-      // ✅ Fixed: Use as function
-      await atomicWrite(USERS_FILE, JSON.stringify(users, null, 2));
-
-      let counters = {};
-      try {
-        const counterData = await fs.readFile(COUNTERS_FILE, 'utf8');
-        counters = JSON.parse(counterData);
-      } catch (error) {
-        // Ignore
-      }
-
-      counters.USER = users.length;
-      await atomicWrite(COUNTERS_FILE, JSON.stringify(counters, null, 2));
+      await numberingService.setCounter('USER', users.length);
 
       console.log(`✅ Reindexed ${users.length} users`);
 
@@ -143,17 +107,9 @@ class ResetService {
 
   async getSystemStats() {
     try {
-      const usersData = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(usersData);
-
-      let counter = 0;
-      try {
-        const counterData = await fs.readFile(COUNTERS_FILE, 'utf8');
-        const counters = JSON.parse(counterData);
-        counter = counters.USER || 0;
-      } catch (error) {
-        // Counter file doesn't exist
-      }
+      const users = await userRepository.findAll();
+
+      const counter = await numberingService.getCounter('USER');
 
       const roleCount = {
         super_admin: 0,
@@ -1,17 +1,20 @@
 // src/services/rfq.service.js - UPDATED WITH EMAIL SENDING AND CUSTOM FILENAME
 
-const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const nodemailer = require('nodemailer');
-const atomicWrite = require('../utils/atomic-write.util');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const visibilityService = require('./visibility.service');
+const approvalService = require('./approval.service');
+const supplierService = require('./supplier.service');
+const supplierDocumentService = require('./supplier-document.service');
 const rfqPdfGenerator = require('../utils/pdf-generator-rfq.util');
 
-const RFQS_FILE = path.join(__dirname, '../../data/rfqs/index.json');
-const COUNTER_FILE = path.join(__dirname, '../../data/counters.json');
-const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
 const STATIC_PDF_PATH = path.join(__dirname, '../../data/Terms And Conditions/terms-and-conditions.pdf');
 
+const rfqRepository = getRepository('rfqs');
+
 // ✅ Email configuration with proper credential checks
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
 const EMAIL_PORT = parseInt(process.env.EMAIL_PORT || '587');
@@ -29,57 +32,24 @@ console.log('  - From:', EMAIL_FROM);
 
 class RFQService {
   async loadRFQs() {
-    try {
-      const data = await fs.readFile(RFQS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+    return rfqRepository.findAll();
   }
 
   async saveRFQs(rfqs) {
-    await atomicWrite(RFQS_FILE, JSON.stringify(rfqs, null, 2));
+    await rfqRepository.replaceAll(rfqs);
   }
 
   async loadCounter() {
-    try {
-      const data = await fs.readFile(COUNTER_FILE, 'utf8');
-      const counters = JSON.parse(data);
-      return counters.RFQ || 0;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return 0;
-      }
-      throw error;
-    }
+    return numberingService.getCounter('rfq');
   }
 
   async saveCounter(counter) {
-    try {
-      let counters = {};
-      try {
-        const data = await fs.readFile(COUNTER_FILE, 'utf8');
-        counters = JSON.parse(data);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
-      }
-      
-      counters.RFQ = counter;
-      await atomicWrite(COUNTER_FILE, JSON.stringify(counters, null, 2));
-    } catch (error) {
-      throw error;
-    }
+    await numberingService.setCounter('rfq', counter);
   }
 
   async getUserName(userId) {
     try {
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
+      const users = await this.loadUsers();
       
       const user = users.find(u => u.id === userId);
       
@@ -95,25 +65,15 @@ class RFQService {
   }
 
   /**
-   * ✅ NEW: Load users from JSON file
+   * ✅ NEW: Load users
    */
   async loadUsers() {
-    try {
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      const users = JSON.parse(data);
-      return users;
-    } catch (error) {
-      console.error('Error loading users file:', error);
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+    return getRepository('users').findAll();
   }
 
-  generateRFQNumber(counter) {
-    const paddedNumber = String(counter).padStart(4, '0');
-    return `RFQ${paddedNumber}`;
+  async generateRFQNumber(counter) {
+    const sequence = await numberingService.getSequence('rfq');
+    return numberingService.formatNumber(sequence, counter);
   }
 
   async resetRFQCounter() {
@@ -128,7 +88,7 @@ class RFQService {
       oldCounter,
       newCounter: 0,
       deletedRFQs: deletedCount,
-      nextRFQNumber: this.generateRFQNumber(1),
+      nextRFQNumber: await this.generateRFQNumber(1),
       message: `Counter reset to 0 and ${deletedCount} RFQ(s) deleted`
     };
   }
@@ -174,16 +134,7 @@ class RFQService {
     console.log('\n=== CREATE RFQ DEBUG ===');
     console.log('includeStaticFile:', rfqData.includeStaticFile);
     
-    const rfqs = await this.loadRFQs();
-    
-    const counter = await this.loadCounter();
-    const newCounter = counter + 1;
-    
-    const paddedCounter = String(newCounter).padStart(4, '0');
-    const id = `RFQ-${paddedCounter}`;
-    const rfqNumber = this.generateRFQNumber(newCounter);
-    
-    await this.saveCounter(newCounter);
+    const { id, number: rfqNumber } = await numberingService.next('rfq');
 
     const today = new Date().toISOString().split('T')[0];
     const currentTime = new Date().toTimeString().split(' ')[0];
@@ -206,9 +157,13 @@ class RFQService {
       production: rfqData.production || '',
       supplier: rfqData.supplier || '',
       supplierAddress: rfqData.supplierAddress || '',
+      supplierId: null,
+      supplierSnapshot: null,
       urgent: rfqData.urgent || false,
       items: rfqData.items || [],
       notes: rfqData.notes || '',
+      project: rfqData.project || '',
+      sourceMaterialRequest: rfqData.sourceMaterialRequest || null,
       includeStaticFile: rfqData.includeStaticFile || false,
       language: detectedLanguage,
       status: 'pending',
@@ -219,19 +174,32 @@ class RFQService {
       updatedAt: new Date().toISOString()
     };
 
-    rfqs.push(newRFQ);
-    await this.saveRFQs(rfqs);
+    if (rfqData.supplierId) {
+      this.applySupplier(newRFQ, await supplierService.getSnapshot(rfqData.supplierId), rfqData);
+    }
+
+    await approvalService.start('rfqs', newRFQ, userId);
+    await rfqRepository.insert(newRFQ);
 
     console.log('RFQ created with includeStaticFile:', newRFQ.includeStaticFile);
     return newRFQ;
   }
 
+  /**
+   * Link an RFQ to a supplier record. Supplier fields sent with the request win,
+   * the rest are filled from the snapshot.
+   */
+  applySupplier(rfq, snapshot, data = {}) {
+    rfq.supplierId = snapshot.id;
+    rfq.supplierSnapshot = snapshot;
+    rfq.supplier = data.supplier || snapshot.companyName;
+    rfq.supplierAddress = data.supplierAddress || snapshot.address || '';
+  }
+
   async getAllRFQs(filters = {}, userId, userRole) {
     let rfqs = await this.loadRFQs();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      rfqs = rfqs.filter(r => r.createdBy === userId);
-    }
+    rfqs = await visibilityService.filterVisible('rfqs', rfqs, userId, userRole);
 
     if (filters.rfqNumber) {
       rfqs = rfqs.filter(r => 
@@ -305,18 +273,13 @@ class RFQService {
   }
 
   async getRFQById(id, userId, userRole) {
-    const rfqs = await this.loadRFQs();
-    const rfq = rfqs.find(r => r.id === id);
+    const rfq = await rfqRepository.findById(id);
 
     if (!rfq) {
       throw new Error('RFQ not found');
     }
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (rfq.createdBy !== userId) {
-        throw new Error('Access denied: You can only view your own RFQs');
-      }
-    }
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'view');
 
     if (!rfq.createdByName) {
       rfq.createdByName = await this.getUserName(rfq.createdBy);
@@ -326,20 +289,17 @@ class RFQService {
   }
 
   async updateRFQ(id, updateData, userId, userRole) {
-    const rfqs = await this.loadRFQs();
-    const rfqIndex = rfqs.findIndex(r => r.id === id);
+    const rfq = await rfqRepository.findById(id);
 
-    if (rfqIndex === -1) {
+    if (!rfq) {
       throw new Error('RFQ not found');
     }
 
-    const rfq = rfqs[rfqIndex];
+    assertVersion(rfq, updateData.version);
+    const expectedVersion = getVersion(rfq);
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      if (rfq.createdBy !== userId) {
-        throw new Error('Access denied: You can only edit your own RFQs');
-      }
-    }
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'edit');
+    approvalService.assertEditable('rfqs', rfq);
 
     if (updateData.date) rfq.date = updateData.date;
     if (updateData.time) rfq.time = updateData.time;
@@ -350,9 +310,19 @@ class RFQService {
     if (updateData.urgent !== undefined) rfq.urgent = updateData.urgent;
     if (updateData.items) rfq.items = updateData.items;
     if (updateData.notes !== undefined) rfq.notes = updateData.notes;
-    if (updateData.status) rfq.status = updateData.status;
+    if (updateData.project !== undefined) rfq.project = updateData.project;
     if (updateData.includeStaticFile !== undefined) rfq.includeStaticFile = updateData.includeStaticFile;
 
+    // The snapshot is only refreshed when the RFQ is linked to a different supplier
+    if (updateData.supplierId !== undefined && (updateData.supplierId || null) !== (rfq.supplierId || null)) {
+      if (updateData.supplierId) {
+        this.applySupplier(rfq, await supplierService.getSnapshot(updateData.supplierId), updateData);
+      } else {
+        rfq.supplierId = null;
+        rfq.supplierSnapshot = null;
+      }
+    }
+
     const detectedLanguage = updateData.forceLanguage || this.detectRFQLanguage(rfq);
     rfq.language = detectedLanguage;
 
@@ -362,19 +332,18 @@ class RFQService {
       rfq.createdByName = await this.getUserName(rfq.createdBy);
     }
 
-    rfqs[rfqIndex] = rfq;
-    await this.saveRFQs(rfqs);
+    await approvalService.restartIfInProgress('rfqs', rfq, userId);
+    await rfqRepository.update(id, rfq, { expectedVersion });
 
     return rfq;
   }
 
-  async deleteRFQ(id) {
-    const rfqs = await this.loadRFQs();
-    const rfqIndex = rfqs.findIndex(r => r.id === id);
+  async deleteRFQ(id, userId, userRole) {
+    const rfq = await rfqRepository.findById(id);
 
-    if (rfqIndex === -1) throw new Error('RFQ not found');
+    if (!rfq) throw new Error('RFQ not found');
 
-    const rfq = rfqs[rfqIndex];
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'delete');
     
     // Delete from File Management
     if (rfq.pdfFilename) {
@@ -397,24 +366,561 @@ class RFQService {
       }
     }
 
-    rfqs.splice(rfqIndex, 1);
-    await this.saveRFQs(rfqs);
+    await rfqRepository.remove(id);
+
+    if (rfq.sourceMaterialRequest) {
+      const materialService = require('./material.service');
+      await materialService.removeConversion(rfq.sourceMaterialRequest.id, id);
+    }
 
     return { message: 'RFQ deleted successfully' };
   }
 
+  /**
+   * ✅ INVITE SUPPLIERS (from the supplier registry) - optionally email each one the RFQ PDF
+   * rfq.suppliers: [{ supplierId, supplierName, email, invitedBy, invitedAt, sentAt, emailError }]
+   */
+  async addSuppliers(id, supplierIds, userId, userRole, sendEmail = false) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'edit');
+
+    if (!Array.isArray(supplierIds) || supplierIds.length === 0) {
+      const error = new Error('supplierIds must be a non-empty array');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invited = rfq.suppliers || [];
+    const added = [];
+    const problems = [];
+
+    for (const supplierId of [...new Set(supplierIds)]) {
+      if (invited.some(s => s.supplierId === supplierId)) continue;
+
+      const supplier = await supplierService.getSupplierById(supplierId).catch(() => null);
+      if (!supplier) {
+        problems.push(`${supplierId} not found`);
+        continue;
+      }
+      if (supplier.status && supplier.status !== 'active') {
+        problems.push(`${supplierId} is ${supplier.status}`);
+        continue;
+      }
+
+      added.push({
+        supplierId,
+        supplierName: supplier.name,
+        email: supplier.email || null,
+        invitedBy: userId,
+        invitedAt: new Date().toISOString(),
+        sentAt: null,
+        emailError: null
+      });
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Cannot invite suppliers: ${problems.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Suppliers invited by a parallel request meanwhile are kept and not added twice
+    const newlyAdded = await this.modifyRFQ(id, current => {
+      const currentInvited = current.suppliers || [];
+      const fresh = added.filter(entry => !currentInvited.some(s => s.supplierId === entry.supplierId));
+      current.suppliers = [...currentInvited, ...fresh];
+      return fresh;
+    });
+
+    if (sendEmail && newlyAdded.length > 0) {
+      for (const entry of newlyAdded) {
+        try {
+          if (!entry.email) throw new Error('Supplier has no email address');
+          await this.sendRFQByEmail(id, userId, userRole, entry.email);
+          entry.sentAt = new Date().toISOString();
+        } catch (error) {
+          entry.emailError = error.message;
+        }
+      }
+
+      await this.modifyRFQ(id, current => {
+        current.suppliers = (current.suppliers || []).map(s => {
+          const sent = newlyAdded.find(entry => entry.supplierId === s.supplierId);
+          return sent ? { ...s, sentAt: sent.sentAt, emailError: sent.emailError } : s;
+        });
+      });
+    }
+
+    return { rfq: await this.getRFQById(id, userId, userRole), added: newlyAdded };
+  }
+
+  /**
+   * Remove an invited supplier (only before it responded)
+   */
+  async removeSupplier(id, supplierId, userId, userRole) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'edit');
+
+    // Checked against the stored RFQ, so a response recorded meanwhile is not lost
+    await this.modifyRFQ(id, current => {
+      if (!(current.suppliers || []).some(s => s.supplierId === supplierId)) {
+        const error = new Error('Supplier was not invited to this RFQ');
+        error.statusCode = 404;
+        throw error;
+      }
+      if ((current.responses || []).some(r => r.supplierId === supplierId)) {
+        const error = new Error('Supplier already responded; its quote is part of the comparison');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      current.suppliers = current.suppliers.filter(s => s.supplierId !== supplierId);
+    });
+
+    return this.getRFQById(id, userId, userRole);
+  }
+
+  /**
+   * ✅ RECORD A SUPPLIER'S QUOTE (replaces an earlier one from the same supplier)
+   * @param {object} responseData - { lines: [{ line, unitPrice, leadTimeDays, notes }],
+   *                                  leadTimeDays (default for the lines), validUntil, currency, notes }
+   */
+  async recordResponse(id, supplierId, responseData, userId, userRole) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'edit');
+
+    const supplier = (rfq.suppliers || []).find(s => s.supplierId === supplierId);
+    if (!supplier) {
+      const error = new Error('Supplier was not invited to this RFQ');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const problems = [];
+    const toLeadTime = (value, label) => {
+      if (value === undefined || value === null || value === '') return null;
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 0) {
+        problems.push(`${label}: lead time must be a whole number of days`);
+      }
+      return days;
+    };
+
+    const lines = Array.isArray(responseData.lines) ? responseData.lines : [];
+    if (lines.length === 0) {
+      problems.push('at least one quoted line is required');
+    }
+
+    const quoted = lines.map(l => {
+      const line = parseInt(l.line);
+      const unitPrice = Number(l.unitPrice);
+      if (!rfq.items[line - 1]) {
+        problems.push(`line ${l.line} does not exist`);
+      } else if (l.unitPrice === undefined || l.unitPrice === '' || isNaN(unitPrice) || unitPrice < 0) {
+        problems.push(`line ${line}: unitPrice must be a positive number`);
+      }
+      return {
+        line,
+        unitPrice,
+        leadTimeDays: toLeadTime(l.leadTimeDays, `line ${line}`),
+        notes: l.notes || ''
+      };
+    });
+
+    if (new Set(quoted.map(q => q.line)).size !== quoted.length) {
+      problems.push('each line can only be quoted once');
+    }
+    if (responseData.validUntil && isNaN(new Date(responseData.validUntil).getTime())) {
+      problems.push('validUntil must be a date (YYYY-MM-DD)');
+    }
+
+    const leadTimeDays = toLeadTime(responseData.leadTimeDays, 'response');
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid supplier response: ${problems.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const response = {
+      supplierId,
+      supplierName: supplier.supplierName,
+      lines: quoted,
+      leadTimeDays,
+      validUntil: responseData.validUntil || null,
+      currency: responseData.currency || null,
+      notes: responseData.notes || '',
+      recordedBy: userId,
+      receivedAt: new Date().toISOString()
+    };
+
+    await this.modifyRFQ(id, current => {
+      if (!(current.suppliers || []).some(s => s.supplierId === supplierId)) {
+        const error = new Error('Supplier was removed from this RFQ meanwhile');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      current.responses = [...(current.responses || []).filter(r => r.supplierId !== supplierId), response];
+    });
+
+    return this.getRFQById(id, userId, userRole);
+  }
+
+  /**
+   * ✅ BID COMPARISON MATRIX
+   * Per line: every supplier's quote, with the cheapest and fastest valid (not expired)
+   * quotes flagged. Per supplier: total of its quoted lines; cheapestSupplierId is the lowest
+   * total among valid suppliers that quoted every line.
+   */
+  buildComparison(rfq) {
+    const today = new Date().toISOString().split('T')[0];
+    const responses = rfq.responses || [];
+    const awards = rfq.awards || [];
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const suppliers = [
+      ...(rfq.suppliers || []).map(s => ({ supplierId: s.supplierId, supplierName: s.supplierName })),
+      ...responses
+        .filter(r => !(rfq.suppliers || []).some(s => s.supplierId === r.supplierId))
+        .map(r => ({ supplierId: r.supplierId, supplierName: r.supplierName }))
+    ].map(s => {
+      const response = responses.find(r => r.supplierId === s.supplierId);
+      return {
+        ...s,
+        responded: Boolean(response),
+        validUntil: response ? response.validUntil : null,
+        expired: Boolean(response && response.validUntil && response.validUntil < today),
+        currency: response ? response.currency : null,
+        total: 0,
+        quotedLines: 0,
+        maxLeadTimeDays: null
+      };
+    });
+
+    const lines = (rfq.items || []).map((item, index) => {
+      const line = index + 1;
+      const quantity = parseFloat(item.quantity) || 0;
+
+      const quotes = responses.map(response => {
+        const quote = response.lines.find(l => l.line === line);
+        if (!quote) return null;
+
+        const supplier = suppliers.find(s => s.supplierId === response.supplierId);
+        const leadTimeDays = quote.leadTimeDays !== null && quote.leadTimeDays !== undefined
+          ? quote.leadTimeDays
+          : response.leadTimeDays;
+
+        supplier.total = round(supplier.total + quote.unitPrice * quantity);
+        supplier.quotedLines++;
+        if (leadTimeDays !== null && leadTimeDays !== undefined) {
+          supplier.maxLeadTimeDays = Math.max(supplier.maxLeadTimeDays || 0, leadTimeDays);
+        }
+
+        return {
+          supplierId: response.supplierId,
+          unitPrice: quote.unitPrice,
+          total: round(quote.unitPrice * quantity),
+          leadTimeDays: leadTimeDays === undefined ? null : leadTimeDays,
+          notes: quote.notes,
+          expired: supplier.expired,
+          cheapest: false,
+          fastest: false
+        };
+      }).filter(Boolean);
+
+      const valid = quotes.filter(q => !q.expired);
+      const minPrice = Math.min(...valid.map(q => q.unitPrice));
+      const timed = valid.filter(q => q.leadTimeDays !== null);
+      const minLeadTime = Math.min(...timed.map(q => q.leadTimeDays));
+      valid.forEach(q => {
+        q.cheapest = q.unitPrice === minPrice;
+        q.fastest = q.leadTimeDays !== null && q.leadTimeDays === minLeadTime;
+      });
+
+      const award = awards.find(a => a.line === line);
+
+      return {
+        line,
+        description: item.description,
+        unit: item.unit,
+        quantity,
+        quotes,
+        cheapestSupplierIds: quotes.filter(q => q.cheapest).map(q => q.supplierId),
+        fastestSupplierIds: quotes.filter(q => q.fastest).map(q => q.supplierId),
+        awardedTo: award
+          ? { supplierId: award.supplierId, supplierName: award.supplierName, poId: award.poId, poNumber: award.poNumber }
+          : null
+      };
+    });
+
+    suppliers.forEach(s => {
+      s.complete = s.responded && s.quotedLines === lines.length;
+    });
+
+    const candidates = suppliers.filter(s => s.complete && !s.expired);
+    const cheapest = [...candidates].sort((a, b) => a.total - b.total)[0];
+    const fastest = candidates
+      .filter(s => s.maxLeadTimeDays !== null)
+      .sort((a, b) => a.maxLeadTimeDays - b.maxLeadTimeDays)[0];
+
+    return {
+      rfqId: rfq.id,
+      rfqNumber: rfq.rfqNumber,
+      suppliers,
+      lines,
+      cheapestSupplierId: cheapest ? cheapest.supplierId : null,
+      fastestSupplierId: fastest ? fastest.supplierId : null
+    };
+  }
+
+  async getComparison(id, userId, userRole) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    return this.buildComparison(rfq);
+  }
+
+  async generateComparisonPDF(id, userId, userRole) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    return rfqPdfGenerator.generateComparisonPDF(rfq, this.buildComparison(rfq));
+  }
+
+  /**
+   * ✅ AWARD LINES TO SUPPLIERS - creates one PO per awarded supplier at the quoted prices
+   * @param {Array} awards - [{ line, supplierId }]
+   * @param {object} poData - Extra PO fields (receiver, receiverCity, receiverAddress, receiverPhone, taxRate, notes,
+   *                          expectedDeliveryDate - defaults to today + the longest quoted lead time)
+   * @returns {object} { rfq, purchaseOrders }
+   */
+  async awardLines(id, awards, poData, userId, userRole) {
+    const rfq = await this.getRFQById(id, userId, userRole);
+    await visibilityService.assertVisible('rfqs', rfq, userId, userRole, 'award');
+
+    if (rfq.status !== 'approved') {
+      const error = new Error(`RFQ is ${rfq.status}; only approved RFQs can be awarded`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!Array.isArray(awards) || awards.length === 0) {
+      const error = new Error('awards must be a non-empty array of { line, supplierId }');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const existing = rfq.awards || [];
+    const problems = [];
+
+    const requested = awards.map(a => {
+      const line = parseInt(a.line);
+      const response = (rfq.responses || []).find(r => r.supplierId === a.supplierId);
+      const quote = response && response.lines.find(l => l.line === line);
+
+      if (!rfq.items[line - 1]) {
+        problems.push(`line ${a.line} does not exist`);
+      } else if (existing.some(e => e.line === line)) {
+        problems.push(`line ${line} is already awarded`);
+      } else if (!quote) {
+        problems.push(`line ${line}: no quote from supplier ${a.supplierId}`);
+      } else if (response.validUntil && response.validUntil < today) {
+        problems.push(`line ${line}: the quote of ${response.supplierName} expired on ${response.validUntil}`);
+      }
+      return { line, supplierId: a.supplierId, response, quote };
+    });
+
+    if (new Set(requested.map(a => a.line)).size !== requested.length) {
+      problems.push('each line can only be awarded once');
+    }
+    if (problems.length > 0) {
+      const error = new Error(`Cannot award lines: ${problems.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Every supplier is checked up front so a bad one does not leave half the POs created
+    const supplierIds = [...new Set(requested.map(a => a.supplierId))];
+    const suppliers = new Map();
+    for (const supplierId of supplierIds) {
+      const supplier = await supplierService.getSupplierById(supplierId).catch(() => null);
+      if (supplier && supplier.status === 'active') {
+        await supplierDocumentService.assertDocumentsValid(supplierId);
+      }
+      suppliers.set(supplierId, supplier);
+    }
+
+    // Lazy requires: purchase.service links back to RFQs
+    const purchaseService = require('./purchase.service');
+    const materialService = require('./material.service');
+
+    // Lines of the source material request may not be ordered beyond what is still
+    // open (other RFQs of the same request may have been awarded already); checked
+    // again under the request's lock when each PO is linked
+    if (rfq.sourceMaterialRequest) {
+      const material = await materialService.getOpenQuantities(rfq.sourceMaterialRequest.id);
+      const ordered = new Map();
+      requested.forEach(({ line }) => {
+        const { sourceLine, quantity } = rfq.items[line - 1];
+        if (sourceLine === undefined) return;
+        ordered.set(sourceLine, (ordered.get(sourceLine) || 0) + (parseFloat(quantity) || 0));
+      });
+
+      const over = [...ordered].filter(([sourceLine, quantity]) =>
+        material && material.items[sourceLine - 1] && quantity > material.items[sourceLine - 1].remainingQuantity);
+      if (over.length > 0) {
+        const error = new Error(`Cannot order more than ${material.mrNumber} still needs: ${over
+          .map(([sourceLine, quantity]) => `line ${sourceLine} has ${material.items[sourceLine - 1].remainingQuantity} left, ${quantity} awarded`)
+          .join('; ')}`);
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    const purchaseOrders = [];
+
+    for (const supplierId of supplierIds) {
+      const lines = requested.filter(a => a.supplierId === supplierId);
+      const supplier = suppliers.get(supplierId);
+
+      // The quoted lead time sets the delivery date the supplier is held to
+      const leadTimes = lines
+        .map(({ quote, response }) => (quote.leadTimeDays !== null ? quote.leadTimeDays : response.leadTimeDays))
+        .filter(days => days !== null && days !== undefined);
+      const expectedDeliveryDate = leadTimes.length > 0
+        ? new Date(Date.now() + Math.max(...leadTimes) * 86400000).toISOString().split('T')[0]
+        : null;
+
+      const po = await purchaseService.createPO({
+        ...poData,
+        // Active suppliers are linked (contact and terms come from the record), others stay free text
+        ...(supplier && supplier.status === 'active'
+          ? { supplierId: supplier.id }
+          : {
+            supplier: supplier ? supplier.name : lines[0].response.supplierName,
+            supplierAddress: supplier ? supplier.address : '',
+            supplierPhone: supplier ? supplier.phone : ''
+          }),
+        currency: lines[0].response.currency,
+        expectedDeliveryDate: poData.expectedDeliveryDate || expectedDeliveryDate,
+        items: lines.map(({ line, quote }) => {
+          const item = rfq.items[line - 1];
+          return {
+            description: item.description,
+            unit: item.unit,
+            quantity: parseFloat(item.quantity) || 0,
+            unitPrice: quote.unitPrice,
+            ...(item.sourceLine !== undefined ? { sourceLine: item.sourceLine } : {}),
+            rfqLine: line
+          };
+        }),
+        project: rfq.project,
+        sourceRfq: { id: rfq.id, rfqNumber: rfq.rfqNumber },
+        sourceMaterialRequest: rfq.sourceMaterialRequest
+      }, userId, userRole);
+
+      // Awards are recorded as soon as their PO exists, so a retry after a later
+      // failure never orders the same lines twice; if that fails the PO is deleted
+      try {
+        await this.recordAwards(id, lines.map(({ line, quote, response }) => ({
+          line,
+          supplierId,
+          supplierName: response.supplierName,
+          unitPrice: quote.unitPrice,
+          poId: po.id,
+          poNumber: po.poNumber,
+          awardedBy: userId,
+          awardedAt: new Date().toISOString()
+        })));
+
+        // Count the ordered quantities on the material request the RFQ came from
+        if (rfq.sourceMaterialRequest) {
+          await materialService.linkConversion(rfq.sourceMaterialRequest.id, {
+            type: 'purchaseOrder',
+            id: po.id,
+            number: po.poNumber,
+            supplier: po.supplier,
+            lines: po.items
+              .filter(item => item.sourceLine !== undefined)
+              .map(item => ({ line: item.sourceLine, quantity: item.quantity })),
+            createdBy: userId,
+            createdAt: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        await purchaseService.deletePO(po.id, userId, userRole).catch(deleteError =>
+          console.error(`❌ Could not delete ${po.poNumber} after a failed award:`, deleteError.message));
+        throw error;
+      }
+
+      purchaseOrders.push(po);
+    }
+
+    return { rfq: await this.getRFQById(id, userId, userRole), purchaseOrders };
+  }
+
+  /**
+   * Read-modify-write one RFQ under the RFQ write lock, so parallel changes to its
+   * suppliers, responses or awards are never lost. The updater works on the stored
+   * RFQ and may throw to abort without writing.
+   * @param {Function} updater - (rfq) => result
+   */
+  async modifyRFQ(id, updater) {
+    return rfqRepository.transaction(async rfqs => {
+      const rfq = rfqs.find(r => r.id === id);
+      if (!rfq) {
+        throw new Error('RFQ not found');
+      }
+
+      const result = await updater(rfq);
+      rfq.updatedAt = new Date().toISOString();
+      return result;
+    });
+  }
+
+  /**
+   * Append awards under the RFQ write lock (409 if a line was awarded meanwhile)
+   */
+  async recordAwards(id, newAwards) {
+    await this.modifyRFQ(id, rfq => {
+      const existing = rfq.awards || [];
+      const taken = newAwards.filter(award => existing.some(e => e.line === award.line));
+
+      if (taken.length > 0) {
+        const error = new Error(`Lines already awarded by another request: ${taken.map(a => a.line).join(', ')}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      rfq.awards = [...existing, ...newAwards];
+    });
+  }
+
+  /**
+   * Free the lines awarded through a PO (called when that PO is deleted)
+   */
+  async removeAward(rfqId, poId) {
+    await rfqRepository.transaction(rfqs => {
+      const rfq = rfqs.find(r => r.id === rfqId);
+      if (!rfq || !rfq.awards) return;
+
+      const awards = rfq.awards.filter(a => a.poId !== poId);
+      if (awards.length === rfq.awards.length) return;
+
+      rfq.awards = awards;
+      rfq.updatedAt = new Date().toISOString();
+    });
+  }
+
   async getRFQStats(userId, userRole) {
     let rfqs = await this.loadRFQs();
 
-    if (userRole === 'employee' || userRole === 'admin') {
-      rfqs = rfqs.filter(r => r.createdBy === userId);
-    }
+    rfqs = await visibilityService.filterVisible('rfqs', rfqs, userId, userRole);
 
     const stats = {
       totalRFQs: rfqs.length,
       pending: rfqs.filter(r => r.status === 'pending').length,
       approved: rfqs.filter(r => r.status === 'approved').length,
       rejected: rfqs.filter(r => r.status === 'rejected').length,
+      returned: rfqs.filter(r => r.status === 'returned').length,
       urgent: rfqs.filter(r => r.urgent === true).length,
       thisMonth: 0,
       thisWeek: 0,
@@ -554,19 +1060,16 @@ class RFQService {
       finalPdfResult.mergeError = mergeError.message;
     }
     
-    const rfqs = await this.loadRFQs();
-    const rfqIndex = rfqs.findIndex(r => r.id === id);
-    
-    if (rfqIndex !== -1) {
-      rfqs[rfqIndex].pdfFilename = finalPdfResult.filename;
-      rfqs[rfqIndex].pdfLanguage = finalPdfResult.language;
-      rfqs[rfqIndex].pdfGeneratedAt = new Date().toISOString();
-      rfqs[rfqIndex].pdfMerged = finalPdfResult.merged || false;
-      if (finalPdfResult.pageCount) {
-        rfqs[rfqIndex].pdfPageCount = finalPdfResult.pageCount;
-      }
-      await this.saveRFQs(rfqs);
+    const pdfMetadata = {
+      pdfFilename: finalPdfResult.filename,
+      pdfLanguage: finalPdfResult.language,
+      pdfGeneratedAt: new Date().toISOString(),
+      pdfMerged: finalPdfResult.merged || false
+    };
+    if (finalPdfResult.pageCount) {
+      pdfMetadata.pdfPageCount = finalPdfResult.pageCount;
     }
+    await rfqRepository.update(id, pdfMetadata, { keepVersion: true });
     
     return {
       rfq,
@@ -0,0 +1,228 @@
+// src/services/role.service.js
+const { getRepository } = require('../utils/repository.util');
+const {
+  BUILT_IN_ROLES,
+  isValidPermission,
+  assertValidPermissions,
+  hasPermission,
+  permissionsFromRouteAccess,
+  getDeclaredPermissions,
+  resolveResourceKey
+} = require('../utils/permissions.util');
+
+/**
+ * Roles: the built-in ones from permissions.util plus custom roles stored
+ * in the "roles" collection. A user's effective permissions are their role's
+ * permissions + their own extra grants + anything implied by old routeAccess.
+ */
+class RoleService {
+  get repository() {
+    return getRepository('roles');
+  }
+
+  async _loadUsers() {
+    return getRepository('users').findAll();
+  }
+
+  /**
+   * All roles (built-in first)
+   */
+  async getRoles() {
+    const custom = await this.repository.findAll();
+    return [
+      ...BUILT_IN_ROLES.map(role => ({ ...role, builtIn: true })),
+      ...custom.map(role => ({ ...role, builtIn: false }))
+    ];
+  }
+
+  async getRole(key) {
+    const builtIn = BUILT_IN_ROLES.find(role => role.key === key);
+    if (builtIn) {
+      return { ...builtIn, builtIn: true };
+    }
+
+    const custom = await this.repository.findById(key);
+    return custom ? { ...custom, builtIn: false } : null;
+  }
+
+  async roleExists(key) {
+    return !!(await this.getRole(key));
+  }
+
+  async getRoleKeys() {
+    return (await this.getRoles()).map(role => role.key);
+  }
+
+  /**
+   * Create a custom role
+   * @param {object} data - { key, name, description, permissions }
+   */
+  async createRole(data, createdBy = null) {
+    const key = String(data.key || '').trim();
+
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(key)) {
+      const error = new Error('Role key must be 2-40 lowercase letters, digits or underscores, starting with a letter');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (await this.roleExists(key)) {
+      const error = new Error(`Role "${key}" already exists`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!data.name || !String(data.name).trim()) {
+      const error = new Error('Role name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const permissions = [...new Set(data.permissions || [])];
+    assertValidPermissions(permissions);
+
+    const role = {
+      id: key,
+      key,
+      name: String(data.name).trim(),
+      description: data.description || '',
+      permissions,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.repository.insert(role);
+    return { ...role, builtIn: false };
+  }
+
+  /**
+   * Update a custom role (built-in roles are read-only)
+   */
+  async updateRole(key, changes, expectedVersion) {
+    const role = await this._getCustomRoleOrThrow(key);
+
+    const updates = { updatedAt: new Date().toISOString() };
+    if (changes.name !== undefined) {
+      if (!String(changes.name).trim()) {
+        const error = new Error('Role name is required');
+        error.statusCode = 400;
+        throw error;
+      }
+      updates.name = String(changes.name).trim();
+    }
+    if (changes.description !== undefined) updates.description = changes.description;
+    if (changes.permissions !== undefined) {
+      updates.permissions = [...new Set(changes.permissions)];
+      assertValidPermissions(updates.permissions);
+    }
+
+    const updated = await this.repository.update(role.id, updates, { expectedVersion });
+    return { ...updated, builtIn: false };
+  }
+
+  /**
+   * Delete a custom role that no user has
+   */
+  async deleteRole(key) {
+    const role = await this._getCustomRoleOrThrow(key);
+
+    const assigned = (await this._loadUsers()).filter(u => u.role === key);
+    if (assigned.length > 0) {
+      const error = new Error(`Role "${key}" is assigned to ${assigned.length} user(s). Reassign them first`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.repository.remove(role.id);
+    if (await getRepository('visibilityRules').findById(role.id)) {
+      await getRepository('visibilityRules').remove(role.id);
+    }
+    return { message: 'Role deleted successfully' };
+  }
+
+  async _getCustomRoleOrThrow(key) {
+    if (BUILT_IN_ROLES.some(role => role.key === key)) {
+      const error = new Error('Built-in roles cannot be changed');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const role = await this.repository.findById(key);
+    if (!role) {
+      const error = new Error('Role not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return role;
+  }
+
+  /**
+   * Effective permissions of a user (req.user or a stored user record)
+   */
+  async getEffectivePermissions(user) {
+    const role = await this.getRole(user.role);
+
+    return [...new Set([
+      ...(role ? role.permissions : []),
+      ...(user.permissions || []).filter(isValidPermission),
+      ...permissionsFromRouteAccess(user.routeAccess || [], user.systemAccess || {})
+    ])].sort();
+  }
+
+  async userHasPermission(user, resource, action) {
+    return hasPermission(await this.getEffectivePermissions(user), resource, action);
+  }
+
+  /**
+   * Startup consistency check (route declarations are already checked when
+   * the routes load). Fails on stored roles/users referring to unknown roles
+   * or permissions; old routeAccess keys that no longer exist only warn.
+   */
+  async checkConsistency() {
+    const problems = [];
+
+    const customRoles = await this.repository.findAll();
+    customRoles.forEach(role => {
+      const invalid = (role.permissions || []).filter(p => !isValidPermission(p));
+      if (invalid.length > 0) {
+        problems.push(`Role "${role.key}" grants unknown permissions: ${invalid.join(', ')}`);
+      }
+    });
+
+    const roleKeys = [...BUILT_IN_ROLES.map(r => r.key), ...customRoles.map(r => r.key)];
+    const users = await this._loadUsers();
+    const warnings = [];
+
+    users.forEach(user => {
+      if (!roleKeys.includes(user.role)) {
+        problems.push(`User "${user.username}" has unknown role "${user.role}"`);
+      }
+
+      const invalidPermissions = (user.permissions || []).filter(p => !isValidPermission(p));
+      const invalidRouteKeys = (user.routeAccess || []).filter(key => !resolveResourceKey(key));
+      if (invalidPermissions.length > 0) {
+        problems.push(`User "${user.username}" has unknown permissions: ${invalidPermissions.join(', ')}`);
+      }
+      if (invalidRouteKeys.length > 0) {
+        warnings.push(`User "${user.username}" has unknown routeAccess keys (ignored): ${invalidRouteKeys.join(', ')}`);
+      }
+    });
+
+    warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+    if (problems.length > 0) {
+      const error = new Error(`Permission registry check failed:\n - ${problems.join('\n - ')}`);
+      error.problems = problems;
+      throw error;
+    }
+
+    return {
+      declaredPermissions: getDeclaredPermissions().length,
+      customRoles: customRoles.length,
+      users: users.length
+    };
+  }
+}
+
+module.exports = new RoleService();
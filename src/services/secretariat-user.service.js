@@ -6,6 +6,7 @@ const puppeteer = require('puppeteer');
 const atomicWrite = require('../utils/atomic-write.util');
 const { generateId } = require('../utils/id-generator.util');
 const emailService = require('../utils/email.util');
+const { getRepository } = require('../utils/repository.util');
 
 const USER_FORMS_FILE = path.join(__dirname, '../../data/secretariat-forms/user-forms.json');
 const FORMS_DIR = path.join(__dirname, '../../data/secretariat-forms');
@@ -94,7 +95,7 @@ class SecretariatUserService {
       const notifications = await this.loadNotifications();
       
       const notification = {
-        id: generateId('NOTIF'),
+        id: await generateId('NOTIF'),
         formId: formData.id,
         formNumber: formData.formNumber,
         formType: formType,
@@ -126,10 +127,7 @@ class SecretariatUserService {
 
   async getUserById(userId) {
     try {
-      const usersFile = path.join(__dirname, '../../data/users/users.json');
-      const data = await fs.readFile(usersFile, 'utf8');
-      const users = JSON.parse(data);
-      return users.find(u => u.id === userId);
+      return await getRepository('users').findById(userId);
     } catch (error) {
       console.error('Error loading user:', error);
       throw new Error('Failed to load user information');
@@ -138,9 +136,7 @@ class SecretariatUserService {
 
   async getSecretariatUsers() {
     try {
-      const usersFile = path.join(__dirname, '../../data/users/users.json');
-      const data = await fs.readFile(usersFile, 'utf8');
-      const users = JSON.parse(data);
+      const users = await getRepository('users').findAll();
       
       return users.filter(u => 
         u.role === 'secretariat' || u.role === 'super_admin'
@@ -539,7 +535,7 @@ class SecretariatUserService {
       const formNumber = await this.generateFormNumber(formData.formType);
 
       const newForm = {
-        id: generateId('UFORM'),
+        id: await generateId('UFORM'),
         formNumber,
         formType: formData.formType,
         employeeId: createdBy,
@@ -6,6 +6,7 @@ const puppeteer = require('puppeteer');
 const atomicWrite = require('../utils/atomic-write.util');
 const { generateId } = require('../utils/id-generator.util');
 const emailService = require('../utils/email.util');
+const { getRepository } = require('../utils/repository.util');
 
 const FORMS_FILE = path.join(__dirname, '../../data/secretariat-forms/index.json');
 const USER_FORMS_FILE = path.join(__dirname, '../../data/secretariat-forms/user-forms.json');
@@ -76,19 +77,14 @@ class SecretariatService {
   }
 
   async getEmployeeById(employeeId) {
-    const usersFile = path.join(__dirname, '../../data/users/users.json');
-    const data = await fs.readFile(usersFile, 'utf8');
-    const users = JSON.parse(data);
-    return users.find(u => u.id === employeeId);
+    return getRepository('users').findById(employeeId);
   }
 
   /**
    * UPDATED: Get all employees (for dropdown selection)
    */
   async getAllEmployees() {
-    const usersFile = path.join(__dirname, '../../data/users/users.json');
-    const data = await fs.readFile(usersFile, 'utf8');
-    const users = JSON.parse(data);
+    const users = await getRepository('users').findAll();
     
     // Return all users except secretariat (employees, admins, super_admin can be selected)
     return users.filter(u => u.role !== 'secretariat' && u.active !== false);
@@ -212,7 +208,7 @@ class SecretariatService {
     const formNumber = await this.generateFormNumber(formData.formType);
 
     const newForm = {
-      id: generateId('FORM'),
+      id: await generateId('FORM'),
       formNumber,
       formType: formData.formType,
       employeeId: formData.employeeId,
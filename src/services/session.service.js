@@ -0,0 +1,215 @@
+// src/services/session.service.js
+const crypto = require('crypto');
+const { getRepository } = require('../utils/repository.util');
+const logger = require('../utils/logger.util');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+const MAX_SESSIONS_PER_USER = parseInt(process.env.MAX_SESSIONS_PER_USER || '10');
+const REVOKED_RETENTION_DAYS = 7;
+const PREVIOUS_TOKENS_KEPT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Login sessions backed by rotating refresh tokens
+ * Only SHA-256 hashes of refresh tokens are stored. Every refresh issues a
+ * new token; presenting an already-rotated token revokes the whole session
+ * (the token was most likely stolen).
+ */
+class SessionService {
+  get repository() {
+    return getRepository('sessions');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  isActive(session) {
+    return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {object} meta - { userAgent, ip }
+   * @returns {Promise<object>} { session, refreshToken }
+   */
+  async createSession(userId, meta = {}) {
+    const refreshToken = this.generateRefreshToken();
+    const now = new Date();
+
+    const session = {
+      id: `SESSION-${crypto.randomUUID()}`,
+      userId,
+      refreshTokenHash: this.hashToken(refreshToken),
+      previousTokenHashes: [],
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString(),
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    await this.repository.transaction(sessions => {
+      this._prune(sessions);
+
+      // Keep at most MAX_SESSIONS_PER_USER active sessions (oldest are revoked)
+      const active = sessions
+        .filter(s => s.userId === userId && this.isActive(s))
+        .sort((a, b) => new Date(a.lastUsedAt) - new Date(b.lastUsedAt));
+      active.slice(0, Math.max(active.length - MAX_SESSIONS_PER_USER + 1, 0)).forEach(s => {
+        this._revoke(s, 'session_limit');
+      });
+
+      sessions.push(session);
+    });
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * @returns {Promise<object>} { session, refreshToken }
+   */
+  async rotate(refreshToken, meta = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+    const newToken = this.generateRefreshToken();
+
+    const result = await this.repository.transaction(sessions => {
+      const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+
+      if (!session) {
+        const reused = sessions.find(s => (s.previousTokenHashes || []).includes(tokenHash));
+        if (reused && !reused.revokedAt) {
+          this._revoke(reused, 'refresh_token_reuse');
+          logger.warn(`Refresh token reuse detected, session revoked: ${reused.id}`);
+        }
+        return null;
+      }
+
+      if (!this.isActive(session)) {
+        return null;
+      }
+
+      session.previousTokenHashes = [tokenHash, ...(session.previousTokenHashes || [])].slice(0, PREVIOUS_TOKENS_KEPT);
+      session.refreshTokenHash = this.hashToken(newToken);
+      session.lastUsedAt = new Date().toISOString();
+      if (meta.userAgent) session.userAgent = meta.userAgent;
+      if (meta.ip) session.ip = meta.ip;
+
+      return { ...session };
+    });
+
+    if (!result) {
+      const error = new Error('Invalid or expired refresh token. Please login again');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return { session: result, refreshToken: newToken };
+  }
+
+  /**
+   * Get a session if it is still active
+   */
+  async getActiveSession(sessionId) {
+    const session = await this.repository.findById(sessionId);
+    return this.isActive(session) ? session : null;
+  }
+
+  /**
+   * List a user's sessions (active only unless includeRevoked)
+   */
+  async listForUser(userId, { includeRevoked = false, currentSessionId = null } = {}) {
+    const sessions = await this.repository.find(s =>
+      s.userId === userId && (includeRevoked || this.isActive(s))
+    );
+
+    return sessions
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map(s => this.toPublic(s, currentSessionId));
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} userId - When given, the session must belong to this user
+   */
+  async revoke(sessionId, reason = 'logout', userId = null) {
+    const revoked = await this.repository.transaction(sessions => {
+      const session = sessions.find(s => s.id === sessionId && (!userId || s.userId === userId));
+      if (!session) {
+        return null;
+      }
+      this._revoke(session, reason);
+      return session;
+    });
+
+    if (!revoked) {
+      const error = new Error('Session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.toPublic(revoked);
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+    const count = await this.repository.transaction(sessions => {
+      let revoked = 0;
+      sessions.forEach(s => {
+        if (s.userId === userId && s.id !== exceptSessionId && this.isActive(s)) {
+          this._revoke(s, reason);
+          revoked++;
+        }
+      });
+      return revoked;
+    });
+
+    if (count > 0) {
+      logger.info(`Revoked ${count} session(s) for user ${userId} (${reason})`);
+    }
+    return count;
+  }
+
+  /**
+   * Session data safe to return to clients
+   */
+  toPublic(session, currentSessionId = null) {
+    const { refreshTokenHash, previousTokenHashes, ...rest } = session;
+    return {
+      ...rest,
+      active: this.isActive(session),
+      current: session.id === currentSessionId
+    };
+  }
+
+  _revoke(session, reason) {
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = reason;
+  }
+
+  /**
+   * Drop expired sessions and sessions revoked long ago (mutates the array)
+   */
+  _prune(sessions) {
+    const now = Date.now();
+    const keep = sessions.filter(s => {
+      if (new Date(s.expiresAt).getTime() <= now) return false;
+      if (s.revokedAt && now - new Date(s.revokedAt).getTime() > REVOKED_RETENTION_DAYS * DAY_MS) return false;
+      return true;
+    });
+    sessions.splice(0, sessions.length, ...keep);
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,442 @@
+// src/services/sheet-stock.service.js
+const { getRepository } = require('../utils/repository.util');
+const { generateId } = require('../utils/id-generator.util');
+const inventoryService = require('./inventory.service');
+
+const sheetRepository = getRepository('sheetStock');
+
+/**
+ * Sheet lots
+ * - sheet: full sheets bought from suppliers, merged per material/grade/thickness/size/location
+ * - remnant: an offcut left by a cutting job, kept for reuse (one lot per registered offcut size)
+ */
+const KINDS = ['sheet', 'remnant'];
+
+// Cutting job status that ends the job (its leftover reservation is released)
+const COMPLETED_STATUS = 'مكتمل';
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const reservedQuantity = (lot, exceptJobId = null) => (lot.reservations || [])
+  .filter(r => r.jobId !== exceptJobId)
+  .reduce((sum, r) => sum + r.quantity, 0);
+
+const sameSpec = (lot, spec) =>
+  normalize(lot.materialType) === normalize(spec.materialType) &&
+  Number(lot.thickness) === Number(spec.thickness) &&
+  (!spec.grade || normalize(lot.grade) === normalize(spec.grade));
+
+const describe = spec => `${spec.thickness}mm ${spec.materialType}${spec.grade ? ` ${spec.grade}` : ''}`;
+
+/**
+ * Sheet-metal stock by material type, grade, thickness and sheet size, with
+ * reservations held by scheduled cutting jobs and remnants for reuse.
+ * Each lot: { id, kind, materialType, grade, thickness, width, length, location,
+ *             quantity, reservations: [{ jobId, quantity, reservedAt }], sourceJobId }
+ */
+class SheetStockService {
+  getKinds() {
+    return KINDS;
+  }
+
+  withAvailability(lot) {
+    const reserved = reservedQuantity(lot);
+    return { ...lot, reserved, available: lot.quantity - reserved };
+  }
+
+  /**
+   * Validate a sheet spec from a request body
+   */
+  parseSpec(data, { requireSize = true } = {}) {
+    const problems = [];
+    const spec = {
+      materialType: data.materialType ? String(data.materialType).trim() : '',
+      grade: data.grade ? String(data.grade).trim() : '',
+      thickness: parseFloat(data.thickness),
+      width: parseFloat(data.width),
+      length: parseFloat(data.length)
+    };
+
+    if (!spec.materialType) problems.push('materialType is required');
+    if (!(spec.thickness > 0)) problems.push('thickness must be a positive number');
+    if (requireSize && !(spec.width > 0 && spec.length > 0)) problems.push('width and length (mm) must be positive numbers');
+
+    if (problems.length > 0) {
+      throw httpError(`Invalid sheet: ${problems.join('; ')}`, 400);
+    }
+    return spec;
+  }
+
+  /**
+   * Lots with their reserved and available quantities
+   * @param {object} filters - { materialType, grade, thickness, kind, location, availableOnly }
+   */
+  async getSheets(filters = {}) {
+    let lots = (await sheetRepository.findAll()).map(lot => this.withAvailability(lot));
+
+    if (filters.materialType) lots = lots.filter(l => normalize(l.materialType) === normalize(filters.materialType));
+    if (filters.grade) lots = lots.filter(l => normalize(l.grade) === normalize(filters.grade));
+    if (filters.thickness) lots = lots.filter(l => Number(l.thickness) === parseFloat(filters.thickness));
+    if (filters.kind) lots = lots.filter(l => l.kind === filters.kind);
+    if (filters.location) lots = lots.filter(l => l.location === String(filters.location).toUpperCase());
+    if (filters.availableOnly === true || filters.availableOnly === 'true') {
+      lots = lots.filter(l => l.available > 0);
+    } else {
+      lots = lots.filter(l => l.quantity > 0 || l.reserved > 0);
+    }
+
+    return lots.sort((a, b) =>
+      a.materialType.localeCompare(b.materialType) ||
+      a.thickness - b.thickness ||
+      a.kind.localeCompare(b.kind) ||
+      b.width * b.length - a.width * a.length);
+  }
+
+  async getSheetById(id) {
+    const lot = await sheetRepository.findById(id);
+    if (!lot) {
+      throw httpError(`Sheet lot ${id} not found`, 404);
+    }
+    return this.withAvailability(lot);
+  }
+
+  /**
+   * On hand / reserved / available per material, grade and thickness
+   */
+  async getSummary() {
+    const groups = new Map();
+
+    (await this.getSheets()).forEach(lot => {
+      const key = `${normalize(lot.materialType)}|${normalize(lot.grade)}|${lot.thickness}`;
+      const group = groups.get(key) || {
+        materialType: lot.materialType,
+        grade: lot.grade,
+        thickness: lot.thickness,
+        sheets: 0,
+        reserved: 0,
+        available: 0,
+        remnants: 0
+      };
+
+      if (lot.kind === 'remnant') {
+        group.remnants += lot.quantity;
+      } else {
+        group.sheets += lot.quantity;
+      }
+      group.reserved += lot.reserved;
+      group.available += lot.available;
+      groups.set(key, group);
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Receive full sheets (added to the lot with the same spec and location)
+   * @param {object} data - { materialType, grade, thickness, width, length, quantity, location, notes }
+   */
+  async receiveSheets(data, userId) {
+    const spec = this.parseSpec(data);
+    const quantity = parseInt(data.quantity);
+    if (!(quantity > 0)) {
+      throw httpError('quantity must be a positive whole number of sheets', 400);
+    }
+
+    const location = await this.resolveLocation(data.location);
+    const id = await generateId('SHT');
+    const now = new Date().toISOString();
+
+    return sheetRepository.transaction(async docs => {
+      const existing = docs.find(lot =>
+        lot.kind === 'sheet' &&
+        lot.location === location &&
+        sameSpec(lot, spec) &&
+        normalize(lot.grade) === normalize(spec.grade) &&
+        lot.width === spec.width &&
+        lot.length === spec.length);
+
+      if (existing) {
+        existing.quantity += quantity;
+        existing.updatedBy = userId;
+        existing.updatedAt = now;
+        return this.withAvailability(existing);
+      }
+
+      const lot = {
+        id,
+        kind: 'sheet',
+        ...spec,
+        location,
+        quantity,
+        reservations: [],
+        sourceJobId: null,
+        notes: data.notes || '',
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now
+      };
+      docs.push(lot);
+      return this.withAvailability(lot);
+    });
+  }
+
+  /**
+   * Correct the number of sheets in a lot (reason required); reserved sheets cannot be adjusted away
+   * @param {object} data - { quantity (signed change) | countedQuantity (new count), reason }
+   */
+  async adjustSheets(id, data, userId) {
+    if (!data.reason || !String(data.reason).trim()) {
+      throw httpError('A reason is required for sheet adjustments', 400);
+    }
+
+    return sheetRepository.transaction(async docs => {
+      const lot = docs.find(d => d.id === id);
+      if (!lot) {
+        throw httpError(`Sheet lot ${id} not found`, 404);
+      }
+
+      const newQuantity = data.countedQuantity !== undefined && data.countedQuantity !== ''
+        ? parseInt(data.countedQuantity)
+        : lot.quantity + parseInt(data.quantity);
+
+      if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+        throw httpError('The resulting quantity must be a whole number of zero or more', 400);
+      }
+      if (newQuantity < reservedQuantity(lot)) {
+        throw httpError(`${reservedQuantity(lot)} sheet(s) of this lot are reserved by cutting jobs`, 409);
+      }
+
+      lot.quantity = newQuantity;
+      lot.lastAdjustment = { reason: String(data.reason).trim(), by: userId, at: new Date().toISOString() };
+      lot.updatedBy = userId;
+      lot.updatedAt = new Date().toISOString();
+      return this.withAvailability(lot);
+    });
+  }
+
+  /**
+   * Delete an empty lot or scrap a remnant (not while reserved)
+   */
+  async deleteSheet(id) {
+    return sheetRepository.transaction(async docs => {
+      const index = docs.findIndex(d => d.id === id);
+      if (index === -1) {
+        throw httpError(`Sheet lot ${id} not found`, 404);
+      }
+
+      const lot = docs[index];
+      if (reservedQuantity(lot) > 0) {
+        throw httpError('Sheet lot is reserved by cutting jobs', 409);
+      }
+      if (lot.kind === 'sheet' && lot.quantity > 0) {
+        throw httpError('Sheet lot still holds sheets; adjust it to zero first', 409);
+      }
+
+      docs.splice(index, 1);
+      return { message: lot.kind === 'remnant' ? 'Remnant scrapped' : 'Sheet lot deleted' };
+    });
+  }
+
+  async resolveLocation(location) {
+    const code = location ? String(location).trim().toUpperCase() : 'MAIN';
+    const locations = await inventoryService.getLocations();
+    const match = locations.find(l => l.id === code);
+
+    if (!match || match.active === false) {
+      throw httpError(`Location ${code} not found or inactive`, 400);
+    }
+    return code;
+  }
+
+  /**
+   * Lot for a job: remnants first (reuse), then the lot with the fewest available sheets that still fits
+   */
+  pickLot(docs, spec, needed, jobId) {
+    return docs
+      .filter(lot => sameSpec(lot, spec) && lot.quantity - reservedQuantity(lot, jobId) >= needed)
+      .sort((a, b) =>
+        (a.kind === 'remnant' ? 0 : 1) - (b.kind === 'remnant' ? 0 : 1) ||
+        (a.quantity - reservedQuantity(a, jobId)) - (b.quantity - reservedQuantity(b, jobId)))[0] || null;
+  }
+
+  /**
+   * Bring a cutting job's sheet reservation in line with the job, record sheets it consumed
+   * and register its remnants, as one unit.
+   * - Scheduled (dateFrom set, sheetsRequired > 0) and not completed: sheetsRequired - consumed
+   *   sheets stay reserved on the job's lot (job.sheetStockId, or a matching lot picked automatically)
+   * - Completed, unscheduled or released: the reservation is dropped
+   * @param {object} job - cutting job after its changes
+   * @param {object} options - { sheetsUsed, remnants: [{ width, length, quantity }], release }
+   * @returns {Promise<object>} { sheetStockId, reserved, consumed }
+   */
+  async syncJob(job, options = {}, userId) {
+    const current = job.sheetReservation || { sheetStockId: null, reserved: 0, consumed: 0 };
+    const sheetsRequired = parseInt(job.sheetsRequired) || 0;
+    const spec = { materialType: job.materialType, grade: job.grade, thickness: job.thickness };
+
+    let sheetsUsed = 0;
+    if (options.sheetsUsed !== undefined && options.sheetsUsed !== null && options.sheetsUsed !== '') {
+      sheetsUsed = parseInt(options.sheetsUsed);
+      if (!Number.isInteger(sheetsUsed) || sheetsUsed < 0) {
+        throw httpError('sheetsUsed must be a whole number of zero or more', 400);
+      }
+    } else if (sheetsRequired > 0 && job.quantity > 0) {
+      // Consumption follows cutting progress when it is not reported explicitly
+      const expected = Math.ceil(sheetsRequired * (job.currentlyCut || 0) / job.quantity);
+      sheetsUsed = Math.max(expected - current.consumed, 0);
+    }
+
+    const remnants = (Array.isArray(options.remnants) ? options.remnants : []).map(remnant => {
+      const size = this.parseSpec({ ...spec, ...remnant, materialType: job.materialType, thickness: job.thickness });
+      const quantity = remnant.quantity === undefined ? 1 : parseInt(remnant.quantity);
+      if (!(quantity > 0)) {
+        throw httpError('Remnant quantity must be a positive whole number', 400);
+      }
+      return { width: size.width, length: size.length, quantity };
+    });
+
+    const completed = job.fileStatus === COMPLETED_STATUS;
+    const scheduled = Boolean(job.dateFrom) && sheetsRequired > 0;
+    const ids = [];
+    for (let i = 0; i < remnants.length; i++) {
+      ids.push(await generateId('SHT'));
+    }
+
+    if (options.release) {
+      return sheetRepository.transaction(async docs => {
+        docs
+          .filter(d => (d.reservations || []).some(r => r.jobId === job.id))
+          .forEach(d => { d.reservations = d.reservations.filter(r => r.jobId !== job.id); });
+        return { sheetStockId: current.sheetStockId, reserved: 0, consumed: current.consumed, remnants: [] };
+      });
+    }
+
+    return sheetRepository.transaction(async docs => {
+      const chosenId = job.sheetStockId || null;
+      let lot = null;
+
+      if (chosenId) {
+        lot = docs.find(d => d.id === chosenId);
+        if (!lot) throw httpError(`Sheet lot ${chosenId} not found`, 400);
+        if (!sameSpec(lot, spec)) {
+          throw httpError(`Sheet lot ${chosenId} is ${describe(lot)}, the job needs ${describe(spec)}`, 400);
+        }
+      } else if (current.sheetStockId) {
+        lot = docs.find(d => d.id === current.sheetStockId && sameSpec(d, spec)) || null;
+      }
+
+      const consumed = current.consumed + sheetsUsed;
+      const target = completed || !scheduled ? 0 : Math.max(sheetsRequired - consumed, 0);
+
+      if (!lot && (sheetsUsed > 0 || target > 0)) {
+        lot = this.pickLot(docs, spec, sheetsUsed + target, job.id);
+        if (!lot) {
+          const available = docs
+            .filter(d => sameSpec(d, spec))
+            .reduce((sum, d) => sum + d.quantity - reservedQuantity(d, job.id), 0);
+          throw httpError(`Not enough ${describe(spec)} sheets: ${available} available, ${sheetsUsed + target} needed`, 409);
+        }
+      }
+
+      // Reservation moved to another lot (or dropped)
+      docs
+        .filter(d => d !== lot && (d.reservations || []).some(r => r.jobId === job.id))
+        .forEach(d => { d.reservations = d.reservations.filter(r => r.jobId !== job.id); });
+
+      if (lot) {
+        const previous = (lot.reservations || []).find(r => r.jobId === job.id);
+        const availableToJob = lot.quantity - reservedQuantity(lot, job.id);
+
+        if (sheetsUsed + target > availableToJob) {
+          throw httpError(`Not enough sheets in lot ${lot.id}: ${availableToJob} available to this job, ${sheetsUsed + target} needed`, 409);
+        }
+
+        lot.quantity -= sheetsUsed;
+        lot.reservations = (lot.reservations || []).filter(r => r.jobId !== job.id);
+        if (target > 0) {
+          lot.reservations.push({
+            jobId: job.id,
+            quantity: target,
+            reservedAt: previous ? previous.reservedAt : new Date().toISOString()
+          });
+        }
+        lot.updatedAt = new Date().toISOString();
+      }
+
+      const now = new Date().toISOString();
+      remnants.forEach((remnant, index) => {
+        docs.push({
+          id: ids[index],
+          kind: 'remnant',
+          materialType: job.materialType,
+          grade: lot ? lot.grade : (job.grade || ''),
+          thickness: job.thickness,
+          width: remnant.width,
+          length: remnant.length,
+          location: lot ? lot.location : 'MAIN',
+          quantity: remnant.quantity,
+          reservations: [],
+          sourceJobId: job.id,
+          notes: '',
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now
+        });
+      });
+
+      return {
+        sheetStockId: lot ? lot.id : null,
+        reserved: target,
+        consumed,
+        remnants: ids
+      };
+    });
+  }
+
+  /**
+   * Undo a syncJob whose job could not be saved: give back the sheets it
+   * consumed, drop the remnants it registered and restore the previous reservation
+   * @param {object} previous - job.sheetReservation before the sync (null if none)
+   * @param {object} applied - { sheetStockId, consumed, remnants } returned by the sync
+   */
+  async revertJobSync(job, previous, applied) {
+    const before = previous || { sheetStockId: null, reserved: 0, consumed: 0 };
+
+    await sheetRepository.transaction(async docs => {
+      const consumed = applied.consumed - before.consumed;
+      const usedLot = docs.find(d => d.id === applied.sheetStockId);
+      if (usedLot && consumed > 0) {
+        usedLot.quantity += consumed;
+        usedLot.updatedAt = new Date().toISOString();
+      }
+
+      let reservedAt = null;
+      docs
+        .filter(d => (d.reservations || []).some(r => r.jobId === job.id))
+        .forEach(d => {
+          reservedAt = reservedAt || d.reservations.find(r => r.jobId === job.id).reservedAt;
+          d.reservations = d.reservations.filter(r => r.jobId !== job.id);
+        });
+
+      const reservedLot = docs.find(d => d.id === before.sheetStockId);
+      if (reservedLot && before.reserved > 0) {
+        reservedLot.reservations = [
+          ...(reservedLot.reservations || []),
+          { jobId: job.id, quantity: before.reserved, reservedAt: reservedAt || new Date().toISOString() }
+        ];
+      }
+
+      const remnantIds = applied.remnants || [];
+      const kept = docs.filter(d => !remnantIds.includes(d.id));
+      docs.splice(0, docs.length, ...kept);
+    });
+  }
+}
+
+module.exports = new SheetStockService();
@@ -0,0 +1,401 @@
+// src/services/supplier-document.service.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { getRepository, getVersion } = require('../utils/repository.util');
+const { generateId } = require('../utils/id-generator.util');
+const emailService = require('../utils/email.util');
+
+const DOCUMENTS_DIR = path.join(__dirname, '../../data/suppliers/documents');
+
+const supplierRepository = getRepository('suppliers');
+
+/**
+ * Supplier document types
+ * - mandatory types must be on file and unexpired before a PO can be raised for the supplier
+ */
+const DOCUMENT_TYPES = {
+  commercial_registration: { label: 'Commercial Registration', labelAr: 'السجل التجاري', mandatory: true },
+  tax_certificate: { label: 'Tax Certificate', labelAr: 'البطاقة الضريبية', mandatory: true },
+  material_certificate: { label: 'Material Certificate', labelAr: 'شهادة المواد', mandatory: false },
+  other: { label: 'Other', labelAr: 'أخرى', mandatory: false }
+};
+
+const ALLOWED_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+const DEFAULT_REMINDER_DAYS = 30;
+const DAY_MS = 86400000;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysUntil = date => Math.round((new Date(date) - new Date(today())) / DAY_MS);
+
+/**
+ * Documents kept on a supplier (supplier.documents) with their files under
+ * data/suppliers/documents/<supplierId>/, expiry tracking and reminder emails.
+ */
+class SupplierDocumentService {
+  getDocumentTypes() {
+    return DOCUMENT_TYPES;
+  }
+
+  async loadSupplier(id) {
+    const supplier = await supplierRepository.findById(id);
+    if (!supplier) {
+      throw httpError('Supplier not found', 404);
+    }
+    return supplier;
+  }
+
+  /**
+   * Expiry state of a document: valid, expiring (within its reminder window), expired or no_expiry
+   */
+  getExpiryStatus(doc) {
+    if (!doc.expiryDate) return 'no_expiry';
+    if (doc.expiryDate < today()) return 'expired';
+    if (daysUntil(doc.expiryDate) <= (doc.reminderDays ?? DEFAULT_REMINDER_DAYS)) return 'expiring';
+    return 'valid';
+  }
+
+  withStatus(doc) {
+    return {
+      ...doc,
+      status: this.getExpiryStatus(doc),
+      daysToExpiry: doc.expiryDate ? daysUntil(doc.expiryDate) : null
+    };
+  }
+
+  /**
+   * Mandatory document check of a supplier
+   * @returns {object} { compliant, missing: [type], expired: [doc], expiring: [doc] }
+   */
+  getCompliance(supplier) {
+    const documents = (supplier.documents || []).map(doc => this.withStatus(doc));
+    const mandatory = documents.filter(doc => doc.mandatory);
+
+    // A mandatory type is covered when at least one of its documents is still valid
+    const missing = Object.keys(DOCUMENT_TYPES)
+      .filter(type => DOCUMENT_TYPES[type].mandatory)
+      .filter(type => !documents.some(doc => doc.type === type));
+
+    const expired = mandatory.filter(doc =>
+      doc.status === 'expired' &&
+      !mandatory.some(other => other.type === doc.type && other.status !== 'expired'));
+
+    return {
+      compliant: missing.length === 0 && expired.length === 0,
+      missing,
+      expired,
+      expiring: documents.filter(doc => doc.status === 'expiring')
+    };
+  }
+
+  /**
+   * Documents of a supplier with the compliance summary
+   */
+  async getDocuments(supplierId) {
+    const supplier = await this.loadSupplier(supplierId);
+
+    return {
+      documents: (supplier.documents || []).map(doc => this.withStatus(doc)),
+      compliance: this.getCompliance(supplier)
+    };
+  }
+
+  /**
+   * Throw when a mandatory document of the supplier has expired (used before raising a PO)
+   */
+  async assertDocumentsValid(supplierId) {
+    const supplier = await this.loadSupplier(supplierId);
+    const { expired } = this.getCompliance(supplier);
+
+    if (expired.length > 0) {
+      const names = expired.map(doc => `${DOCUMENT_TYPES[doc.type].label} (expired ${doc.expiryDate})`).join(', ');
+      throw httpError(`Supplier ${supplier.name} has expired mandatory documents: ${names}`, 400);
+    }
+  }
+
+  parseMetadata(data, existing = {}) {
+    const problems = [];
+    const type = data.type !== undefined ? data.type : existing.type;
+    const validDate = value => !value || !isNaN(new Date(value).getTime());
+
+    if (!type || !DOCUMENT_TYPES[type]) {
+      problems.push(`type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+    }
+
+    const doc = {
+      type,
+      name: data.name !== undefined ? data.name : (existing.name || (DOCUMENT_TYPES[type] ? DOCUMENT_TYPES[type].label : '')),
+      documentNumber: data.documentNumber !== undefined ? data.documentNumber : (existing.documentNumber || ''),
+      issueDate: data.issueDate !== undefined ? data.issueDate || null : (existing.issueDate || null),
+      expiryDate: data.expiryDate !== undefined ? data.expiryDate || null : (existing.expiryDate || null),
+      reminderDays: data.reminderDays !== undefined && data.reminderDays !== ''
+        ? parseInt(data.reminderDays)
+        : (existing.reminderDays ?? DEFAULT_REMINDER_DAYS),
+      mandatory: data.mandatory !== undefined
+        ? data.mandatory === true || data.mandatory === 'true'
+        : (existing.mandatory ?? Boolean(DOCUMENT_TYPES[type] && DOCUMENT_TYPES[type].mandatory)),
+      notes: data.notes !== undefined ? data.notes : (existing.notes || '')
+    };
+
+    if (!validDate(doc.issueDate)) problems.push('issueDate must be a date (YYYY-MM-DD)');
+    if (!validDate(doc.expiryDate)) problems.push('expiryDate must be a date (YYYY-MM-DD)');
+    if (doc.issueDate && doc.expiryDate && doc.expiryDate < doc.issueDate) problems.push('expiryDate is before issueDate');
+    if (!Number.isInteger(doc.reminderDays) || doc.reminderDays < 0) problems.push('reminderDays must be a whole number of zero or more');
+
+    if (problems.length > 0) {
+      throw httpError(`Invalid document: ${problems.join('; ')}`, 400);
+    }
+    return doc;
+  }
+
+  assertFileType(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(ext)) {
+      throw httpError(`Invalid file type. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`, 400);
+    }
+    return ext;
+  }
+
+  async saveFile(supplierId, docId, file) {
+    const ext = this.assertFileType(file);
+    const dir = path.join(DOCUMENTS_DIR, supplierId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${docId}${ext}`;
+    await fs.writeFile(path.join(dir, fileName), file.buffer);
+
+    return {
+      fileName,
+      filePath: `data/suppliers/documents/${supplierId}/${fileName}`,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    };
+  }
+
+  async removeFile(doc) {
+    if (!doc.filePath) return;
+    const absolutePath = path.join(__dirname, '../..', doc.filePath);
+    if (fsSync.existsSync(absolutePath)) {
+      await fs.unlink(absolutePath);
+    }
+  }
+
+  /**
+   * Upload a document
+   * @param {object} data - { type, name, documentNumber, issueDate, expiryDate, reminderDays, mandatory, notes }
+   * @param {object} file - multer file (memory storage)
+   */
+  async addDocument(supplierId, data, file, userId) {
+    if (!file) {
+      throw httpError('A document file is required', 400);
+    }
+
+    this.assertFileType(file);
+    const supplier = await this.loadSupplier(supplierId);
+    const metadata = this.parseMetadata(data);
+    const id = await generateId('SDOC');
+
+    const doc = {
+      id,
+      ...metadata,
+      ...(await this.saveFile(supplierId, id, file)),
+      reminderSentFor: null,
+      uploadedBy: userId,
+      uploadedAt: new Date().toISOString()
+    };
+
+    try {
+      await supplierRepository.update(supplierId, {
+        documents: [...(supplier.documents || []), doc],
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId
+      }, { expectedVersion: getVersion(supplier) });
+    } catch (err) {
+      await this.removeFile(doc);
+      throw err;
+    }
+
+    return this.withStatus(doc);
+  }
+
+  /**
+   * Update document details and optionally replace its file (e.g. a renewed certificate)
+   */
+  async updateDocument(supplierId, docId, data, file, userId) {
+    const supplier = await this.loadSupplier(supplierId);
+    const documents = [...(supplier.documents || [])];
+    const index = documents.findIndex(doc => doc.id === docId);
+
+    if (index === -1) {
+      throw httpError('Document not found', 404);
+    }
+
+    const existing = documents[index];
+    const doc = {
+      ...existing,
+      ...this.parseMetadata(data, existing),
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    };
+
+    // A new expiry date gets its own reminder
+    if (doc.expiryDate !== existing.expiryDate) {
+      doc.reminderSentFor = null;
+    }
+
+    if (file) {
+      // Stored under a new name so the old file stays valid until the record is saved
+      const replacement = await this.saveFile(supplierId, `${docId}-${Date.now()}`, file);
+      Object.assign(doc, replacement);
+    }
+
+    documents[index] = doc;
+    await supplierRepository.update(supplierId, {
+      documents,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId
+    }, { expectedVersion: getVersion(supplier) });
+
+    if (file) {
+      await this.removeFile(existing);
+    }
+
+    return this.withStatus(doc);
+  }
+
+  async deleteDocument(supplierId, docId, userId) {
+    const supplier = await this.loadSupplier(supplierId);
+    const doc = (supplier.documents || []).find(d => d.id === docId);
+
+    if (!doc) {
+      throw httpError('Document not found', 404);
+    }
+
+    await supplierRepository.update(supplierId, {
+      documents: supplier.documents.filter(d => d.id !== docId),
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId
+    }, { expectedVersion: getVersion(supplier) });
+
+    await this.removeFile(doc);
+
+    return { message: 'Document deleted successfully' };
+  }
+
+  async getDocumentFile(supplierId, docId) {
+    const supplier = await this.loadSupplier(supplierId);
+    const doc = (supplier.documents || []).find(d => d.id === docId);
+
+    if (!doc) {
+      throw httpError('Document not found', 404);
+    }
+
+    const absolutePath = path.join(__dirname, '../..', doc.filePath);
+    if (!fsSync.existsSync(absolutePath)) {
+      throw httpError('File not found', 404);
+    }
+
+    return {
+      buffer: await fs.readFile(absolutePath),
+      fileName: doc.originalName || doc.fileName,
+      mimeType: doc.mimeType || 'application/octet-stream'
+    };
+  }
+
+  /**
+   * Remove every document file of a deleted supplier
+   */
+  async removeSupplierFiles(supplierId) {
+    await fs.rm(path.join(DOCUMENTS_DIR, supplierId), { recursive: true, force: true });
+  }
+
+  /**
+   * Documents that expired or expire within `days` (default: each document's reminderDays)
+   */
+  async getExpiringDocuments(days = null) {
+    const suppliers = await supplierRepository.findAll();
+    const result = [];
+
+    suppliers.forEach(supplier => {
+      (supplier.documents || []).forEach(doc => {
+        if (!doc.expiryDate) return;
+
+        const remaining = daysUntil(doc.expiryDate);
+        const window = days !== null ? days : (doc.reminderDays ?? DEFAULT_REMINDER_DAYS);
+        if (remaining > window) return;
+
+        result.push({
+          supplierId: supplier.id,
+          supplierName: supplier.name,
+          supplierStatus: supplier.status,
+          ...this.withStatus(doc)
+        });
+      });
+    });
+
+    return result.sort((a, b) => a.expiryDate.localeCompare(b.expiryDate));
+  }
+
+  /**
+   * Email the documents entering their reminder window (or expired) that were not
+   * reminded about yet for their current expiry date.
+   * Recipients: the given list, or SUPPLIER_DOCUMENT_REMINDER_EMAILS (comma separated).
+   * @returns {Promise<object>} { documents, recipients, sent }
+   */
+  async sendExpiryReminders(recipients = null) {
+    const due = (await this.getExpiringDocuments()).filter(doc => doc.reminderSentFor !== doc.expiryDate);
+    const to = (recipients && recipients.length > 0
+      ? recipients
+      : (process.env.SUPPLIER_DOCUMENT_REMINDER_EMAILS || '').split(','))
+      .map(email => email.trim())
+      .filter(Boolean);
+
+    if (due.length === 0 || to.length === 0) {
+      return { documents: due, recipients: to, sent: false };
+    }
+
+    await emailService.sendSupplierDocumentReminderEmail(to, due.map(doc => ({
+      ...doc,
+      typeLabel: DOCUMENT_TYPES[doc.type] ? DOCUMENT_TYPES[doc.type].label : doc.type
+    })));
+
+    // Mark per supplier so a reminder is sent once per expiry date
+    for (const supplierId of [...new Set(due.map(doc => doc.supplierId))]) {
+      const supplier = await supplierRepository.findById(supplierId);
+      if (!supplier) continue;
+
+      const reminded = due.filter(doc => doc.supplierId === supplierId);
+      const documents = (supplier.documents || []).map(doc => {
+        const match = reminded.find(r => r.id === doc.id && r.expiryDate === doc.expiryDate);
+        return match ? { ...doc, reminderSentFor: doc.expiryDate, reminderSentAt: new Date().toISOString() } : doc;
+      });
+      await supplierRepository.update(supplierId, { documents }, { keepVersion: true });
+    }
+
+    return { documents: due, recipients: to, sent: true };
+  }
+
+  /**
+   * Send reminders once a day while the server runs
+   */
+  scheduleReminders() {
+    const run = () => this.sendExpiryReminders().catch(err => {
+      console.error('Failed to send supplier document reminders:', err);
+    });
+
+    run();
+    const timer = setInterval(run, DAY_MS);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new SupplierDocumentService();
@@ -0,0 +1,182 @@
+// src/services/supplier-import.service.js
+const supplierService = require('./supplier.service');
+
+/**
+ * Importable supplier fields with the column headers recognised for them
+ * (compared lower-case, ignoring spaces, dashes and underscores)
+ */
+const FIELDS = {
+  name: ['name', 'supplier', 'suppliername', 'الاسم', 'اسمالمورد', 'المورد'],
+  companyName: ['companyname', 'company', 'legalname', 'اسمالشركة', 'الشركة'],
+  contactPerson: ['contactperson', 'contact', 'contactname', 'الشخصالمسؤول', 'جهةالاتصال'],
+  email: ['email', 'emailaddress', 'mail', 'البريدالإلكتروني', 'البريد'],
+  phone: ['phone', 'phonenumber', 'mobile', 'tel', 'telephone', 'الهاتف', 'رقمالهاتف', 'الموبايل'],
+  secondaryPhone: ['secondaryphone', 'phone2', 'altphone', 'هاتفإضافي'],
+  address: ['address', 'العنوان'],
+  city: ['city', 'المدينة'],
+  country: ['country', 'الدولة', 'البلد'],
+  postalCode: ['postalcode', 'zip', 'zipcode', 'postcode', 'الرمزالبريدي'],
+  website: ['website', 'web', 'url', 'الموقع'],
+  taxId: ['taxid', 'taxnumber', 'vat', 'vatnumber', 'taxregistration', 'الرقمالضريبي'],
+  materialTypes: ['materialtypes', 'materials', 'material', 'المواد', 'الخامات'],
+  paymentTerms: ['paymentterms', 'terms', 'شروطالدفع'],
+  deliveryTime: ['deliverytime', 'leadtime', 'مدةالتوريد'],
+  minimumOrder: ['minimumorder', 'moq', 'الحدالأدنىللطلب'],
+  currency: ['currency', 'العملة'],
+  status: ['status', 'الحالة'],
+  rating: ['rating', 'التقييم'],
+  notes: ['notes', 'remarks', 'comments', 'ملاحظات']
+};
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[\s_\-.]/g, '');
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Supplier import from spreadsheet rows: column mapping, per-row validation,
+ * duplicate matching (email, phone, tax ID) and an optional dry run.
+ */
+class SupplierImportService {
+  getFields() {
+    return Object.keys(FIELDS);
+  }
+
+  /**
+   * Column -> field mapping: explicit entries win, other columns are matched by their header
+   * @param {string[]} headers
+   * @param {object} mapping - { 'Column header': 'supplierField' } ('' or null ignores the column)
+   */
+  resolveMapping(headers, mapping = {}) {
+    const unknown = Object.values(mapping).filter(field => field && !FIELDS[field]);
+    if (unknown.length > 0) {
+      throw importError(`Unknown supplier field(s) in mapping: ${unknown.join(', ')}. Fields: ${this.getFields().join(', ')}`);
+    }
+
+    const resolved = {};
+    const unmappedColumns = [];
+
+    headers.forEach(header => {
+      if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+        if (mapping[header]) resolved[header] = mapping[header];
+        return;
+      }
+
+      const key = normalizeHeader(header);
+      const field = Object.keys(FIELDS).find(f => normalizeHeader(f) === key || FIELDS[f].includes(key));
+      if (field && !Object.values(resolved).includes(field)) {
+        resolved[header] = field;
+      } else {
+        unmappedColumns.push(header);
+      }
+    });
+
+    return { mapping: resolved, unmappedColumns };
+  }
+
+  // Supplier data of one row (empty cells are left out)
+  mapRow(row, mapping) {
+    const data = {};
+
+    Object.entries(mapping).forEach(([header, field]) => {
+      const value = row[header];
+      if (value === undefined || value === null || String(value).trim() === '') return;
+
+      if (field === 'materialTypes') {
+        data.materialTypes = Array.isArray(value)
+          ? value
+          : String(value).split(/[;,|،]/).map(v => v.trim()).filter(Boolean);
+      } else if (field === 'email') {
+        data.email = String(value).trim().toLowerCase();
+      } else if (field === 'status') {
+        data.status = String(value).trim().toLowerCase();
+      } else {
+        data[field] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Validate and (unless dryRun) import supplier rows
+   * @param {object[]} rows - records keyed by column header (from readSpreadsheet or a JSON array)
+   * @param {object} options - { mapping, dryRun, updateExisting, createdBy }
+   * @returns {Promise<object>} { dryRun, mapping, unmappedColumns, summary, rows: [{ row, action, data, matches, errors }] }
+   *   action: create | update | skip (duplicate, updateExisting off) | error
+   */
+  async importSuppliers(rows, options = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw importError('No supplier rows to import');
+    }
+
+    const { dryRun = false, updateExisting = false, createdBy = null } = options;
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row).filter(key => key !== '__row')))];
+    const { mapping, unmappedColumns } = this.resolveMapping(headers, options.mapping || {});
+
+    if (!Object.values(mapping).includes('name')) {
+      throw importError('No column is mapped to the supplier name');
+    }
+
+    const existing = await supplierService.readSuppliers();
+    const seen = []; // rows already in this file, as pseudo suppliers for duplicate matching
+
+    const results = rows.map((row, index) => {
+      const rowNumber = row.__row || index + 1;
+      const data = this.mapRow(row, mapping);
+      const matches = supplierService.findDuplicates(data, existing);
+      const inFile = supplierService.findDuplicates(data, seen);
+      const errors = [];
+      let action;
+
+      if (inFile.length > 0) {
+        errors.push(`duplicate of row ${inFile.map(m => m.supplierId).join(', ')} in this file (${[...new Set(inFile.flatMap(m => m.by))].join(', ')})`);
+      }
+
+      if (matches.length > 1) {
+        errors.push(`matches several suppliers: ${matches.map(m => `${m.supplierId} by ${m.by.join('/')}`).join(', ')}`);
+      } else if (matches.length === 1 && updateExisting) {
+        errors.push(...supplierService.getValidationErrors(data, { partial: true }));
+        action = 'update';
+      } else if (matches.length === 1) {
+        action = 'skip';
+      } else {
+        errors.push(...supplierService.getValidationErrors(data));
+        action = 'create';
+      }
+
+      if (errors.length > 0) action = 'error';
+      seen.push({ id: `${rowNumber}`, name: data.name, email: data.email, phone: data.phone, taxId: data.taxId });
+
+      return { row: rowNumber, action, data, matches, errors };
+    });
+
+    if (!dryRun) {
+      for (const result of results) {
+        try {
+          if (result.action === 'create') {
+            const supplier = await supplierService.addSupplier({ ...result.data, createdBy });
+            result.supplierId = supplier.id;
+          } else if (result.action === 'update') {
+            const supplierId = result.matches[0].supplierId;
+            await supplierService.updateSupplier(supplierId, { ...result.data, updatedBy: createdBy });
+            result.supplierId = supplierId;
+          }
+        } catch (err) {
+          result.action = 'error';
+          result.errors.push(err.message);
+        }
+      }
+    }
+
+    const summary = { total: results.length, create: 0, update: 0, skip: 0, error: 0 };
+    results.forEach(r => { summary[r.action]++; });
+
+    return { dryRun, updateExisting, mapping, unmappedColumns, summary, rows: results };
+  }
+}
+
+module.exports = new SupplierImportService();
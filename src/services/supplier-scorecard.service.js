@@ -0,0 +1,326 @@
+// src/services/supplier-scorecard.service.js
+const { getRepository } = require('../utils/repository.util');
+const poPdfGenerator = require('../utils/pdf-generator-po.util');
+
+const supplierRepository = getRepository('suppliers');
+const poRepository = getRepository('purchases');
+const grnRepository = getRepository('goodsReceipts');
+const rfqRepository = getRepository('rfqs');
+
+const PERIODS = ['month', 'quarter', 'year'];
+const DAY_MS = 86400000;
+
+/**
+ * Weights of the computed rating (0-5). Components without data are left out
+ * and the remaining weights are scaled up.
+ * - delivery: on-time rate
+ * - quality: accepted share of the received quantity
+ * - price: 1 at or below the benchmark, 0 at PRICE_TOLERANCE above it
+ */
+const RATING_WEIGHTS = { delivery: 0.5, quality: 0.3, price: 0.2 };
+const PRICE_TOLERANCE = 25;
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100, 1) : null);
+
+const periodKey = (date, period) => {
+  const [year, month] = String(date).split('-');
+  if (period === 'year') return year;
+  if (period === 'quarter') return `${year}-Q${Math.ceil(parseInt(month) / 3)}`;
+  return `${year}-${month}`;
+};
+
+const inRange = (date, { startDate, endDate }) =>
+  (!startDate || date >= startDate) && (!endDate || date <= endDate);
+
+/**
+ * Supplier performance computed from purchase orders, goods receipts and RFQs
+ */
+class SupplierScorecardService {
+  /**
+   * Scorecard of one supplier
+   * @param {string} supplierId
+   * @param {object} options - { startDate, endDate (YYYY-MM-DD, on PO and GRN dates), period: month|quarter|year }
+   */
+  async getScorecard(supplierId, options = {}) {
+    const supplier = await supplierRepository.findById(supplierId);
+    if (!supplier) {
+      const error = new Error('Supplier not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const period = options.period || 'month';
+    if (!PERIODS.includes(period)) {
+      const error = new Error(`period must be one of: ${PERIODS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const range = { startDate: options.startDate || null, endDate: options.endDate || null };
+
+    const purchaseOrders = (await poRepository.find(po => po.supplierId === supplierId))
+      .filter(po => po.status !== 'rejected' && inRange(po.date, range));
+    const goodsReceipts = (await grnRepository.find(grn => grn.supplierId === supplierId))
+      .filter(grn => inRange(grn.date, range));
+    const rfqs = await rfqRepository.findAll();
+
+    const delivery = this.getDelivery(purchaseOrders);
+    const quality = this.getQuality(goodsReceipts);
+    const price = this.getPriceVariance(purchaseOrders, rfqs);
+    const spend = this.getSpend(purchaseOrders, period, supplier.currency);
+
+    return {
+      supplier: {
+        id: supplier.id,
+        name: supplier.name,
+        companyName: supplier.companyName,
+        currency: supplier.currency,
+        rating: supplier.rating,
+        autoRating: Boolean(supplier.autoRating),
+        ratingUpdatedAt: supplier.ratingUpdatedAt || null
+      },
+      range: { ...range, period },
+      delivery,
+      quality,
+      price,
+      spend,
+      computedRating: this.computeRating({ delivery, quality, price })
+    };
+  }
+
+  /**
+   * On-time delivery of approved POs against their expectedDeliveryDate.
+   * A PO counts once it is fully received or closed (date of its last receipt),
+   * or as late while it is still open past its due date.
+   */
+  getDelivery(purchaseOrders) {
+    const today = new Date().toISOString().split('T')[0];
+    const result = { evaluated: 0, onTime: 0, late: 0, overdueOpen: 0, pending: 0, withoutDueDate: 0, onTimeRate: null, averageDelayDays: null };
+    let totalDelay = 0;
+
+    purchaseOrders.filter(po => po.status === 'approved').forEach(po => {
+      const receipts = po.goodsReceipts || [];
+      const due = po.expectedDeliveryDate;
+      const complete = receipts.length > 0 && ['received', 'closed'].includes(po.receivingStatus);
+
+      // Closed without any delivery: cancelled, not a delivery to score
+      if (po.closedAt && receipts.length === 0) return;
+
+      if (!due) {
+        if (receipts.length > 0) result.withoutDueDate++;
+        return;
+      }
+
+      let deliveredOn = null;
+      if (complete) {
+        deliveredOn = receipts.map(r => r.date).sort().pop();
+      } else if (today > due) {
+        result.overdueOpen++;
+        deliveredOn = today;
+      } else {
+        result.pending++;
+        return;
+      }
+
+      result.evaluated++;
+      const delay = Math.round((new Date(deliveredOn) - new Date(due)) / DAY_MS);
+      if (delay <= 0) {
+        result.onTime++;
+      } else {
+        result.late++;
+        totalDelay += delay;
+      }
+    });
+
+    result.onTimeRate = percent(result.onTime, result.evaluated);
+    result.averageDelayDays = result.late > 0 ? round(totalDelay / result.late, 1) : null;
+    return result;
+  }
+
+  /**
+   * Rejections and discrepancies recorded on goods receipts
+   */
+  getQuality(goodsReceipts) {
+    const result = {
+      goodsReceipts: goodsReceipts.length,
+      withDiscrepancies: 0,
+      discrepancyRate: null,
+      receivedQuantity: 0,
+      rejectedQuantity: 0,
+      rejectionRate: null,
+      byType: { rejected: 0, over_delivered: 0, short_delivered: 0 }
+    };
+
+    goodsReceipts.forEach(grn => {
+      if (grn.hasDiscrepancies) result.withDiscrepancies++;
+
+      (grn.lines || []).forEach(line => {
+        result.receivedQuantity += (line.acceptedQuantity || 0) + (line.rejectedQuantity || 0);
+        result.rejectedQuantity += line.rejectedQuantity || 0;
+        (line.discrepancies || []).forEach(type => {
+          result.byType[type] = (result.byType[type] || 0) + 1;
+        });
+      });
+    });
+
+    result.receivedQuantity = round(result.receivedQuantity);
+    result.rejectedQuantity = round(result.rejectedQuantity);
+    result.discrepancyRate = percent(result.withDiscrepancies, result.goodsReceipts);
+    result.rejectionRate = percent(result.rejectedQuantity, result.receivedQuantity);
+    return result;
+  }
+
+  /**
+   * Ordered prices of RFQ-sourced PO lines against the RFQ benchmark: the line's
+   * estimatedUnitPrice, or the average of every supplier's quote for the line
+   */
+  getPriceVariance(purchaseOrders, rfqs) {
+    const rfqsById = new Map(rfqs.map(rfq => [rfq.id, rfq]));
+    const lines = [];
+
+    purchaseOrders.forEach(po => {
+      const rfq = po.sourceRfq && rfqsById.get(po.sourceRfq.id);
+      if (!rfq) return;
+
+      (po.items || []).forEach(item => {
+        const rfqItem = item.rfqLine !== undefined ? (rfq.items || [])[item.rfqLine - 1] : null;
+        const unitPrice = parseFloat(item.unitPrice);
+        const quantity = parseFloat(item.quantity) || 0;
+        if (!rfqItem || isNaN(unitPrice) || quantity <= 0) return;
+
+        let benchmark = parseFloat(rfqItem.estimatedUnitPrice);
+        let basis = 'estimate';
+        if (!(benchmark > 0)) {
+          const quotes = (rfq.responses || [])
+            .map(r => r.lines.find(l => l.line === item.rfqLine))
+            .filter(Boolean)
+            .map(l => l.unitPrice);
+          if (quotes.length === 0) return;
+          benchmark = quotes.reduce((sum, p) => sum + p, 0) / quotes.length;
+          basis = 'quote_average';
+        }
+        if (!(benchmark > 0)) return;
+
+        lines.push({
+          poId: po.id,
+          poNumber: po.poNumber,
+          rfqNumber: rfq.rfqNumber,
+          description: item.description,
+          quantity,
+          unitPrice,
+          benchmarkUnitPrice: round(benchmark),
+          basis,
+          variancePercent: round(((unitPrice - benchmark) / benchmark) * 100, 1)
+        });
+      });
+    });
+
+    const orderedValue = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+    const benchmarkValue = lines.reduce((sum, l) => sum + l.benchmarkUnitPrice * l.quantity, 0);
+
+    return {
+      comparedLines: lines.length,
+      orderedValue: round(orderedValue),
+      benchmarkValue: round(benchmarkValue),
+      variance: round(orderedValue - benchmarkValue),
+      variancePercent: benchmarkValue > 0 ? round(((orderedValue - benchmarkValue) / benchmarkValue) * 100, 1) : null,
+      lines
+    };
+  }
+
+  /**
+   * PO value (approved and pending) per period and currency
+   */
+  getSpend(purchaseOrders, period, defaultCurrency) {
+    const byPeriod = {};
+    const byCurrency = {};
+    let total = 0;
+
+    purchaseOrders.forEach(po => {
+      const grandTotal = parseFloat(poPdfGenerator.calculateTotals(po.items, po.taxRate || 0).grandTotal);
+      const currency = po.currency || defaultCurrency || '';
+      const key = periodKey(po.date, period);
+
+      byPeriod[key] = byPeriod[key] || { period: key, count: 0, approved: 0, pending: 0, total: 0 };
+      byPeriod[key].count++;
+      byPeriod[key][po.status === 'approved' ? 'approved' : 'pending'] += grandTotal;
+      byPeriod[key].total += grandTotal;
+      byCurrency[currency] = (byCurrency[currency] || 0) + grandTotal;
+      total += grandTotal;
+    });
+
+    return {
+      total: round(total),
+      byCurrency: Object.fromEntries(Object.entries(byCurrency).map(([currency, value]) => [currency, round(value)])),
+      byPeriod: Object.values(byPeriod)
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(p => ({ ...p, approved: round(p.approved), pending: round(p.pending), total: round(p.total) }))
+    };
+  }
+
+  /**
+   * 0-5 rating from the scorecard, or null when there is nothing to rate on
+   */
+  computeRating({ delivery, quality, price }) {
+    const scores = {};
+    if (delivery.onTimeRate !== null) scores.delivery = delivery.onTimeRate / 100;
+    if (quality.rejectionRate !== null) scores.quality = 1 - quality.rejectionRate / 100;
+    if (price.variancePercent !== null) {
+      scores.price = Math.min(Math.max(1 - price.variancePercent / PRICE_TOLERANCE, 0), 1);
+    }
+
+    const weight = Object.keys(scores).reduce((sum, key) => sum + RATING_WEIGHTS[key], 0);
+    if (weight === 0) return null;
+
+    const score = Object.entries(scores).reduce((sum, [key, value]) => sum + value * RATING_WEIGHTS[key], 0) / weight;
+    return round(score * 5, 1);
+  }
+
+  /**
+   * Store the computed rating on a supplier that has autoRating switched on.
+   * Called after receipts change; failures are logged, never thrown.
+   * @returns {Promise<number|null>} the new rating, or null when unchanged / not auto-rated
+   */
+  async refreshRating(supplierId) {
+    if (!supplierId) return null;
+
+    try {
+      const supplier = await supplierRepository.findById(supplierId);
+      if (!supplier || !supplier.autoRating) return null;
+
+      const { computedRating } = await this.getScorecard(supplierId);
+      if (computedRating === null || computedRating === supplier.rating) return null;
+
+      await supplierRepository.update(supplierId, {
+        rating: computedRating,
+        ratingUpdatedAt: new Date().toISOString()
+      });
+      return computedRating;
+    } catch (err) {
+      console.error(`Failed to refresh rating of supplier ${supplierId}:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Recompute the rating of every auto-rated supplier
+   */
+  async refreshAllRatings() {
+    const suppliers = await supplierRepository.find(s => s.autoRating);
+    const updated = [];
+
+    for (const supplier of suppliers) {
+      const rating = await this.refreshRating(supplier.id);
+      if (rating !== null) updated.push({ id: supplier.id, name: supplier.name, rating });
+    }
+
+    return { checked: suppliers.length, updated };
+  }
+}
+
+module.exports = new SupplierScorecardService();
@@ -4,82 +4,56 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { getRepository, getVersion, assertVersion } = require('../utils/repository.util');
+const numberingService = require('./numbering.service');
+const supplierDocumentService = require('./supplier-document.service');
+
+const supplierRepository = getRepository('suppliers');
+
+// Roles a supplier contact can have
+const CONTACT_ROLES = ['sales', 'accounts', 'technical', 'logistics', 'quality', 'management', 'other'];
+
+const SUPPLIER_STATUSES = ['active', 'inactive', 'pending', 'suspended'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits only, so "+20 100-123" and "20100123" are the same phone
+const normalizePhone = phone => String(phone || '').replace(/\D/g, '');
 
 class SupplierService {
   constructor() {
     this.dataDir = path.join(__dirname, '../../data/suppliers');
-    this.suppliersFile = path.join(this.dataDir, 'index.json');
   }
 
-  // Initialize suppliers directory and file
+  // Initialize suppliers directory
   async initialize() {
     try {
       await fs.mkdir(this.dataDir, { recursive: true });
-      try {
-        await fs.access(this.suppliersFile);
-      } catch {
-        await this.atomicWrite([]);
-        console.log('Suppliers file initialized');
-      }
     } catch (err) {
       console.error('Failed to initialize suppliers:', err);
       throw new Error(`Failed to initialize suppliers: ${err.message}`);
     }
   }
 
-  // Atomic write to prevent data corruption
-  async atomicWrite(data) {
-    const tempFile = this.suppliersFile + '.tmp';
-    try {
-      await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf8');
-      await fs.rename(tempFile, this.suppliersFile);
-    } catch (err) {
-      try {
-        await fs.unlink(tempFile);
-      } catch {}
-      throw err;
-    }
-  }
-
   // Generate sequential ID (SUP0001, SUP0002, etc.)
   async generateId() {
-    const suppliers = await this.readSuppliers();
-    
-    if (suppliers.length === 0) {
-      return 'SUP0001';
-    }
-
-    // Extract all numeric IDs
-    const numericIds = suppliers
-      .map(s => {
-        const match = s.id.match(/SUP(\d+)/);
-        return match ? parseInt(match[1], 10) : 0;
-      })
-      .filter(id => id > 0);
-
-    // Get the maximum ID and increment
-    const maxId = Math.max(...numericIds, 0);
-    const newId = maxId + 1;
-    
-    // Format with leading zeros (SUP0001, SUP0002, etc.)
-    return `SUP${String(newId).padStart(4, '0')}`;
+    const { number } = await numberingService.next('supplier');
+    return number;
   }
 
-  // Read suppliers from JSON file
+  // Read suppliers from storage
   async readSuppliers() {
     try {
-      const data = await fs.readFile(this.suppliersFile, 'utf8');
-      return JSON.parse(data);
+      return await supplierRepository.findAll();
     } catch (err) {
       console.error('Failed to read suppliers:', err);
       throw new Error(`Failed to read suppliers: ${err.message}`);
     }
   }
 
-  // Write suppliers to JSON file
+  // Write suppliers to storage
   async writeSuppliers(suppliers) {
     try {
-      await this.atomicWrite(suppliers);
+      await supplierRepository.replaceAll(suppliers);
     } catch (err) {
       console.error('Failed to write suppliers:', err);
       throw new Error(`Failed to write suppliers: ${err.message}`);
@@ -130,8 +104,7 @@ class SupplierService {
   // Get supplier by ID
   async getSupplierById(id) {
     try {
-      const suppliers = await this.readSuppliers();
-      const supplier = suppliers.find(s => s.id === id);
+      const supplier = await supplierRepository.findById(id);
       
       if (!supplier) {
         throw new Error('Supplier not found');
@@ -145,21 +118,103 @@ class SupplierService {
     }
   }
 
+  /**
+   * Copy of the supplier's contact and commercial terms for linking it to a PO or RFQ.
+   * Documents keep this copy so their PDFs stay as issued after the supplier is edited.
+   */
+  async getSnapshot(id) {
+    const supplier = await supplierRepository.findById(id);
+
+    if (!supplier) {
+      const error = new Error(`Supplier ${id} not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (supplier.status && supplier.status !== 'active') {
+      const error = new Error(`Supplier ${id} is ${supplier.status} and cannot be used on new documents`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      id: supplier.id,
+      name: supplier.name,
+      companyName: supplier.companyName || supplier.name,
+      contactPerson: supplier.contactPerson || null,
+      email: supplier.email || null,
+      phone: supplier.phone || null,
+      address: [supplier.address, supplier.city, supplier.country].filter(Boolean).join(', '),
+      taxId: supplier.taxId || null,
+      currency: supplier.currency || null,
+      paymentTerms: supplier.paymentTerms || null,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  // Field problems of supplier data (partial: only the fields present are checked)
+  getValidationErrors(data, { partial = false } = {}) {
+    const errors = [];
+    const has = field => data[field] !== undefined && data[field] !== null && String(data[field]).trim() !== '';
+
+    ['name', 'email', 'phone'].forEach(field => {
+      if (!partial && !has(field)) errors.push(`${field} is required`);
+    });
+    if (has('email') && !EMAIL_PATTERN.test(String(data.email).trim())) {
+      errors.push('email is not a valid address');
+    }
+    if (has('phone') && normalizePhone(data.phone).length < 6) {
+      errors.push('phone must have at least 6 digits');
+    }
+    if (has('status') && !SUPPLIER_STATUSES.includes(data.status)) {
+      errors.push('status must be one of: ' + SUPPLIER_STATUSES.join(', '));
+    }
+    if (has('rating')) {
+      const rating = parseFloat(data.rating);
+      if (isNaN(rating) || rating < 0 || rating > 5) errors.push('rating must be between 0 and 5');
+    }
+
+    return errors;
+  }
+
+  // Existing suppliers with the same email, phone or tax ID
+  findDuplicates(data, suppliers, excludeId = null) {
+    const email = data.email ? String(data.email).toLowerCase().trim() : '';
+    const phone = normalizePhone(data.phone);
+    const taxId = data.taxId ? String(data.taxId).trim() : '';
+
+    return suppliers
+      .filter(s => s.id !== excludeId)
+      .map(s => ({
+        supplierId: s.id,
+        name: s.name,
+        by: [
+          ...(email && s.email && s.email.toLowerCase() === email ? ['email'] : []),
+          ...(phone && normalizePhone(s.phone) === phone ? ['phone'] : []),
+          ...(taxId && s.taxId && String(s.taxId).trim() === taxId ? ['taxId'] : [])
+        ]
+      }))
+      .filter(match => match.by.length > 0);
+  }
+
   // Add new supplier
   async addSupplier(supplierData) {
     try {
-      const suppliers = await this.readSuppliers();
-      
-      // Check for duplicate email
-      const existingEmail = suppliers.find(s => s.email.toLowerCase() === supplierData.email.toLowerCase());
-      if (existingEmail) {
-        throw new Error('Supplier with this email already exists');
+      const errors = this.getValidationErrors(supplierData);
+      if (errors.length > 0) {
+        const error = new Error(`Invalid supplier: ${errors.join('; ')}`);
+        error.statusCode = 400;
+        throw error;
       }
 
-      // Check for duplicate phone
-      const existingPhone = suppliers.find(s => s.phone === supplierData.phone);
-      if (existingPhone) {
-        throw new Error('Supplier with this phone number already exists');
+      const suppliers = await this.readSuppliers();
+      
+      // Check for duplicate email, phone or tax ID
+      const duplicate = this.findDuplicates(supplierData, suppliers)[0];
+      if (duplicate) {
+        const error = new Error(`Supplier with this ${duplicate.by.join(', ')} already exists (${duplicate.supplierId})`);
+        error.statusCode = 409;
+        throw error;
       }
       
       const newSupplier = {
@@ -167,8 +222,8 @@ class SupplierService {
         name: supplierData.name,
         companyName: supplierData.companyName || supplierData.name,
         contactPerson: supplierData.contactPerson,
-        email: supplierData.email.toLowerCase(),
-        phone: supplierData.phone,
+        email: String(supplierData.email).toLowerCase().trim(),
+        phone: String(supplierData.phone).trim(),
         secondaryPhone: supplierData.secondaryPhone || null,
         address: supplierData.address || null,
         city: supplierData.city || null,
@@ -178,19 +233,32 @@ class SupplierService {
         taxId: supplierData.taxId || null,
         materialTypes: Array.isArray(supplierData.materialTypes) ? supplierData.materialTypes : [],
         rating: parseFloat(supplierData.rating) || 0,
+        autoRating: supplierData.autoRating === true || supplierData.autoRating === 'true',
         paymentTerms: supplierData.paymentTerms || null,
         deliveryTime: supplierData.deliveryTime || null,
         minimumOrder: supplierData.minimumOrder || null,
         currency: supplierData.currency || 'EGP',
         status: supplierData.status || 'active',
         notes: supplierData.notes || '',
+        contacts: [],
+        documents: [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         createdBy: supplierData.createdBy || null
       };
 
-      suppliers.push(newSupplier);
-      await this.writeSuppliers(suppliers);
+      // The contact person given on creation becomes the primary contact
+      if (supplierData.contactPerson) {
+        newSupplier.contacts.push(this.buildContact({
+          name: supplierData.contactPerson,
+          role: supplierData.contactRole,
+          email: newSupplier.email,
+          phone: newSupplier.phone,
+          isPrimary: true
+        }, []));
+      }
+
+      await supplierRepository.insert(newSupplier);
       
       console.log(`Supplier added: ${newSupplier.id}`);
       return newSupplier;
@@ -204,56 +272,75 @@ class SupplierService {
   async updateSupplier(id, updateData) {
     try {
       const suppliers = await this.readSuppliers();
-      const index = suppliers.findIndex(s => s.id === id);
+      const supplier = suppliers.find(s => s.id === id);
       
-      if (index === -1) {
+      if (!supplier) {
         throw new Error('Supplier not found');
       }
 
-      // Check for duplicate email if email is being updated
-      if (updateData.email && updateData.email.toLowerCase() !== suppliers[index].email.toLowerCase()) {
-        const existingEmail = suppliers.find(s => s.email.toLowerCase() === updateData.email.toLowerCase());
-        if (existingEmail) {
-          throw new Error('Supplier with this email already exists');
-        }
+      assertVersion(supplier, updateData.version);
+
+      const errors = this.getValidationErrors(updateData, { partial: true });
+      if (errors.length > 0) {
+        const error = new Error(`Invalid supplier: ${errors.join('; ')}`);
+        error.statusCode = 400;
+        throw error;
       }
 
-      // Check for duplicate phone if phone is being updated
-      if (updateData.phone && updateData.phone !== suppliers[index].phone) {
-        const existingPhone = suppliers.find(s => s.phone === updateData.phone);
-        if (existingPhone) {
-          throw new Error('Supplier with this phone number already exists');
-        }
+      // Check for duplicate email, phone or tax ID among the other suppliers
+      const duplicate = this.findDuplicates(
+        { email: updateData.email, phone: updateData.phone, taxId: updateData.taxId },
+        suppliers,
+        id
+      )[0];
+      if (duplicate) {
+        const error = new Error(`Supplier with this ${duplicate.by.join(', ')} already exists (${duplicate.supplierId})`);
+        error.statusCode = 409;
+        throw error;
       }
 
-      // Prepare update object
-      const updatedFields = { ...updateData };
+      // Prepare update object (contacts and documents have their own endpoints)
+      const { version, contacts, documents, ...updatedFields } = updateData;
       
       // Normalize email if provided
       if (updatedFields.email) {
         updatedFields.email = updatedFields.email.toLowerCase();
       }
 
+      // Auto-rated suppliers get their rating from the scorecard only
+      if (updatedFields.autoRating !== undefined) {
+        updatedFields.autoRating = updatedFields.autoRating === true || updatedFields.autoRating === 'true';
+      }
+      const autoRating = updatedFields.autoRating !== undefined ? updatedFields.autoRating : supplier.autoRating;
+      if (autoRating) {
+        delete updatedFields.rating;
+      }
+
       // Parse rating if provided
       if (updatedFields.rating !== undefined) {
         updatedFields.rating = parseFloat(updatedFields.rating);
       }
 
       // Update supplier
-      suppliers[index] = {
-        ...suppliers[index],
+      const updatedSupplier = await supplierRepository.update(id, {
         ...updatedFields,
-        id: suppliers[index].id,
-        createdAt: suppliers[index].createdAt,
-        createdBy: suppliers[index].createdBy,
+        createdAt: supplier.createdAt,
+        createdBy: supplier.createdBy,
         updatedAt: new Date().toISOString(),
         updatedBy: updateData.updatedBy || null
-      };
-
-      await this.writeSuppliers(suppliers);
+      }, { expectedVersion: getVersion(supplier) });
+
+      // Switching autoRating on takes the computed rating right away
+      if (autoRating && !supplier.autoRating) {
+        const supplierScorecardService = require('./supplier-scorecard.service');
+        const rating = await supplierScorecardService.refreshRating(id);
+        if (rating !== null) {
+          return await supplierRepository.findById(id);
+        }
+      }
       
       console.log(`Supplier updated: ${id}`);
-      return suppliers[index];
+      return updatedSupplier;
     } catch (err) {
       console.error(`Failed to update supplier ${id}:`, err);
       throw err;
@@ -263,15 +350,14 @@ class SupplierService {
   // Delete supplier
   async deleteSupplier(id) {
     try {
-      const suppliers = await this.readSuppliers();
-      const index = suppliers.findIndex(s => s.id === id);
+      const deletedSupplier = await supplierRepository.findById(id);
       
-      if (index === -1) {
+      if (!deletedSupplier) {
         throw new Error('Supplier not found');
       }
 
-      const deletedSupplier = suppliers.splice(index, 1)[0];
-      await this.writeSuppliers(suppliers);
+      await supplierRepository.remove(id);
+      await supplierDocumentService.removeSupplierFiles(id);
       
       console.log(`Supplier deleted: ${id}`);
       return deletedSupplier;
@@ -412,30 +498,120 @@ class SupplierService {
     }
   }
 
-  // Bulk import suppliers
-  async bulkImportSuppliers(suppliersData, createdBy = null) {
+  getContactRoles() {
+    return CONTACT_ROLES;
+  }
+
+  // Validate a contact and give it the next ID on the supplier
+  buildContact(data, contacts, existing = {}) {
+    const contact = {
+      id: existing.id || `C${contacts.reduce((max, c) => Math.max(max, parseInt(c.id.slice(1)) || 0), 0) + 1}`,
+      name: data.name !== undefined ? String(data.name).trim() : existing.name,
+      role: data.role !== undefined ? data.role : (existing.role || 'other'),
+      title: data.title !== undefined ? data.title : (existing.title || ''),
+      email: data.email !== undefined ? (data.email ? String(data.email).toLowerCase().trim() : null) : (existing.email || null),
+      phone: data.phone !== undefined ? data.phone || null : (existing.phone || null),
+      notes: data.notes !== undefined ? data.notes : (existing.notes || ''),
+      isPrimary: data.isPrimary !== undefined ? data.isPrimary === true || data.isPrimary === 'true' : Boolean(existing.isPrimary)
+    };
+
+    if (!contact.name) {
+      const error = new Error('Contact name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!contact.role || !CONTACT_ROLES.includes(contact.role)) {
+      const error = new Error('Invalid contact role. Must be one of: ' + CONTACT_ROLES.join(', '));
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!contact.email && !contact.phone) {
+      const error = new Error('A contact needs an email or a phone number');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return contact;
+  }
+
+  // Save contacts; the primary contact is mirrored to contactPerson
+  async saveContacts(supplier, contacts, updatedBy) {
+    if (contacts.length > 0 && !contacts.some(c => c.isPrimary)) {
+      contacts[0].isPrimary = true;
+    }
+    const primary = contacts.find(c => c.isPrimary);
+
+    return supplierRepository.update(supplier.id, {
+      contacts,
+      contactPerson: primary ? primary.name : supplier.contactPerson,
+      updatedAt: new Date().toISOString(),
+      updatedBy: updatedBy || null
+    }, { expectedVersion: getVersion(supplier) });
+  }
+
+  // Add a contact to a supplier
+  async addContact(id, contactData, updatedBy) {
     try {
-      const results = {
-        success: [],
-        failed: []
-      };
+      const supplier = await this.getSupplierById(id);
+      const contacts = [...(supplier.contacts || [])];
+      const contact = this.buildContact(contactData, contacts);
 
-      for (const supplierData of suppliersData) {
-        try {
-          const supplier = await this.addSupplier({ ...supplierData, createdBy });
-          results.success.push({ id: supplier.id, name: supplier.name });
-        } catch (err) {
-          results.failed.push({ 
-            name: supplierData.name || 'Unknown', 
-            error: err.message 
-          });
-        }
+      if (contact.isPrimary) {
+        contacts.forEach(c => { c.isPrimary = false; });
       }
+      contacts.push(contact);
 
-      console.log(`Bulk import completed: ${results.success.length} success, ${results.failed.length} failed`);
-      return results;
+      const updatedSupplier = await this.saveContacts(supplier, contacts, updatedBy);
+      return updatedSupplier.contacts.find(c => c.id === contact.id);
+    } catch (err) {
+      console.error(`Failed to add contact to supplier ${id}:`, err);
+      throw err;
+    }
+  }
+
+  // Update a supplier contact
+  async updateContact(id, contactId, contactData, updatedBy) {
+    try {
+      const supplier = await this.getSupplierById(id);
+      const contacts = [...(supplier.contacts || [])];
+      const index = contacts.findIndex(c => c.id === contactId);
+
+      if (index === -1) {
+        const error = new Error('Contact not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const contact = this.buildContact(contactData, contacts, contacts[index]);
+      if (contact.isPrimary) {
+        contacts.forEach(c => { c.isPrimary = false; });
+      }
+      contacts[index] = contact;
+
+      const updatedSupplier = await this.saveContacts(supplier, contacts, updatedBy);
+      return updatedSupplier.contacts.find(c => c.id === contactId);
+    } catch (err) {
+      console.error(`Failed to update contact ${contactId} of supplier ${id}:`, err);
+      throw err;
+    }
+  }
+
+  // Remove a supplier contact
+  async removeContact(id, contactId, updatedBy) {
+    try {
+      const supplier = await this.getSupplierById(id);
+      const contacts = (supplier.contacts || []).filter(c => c.id !== contactId);
+
+      if (contacts.length === (supplier.contacts || []).length) {
+        const error = new Error('Contact not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const updatedSupplier = await this.saveContacts(supplier, contacts, updatedBy);
+      return updatedSupplier.contacts;
     } catch (err) {
-      console.error('Failed to bulk import suppliers:', err);
+      console.error(`Failed to remove contact ${contactId} of supplier ${id}:`, err);
       throw err;
     }
   }
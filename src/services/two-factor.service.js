@@ -0,0 +1,196 @@
+// src/services/two-factor.service.js
+const crypto = require('crypto');
+const totp = require('../utils/totp.util');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Laser Cutting Management';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Roles that must use 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=super_admin,admin
+ * (empty = 2FA is optional for everyone)
+ */
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Secrets are encrypted at rest (AES-256-GCM)
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-this')
+  .digest();
+
+/**
+ * TOTP two-factor authentication
+ * Works on user records in place (the caller persists them), the same way
+ * password.util's setUserPassword does. Stored on the user as:
+ *   twoFactor: { enabled, secret, pendingSecret, recoveryCodes (SHA-256 hashes), lastUsedStep, enabledAt }
+ */
+class TwoFactorService {
+  isRequiredForRole(role) {
+    return REQUIRED_ROLES.includes(role);
+  }
+
+  isEnabled(user) {
+    return !!(user.twoFactor && user.twoFactor.enabled);
+  }
+
+  /**
+   * 2FA status safe to return to clients
+   */
+  getStatus(user) {
+    const twoFactor = user.twoFactor || {};
+    return {
+      enabled: !!twoFactor.enabled,
+      required: this.isRequiredForRole(user.role),
+      enabledAt: twoFactor.enabledAt || null,
+      pendingSetup: !twoFactor.enabled && !!twoFactor.pendingSecret,
+      recoveryCodesRemaining: (twoFactor.recoveryCodes || []).length
+    };
+  }
+
+  /**
+   * Start enrollment: create a pending secret to be confirmed with a code
+   * @returns {object} { secret, otpauthUri }
+   */
+  startSetup(user) {
+    if (this.isEnabled(user)) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor = {
+      ...(user.twoFactor || {}),
+      enabled: false,
+      pendingSecret: this._encrypt(secret),
+      pendingCreatedAt: new Date().toISOString()
+    };
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email || user.username,
+        issuer: TWO_FACTOR_ISSUER
+      })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {string[]} Recovery codes (only shown once)
+   */
+  enable(user, code) {
+    const pending = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pending) {
+      const error = new Error('Two-factor setup has not been started');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const secret = this._decrypt(pending);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      const error = new Error('Invalid verification code');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pending,
+      recoveryCodes: recoveryCodes.map(c => this._hashRecoveryCode(c)),
+      lastUsedStep: step,
+      enabledAt: new Date().toISOString()
+    };
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a single-use recovery code (consumed on success)
+   * @param {object} credentials - { code, recoveryCode }
+   * @returns {string|null} 'totp' | 'recovery_code' when valid, otherwise null
+   */
+  verify(user, { code, recoveryCode } = {}) {
+    if (!this.isEnabled(user)) {
+      return null;
+    }
+
+    const twoFactor = user.twoFactor;
+
+    if (code) {
+      const step = totp.verifyCode(this._decrypt(twoFactor.secret), code, {
+        lastUsedStep: twoFactor.lastUsedStep ?? -1
+      });
+      if (step !== null) {
+        twoFactor.lastUsedStep = step;
+        return 'totp';
+      }
+    }
+
+    if (recoveryCode) {
+      const hash = this._hashRecoveryCode(recoveryCode);
+      const index = (twoFactor.recoveryCodes || []).indexOf(hash);
+      if (index !== -1) {
+        twoFactor.recoveryCodes.splice(index, 1);
+        return 'recovery_code';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {string[]} New recovery codes
+   */
+  regenerateRecoveryCodes(user) {
+    if (!this.isEnabled(user)) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => this._hashRecoveryCode(c));
+    return recoveryCodes;
+  }
+
+  /**
+   * Remove 2FA from a user (self-service disable or super admin reset)
+   */
+  reset(user) {
+    delete user.twoFactor;
+  }
+
+  _generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  _hashRecoveryCode(code) {
+    const normalized = String(code).trim().toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  _encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+  }
+
+  _decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new TwoFactorService();
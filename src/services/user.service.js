@@ -2,128 +2,31 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const atomicWrite = require('../utils/atomic-write.util');
 const { generateId } = require('../utils/id-generator.util');
 const emailService = require('../utils/email.util');
+const { hashPassword, setUserPassword } = require('../utils/password.util');
+const sessionService = require('./session.service');
+const loginAttemptService = require('./login-attempt.service');
+const twoFactorService = require('./two-factor.service');
+const roleService = require('./role.service');
+const { getRegistry, resolveResourceKey, assertValidPermissions } = require('../utils/permissions.util');
+const { getRepository } = require('../utils/repository.util');
 
 const USERS_FILE = path.join(__dirname, '../../data/users/users.json');
+const userRepository = getRepository('users');
 
-// ✅ FIXED: Route keys now match app.routes.ts exactly (camelCase, not kebab-case)
-const AVAILABLE_ROUTES = [
-  // إدارة النظام (Management)
-  { 
-    key: 'dashboard', 
-    label: 'لوحة التحكم', 
-    path: '/dashboard',
-    category: 'management'
-  },
-  { 
-    key: 'users', 
-    label: 'إدارة المستخدمين', 
-    path: '/users',
-    category: 'management'
-  },
-  { 
-    key: 'itemsControl', // ✅ Changed from 'items-control'
-    label: 'إدارة الأصناف', 
-    path: '/items-control',
-    category: 'management'
-  },
-  { 
-    key: 'filesControl', // ✅ Changed from 'files-control'
-    label: 'إدارة الملفات', 
-    path: '/files-control',
-    category: 'management'
-  },
-
-  // المشتريات والموردين (Procurement)
-  { 
-    key: 'suppliers', 
-    label: 'إدارة الموردين', 
-    path: '/suppliers',
-    category: 'procurement'
-  },
-  { 
-    key: 'rfqs', 
-    label: 'طلبات عروض الأسعار', 
-    path: '/rfqs',
-    category: 'procurement'
-  },
-  { 
-    key: 'priceQuotes', // ✅ Changed from 'price-quotes'
-    label: 'عروض الأسعار', 
-    path: '/price-quotes',
-    category: 'procurement'
-  },
-  { 
-    key: 'purchases', 
-    label: 'أوامر الشراء', 
-    path: '/purchases',
-    category: 'procurement'
-  },
-
-  // المخزون والمواد (Inventory)
-  { 
-    key: 'materialRequests', // ✅ Changed from 'material-requests'
-    label: 'طلبات المواد', 
-    path: '/material-requests',
-    category: 'inventory'
-  },
-  { 
-    key: 'receipts', 
-    label: 'إيصالات الاستلام', 
-    path: '/receipts',
-    category: 'inventory'
-  },
-  { 
-    key: 'emptyReceipt', // ✅ Added missing route
-    label: 'إشعار استلام فارغ', 
-    path: '/empty-receipt',
-    category: 'inventory'
-  },
-
-  // العمليات التشغيلية (Operations)
-  { 
-    key: 'proformaInvoice', // ✅ Changed from 'Proforma-invoice'
-    label: 'فاتورة مُقدمة', 
-    path: '/Proforma-invoice',
-    category: 'operations'
-  },
-  { 
-    key: 'costingSheet', // ✅ Added missing route
-    label: 'كشف التكاليف', 
-    path: '/costing-sheet',
-    category: 'operations'
-  },
-  { 
-    key: 'cutting', 
-    label: 'إدارة أعمال القص', 
-    path: '/cutting',
-    category: 'operations'
-  },
-  { 
-    key: 'secretariatUserManagement', // ✅ Changed from 'secretariat-user'
-    label: 'نماذج الموظف', 
-    path: '/secretariat-user',
-    category: 'operations'
-  },
-  { 
-    key: 'secretariat', 
-    label: 'إدارة السكرتارية', 
-    path: '/secretariat',
-    category: 'operations'
-  },
-
-  // التقارير والتحليلات (Reports)
-  { 
-    key: 'analysis', 
-    label: 'التحليلات والإحصائيات', 
-    path: '/analysis',
-    category: 'reports'
-  }
-];
+// Route keys come from the permission registry (they match app.routes.ts)
+const AVAILABLE_ROUTES = getRegistry().resources;
 
 class UserService {
+  /**
+   * User data safe to return (no password, password history or 2FA secrets)
+   */
+  toPublicUser(user) {
+    const { password, passwordHistory, twoFactor, ...publicUser } = user;
+    return { ...publicUser, twoFactorEnabled: twoFactorService.isEnabled(user) };
+  }
+
   async initializeUsersFile() {
     try {
       const usersDir = path.dirname(USERS_FILE);
@@ -134,27 +37,23 @@ class UserService {
         console.log('✅ Created users directory');
       }
 
-      try {
-        await fs.access(USERS_FILE);
-      } catch {
-        const defaultUsers = [
-          {
-            id: "USER-0001",
-            username: "admin.super",
-            name: "Super Admin",
-            email: "admin@laser.com",
-            password: "admin123",
-            role: "super_admin",
-            active: true,
-            systemAccess: {
-              laserCuttingManagement: true,
-            },
-            routeAccess: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          }
-        ];
-        await atomicWrite(USERS_FILE, JSON.stringify(defaultUsers, null, 2));
+      if ((await userRepository.findAll()).length === 0) {
+        const defaultAdmin = {
+          id: "USER-0001",
+          username: "admin.super",
+          name: "Super Admin",
+          email: "admin@laser.com",
+          password: await hashPassword('admin123'),
+          role: "super_admin",
+          active: true,
+          systemAccess: {
+            laserCuttingManagement: true,
+          },
+          routeAccess: [],
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+        await userRepository.insert(defaultAdmin);
         console.log('✅ Created users.json with default super admin');
         console.log('📧 Email: admin@laser.com | Password: admin123');
       }
@@ -165,21 +64,29 @@ class UserService {
   }
 
   async loadUsers() {
-    try {
-      const data = await fs.readFile(USERS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        await this.initializeUsersFile();
-        const data = await fs.readFile(USERS_FILE, 'utf8');
-        return JSON.parse(data);
-      }
-      throw error;
+    if (!fsSync.existsSync(USERS_FILE)) {
+      await this.initializeUsersFile();
     }
+    return userRepository.findAll();
   }
 
-  async saveUsers(users) {
-    await atomicWrite(USERS_FILE, JSON.stringify(users, null, 2));
+  /**
+   * Read-modify-write of one user under the users write lock
+   * @param {Function} updater - async (user, users) => void, mutates the record
+   *                             (users is the current list, for cross-user checks)
+   * @returns {Promise<object>} Updated user
+   */
+  async modifyUser(id, updater) {
+    return userRepository.transaction(async users => {
+      const user = users.find(u => u.id === id);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await updater(user, users);
+      user.updatedAt = new Date().toISOString();
+      return user;
+    });
   }
 
   async generateUniqueUsername(name, email, users) {
@@ -245,26 +152,7 @@ class UserService {
   }
 
   async createUser(userData) {
-    const users = await this.loadUsers();
-
-    if (await this.emailExists(userData.email)) {
-      throw new Error('Email already exists');
-    }
-
-    const validRoles = ['super_admin', 'admin', 'employee', 'secretariat'];
-    if (!validRoles.includes(userData.role)) {
-      throw new Error('Invalid role specified. Valid roles: super_admin, admin, employee, secretariat');
-    }
-
-    const username = await this.generateUniqueUsername(
-      userData.name,
-      userData.email,
-      users
-    );
-
-    if (users.some(u => u.username === username)) {
-      throw new Error('Username already exists - generation error occurred');
-    }
+    await this.assertValidRole(userData.role);
 
     const systemAccess = userData.systemAccess || {
       laserCuttingManagement: false,
@@ -273,39 +161,54 @@ class UserService {
     // Initialize routeAccess for employees
     let routeAccess = [];
     if (userData.role === 'employee') {
-      routeAccess = userData.routeAccess || [];
-      
-      // ✅ Validate routeAccess with correct keys
-      const validRouteKeys = AVAILABLE_ROUTES.map(r => r.key);
-      const invalidRoutes = routeAccess.filter(r => !validRouteKeys.includes(r));
-      if (invalidRoutes.length > 0) {
-        console.error('❌ Invalid route keys:', invalidRoutes);
-        console.log('✅ Valid route keys:', validRouteKeys);
-        throw new Error(`Invalid route access keys: ${invalidRoutes.join(', ')}`);
-      }
+      routeAccess = this.normalizeRouteAccess(userData.routeAccess || []);
     }
 
-    const newUser = {
-      id: generateId('USER'),
-      username,
-      name: userData.name,
-      email: userData.email,
-      password: userData.password,
-      role: userData.role,
-      active: true,
-      systemAccess,
-      routeAccess,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const permissions = [...new Set(userData.permissions || [])];
+    assertValidPermissions(permissions);
 
-    users.push(newUser);
-    await this.saveUsers(users);
+    const password = await hashPassword(userData.password);
+
+    // Email/username uniqueness is checked against the list read under the lock
+    const newUser = await userRepository.transaction(async users => {
+      if (users.some(u => u.email === userData.email)) {
+        throw new Error('Email already exists');
+      }
+
+      const username = await this.generateUniqueUsername(
+        userData.name,
+        userData.email,
+        users
+      );
+
+      if (users.some(u => u.username === username)) {
+        throw new Error('Username already exists - generation error occurred');
+      }
+
+      const user = {
+        id: await generateId('USER'),
+        username,
+        name: userData.name,
+        email: userData.email,
+        password,
+        role: userData.role,
+        active: true,
+        systemAccess,
+        routeAccess,
+        permissions,
+        department: userData.department || '',
+        projects: this.normalizeProjects(userData.projects || []),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      users.push(user);
+      return user;
+    });
 
     console.log('✅ User created with routeAccess:', newUser.routeAccess);
 
-    const { password, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return this.toPublicUser(newUser);
   }
 
   async getAllUsers(filters = {}) {
@@ -330,7 +233,7 @@ class UserService {
     const endIndex = page * limit;
 
     const paginatedUsers = users.slice(startIndex, endIndex);
-    const usersWithoutPasswords = paginatedUsers.map(({ password, ...user }) => user);
+    const usersWithoutPasswords = paginatedUsers.map(user => this.toPublicUser(user));
 
     return {
       users: usersWithoutPasswords,
@@ -351,159 +254,162 @@ class UserService {
       throw new Error('User not found');
     }
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   async updateUser(id, updateData) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
-
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
-
-    const user = users[userIndex];
+    const user = await this.modifyUser(id, async (user, users) => {
+      if (updateData.email && updateData.email !== user.email) {
+        if (users.some(u => u.email === updateData.email && u.id !== id)) {
+          throw new Error('Email already exists');
+        }
+      }
 
-    if (updateData.email && updateData.email !== user.email) {
-      if (await this.emailExists(updateData.email, id)) {
-        throw new Error('Email already exists');
+      if (updateData.role) {
+        await this.assertValidRole(updateData.role);
       }
-    }
 
-    if (updateData.role) {
-      const validRoles = ['super_admin', 'admin', 'employee', 'secretariat'];
-      if (!validRoles.includes(updateData.role)) {
-        throw new Error('Invalid role specified. Valid roles: super_admin, admin, employee, secretariat');
+      if (updateData.permissions !== undefined) {
+        assertValidPermissions(updateData.permissions);
       }
-    }
 
-    if (updateData.name) user.name = updateData.name;
-    if (updateData.email) user.email = updateData.email;
-    if (updateData.password) user.password = updateData.password;
-    if (updateData.role) user.role = updateData.role;
-    if (updateData.active !== undefined) user.active = updateData.active;
-    
-    if (updateData.systemAccess !== undefined) {
-      user.systemAccess = {
-        ...user.systemAccess,
-        ...updateData.systemAccess
-      };
-    }
+      if (updateData.name) user.name = updateData.name;
+      if (updateData.email) user.email = updateData.email;
+      if (updateData.password) await setUserPassword(user, updateData.password);
+      if (updateData.role) user.role = updateData.role;
+      if (updateData.active !== undefined) user.active = updateData.active;
+      if (updateData.department !== undefined) user.department = updateData.department || '';
+      if (updateData.projects !== undefined) user.projects = this.normalizeProjects(updateData.projects);
+
+      if (updateData.systemAccess !== undefined) {
+        user.systemAccess = {
+          ...user.systemAccess,
+          ...updateData.systemAccess
+        };
+      }
 
-    // Handle routeAccess updates for employees
-    if (updateData.routeAccess !== undefined) {
-      if (user.role === 'employee') {
-        // ✅ Validate routeAccess with correct keys
-        const validRouteKeys = AVAILABLE_ROUTES.map(r => r.key);
-        const invalidRoutes = updateData.routeAccess.filter(r => !validRouteKeys.includes(r));
-        if (invalidRoutes.length > 0) {
-          console.error('❌ Invalid route keys:', invalidRoutes);
-          console.log('✅ Valid route keys:', validRouteKeys);
-          throw new Error(`Invalid route access keys: ${invalidRoutes.join(', ')}`);
+      // Handle routeAccess updates for employees
+      if (updateData.routeAccess !== undefined) {
+        if (user.role === 'employee') {
+          user.routeAccess = this.normalizeRouteAccess(updateData.routeAccess);
+        } else {
+          user.routeAccess = [];
         }
-        user.routeAccess = updateData.routeAccess;
-      } else {
-        user.routeAccess = [];
       }
-    }
 
-    user.updatedAt = new Date().toISOString();
+      if (updateData.permissions !== undefined) {
+        user.permissions = [...new Set(updateData.permissions)];
+      }
+    });
 
-    users[userIndex] = user;
-    await this.saveUsers(users);
+    if (user.active === false) {
+      await sessionService.revokeAllForUser(id, 'user_deactivated');
+    } else if (updateData.password) {
+      await sessionService.revokeAllForUser(id, 'password_changed');
+    }
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   async deleteUser(id) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
+    await userRepository.transaction(users => {
+      const userIndex = users.findIndex(u => u.id === id);
 
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
+      if (userIndex === -1) {
+        throw new Error('User not found');
+      }
 
-    const user = users[userIndex];
-    if (user.role === 'super_admin') {
-      const superAdmins = users.filter(u => u.role === 'super_admin');
-      if (superAdmins.length === 1) {
-        throw new Error('Cannot delete the last super admin in the system');
+      const user = users[userIndex];
+      if (user.role === 'super_admin') {
+        const superAdmins = users.filter(u => u.role === 'super_admin');
+        if (superAdmins.length === 1) {
+          throw new Error('Cannot delete the last super admin in the system');
+        }
       }
-    }
 
-    users.splice(userIndex, 1);
-    await this.saveUsers(users);
+      users.splice(userIndex, 1);
+    });
+    await sessionService.revokeAllForUser(id, 'user_deleted');
 
     return { message: 'User deleted successfully' };
   }
 
   async updateUserRole(id, role) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
+    const user = await this.modifyUser(id, async (user, users) => {
+      if (user.role === 'super_admin' && role !== 'super_admin') {
+        const superAdmins = users.filter(u => u.role === 'super_admin');
+        if (superAdmins.length === 1) {
+          throw new Error('Cannot change the role of the last super admin in the system');
+        }
+      }
 
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
+      await this.assertValidRole(role);
 
-    const user = users[userIndex];
+      user.role = role;
 
-    if (user.role === 'super_admin' && role !== 'super_admin') {
-      const superAdmins = users.filter(u => u.role === 'super_admin');
-      if (superAdmins.length === 1) {
-        throw new Error('Cannot change the role of the last super admin in the system');
+      // Reset routeAccess when changing role
+      if (role !== 'employee') {
+        user.routeAccess = [];
+      } else if (!user.routeAccess) {
+        user.routeAccess = [];
       }
-    }
+    });
 
-    const validRoles = ['super_admin', 'admin', 'employee', 'secretariat'];
-    if (!validRoles.includes(role)) {
-      throw new Error('Invalid role specified. Valid roles: super_admin, admin, employee, secretariat');
-    }
+    return this.toPublicUser(user);
+  }
 
-    user.role = role;
-    
-    // Reset routeAccess when changing role
-    if (role !== 'employee') {
-      user.routeAccess = [];
-    } else if (!user.routeAccess) {
-      user.routeAccess = [];
-    }
-    
-    user.updatedAt = new Date().toISOString();
+  async toggleUserActive(id) {
+    const user = await this.modifyUser(id, (user, users) => {
+      if (user.role === 'super_admin' && user.active) {
+        const activeSuperAdmins = users.filter(u => u.role === 'super_admin' && u.active);
+        if (activeSuperAdmins.length === 1) {
+          throw new Error('Cannot deactivate the last active super admin');
+        }
+      }
 
-    users[userIndex] = user;
-    await this.saveUsers(users);
+      user.active = !user.active;
+    });
+
+    if (!user.active) {
+      await sessionService.revokeAllForUser(id, 'user_deactivated');
+    }
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
-  async toggleUserActive(id) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
+  async getUserSessions(id, includeRevoked = false) {
+    await this.getUserById(id);
+    return sessionService.listForUser(id, { includeRevoked });
+  }
 
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
+  async revokeUserSessions(id) {
+    await this.getUserById(id);
+    const revokedSessions = await sessionService.revokeAllForUser(id, 'revoked_by_admin');
+    return { revokedSessions };
+  }
 
-    const user = users[userIndex];
+  async unlockUser(id) {
+    const user = await this.modifyUser(id, user => {
+      user.failedLoginAttempts = 0;
+      user.lockoutCount = 0;
+      user.lockedUntil = null;
+    });
+    await loginAttemptService.clearUsername(user.username);
 
-    if (user.role === 'super_admin' && user.active) {
-      const activeSuperAdmins = users.filter(u => u.role === 'super_admin' && u.active);
-      if (activeSuperAdmins.length === 1) {
-        throw new Error('Cannot deactivate the last active super admin');
-      }
-    }
+    return this.toPublicUser(user);
+  }
 
-    user.active = !user.active;
-    user.updatedAt = new Date().toISOString();
+  async resetTwoFactor(id) {
+    const user = await this.modifyUser(id, user => {
+      twoFactorService.reset(user);
+    });
+    await sessionService.revokeAllForUser(id, '2fa_reset');
 
-    users[userIndex] = user;
-    await this.saveUsers(users);
+    return this.toPublicUser(user);
+  }
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+  async getLoginAttempts(filters = {}) {
+    return loginAttemptService.list(filters);
   }
 
   async checkUsernameAvailability(username) {
@@ -512,105 +418,124 @@ class UserService {
   }
 
   async updateUsername(id, newUsername) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
-
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
-
     const normalizedUsername = newUsername.toLowerCase().trim();
 
-    const usernameExists = users.some(
-      u => u.username === normalizedUsername && u.id !== id
-    );
-
-    if (usernameExists) {
-      throw new Error('Username already exists');
-    }
+    const user = await this.modifyUser(id, (user, users) => {
+      const usernameExists = users.some(
+        u => u.username === normalizedUsername && u.id !== id
+      );
 
-    const user = users[userIndex];
-    user.username = normalizedUsername;
-    user.updatedAt = new Date().toISOString();
+      if (usernameExists) {
+        throw new Error('Username already exists');
+      }
 
-    users[userIndex] = user;
-    await this.saveUsers(users);
+      user.username = normalizedUsername;
+    });
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   async updateSystemAccess(id, systemAccessUpdates) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
-
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
+    const user = await this.modifyUser(id, user => {
+      user.systemAccess = {
+        ...(user.systemAccess || {}),
+        ...systemAccessUpdates
+      };
+    });
 
-    const user = users[userIndex];
+    return this.toPublicUser(user);
+  }
 
-    if (!user.systemAccess) {
-      user.systemAccess = {};
-    }
+  /**
+   * ✅ FIXED: Update route access for employee users
+   */
+  async updateRouteAccess(id, routeAccessArray) {
+    const user = await this.modifyUser(id, user => {
+      if (user.role !== 'employee') {
+        throw new Error('Route access can only be assigned to employees');
+      }
 
-    user.systemAccess = {
-      ...user.systemAccess,
-      ...systemAccessUpdates
-    };
+      // ✅ Validate that routeAccessArray is an array
+      if (!Array.isArray(routeAccessArray)) {
+        throw new Error('Route access must be an array');
+      }
 
-    user.updatedAt = new Date().toISOString();
+      user.routeAccess = this.normalizeRouteAccess(routeAccessArray);
+    });
 
-    users[userIndex] = user;
-    await this.saveUsers(users);
+    console.log('✅ Updated routeAccess for user:', user.username, '→', user.routeAccess);
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   /**
-   * ✅ FIXED: Update route access for employee users
+   * Replace a user's extra permissions (granted on top of their role)
    */
-  async updateRouteAccess(id, routeAccessArray) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === id);
+  async updatePermissions(id, permissions) {
+    const user = await this.modifyUser(id, user => {
+      assertValidPermissions(permissions);
+      user.permissions = [...new Set(permissions)];
+    });
 
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
+    return this.toPublicUser(user);
+  }
 
-    const user = users[userIndex];
+  /**
+   * Role permissions, extra grants and the resulting effective permissions
+   */
+  async getUserPermissions(id) {
+    const user = await this.getUserById(id);
+    const role = await roleService.getRole(user.role);
 
-    if (user.role !== 'employee') {
-      throw new Error('Route access can only be assigned to employees');
+    return {
+      role: user.role,
+      rolePermissions: role ? role.permissions : [],
+      permissions: user.permissions || [],
+      routeAccess: user.routeAccess || [],
+      effectivePermissions: await roleService.getEffectivePermissions(user)
+    };
+  }
+
+  async assertValidRole(role) {
+    if (!(await roleService.roleExists(role))) {
+      const roleKeys = await roleService.getRoleKeys();
+      const error = new Error(`Invalid role specified. Valid roles: ${roleKeys.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
     }
+  }
 
-    // ✅ Validate that routeAccessArray is an array
-    if (!Array.isArray(routeAccessArray)) {
-      throw new Error('Route access must be an array');
+  /**
+   * Validate routeAccess keys (old aliases are accepted and stored under the current key)
+   */
+  normalizeRouteAccess(routeAccess) {
+    if (!Array.isArray(routeAccess)) {
+      const error = new Error('Route access must be an array');
+      error.statusCode = 400;
+      throw error;
     }
 
-    // ✅ Validate routeAccess keys with correct camelCase keys
-    const validRouteKeys = AVAILABLE_ROUTES.map(r => r.key);
-    const invalidRoutes = routeAccessArray.filter(r => !validRouteKeys.includes(r));
-    
+    const invalidRoutes = routeAccess.filter(r => !resolveResourceKey(r));
     if (invalidRoutes.length > 0) {
-      console.error('❌ Invalid route keys:', invalidRoutes);
-      console.log('✅ Valid route keys:', validRouteKeys);
-      throw new Error(`Invalid route access keys: ${invalidRoutes.join(', ')}`);
+      const error = new Error(`Invalid route access keys: ${invalidRoutes.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
     }
 
-    // ✅ Remove duplicates
-    user.routeAccess = [...new Set(routeAccessArray)];
-    user.updatedAt = new Date().toISOString();
-
-    users[userIndex] = user;
-    await this.saveUsers(users);
+    return [...new Set(routeAccess.map(resolveResourceKey))];
+  }
 
-    console.log('✅ Updated routeAccess for user:', user.username, '→', user.routeAccess);
+  /**
+   * Projects a user is assigned to (used by the "project" visibility scope)
+   */
+  normalizeProjects(projects) {
+    if (!Array.isArray(projects)) {
+      const error = new Error('Projects must be an array');
+      error.statusCode = 400;
+      throw error;
+    }
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return [...new Set(projects.map(project => String(project).trim()).filter(Boolean))];
   }
 
   /**
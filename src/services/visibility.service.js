@@ -0,0 +1,199 @@
+// src/services/visibility.service.js
+const { getRepository } = require('../utils/repository.util');
+const roleService = require('./role.service');
+
+/**
+ * Visibility scopes, narrowest first
+ * - own: documents the user created
+ * - department: + documents created by users of the same department
+ * - project: + documents of the projects the user is assigned to
+ * - all: every document
+ */
+const SCOPES = ['own', 'department', 'project', 'all'];
+
+/**
+ * Document types with visibility rules (keys match the permission resources)
+ * - projectFields: fields holding the document's project (none = project scope acts like own)
+ */
+const DOCUMENT_TYPES = {
+  purchases: { label: 'Purchase Orders', projectFields: ['project'] },
+  rfqs: { label: 'RFQs', projectFields: ['project'] },
+  receipts: { label: 'Receipts', projectFields: ['projectCode'] },
+  goodsReceipts: { label: 'Goods Receipts', projectFields: ['project'] },
+  materialRequests: { label: 'Material Requests', projectFields: ['project'] },
+  costingSheet: { label: 'Costing Sheets', projectFields: ['project'] },
+  priceQuotes: { label: 'Price Quotes', projectFields: ['projectName'] },
+  proformaInvoice: { label: 'Proforma Invoices', projectFields: ['projectName'] }
+};
+
+// Scope used when a role has no stored rule for a document type
+const DEFAULT_ROLE_SCOPES = {
+  super_admin: 'all',
+  secretariat: 'all'
+};
+const DEFAULT_SCOPE = 'own';
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+/**
+ * Record-level visibility: which documents of a type a user may list, open,
+ * edit, delete, download and email. Rules are stored per role in the
+ * "visibilityRules" collection as { id: roleKey, scopes: { purchases: 'own', ... } }.
+ */
+class VisibilityService {
+  get repository() {
+    return getRepository('visibilityRules');
+  }
+
+  async _loadUsers() {
+    return getRepository('users').findAll();
+  }
+
+  getAvailableScopes() {
+    return SCOPES;
+  }
+
+  getDocumentTypes() {
+    return Object.entries(DOCUMENT_TYPES).map(([key, { label, projectFields }]) => ({
+      key,
+      label,
+      supportsProjectScope: projectFields.length > 0
+    }));
+  }
+
+  /**
+   * Scope per document type for a role (stored rule, else the default)
+   */
+  async getScopes(role) {
+    const rule = await this.repository.findById(role);
+    const fallback = DEFAULT_ROLE_SCOPES[role] || DEFAULT_SCOPE;
+
+    return Object.fromEntries(Object.keys(DOCUMENT_TYPES).map(type => [
+      type,
+      (rule && rule.scopes && rule.scopes[type]) || fallback
+    ]));
+  }
+
+  /**
+   * Scopes of every role
+   */
+  async getRules() {
+    const roles = await roleService.getRoles();
+
+    return Promise.all(roles.map(async role => ({
+      role: role.key,
+      name: role.name,
+      builtIn: role.builtIn,
+      scopes: await this.getScopes(role.key)
+    })));
+  }
+
+  /**
+   * Set scopes of a role (only the given document types change)
+   * @param {object} scopes - { purchases: 'department', rfqs: 'all', ... }
+   */
+  async updateScopes(role, scopes, updatedBy = null) {
+    if (!(await roleService.roleExists(role))) {
+      const error = new Error('Role not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!scopes || typeof scopes !== 'object' || Array.isArray(scopes)) {
+      const error = new Error('Scopes must be an object of document type → scope');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invalid = Object.entries(scopes)
+      .filter(([type, scope]) => !DOCUMENT_TYPES[type] || !SCOPES.includes(scope))
+      .map(([type, scope]) => `${type}: ${scope}`);
+    if (invalid.length > 0) {
+      const error = new Error(`Invalid visibility rules (${invalid.join(', ')}). Document types: ${Object.keys(DOCUMENT_TYPES).join(', ')}. Scopes: ${SCOPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await this.repository.findById(role);
+    if (existing) {
+      await this.repository.update(role, {
+        scopes: { ...existing.scopes, ...scopes },
+        updatedBy,
+        updatedAt: new Date().toISOString()
+      });
+    } else {
+      await this.repository.insert({
+        id: role,
+        scopes,
+        updatedBy,
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    return { role, scopes: await this.getScopes(role) };
+  }
+
+  /**
+   * Build the visibility check of a user for one document type
+   * @returns {object} { scope, canSee(record) }
+   */
+  async getViewer(type, userId, userRole) {
+    if (!DOCUMENT_TYPES[type]) {
+      throw new Error(`Unknown document type "${type}" for visibility rules`);
+    }
+
+    const scope = (await this.getScopes(userRole))[type];
+    const isOwn = record => record.createdBy === userId;
+
+    if (scope === 'all') {
+      return { scope, canSee: () => true };
+    }
+    if (scope === 'own') {
+      return { scope, canSee: isOwn };
+    }
+
+    const users = await this._loadUsers();
+    const viewer = users.find(u => u.id === userId) || {};
+
+    if (scope === 'department') {
+      const department = normalize(viewer.department);
+      const colleagues = new Set(department
+        ? users.filter(u => normalize(u.department) === department).map(u => u.id)
+        : []);
+      return { scope, canSee: record => isOwn(record) || colleagues.has(record.createdBy) };
+    }
+
+    // project
+    const projects = new Set((viewer.projects || []).map(normalize).filter(Boolean));
+    const { projectFields } = DOCUMENT_TYPES[type];
+    return {
+      scope,
+      canSee: record => isOwn(record) ||
+        projectFields.some(field => record[field] && projects.has(normalize(record[field])))
+    };
+  }
+
+  /**
+   * Keep only the records the user may see
+   */
+  async filterVisible(type, records, userId, userRole) {
+    const { canSee } = await this.getViewer(type, userId, userRole);
+    return records.filter(canSee);
+  }
+
+  /**
+   * Throw a 403 when the record is outside the user's scope
+   * @param {string} action - Verb for the message (view, edit, delete, download, send)
+   */
+  async assertVisible(type, record, userId, userRole, action = 'view') {
+    const { scope, canSee } = await this.getViewer(type, userId, userRole);
+
+    if (!canSee(record)) {
+      const error = new Error(`Access denied: You can only ${action} ${DOCUMENT_TYPES[type].label} within your visibility scope (${scope})`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+}
+
+module.exports = new VisibilityService();
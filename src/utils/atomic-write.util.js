@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const writeLock = require('./write-lock.util');
 
 /**
  * Atomic file write utility
@@ -77,6 +78,30 @@ atomicWrite.sync = (filePath, data) => {
 atomicWrite.writeFile = atomicWriteInstance.writeFile.bind(atomicWriteInstance);
 atomicWrite.writeFileSync = atomicWriteInstance.writeFileSync.bind(atomicWriteInstance);
 
+/**
+ * Locked read-modify-write of a JSON file
+ * The updater receives the parsed content (or defaultValue when the file is
+ * missing), may mutate it or return a replacement, and the result is written
+ * back atomically while the file's write lock is held.
+ * @param {string} filePath - Target file path
+ * @param {Function} updater - async (data) => data | undefined
+ * @param {*} defaultValue - Value used when the file does not exist
+ * @returns {Promise<*>} The data that was written
+ */
+atomicWrite.updateJSON = (filePath, updater, defaultValue = {}) => {
+  return writeLock.withLock(filePath, async () => {
+    let data = defaultValue;
+    if (fs.existsSync(filePath)) {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    }
+
+    const result = await updater(data);
+    const updated = result === undefined ? data : result;
+    await atomicWriteInstance.writeFile(filePath, JSON.stringify(updated, null, 2));
+    return updated;
+  });
+};
+
 module.exports = atomicWrite;
 module.exports.atomicWrite = atomicWrite;
 module.exports.AtomicWrite = AtomicWrite;
\ No newline at end of file
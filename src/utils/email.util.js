@@ -575,6 +575,183 @@ ${process.env.FRONTEND_URL || 'http://localhost:3000'}/login
     }
   }
 
+  async sendSupplierDocumentReminderEmail(recipients, documents) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const emailList = [...new Set(recipients)].filter(email => email && email.trim() !== '');
+      const expiredCount = documents.filter(doc => doc.status === 'expired').length;
+
+      const rows = documents.map(doc => `
+                    <tr>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border};">${doc.supplierName} (${doc.supplierId})</td>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border};">${doc.typeLabel}${doc.documentNumber ? ` - ${doc.documentNumber}` : ''}</td>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border}; color: ${doc.status === 'expired' ? this.colors.danger : this.colors.warning};">
+                        ${doc.expiryDate}${doc.status === 'expired' ? ' (expired)' : ` (${doc.daysToExpiry} days)`}
+                      </td>
+                    </tr>`).join('');
+
+      const mailOptions = {
+        from: `"Omega System" <${process.env.EMAIL_USER}>`,
+        to: emailList.join(', '),
+        subject: `Supplier documents expiring - ${documents.length} document(s)${expiredCount > 0 ? `, ${expiredCount} expired` : ''}`,
+        html: `
+          <!DOCTYPE html>
+          <html lang="en">
+          <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Supplier Documents</title>
+            <style>${this.getEmailStyles()}</style>
+          </head>
+          <body>
+            <div class="email-wrapper">
+              <div class="email-header">
+                <div class="icon">📄</div>
+                <h1>Supplier Documents Expiring</h1>
+              </div>
+
+              <div class="email-body">
+                <div class="alert alert-warning">
+                  <p>The following supplier documents have expired or are about to expire. Purchase orders cannot be raised for suppliers with expired mandatory documents.</p>
+                </div>
+
+                <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+                  <thead>
+                    <tr>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Supplier</th>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Document</th>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Expiry</th>
+                    </tr>
+                  </thead>
+                  <tbody>${rows}
+                  </tbody>
+                </table>
+              </div>
+
+              <div class="email-footer">
+                <p><strong>Omega System</strong></p>
+                <p>&copy; ${new Date().getFullYear()} Omega System. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+Supplier Documents Expiring - Omega System
+
+${documents.map(doc => `- ${doc.supplierName} (${doc.supplierId}): ${doc.typeLabel}${doc.documentNumber ? ` ${doc.documentNumber}` : ''} - ${doc.expiryDate}${doc.status === 'expired' ? ' (expired)' : ` (${doc.daysToExpiry} days)`}`).join('\n')}
+
+Purchase orders cannot be raised for suppliers with expired mandatory documents.
+
+© ${new Date().getFullYear()} Omega System. All rights reserved.
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Supplier document reminder sent to: ${emailList.join(', ')}`);
+      return {
+        success: true,
+        messageId: info.messageId,
+        recipients: emailList
+      };
+    } catch (error) {
+      logger.error('Failed to send supplier document reminder email', error);
+      throw new Error('Failed to send supplier document reminder email');
+    }
+  }
+
+  async sendQuoteExpiryReminderEmail(to, userName, quotes) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const rows = quotes.map(quote => `
+                    <tr>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border};">${quote.quoteNumber} Rev ${quote.revNumber}</td>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border};">${quote.clientName}${quote.projectName ? ` - ${quote.projectName}` : ''}</td>
+                      <td style="padding: 8px; border-bottom: 1px solid ${this.colors.border}; color: ${this.colors.warning};">
+                        ${quote.expiresAt} (${quote.daysToExpiry === 0 ? 'today' : `${quote.daysToExpiry} days`})
+                      </td>
+                    </tr>`).join('');
+
+      const mailOptions = {
+        from: `"Omega System" <${process.env.EMAIL_USER}>`,
+        to,
+        subject: `Price quotes about to expire - ${quotes.length} quote(s)`,
+        html: `
+          <!DOCTYPE html>
+          <html lang="en">
+          <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Price Quotes Expiring</title>
+            <style>${this.getEmailStyles()}</style>
+          </head>
+          <body>
+            <div class="email-wrapper">
+              <div class="email-header">
+                <div class="icon">⏳</div>
+                <h1>Price Quotes Expiring</h1>
+              </div>
+
+              <div class="email-body">
+                <p>Hello <strong>${userName}</strong>,</p>
+                <div class="alert alert-warning">
+                  <p>The validity of the following quotes you sent ends soon. Follow up with the client, or issue a new revision to extend the offer.</p>
+                </div>
+
+                <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+                  <thead>
+                    <tr>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Quote</th>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Client</th>
+                      <th style="padding: 8px; text-align: left; background: ${this.colors.primaryLight};">Valid until</th>
+                    </tr>
+                  </thead>
+                  <tbody>${rows}
+                  </tbody>
+                </table>
+              </div>
+
+              <div class="email-footer">
+                <p><strong>Omega System</strong></p>
+                <p>&copy; ${new Date().getFullYear()} Omega System. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+Price Quotes Expiring - Omega System
+
+Hello ${userName},
+
+The validity of the following quotes you sent ends soon:
+
+${quotes.map(quote => `- ${quote.quoteNumber} Rev ${quote.revNumber}: ${quote.clientName} - valid until ${quote.expiresAt}`).join('\n')}
+
+© ${new Date().getFullYear()} Omega System. All rights reserved.
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Quote expiry reminder sent to: ${to}`);
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      logger.error('Failed to send quote expiry reminder email', error);
+      throw new Error('Failed to send quote expiry reminder email');
+    }
+  }
+
   async sendTestEmail(to) {
     try {
       if (!this.transporter) {
@@ -0,0 +1,149 @@
+// src/utils/password.util.js
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10');
+
+/**
+ * Password policy (configurable through environment variables)
+ */
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '72'), // bcrypt only uses the first 72 bytes
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5')
+};
+
+/**
+ * Check whether a stored password is already a bcrypt hash
+ */
+function isHashed(storedPassword) {
+  return typeof storedPassword === 'string' && /^\$2[aby]\$\d{2}\$/.test(storedPassword);
+}
+
+/**
+ * Hash a plaintext password
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Hash a plaintext password synchronously (startup seeding only)
+ */
+function hashPasswordSync(password) {
+  return bcrypt.hashSync(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a plaintext password with a stored one.
+ * Legacy plaintext records are still accepted so they can be upgraded on login.
+ */
+async function verifyPassword(password, storedPassword) {
+  if (typeof password !== 'string' || typeof storedPassword !== 'string') {
+    return false;
+  }
+
+  if (isHashed(storedPassword)) {
+    return bcrypt.compare(password, storedPassword);
+  }
+
+  const given = Buffer.from(password);
+  const stored = Buffer.from(storedPassword);
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+/**
+ * Validate a password against the policy
+ * @returns {string[]} Policy violations (empty when valid)
+ */
+function validatePasswordPolicy(password) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    errors.push(`Password must not exceed ${PASSWORD_POLICY.maxLength} characters`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a password matches the user's current or recent passwords
+ */
+async function isPasswordReused(password, user) {
+  if (PASSWORD_POLICY.historySize <= 0) {
+    return false;
+  }
+
+  const previous = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.historySize);
+
+  for (const stored of previous) {
+    if (await verifyPassword(password, stored)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Set a new password on a user record (mutates the record)
+ * Rejects reused passwords and keeps the hash history trimmed to the policy size.
+ */
+async function setUserPassword(user, password) {
+  if (await isPasswordReused(password, user)) {
+    const error = new Error(`Password must not match any of your last ${PASSWORD_POLICY.historySize} passwords`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const history = user.password
+    ? [await toHash(user.password), ...(user.passwordHistory || [])]
+    : (user.passwordHistory || []);
+
+  user.password = await hashPassword(password);
+  user.passwordHistory = history.slice(0, Math.max(PASSWORD_POLICY.historySize - 1, 0));
+  user.passwordChangedAt = new Date().toISOString();
+  return user;
+}
+
+/**
+ * Make sure a stored password is hashed before it goes into the history
+ */
+async function toHash(storedPassword) {
+  return isHashed(storedPassword) ? storedPassword : hashPassword(storedPassword);
+}
+
+module.exports = {
+  PASSWORD_POLICY,
+  isHashed,
+  hashPassword,
+  hashPasswordSync,
+  verifyPassword,
+  validatePasswordPolicy,
+  isPasswordReused,
+  setUserPassword
+};
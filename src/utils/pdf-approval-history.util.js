@@ -0,0 +1,96 @@
+// src/utils/pdf-approval-history.util.js - APPROVAL HISTORY TABLE FOR GENERATED PDFs
+
+const LABELS = {
+  ar: {
+    title: 'سجل الموافقات',
+    step: 'المرحلة',
+    action: 'الإجراء',
+    by: 'بواسطة',
+    date: 'التاريخ',
+    comment: 'ملاحظات',
+    actions: {
+      submit: 'تقديم',
+      approve: 'موافقة',
+      reject: 'رفض',
+      return: 'إعادة للتعديل'
+    }
+  },
+  en: {
+    title: 'Approval History',
+    step: 'Step',
+    action: 'Action',
+    by: 'By',
+    date: 'Date',
+    comment: 'Comment',
+    actions: {
+      submit: 'Submitted',
+      approve: 'Approved',
+      reject: 'Rejected',
+      return: 'Returned for changes'
+    }
+  }
+};
+
+const escapeHTML = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDateTime = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Approval history section of a document (empty string when there is none)
+ * @param {object} approval - document.approval ({ history: [...] })
+ * @param {string} language - 'ar' | 'en'
+ */
+function renderApprovalHistory(approval, language = 'ar') {
+  const history = approval && approval.history;
+  if (!history || history.length === 0) {
+    return '';
+  }
+
+  const labels = LABELS[language] || LABELS.ar;
+  const isRTL = language === 'ar';
+
+  const rows = history.map(entry => `
+        <tr>
+          <td>${escapeHTML(entry.stepName || '-')}</td>
+          <td>${escapeHTML(labels.actions[entry.action] || entry.action)}</td>
+          <td>${escapeHTML(entry.userName || '-')}</td>
+          <td>${formatDateTime(entry.at)}</td>
+          <td>${escapeHTML(entry.comment)}</td>
+        </tr>`).join('');
+
+  return `
+  <style>
+    .approval-history { margin: 15px 0; break-inside: avoid; page-break-inside: avoid; direction: ${isRTL ? 'rtl' : 'ltr'}; }
+    .approval-history-title { font-weight: bold; color: #2B4C8C; margin-bottom: 6px; font-size: 13px; }
+    .approval-history table { width: 100%; border-collapse: collapse; font-size: 10px; }
+    .approval-history th { background-color: #2B4C8C; color: #fff; padding: 5px; text-align: ${isRTL ? 'right' : 'left'}; }
+    .approval-history td { border-bottom: 1px solid #DEE2E6; padding: 5px; color: #495057; text-align: ${isRTL ? 'right' : 'left'}; }
+  </style>
+  <div class="approval-history">
+    <div class="approval-history-title">${labels.title}</div>
+    <table>
+      <thead>
+        <tr>
+          <th>${labels.step}</th>
+          <th>${labels.action}</th>
+          <th>${labels.by}</th>
+          <th>${labels.date}</th>
+          <th>${labels.comment}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </div>`;
+}
+
+module.exports = { renderApprovalHistory };
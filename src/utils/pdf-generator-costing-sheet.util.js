@@ -6,6 +6,7 @@ const fsSync = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { renderApprovalHistory } = require('./pdf-approval-history.util');
 
 class CostingSheetPDFGenerator {
   
@@ -678,6 +679,8 @@ body {
   </div>
   ` : ''}
 
+  ${renderApprovalHistory(costingSheet.approval, language)}
+
   <div class="signature-section">
     <div class="signature-box">
       <div class="signature-label">${labels.preparedBy}</div>
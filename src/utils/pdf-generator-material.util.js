@@ -6,6 +6,7 @@ const fsSync = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { renderApprovalHistory } = require('./pdf-approval-history.util');
 
 class MaterialPDFGenerator {
   
@@ -655,6 +656,8 @@ body {
   </div>
   ` : ''}
 
+  ${renderApprovalHistory(material.approval, language)}
+
   <div class="signature-section">
     <div class="signature-box">
       <div class="signature-label">${labels.requester}</div>
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { renderApprovalHistory } = require('./pdf-approval-history.util');
 
 class POPDFGenerator {
   isArabic(text) {
@@ -90,6 +91,7 @@ class POPDFGenerator {
         supplierName: 'اسم المورد',
         supplierAddress: 'عنوان المورد',
         supplierPhone: 'هاتف المورد',
+        paymentTerms: 'شروط الدفع',
         receiverInfo: 'معلومات المستلم',
         receiverName: 'اسم المستلم',
         receiverCity: 'مدينة المستلم',
@@ -144,6 +146,7 @@ class POPDFGenerator {
         supplierName: 'Supplier Name',
         supplierAddress: 'Supplier Address',
         supplierPhone: 'Supplier Phone',
+        paymentTerms: 'Payment Terms',
         receiverInfo: 'Receiver Information',
         receiverName: 'Receiver Name',
         receiverCity: 'Receiver City',
@@ -210,7 +213,8 @@ class POPDFGenerator {
   hasSupplierInfoData(po) {
     return this.hasData(po.supplier) ||
            this.hasData(po.supplierAddress) ||
-           this.hasData(po.supplierPhone);
+           this.hasData(po.supplierPhone) ||
+           this.hasData(po.paymentTerms);
   }
 
   // ✅ Helper: Check if receiver info section has data
@@ -324,6 +328,15 @@ class POPDFGenerator {
           </div>
         `);
       }
+
+      if (this.hasData(po.paymentTerms)) {
+        fields.push(`
+          <div class="info-field">
+            <span class="info-label">${labels.paymentTerms}:</span>
+            <span class="info-value">${po.paymentTerms}</span>
+          </div>
+        `);
+      }
       
       supplierInfoFields = fields.join('');
     }
@@ -856,7 +869,7 @@ body {
       </div>
       <div class="total-row">
         <span class="total-label">${labels.grandTotal}:</span>
-        <span class="total-value">${totals.grandTotal}</span>
+        <span class="total-value">${totals.grandTotal}${po.currency ? ` ${po.currency}` : ''}</span>
       </div>
     </div>
   </div>
@@ -949,6 +962,8 @@ body {
   </div>
   ` : ''}
 
+  ${renderApprovalHistory(po.approval, language)}
+
   <div class="approval-section">
     <div class="approval-box">
       <div class="approval-label">${labels.purchaseManager}</div>
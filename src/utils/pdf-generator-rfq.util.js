@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { renderApprovalHistory } = require('./pdf-approval-history.util');
 
 class RFQPDFGenerator {
   isArabic(text) {
@@ -702,6 +703,8 @@ body {
   ` : ''}
 
   <!-- Signature section -->
+  ${renderApprovalHistory(rfq.approval, language)}
+
   <div class="signature-section">
     <div class="signature-box">
       <div class="signature-label">${labels.requesterSig}</div>
@@ -794,6 +797,206 @@ body {
     });
   }
 
+  // ✅ Labels of the bid comparison matrix
+  getComparisonLabels(lang) {
+    const labels = {
+      ar: {
+        title: 'مقارنة عروض الموردين',
+        rfqNo: 'RFQ No',
+        dateLabel: 'التاريخ',
+        itemNo: 'م',
+        description: 'الوصف',
+        quantity: 'الكمية',
+        unitPrice: 'سعر الوحدة',
+        leadTime: 'مدة التوريد (يوم)',
+        validUntil: 'صالح حتى',
+        expired: 'منتهي',
+        total: 'الإجمالي',
+        noQuote: 'لا يوجد عرض',
+        cheapest: 'الأرخص',
+        fastest: 'الأسرع',
+        awardedTo: 'تمت الترسية على'
+      },
+      en: {
+        title: 'Supplier Bid Comparison',
+        rfqNo: 'RFQ No',
+        dateLabel: 'Date',
+        itemNo: '#',
+        description: 'Description',
+        quantity: 'Qty',
+        unitPrice: 'Unit Price',
+        leadTime: 'Lead Time (days)',
+        validUntil: 'Valid Until',
+        expired: 'Expired',
+        total: 'Total',
+        noQuote: 'No quote',
+        cheapest: 'Cheapest',
+        fastest: 'Fastest',
+        awardedTo: 'Awarded to'
+      }
+    };
+
+    return labels[lang] || labels.ar;
+  }
+
+  /**
+   * HTML of the bid comparison matrix (landscape): one column group per supplier,
+   * cheapest prices in green, fastest lead times in blue
+   * @param {object} matrix - rfqService.buildComparison() result
+   */
+  generateComparisonHTML(rfq, matrix) {
+    const language = this.detectLanguage(rfq);
+    const labels = this.getComparisonLabels(language);
+    const isRTL = language === 'ar';
+    const format = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+    const supplierHeaders = matrix.suppliers.map(s => `
+      <th colspan="2">
+        ${s.supplierName}
+        <div class="sub">${labels.validUntil}: ${s.validUntil || '-'}${s.expired ? ` (${labels.expired})` : ''}</div>
+      </th>`).join('');
+
+    const supplierSubHeaders = matrix.suppliers.map(() => `
+      <th>${labels.unitPrice}</th>
+      <th>${labels.leadTime}</th>`).join('');
+
+    const rows = matrix.lines.map((line, index) => {
+      const cells = matrix.suppliers.map(s => {
+        const quote = line.quotes.find(q => q.supplierId === s.supplierId);
+        if (!quote) {
+          return `<td colspan="2" class="muted">${labels.noQuote}</td>`;
+        }
+        return `
+          <td class="${quote.cheapest ? 'cheapest' : ''}${quote.expired ? ' muted' : ''}">${format(quote.unitPrice)}</td>
+          <td class="${quote.fastest ? 'fastest' : ''}${quote.expired ? ' muted' : ''}">${quote.leadTimeDays === null ? '-' : quote.leadTimeDays}</td>`;
+      }).join('');
+
+      return `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="desc">${line.description || ''}${line.awardedTo ? `<div class="sub">${labels.awardedTo}: ${line.awardedTo.supplierName} (${line.awardedTo.poNumber})</div>` : ''}</td>
+          <td>${line.quantity}</td>
+          ${cells}
+        </tr>`;
+    }).join('');
+
+    const totals = matrix.suppliers.map(s => `
+      <td colspan="2" class="${s.supplierId === matrix.cheapestSupplierId ? 'cheapest' : ''}">
+        ${format(s.total)}${s.complete ? '' : ' *'}
+      </td>`).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="${language}" dir="${isRTL ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="UTF-8">
+<title>${labels.title} - OMEGA</title>
+<style>
+* { box-sizing: border-box; margin: 0; padding: 0; font-family: Arial, sans-serif; }
+@page { size: A4 landscape; margin: 15mm; }
+.company { display: flex; justify-content: space-between; font-size: 11px; line-height: 1.5; margin-bottom: 8px; }
+.blue-separator { height: 3px; background: #2B4C8C; margin-bottom: 10px; }
+.title { text-align: center; color: #2B4C8C; font-size: 20px; margin-bottom: 8px; }
+.doc-info { display: flex; justify-content: center; gap: 30px; font-size: 12px; margin-bottom: 12px; }
+table { width: 100%; border-collapse: collapse; font-size: 10px; }
+th { background: #2B4C8C; color: #fff; padding: 5px; border: 1px solid #1E3A6E; }
+td { border: 1px solid #DEE2E6; padding: 5px; text-align: center; }
+td.desc { text-align: ${isRTL ? 'right' : 'left'}; }
+.sub { font-size: 9px; font-weight: normal; color: #6C757D; margin-top: 2px; }
+th .sub { color: #DCE3F0; }
+.cheapest { background: #D4EDDA; font-weight: bold; }
+.fastest { background: #D6E9F8; font-weight: bold; }
+.muted { color: #ADB5BD; }
+.legend { margin-top: 10px; font-size: 10px; display: flex; gap: 20px; }
+.legend span { padding: 2px 8px; }
+</style>
+</head>
+<body>
+  <div class="company">
+    <div><strong>OMEGA ENGINEERING INDUSTRIES CO.</strong><br>https://www.omega-jordan.com</div>
+    <div dir="rtl"><strong>شركة أوميغا للصناعات الهندسية</strong><br>تصميم – تصنيع – تركيب</div>
+  </div>
+  <div class="blue-separator"></div>
+  <h1 class="title">${labels.title}</h1>
+  <div class="doc-info">
+    <div><strong>${labels.rfqNo}:</strong> ${rfq.rfqNumber || ''}</div>
+    <div><strong>${labels.dateLabel}:</strong> ${rfq.date || ''}</div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th rowspan="2">${labels.itemNo}</th>
+        <th rowspan="2">${labels.description}</th>
+        <th rowspan="2">${labels.quantity}</th>
+        ${supplierHeaders}
+      </tr>
+      <tr>${supplierSubHeaders}</tr>
+    </thead>
+    <tbody>
+      ${rows}
+      <tr>
+        <td colspan="3"><strong>${labels.total}</strong></td>
+        ${totals}
+      </tr>
+    </tbody>
+  </table>
+
+  <div class="legend">
+    <span class="cheapest">${labels.cheapest}</span>
+    <span class="fastest">${labels.fastest}</span>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  // ✅ Generate the bid comparison PDF (data/rfqs/pdfs/RFQ0001_Comparison_<timestamp>.pdf)
+  async generateComparisonPDF(rfq, matrix) {
+    const language = this.detectLanguage(rfq);
+    let browser;
+
+    try {
+      const pdfDir = path.join(__dirname, '../../data/rfqs/pdfs');
+      if (!fs.existsSync(pdfDir)) {
+        fs.mkdirSync(pdfDir, { recursive: true });
+      }
+
+      const filename = `${rfq.rfqNumber || 'rfq'}_Comparison_${Date.now()}.pdf`;
+      const filepath = path.join(pdfDir, filename);
+
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu'
+        ]
+      });
+
+      const page = await browser.newPage();
+      await page.setContent(this.generateComparisonHTML(rfq, matrix), {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+
+      await page.pdf({
+        path: filepath,
+        format: 'A4',
+        landscape: true,
+        printBackground: true,
+        preferCSSPageSize: true
+      });
+
+      return { filename, filepath, language };
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+
   getA4Dimensions() {
     return {
       width: 595.28,
@@ -0,0 +1,232 @@
+// src/utils/permissions.util.js
+
+/**
+ * Permission registry
+ * Every protected endpoint declares a permission "resource:action" through
+ * requirePermission(); roles and users are granted lists of these strings.
+ * Wildcards: "resource:*" (every action on a resource) and "*" (everything).
+ */
+const ACTIONS = ['view', 'create', 'edit', 'approve', 'delete', 'export'];
+
+/**
+ * Resources (keys match the frontend routes in app.routes.ts)
+ * - actions: actions that exist for the resource (default: all)
+ * - legacyActions: what an old routeAccess entry grants (default: all actions)
+ * - requiresSystemAccess: old routeAccess entries only count with this systemAccess flag
+ */
+const RESOURCES = [
+  // إدارة النظام (Management)
+  { key: 'dashboard', label: 'لوحة التحكم', path: '/dashboard', category: 'management', actions: ['view'] },
+  { key: 'users', label: 'إدارة المستخدمين', path: '/users', category: 'management' },
+  { key: 'roles', label: 'الأدوار والصلاحيات', path: '/roles', category: 'management', actions: ['view', 'create', 'edit', 'delete'] },
+  { key: 'system', label: 'إعدادات النظام', path: '/system', category: 'management', actions: ['view', 'edit', 'delete'] },
+  { key: 'audit', label: 'سجل التدقيق', path: '/audit', category: 'management', actions: ['view', 'export'] },
+  { key: 'approvals', label: 'مسارات الموافقة', path: '/approvals', category: 'management', actions: ['view', 'edit'] },
+  { key: 'itemsControl', label: 'إدارة الأصناف', path: '/items-control', category: 'management', legacyActions: ['view', 'export'] },
+  { key: 'filesControl', label: 'إدارة الملفات', path: '/files-control', category: 'management' },
+
+  // المشتريات والموردين (Procurement)
+  { key: 'suppliers', label: 'إدارة الموردين', path: '/suppliers', category: 'procurement', legacyActions: ['view', 'export'] },
+  { key: 'rfqs', label: 'طلبات عروض الأسعار', path: '/rfqs', category: 'procurement' },
+  { key: 'priceQuotes', label: 'عروض الأسعار', path: '/price-quotes', category: 'procurement' },
+  { key: 'purchases', label: 'أوامر الشراء', path: '/purchases', category: 'procurement' },
+
+  // المخزون والمواد (Inventory)
+  { key: 'materialRequests', label: 'طلبات المواد', path: '/material-requests', category: 'inventory' },
+  { key: 'receipts', label: 'إيصالات الاستلام', path: '/receipts', category: 'inventory' },
+  { key: 'goodsReceipts', label: 'استلام البضائع', path: '/goods-receipts', category: 'inventory', actions: ['view', 'create', 'delete', 'export'] },
+  { key: 'inventory', label: 'أرصدة المخزون', path: '/inventory', category: 'inventory', actions: ['view', 'create', 'edit'] },
+  { key: 'emptyReceipt', label: 'إشعار استلام فارغ', path: '/empty-receipt', category: 'inventory', actions: ['view'] },
+
+  // العمليات التشغيلية (Operations)
+  { key: 'clients', label: 'العملاء', path: '/clients', category: 'operations' },
+  { key: 'proformaInvoice', label: 'فاتورة مُقدمة', path: '/Proforma-invoice', category: 'operations' },
+  { key: 'costingSheet', label: 'كشف التكاليف', path: '/costing-sheet', category: 'operations' },
+  { key: 'cutting', label: 'إدارة أعمال القص', path: '/cutting', category: 'operations', requiresSystemAccess: 'laserCuttingManagement' },
+  { key: 'secretariatUserManagement', label: 'نماذج الموظف', path: '/secretariat-user', category: 'operations' },
+  { key: 'secretariat', label: 'إدارة السكرتارية', path: '/secretariat', category: 'operations' },
+
+  // التقارير والتحليلات (Reports)
+  { key: 'analysis', label: 'التحليلات والإحصائيات', path: '/analysis', category: 'reports', actions: ['view', 'export'] }
+];
+
+/**
+ * Old keys still found in stored routeAccess arrays (and previously checked by routes)
+ */
+const KEY_ALIASES = {
+  'items-control': 'itemsControl',
+  'items': 'itemsControl',
+  'files-control': 'filesControl',
+  'fileManagement': 'filesControl',
+  'supplierManagement': 'suppliers',
+  'price-quotes': 'priceQuotes',
+  'material-requests': 'materialRequests',
+  'empty-receipt': 'emptyReceipt',
+  'Proforma-invoice': 'proformaInvoice',
+  'proformaInvoices': 'proformaInvoice',
+  'costing-sheet': 'costingSheet',
+  'costingSheetManagement': 'costingSheet',
+  'secretariat-user': 'secretariatUserManagement',
+  'userForms': 'secretariatUserManagement',
+  'secretariatManagement': 'secretariat'
+};
+
+const RESOURCE_MAP = new Map(RESOURCES.map(resource => [resource.key, {
+  ...resource,
+  actions: resource.actions || ACTIONS,
+  legacyActions: resource.legacyActions || resource.actions || ACTIONS
+}]));
+
+/**
+ * Built-in roles (custom roles are managed through /api/roles)
+ */
+const BUILT_IN_ROLES = [
+  {
+    key: 'super_admin',
+    name: 'Super Admin',
+    description: 'Full access to everything',
+    permissions: ['*']
+  },
+  {
+    key: 'admin',
+    name: 'Admin',
+    description: 'All business modules, no user, role, system, audit, approval workflow, file or secretariat administration',
+    permissions: RESOURCES
+      .filter(r => !['users', 'roles', 'system', 'audit', 'approvals', 'filesControl', 'secretariat'].includes(r.key))
+      .map(r => `${r.key}:*`)
+  },
+  {
+    key: 'employee',
+    name: 'Employee',
+    description: 'No access by default - permissions are granted per user',
+    permissions: ['dashboard:view']
+  },
+  {
+    key: 'secretariat',
+    name: 'Secretariat',
+    description: 'Secretariat forms and employee requests',
+    permissions: ['dashboard:view', 'secretariat:*', 'secretariatUserManagement:*']
+  }
+];
+
+/**
+ * Canonical resource key (resolves old aliases); null when unknown
+ */
+function resolveResourceKey(key) {
+  const resolved = KEY_ALIASES[key] || key;
+  return RESOURCE_MAP.has(resolved) ? resolved : null;
+}
+
+function getResource(key) {
+  return RESOURCE_MAP.get(resolveResourceKey(key)) || null;
+}
+
+/**
+ * Check that a permission string exists in the registry
+ */
+function isValidPermission(permission) {
+  if (permission === '*') {
+    return true;
+  }
+
+  const [resourceKey, action, ...rest] = String(permission).split(':');
+  const resource = RESOURCE_MAP.get(resourceKey);
+  if (!resource || rest.length > 0) {
+    return false;
+  }
+  return action === '*' || resource.actions.includes(action);
+}
+
+/**
+ * Throw a 400 listing any unknown permission strings
+ */
+function assertValidPermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    const error = new Error('Permissions must be an array');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const invalid = permissions.filter(p => !isValidPermission(p));
+  if (invalid.length > 0) {
+    const error = new Error(`Unknown permissions: ${invalid.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Whether a permission list grants resource:action
+ */
+function hasPermission(permissions, resource, action) {
+  return permissions.includes('*') ||
+    permissions.includes(`${resource}:*`) ||
+    permissions.includes(`${resource}:${action}`);
+}
+
+/**
+ * Permissions implied by an old routeAccess array
+ */
+function permissionsFromRouteAccess(routeAccess = [], systemAccess = {}) {
+  const permissions = [];
+
+  routeAccess.forEach(key => {
+    const resource = getResource(key);
+    if (!resource) return;
+    if (resource.requiresSystemAccess && !systemAccess[resource.requiresSystemAccess]) return;
+
+    resource.legacyActions.forEach(action => permissions.push(`${resource.key}:${action}`));
+  });
+
+  return permissions;
+}
+
+/**
+ * Permissions declared by routes (filled by requirePermission at load time)
+ */
+const declaredPermissions = new Set();
+
+/**
+ * Register a permission used by a route; throws on unknown keys so a typo
+ * fails at startup instead of silently denying (or allowing) access
+ */
+function declarePermission(resource, action) {
+  const permission = `${resource}:${action}`;
+  if (!RESOURCE_MAP.has(resource) || !ACTIONS.includes(action) || !isValidPermission(permission)) {
+    throw new Error(`Route declares unknown permission "${permission}". Add it to RESOURCES in permissions.util.js`);
+  }
+  declaredPermissions.add(permission);
+  return permission;
+}
+
+function getDeclaredPermissions() {
+  return [...declaredPermissions].sort();
+}
+
+/**
+ * Registry for clients (resources with their actions)
+ */
+function getRegistry() {
+  return {
+    actions: ACTIONS,
+    resources: [...RESOURCE_MAP.values()].map(({ key, label, path, category, actions }) => ({
+      key, label, path, category, actions
+    }))
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  RESOURCES,
+  KEY_ALIASES,
+  BUILT_IN_ROLES,
+  resolveResourceKey,
+  getResource,
+  isValidPermission,
+  assertValidPermissions,
+  hasPermission,
+  permissionsFromRouteAccess,
+  declarePermission,
+  getDeclaredPermissions,
+  getRegistry
+};
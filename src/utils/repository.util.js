@@ -0,0 +1,361 @@
+// src/utils/repository.util.js
+const path = require('path');
+const JsonFileStore = require('./storage-json.util');
+const SqliteStore = require('./storage-sqlite.util');
+const writeLock = require('./write-lock.util');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Document collections and their legacy JSON files.
+ * The JSON driver reads/writes these files directly; the SQLite driver
+ * imports them once on first use. .jsonl files are append-only logs.
+ */
+const COLLECTIONS = {
+  purchases: path.join(DATA_DIR, 'purchases/index.json'),
+  rfqs: path.join(DATA_DIR, 'rfqs/index.json'),
+  receipts: path.join(DATA_DIR, 'receipts/index.json'),
+  goodsReceipts: path.join(DATA_DIR, 'goods-receipts/index.json'),
+  materialRequests: path.join(DATA_DIR, 'materials-requests/index.json'),
+  costingSheets: path.join(DATA_DIR, 'costing-sheets/index.json'),
+  quotations: path.join(DATA_DIR, 'quotations/index.json'),
+  proformaInvoices: path.join(DATA_DIR, 'proforma-invoices/index.json'),
+  items: path.join(DATA_DIR, 'items/index.json'),
+  suppliers: path.join(DATA_DIR, 'suppliers/index.json'),
+  clients: path.join(DATA_DIR, 'clients/index.json'),
+  cuttingJobs: path.join(DATA_DIR, 'cutting-jobs/index.json'),
+  stockMovements: path.join(DATA_DIR, 'inventory/movements.json'),
+  stockLocations: path.join(DATA_DIR, 'inventory/locations.json'),
+  sheetStock: path.join(DATA_DIR, 'inventory/sheets.json'),
+  users: path.join(DATA_DIR, 'users/users.json'),
+  sessions: path.join(DATA_DIR, 'users/sessions.json'),
+  loginAttempts: path.join(DATA_DIR, 'users/login-attempts.json'),
+  roles: path.join(DATA_DIR, 'users/roles.json'),
+  visibilityRules: path.join(DATA_DIR, 'users/visibility-rules.json'),
+  approvalWorkflows: path.join(DATA_DIR, 'approvals/workflows.json'),
+  auditLog: path.join(DATA_DIR, 'audit/index.jsonl')
+};
+
+/**
+ * Current version of a document (legacy documents without one are version 0)
+ */
+function getVersion(doc) {
+  return Number.isInteger(doc && doc.version) ? doc.version : 0;
+}
+
+/**
+ * Throw a 409 if the document is not at the expected version.
+ * Nothing is checked when expectedVersion is undefined/null.
+ */
+function assertVersion(doc, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') {
+    return;
+  }
+
+  const currentVersion = getVersion(doc);
+  if (Number(expectedVersion) !== currentVersion) {
+    const error = new Error('Record was modified by another request. Reload it and try again.');
+    error.statusCode = 409;
+    error.currentVersion = currentVersion;
+    throw error;
+  }
+}
+
+/**
+ * Repository over a single document collection.
+ * All services get the same query, update and transaction semantics
+ * regardless of the storage driver behind it.
+ */
+class Repository {
+  constructor(name, file, store) {
+    this.collection = { name, file };
+    this.store = store;
+  }
+
+  /**
+   * Get all documents (in insertion order)
+   */
+  async findAll() {
+    return this.store.readAll(this.collection);
+  }
+
+  /**
+   * Get documents matching a predicate
+   * @param {Function} predicate - (doc) => boolean
+   */
+  async find(predicate) {
+    const docs = await this.findAll();
+    return docs.filter(predicate);
+  }
+
+  /**
+   * Get the first document matching a predicate
+   */
+  async findOne(predicate) {
+    const docs = await this.findAll();
+    return docs.find(predicate) || null;
+  }
+
+  /**
+   * Get document by ID
+   * @returns {Promise<object|null>}
+   */
+  async findById(id) {
+    return this.store.readOne(this.collection, id);
+  }
+
+  /**
+   * Run fn while holding this collection's write lock
+   */
+  async withLock(fn) {
+    return writeLock.withLock(this.collection.file, fn);
+  }
+
+  /**
+   * Insert a new document (starts at version 1)
+   */
+  async insert(doc) {
+    await this.withLock(async () => {
+      const existing = await this.store.readOne(this.collection, doc.id);
+      if (existing) {
+        throw new Error(`Document ${doc.id} already exists in ${this.collection.name}`);
+      }
+
+      doc.version = 1;
+      await this.store.upsert(this.collection, doc);
+    });
+
+    await this._emitChanges([{ action: 'create', before: null, after: doc }]);
+    return doc;
+  }
+
+  /**
+   * Add a document to an append-only collection such as the audit log.
+   * Only the new document is written; it gets no version and no change event.
+   */
+  async append(doc) {
+    await this.withLock(() => this.store.append(this.collection, doc));
+    return doc;
+  }
+
+  /**
+   * Shallow-merge changes into an existing document and bump its version.
+   * When changes is the caller's working copy, its version is updated too.
+   * @param {object} options - { expectedVersion } for optimistic concurrency (409 on mismatch),
+   *                           { keepVersion } for system metadata that should not bump the version
+   * @returns {Promise<object|null>} Updated document or null if not found
+   */
+  async update(id, changes, options = {}) {
+    let before = null;
+
+    const updated = await this.withLock(async () => {
+      const doc = await this.store.readOne(this.collection, id);
+      if (!doc) {
+        return null;
+      }
+
+      assertVersion(doc, options.expectedVersion);
+
+      const version = options.keepVersion ? getVersion(doc) : getVersion(doc) + 1;
+      const result = { ...doc, ...changes, id: doc.id, version };
+      await this.store.upsert(this.collection, result);
+
+      if (changes && typeof changes === 'object') {
+        changes.version = result.version;
+      }
+      before = doc;
+      return result;
+    });
+
+    if (updated) {
+      await this._emitChanges([{ action: 'update', before, after: updated }]);
+    }
+    return updated;
+  }
+
+  /**
+   * Delete document by ID
+   * @param {object} options - { expectedVersion } for optimistic concurrency (409 on mismatch)
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async remove(id, options = {}) {
+    let before = null;
+
+    const removed = await this.withLock(async () => {
+      const doc = await this.store.readOne(this.collection, id);
+      if (doc && options.expectedVersion !== undefined) {
+        assertVersion(doc, options.expectedVersion);
+      }
+
+      before = doc;
+      return this.store.delete(this.collection, id);
+    });
+
+    if (removed) {
+      await this._emitChanges([{ action: 'delete', before, after: null }]);
+    }
+    return removed;
+  }
+
+  /**
+   * Replace the whole collection (used by legacy load/mutate/save code paths).
+   * Each document must still be at the version it was read at, so a stale
+   * copy never overwrites a newer write (409 otherwise).
+   */
+  async replaceAll(docs) {
+    const changes = await this.withLock(() => this._writeVersioned(docs, { checkVersions: true }));
+    await this._emitChanges(changes);
+  }
+
+  /**
+   * Read-modify-write the collection as one unit under the write lock.
+   * The callback receives the document array, may mutate it in place, and
+   * its return value is passed back to the caller after the save.
+   * @param {Function} fn - async (docs) => result
+   */
+  async transaction(fn) {
+    let changes = [];
+
+    const result = await this.withLock(async () => {
+      const docs = await this.findAll();
+      const callbackResult = await fn(docs);
+      changes = await this._writeVersioned(docs);
+      return callbackResult;
+    });
+
+    await this._emitChanges(changes);
+    return result;
+  }
+
+  /**
+   * Write the collection, bumping the version of every new or changed document
+   * (must be called while holding the lock)
+   * @param {object} options - { checkVersions } reject documents read before the stored version
+   * @returns {Promise<Array>} Changes to report to change listeners
+   */
+  async _writeVersioned(docs, options = {}) {
+    const current = new Map(
+      (await this.findAll()).map(doc => [doc.id, doc])
+    );
+    const changes = [];
+
+    if (options.checkVersions) {
+      docs.forEach(doc => {
+        const previous = current.get(doc.id);
+        if (previous && doc.version !== undefined) {
+          assertVersion(previous, doc.version);
+        }
+      });
+    }
+
+    docs.forEach(doc => {
+      const previous = current.get(doc.id);
+      current.delete(doc.id);
+
+      if (!previous) {
+        doc.version = Math.max(getVersion(doc), 1);
+        changes.push({ action: 'create', before: null, after: doc });
+        return;
+      }
+
+      const { version: previousVersion, ...previousData } = previous;
+      const { version, ...data } = doc;
+      if (JSON.stringify(previousData) === JSON.stringify(data)) {
+        doc.version = getVersion(previous);
+      } else {
+        doc.version = getVersion(previous) + 1;
+        changes.push({ action: 'update', before: previous, after: doc });
+      }
+    });
+
+    // Whatever is left was removed from the collection
+    current.forEach(previous => changes.push({ action: 'delete', before: previous, after: null }));
+
+    await this.store.writeAll(this.collection, docs);
+    return changes;
+  }
+
+  /**
+   * Tell change listeners about written documents (after the lock is released).
+   * A failing listener is logged; the write itself has already succeeded.
+   */
+  async _emitChanges(changes) {
+    for (const change of changes) {
+      for (const listener of changeListeners) {
+        try {
+          await listener({ collection: this.collection.name, ...change });
+        } catch (error) {
+          console.error(`❌ Change listener failed for ${this.collection.name}:`, error.message);
+        }
+      }
+    }
+  }
+}
+
+const changeListeners = [];
+
+/**
+ * Subscribe to document changes of every collection (used by the audit log)
+ * @param {Function} listener - async ({ collection, action, before, after }) => void
+ */
+function onChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER (json | sqlite)
+ */
+function createStore(driver = process.env.STORAGE_DRIVER || 'json') {
+  switch (driver.toLowerCase()) {
+    case 'json':
+      return new JsonFileStore();
+    case 'sqlite':
+      return new SqliteStore();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Valid drivers: json, sqlite`);
+  }
+}
+
+let store = null;
+const repositories = new Map();
+
+/**
+ * Get the shared repository for a collection
+ * @param {string} name - Collection name (key of COLLECTIONS)
+ * @returns {Repository}
+ */
+function getRepository(name) {
+  if (!COLLECTIONS[name]) {
+    throw new Error(`Unknown collection "${name}". Valid collections: ${Object.keys(COLLECTIONS).join(', ')}`);
+  }
+
+  if (!store) {
+    store = createStore();
+  }
+
+  if (!repositories.has(name)) {
+    repositories.set(name, new Repository(name, COLLECTIONS[name], store));
+  }
+
+  return repositories.get(name);
+}
+
+/**
+ * Name of the active storage driver
+ */
+function getStorageDriver() {
+  if (!store) {
+    store = createStore();
+  }
+  return store.name;
+}
+
+module.exports = {
+  getRepository,
+  getStorageDriver,
+  getVersion,
+  assertVersion,
+  onChange,
+  Repository,
+  COLLECTIONS
+};
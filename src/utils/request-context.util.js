@@ -0,0 +1,49 @@
+// src/utils/request-context.util.js
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * Per-request context (the current request) available to services without
+ * passing req around, e.g. for the audit log's actor and IP
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with req as the current request
+ */
+function runWithRequest(req, fn) {
+  return storage.run({ req }, fn);
+}
+
+/**
+ * Wrap a middleware that continues from stream events (multer), which would
+ * otherwise lose the request context for the rest of the chain
+ */
+function bindContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+/**
+ * Who is making the current request (nulls outside a request, e.g. startup jobs)
+ * @returns {object} { userId, role, ip, userAgent }
+ */
+function getActor() {
+  const context = storage.getStore();
+  const req = context && context.req;
+
+  if (!req) {
+    return { userId: null, role: null, ip: null, userAgent: null };
+  }
+
+  return {
+    userId: req.user ? req.user.id : null,
+    role: req.user ? req.user.role : null,
+    ip: req.ip || null,
+    userAgent: req.get ? req.get('user-agent') || null : null
+  };
+}
+
+module.exports = {
+  runWithRequest,
+  bindContext,
+  getActor
+};
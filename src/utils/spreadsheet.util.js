@@ -0,0 +1,267 @@
+// src/utils/spreadsheet.util.js
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Read tabular uploads (CSV and XLSX) into rows of { header: value }.
+ * XLSX files are zip archives of XML parts; only the first worksheet is read
+ * and cell values are returned as text (no formulas, styles or date formats).
+ */
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Limits for untrusted workbooks (cell references size the row arrays directly)
+const MAX_ROWS = 20000;
+const MAX_COLUMNS = 500;
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+function spreadsheetError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab separated)
+ * @returns {string[][]} cell rows
+ */
+function parseCSV(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Entries of a zip archive by name (stored or deflated)
+ * Offsets are checked against the buffer, so truncated or corrupt files fail with a 400.
+ */
+function readZip(buffer) {
+  const invalid = () => spreadsheetError('The file is not a valid XLSX workbook');
+  const assertInside = (start, length) => {
+    if (start < 0 || start + length > buffer.length) throw invalid();
+  };
+
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw invalid();
+  }
+
+  const entries = {};
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let n = 0; n < count; n++) {
+    assertInside(offset, 46);
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    assertInside(offset + 46, nameLength);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assertInside(localOffset, 30);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    assertInside(dataStart, compressedSize);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries[name] = () => {
+      if (method !== 8) {
+        if (data.length > MAX_ENTRY_BYTES) throw spreadsheetError('The workbook is too large');
+        return data.toString('utf8');
+      }
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString('utf8');
+      } catch (error) {
+        throw error.code === 'ERR_BUFFER_TOO_LARGE' ? spreadsheetError('The workbook is too large') : invalid();
+      }
+    };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> in an element (rich text is split into runs)
+function textOf(xml) {
+  return decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => m[1]).join(''));
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+/g, '');
+  return [...letters].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Parse the first worksheet of an XLSX workbook
+ * @returns {string[][]} cell rows
+ */
+function parseXLSX(buffer) {
+  const entries = readZip(buffer);
+
+  // First sheet of the workbook, through its relationship target
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  if (entries['xl/workbook.xml'] && entries['xl/_rels/workbook.xml.rels']) {
+    const sheet = entries['xl/workbook.xml']().match(/<sheet\s[^>]*r:id="([^"]+)"/);
+    const rels = entries['xl/_rels/workbook.xml.rels']();
+    const target = sheet && [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+      .map(m => m[0])
+      .find(rel => rel.includes(`Id="${sheet[1]}"`));
+    const targetPath = target && target.match(/Target="([^"]+)"/);
+    if (targetPath) {
+      sheetPath = targetPath[1].startsWith('/') ? targetPath[1].slice(1) : `xl/${targetPath[1]}`;
+    }
+  }
+
+  if (!entries[sheetPath]) {
+    throw spreadsheetError('The workbook has no worksheet');
+  }
+
+  const sharedStrings = entries['xl/sharedStrings.xml']
+    ? [...entries['xl/sharedStrings.xml']().matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of entries[sheetPath]().matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1]) || rows.length + 1;
+    if (rowNumber > MAX_ROWS) {
+      throw spreadsheetError(`The sheet has more than ${MAX_ROWS} rows`);
+    }
+    const row = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attributes.match(/\br="([A-Z]+\d+)"/);
+      const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+      const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let text = '';
+      if (type === 's') text = sharedStrings[parseInt(value)] || '';
+      else if (type === 'inlineStr') text = textOf(body);
+      else if (value !== undefined) text = decodeXml(value);
+
+      const column = ref ? columnIndex(ref[1]) : row.length;
+      if (column >= MAX_COLUMNS) {
+        throw spreadsheetError(`The sheet has more than ${MAX_COLUMNS} columns`);
+      }
+      row[column] = text;
+    }
+
+    // Rows without cells are left out of the sheet XML; keep line numbers aligned
+    rows[rowNumber - 1] = Array.from(row, cell => cell || '');
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Rows of an uploaded CSV/XLSX file, keyed by the header row. Empty rows are dropped;
+ * each row keeps its spreadsheet line number in `__row`.
+ * @param {object} file - multer file (memory storage)
+ * @returns {object} { headers, rows }
+ */
+function readSpreadsheet(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw spreadsheetError(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  // Anything the parsers trip over is a bad upload, not a server error
+  let cells;
+  try {
+    cells = ext === '.csv' ? parseCSV(file.buffer.toString('utf8')) : parseXLSX(file.buffer);
+  } catch (error) {
+    throw error.statusCode ? error : spreadsheetError(`The file could not be read: ${error.message}`);
+  }
+  if (cells.length > MAX_ROWS) {
+    throw spreadsheetError(`The sheet has more than ${MAX_ROWS} rows`);
+  }
+  const headerIndex = cells.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+  if (headerIndex === -1) {
+    throw spreadsheetError('The file is empty');
+  }
+
+  const headers = cells[headerIndex].map(header => String(header).trim());
+  const rows = [];
+
+  cells.slice(headerIndex + 1).forEach((row, index) => {
+    if (!row.some(cell => String(cell).trim() !== '')) return;
+
+    const record = { __row: headerIndex + index + 2 };
+    headers.forEach((header, column) => {
+      if (header) record[header] = String(row[column] ?? '').trim();
+    });
+    rows.push(record);
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  parseCSV,
+  parseXLSX,
+  readSpreadsheet
+};
@@ -0,0 +1,148 @@
+// src/utils/storage-json.util.js
+const fs = require('fs').promises;
+const path = require('path');
+const atomicWrite = require('./atomic-write.util');
+
+/**
+ * Append-only logs are kept as JSON Lines (one document per line)
+ */
+const isLog = collection => collection.file.endsWith('.jsonl');
+
+/**
+ * Documents of a JSON array file
+ */
+function parseArray(data) {
+  const parsed = JSON.parse(data);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Documents of a JSON Lines file. A line cut short by a crash mid-append is skipped.
+ */
+function parseLines(data) {
+  return data.split('\n').reduce((docs, line) => {
+    if (!line.trim()) return docs;
+    try {
+      docs.push(JSON.parse(line));
+    } catch (error) {
+      console.error('⚠️ Skipping unreadable log line:', line.slice(0, 80));
+    }
+    return docs;
+  }, []);
+}
+
+/**
+ * JSON file storage driver
+ * Keeps each collection as a single array in its own index.json file
+ * (the original on-disk layout used by every service); append-only logs
+ * use a .jsonl file instead, so adding an entry never rewrites the file.
+ */
+class JsonFileStore {
+  constructor() {
+    this.name = 'json';
+  }
+
+  /**
+   * Read every document of a collection
+   * @param {object} collection - Collection definition ({ name, file })
+   * @returns {Promise<Array>} Documents in stored order
+   */
+  async readAll(collection) {
+    if (isLog(collection)) {
+      // Entries written before the log moved to JSON Lines come first
+      const legacy = await this._readFile(collection.file.replace(/\.jsonl$/, '.json'));
+      const entries = await this._readFile(collection.file);
+      return [
+        ...(legacy === null ? [] : parseArray(legacy)),
+        ...(entries === null ? [] : parseLines(entries))
+      ];
+    }
+
+    const data = await this._readFile(collection.file);
+    return data === null ? [] : parseArray(data);
+  }
+
+  /**
+   * File contents, or null if it does not exist
+   */
+  async _readFile(file) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a single document by ID
+   */
+  async readOne(collection, id) {
+    const docs = await this.readAll(collection);
+    return docs.find(doc => doc.id === id) || null;
+  }
+
+  /**
+   * Replace the whole collection
+   */
+  async writeAll(collection, docs) {
+    if (isLog(collection)) {
+      await atomicWrite(collection.file, docs.map(doc => `${JSON.stringify(doc)}\n`).join(''));
+      await fs.unlink(collection.file.replace(/\.jsonl$/, '.json')).catch(() => {});
+      return;
+    }
+
+    await atomicWrite(collection.file, JSON.stringify(docs, null, 2));
+  }
+
+  /**
+   * Add a document at the end of the collection. Logs get one line appended;
+   * other collections are rewritten as usual.
+   */
+  async append(collection, doc) {
+    if (!isLog(collection)) {
+      return this.upsert(collection, doc);
+    }
+
+    await fs.mkdir(path.dirname(collection.file), { recursive: true });
+    await fs.appendFile(collection.file, `${JSON.stringify(doc)}\n`, 'utf8');
+  }
+
+  /**
+   * Insert or replace a single document
+   */
+  async upsert(collection, doc) {
+    const docs = await this.readAll(collection);
+    const index = docs.findIndex(d => d.id === doc.id);
+
+    if (index === -1) {
+      docs.push(doc);
+    } else {
+      docs[index] = doc;
+    }
+
+    await this.writeAll(collection, docs);
+  }
+
+  /**
+   * Delete a single document by ID
+   * @returns {Promise<boolean>} True if a document was removed
+   */
+  async delete(collection, id) {
+    const docs = await this.readAll(collection);
+    const remaining = docs.filter(d => d.id !== id);
+
+    if (remaining.length === docs.length) {
+      return false;
+    }
+
+    await this.writeAll(collection, remaining);
+    return true;
+  }
+}
+
+module.exports = JsonFileStore;
+module.exports.parseArray = parseArray;
+module.exports.parseLines = parseLines;
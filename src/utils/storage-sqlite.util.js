@@ -0,0 +1,208 @@
+// src/utils/storage-sqlite.util.js
+const fs = require('fs');
+const path = require('path');
+const { parseArray, parseLines } = require('./storage-json.util');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '../../data/omega.db');
+
+/**
+ * Embedded SQLite storage driver
+ * Stores every document as a JSON row keyed by (collection, id), so saving a
+ * collection only touches the rows that actually changed.
+ *
+ * Requires the optional `better-sqlite3` package.
+ */
+class SqliteStore {
+  constructor(dbFile = process.env.SQLITE_FILE || DEFAULT_DB_FILE) {
+    this.name = 'sqlite';
+    this.dbFile = dbFile;
+    this.db = null;
+    this.importedCollections = new Set();
+  }
+
+  /**
+   * Open the database lazily and create the schema
+   */
+  _getDb() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the "better-sqlite3" package. Run: npm install better-sqlite3');
+    }
+
+    const dir = path.dirname(this.dbFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_documents_position ON documents (collection, position);
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        importedAt TEXT NOT NULL
+      );
+    `);
+
+    return this.db;
+  }
+
+  /**
+   * Import the legacy index.json file the first time a collection is used
+   * (for append-only logs, the .jsonl file and the .json file it replaced)
+   */
+  _ensureImported(collection) {
+    if (this.importedCollections.has(collection.name)) {
+      return;
+    }
+
+    const db = this._getDb();
+    const row = db.prepare('SELECT name FROM collections WHERE name = ?').get(collection.name);
+
+    if (!row) {
+      const isLog = collection.file.endsWith('.jsonl');
+      const files = isLog
+        ? [collection.file.replace(/\.jsonl$/, '.json'), collection.file]
+        : [collection.file];
+
+      let legacyDocs = [];
+      files.filter(file => fs.existsSync(file)).forEach(file => {
+        try {
+          const data = fs.readFileSync(file, 'utf8');
+          legacyDocs.push(...(file.endsWith('.jsonl') ? parseLines(data) : parseArray(data)));
+        } catch (error) {
+          console.error(`⚠️ Could not import ${file} into SQLite:`, error.message);
+        }
+      });
+
+      db.transaction(() => {
+        this._writeRows(collection.name, legacyDocs);
+        db.prepare('INSERT INTO collections (name, importedAt) VALUES (?, ?)')
+          .run(collection.name, new Date().toISOString());
+      })();
+
+      if (legacyDocs.length > 0) {
+        console.log(`✅ Imported ${legacyDocs.length} document(s) from ${collection.file} into SQLite`);
+      }
+    }
+
+    this.importedCollections.add(collection.name);
+  }
+
+  /**
+   * Write only changed rows and delete rows that are no longer present
+   * (must run inside a transaction)
+   */
+  _writeRows(collectionName, docs) {
+    const db = this._getDb();
+    const existing = new Map(
+      db.prepare('SELECT id, position, data FROM documents WHERE collection = ?')
+        .all(collectionName)
+        .map(row => [row.id, row])
+    );
+
+    const upsert = db.prepare(`
+      INSERT INTO documents (collection, id, position, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET position = excluded.position, data = excluded.data
+    `);
+    const remove = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+
+    const seen = new Set();
+    docs.forEach((doc, position) => {
+      if (!doc || doc.id === undefined || doc.id === null) {
+        throw new Error(`Cannot store a document without an id in "${collectionName}"`);
+      }
+
+      const id = String(doc.id);
+      const data = JSON.stringify(doc);
+      const current = existing.get(id);
+      seen.add(id);
+
+      if (!current || current.data !== data || current.position !== position) {
+        upsert.run(collectionName, id, position, data);
+      }
+    });
+
+    existing.forEach((row, id) => {
+      if (!seen.has(id)) {
+        remove.run(collectionName, id);
+      }
+    });
+  }
+
+  async readAll(collection) {
+    this._ensureImported(collection);
+    return this._getDb()
+      .prepare('SELECT data FROM documents WHERE collection = ? ORDER BY position')
+      .all(collection.name)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async readOne(collection, id) {
+    this._ensureImported(collection);
+    const row = this._getDb()
+      .prepare('SELECT data FROM documents WHERE collection = ? AND id = ?')
+      .get(collection.name, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async writeAll(collection, docs) {
+    this._ensureImported(collection);
+    const db = this._getDb();
+    db.transaction(() => this._writeRows(collection.name, docs))();
+  }
+
+  async upsert(collection, doc) {
+    this._ensureImported(collection);
+    const db = this._getDb();
+    const id = String(doc.id);
+
+    db.transaction(() => {
+      const current = db.prepare('SELECT position FROM documents WHERE collection = ? AND id = ?')
+        .get(collection.name, id);
+
+      let position = current ? current.position : null;
+      if (position === null) {
+        const last = db.prepare('SELECT MAX(position) AS maxPosition FROM documents WHERE collection = ?')
+          .get(collection.name);
+        position = last.maxPosition === null ? 0 : last.maxPosition + 1;
+      }
+
+      db.prepare(`
+        INSERT INTO documents (collection, id, position, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `).run(collection.name, id, position, JSON.stringify(doc));
+    })();
+  }
+
+  /**
+   * Add a document at the end of the collection (rows are written one at a time,
+   * so this is the same as inserting it)
+   */
+  async append(collection, doc) {
+    await this.upsert(collection, doc);
+  }
+
+  async delete(collection, id) {
+    this._ensureImported(collection);
+    const result = this._getDb()
+      .prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+      .run(collection.name, String(id));
+    return result.changes > 0;
+  }
+}
+
+module.exports = SqliteStore;
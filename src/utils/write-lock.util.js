@@ -0,0 +1,102 @@
+// src/utils/write-lock.util.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = parseInt(process.env.LOCK_TIMEOUT_MS || '10000');
+const LOCK_STALE_MS = parseInt(process.env.LOCK_STALE_MS || '30000');
+
+/**
+ * Serialized write lock per data file
+ * - In-process: writes to the same file run one after another (promise queue)
+ * - Multi-process: a "<file>.lock" lockfile is held while the write runs
+ */
+class WriteLock {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  /**
+   * Run fn while holding the lock for filePath
+   * @param {string} filePath - Data file being written
+   * @param {Function} fn - async () => result
+   */
+  async withLock(filePath, fn) {
+    const key = path.resolve(filePath);
+    const previous = this.queues.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.queues.set(key, tail);
+
+    await previous;
+
+    try {
+      await this.acquireLockFile(key);
+      try {
+        return await fn();
+      } finally {
+        await this.releaseLockFile(key);
+      }
+    } finally {
+      release();
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Create the lockfile, waiting for other processes and clearing stale locks
+   */
+  async acquireLockFile(filePath) {
+    const lockFile = `${filePath}.lock`;
+    const startedAt = Date.now();
+
+    await fs.mkdir(path.dirname(lockFile), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.open(lockFile, 'wx');
+        await handle.writeFile(JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.isStale(lockFile)) {
+        console.warn(`⚠️ Removing stale lock: ${lockFile}`);
+        await fs.unlink(lockFile).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        const error = new Error(`Timed out waiting for write lock on ${path.basename(filePath)}`);
+        error.statusCode = 503;
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  async releaseLockFile(filePath) {
+    await fs.unlink(`${filePath}.lock`).catch(() => {});
+  }
+
+  async isStale(lockFile) {
+    try {
+      const stats = await fs.stat(lockFile);
+      return Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+    } catch (error) {
+      // Lock disappeared between open and stat - retry immediately
+      return error.code === 'ENOENT';
+    }
+  }
+}
+
+module.exports = new WriteLock();
@@ -0,0 +1,189 @@
+// test/auth.test.js
+process.env.BCRYPT_ROUNDS = '4';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+const { hashPassword, isHashed } = sandbox.load('utils/password.util');
+const totp = sandbox.load('utils/totp.util');
+const authService = sandbox.load('services/auth.service');
+
+const PASSWORD = 'Corr3ct-Horse';
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+const users = getRepository('users');
+
+async function addUser(id, fields = {}) {
+  return users.insert({
+    id,
+    name: id,
+    username: id.toLowerCase(),
+    email: `${id.toLowerCase()}@example.com`,
+    password: await hashPassword(PASSWORD),
+    role: 'employee',
+    active: true,
+    ...fields
+  });
+}
+
+test('login checks the bcrypt hash and never returns it', async () => {
+  await addUser('USER-0001');
+
+  const result = await authService.login('USER-0001', PASSWORD, { ip: '10.0.0.1' });
+
+  assert.equal(result.user.id, 'USER-0001');
+  assert.equal(result.user.password, undefined);
+  assert.equal(jwt.decode(result.token).sid, result.sessionId);
+  assert.ok(result.refreshToken);
+});
+
+test('a wrong password and an unknown user get the same 401', async () => {
+  await assert.rejects(authService.login('user-0001', 'Wrong-Passw0rd'), {
+    statusCode: 401,
+    message: 'Invalid username or password'
+  });
+  await assert.rejects(authService.login('nobody', PASSWORD), {
+    statusCode: 401,
+    message: 'Invalid username or password'
+  });
+});
+
+test('a legacy plaintext password is upgraded to bcrypt on login', async () => {
+  await addUser('USER-0002', { password: PASSWORD });
+
+  await authService.login('user-0002', PASSWORD);
+
+  const stored = await users.findById('USER-0002');
+  assert.ok(isHashed(stored.password));
+  await authService.login('user-0002', PASSWORD);
+});
+
+test('refresh rotates the refresh token and keeps the session', async () => {
+  const login = await authService.login('user-0001', PASSWORD);
+
+  const refreshed = await authService.refresh(login.refreshToken);
+
+  assert.equal(refreshed.sessionId, login.sessionId);
+  assert.notEqual(refreshed.refreshToken, login.refreshToken);
+  const session = await authService.authenticateToken(jwt.decode(refreshed.token));
+  assert.equal(session.id, 'USER-0001');
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  const login = await authService.login('user-0001', PASSWORD);
+  const refreshed = await authService.refresh(login.refreshToken);
+
+  await assert.rejects(authService.refresh(login.refreshToken), { statusCode: 401 });
+  await assert.rejects(authService.refresh(refreshed.refreshToken), { statusCode: 401 });
+  await assert.rejects(authService.authenticateToken(jwt.decode(refreshed.token)), { statusCode: 401 });
+});
+
+test('parallel refreshes with one token give a new token pair only once', async () => {
+  const login = await authService.login('user-0001', PASSWORD);
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => authService.refresh(login.refreshToken)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+});
+
+test('logout and deactivation end the session', async () => {
+  const first = await authService.login('user-0001', PASSWORD);
+  await authService.logout('USER-0001', first.sessionId);
+  await assert.rejects(authService.authenticateToken(jwt.decode(first.token)), { statusCode: 401 });
+  await assert.rejects(authService.refresh(first.refreshToken), { statusCode: 401 });
+
+  const second = await authService.login('user-0001', PASSWORD);
+  await users.update('USER-0001', { active: false });
+  await assert.rejects(authService.refresh(second.refreshToken), { statusCode: 401 });
+  await users.update('USER-0001', { active: true });
+});
+
+test('repeated failures lock the account, even for the right password', async () => {
+  await addUser('USER-0003');
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(authService.login('user-0003', 'Wrong-Passw0rd', { ip: '10.0.0.3' }), { statusCode: 401 });
+  }
+
+  await assert.rejects(authService.login('user-0003', PASSWORD, { ip: '10.0.0.4' }), { statusCode: 429 });
+  const stored = await users.findById('USER-0003');
+  assert.ok(new Date(stored.lockedUntil) > new Date());
+  assert.equal(stored.lockoutCount, 1);
+});
+
+test('a successful login resets the failure count', async () => {
+  await addUser('USER-0004');
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(authService.login('user-0004', 'Wrong-Passw0rd'), { statusCode: 401 });
+  }
+  assert.equal((await users.findById('USER-0004')).failedLoginAttempts, 3);
+
+  await authService.login('user-0004', PASSWORD);
+  assert.equal((await users.findById('USER-0004')).failedLoginAttempts, 0);
+});
+
+test('with 2FA on, login needs a code and a code works only once', async () => {
+  await addUser('USER-0005');
+  const { secret } = await authService.setupTwoFactor('USER-0005');
+  const recoveryCodes = await authService.enableTwoFactor('USER-0005', totp.generateCode(secret));
+  assert.equal(recoveryCodes.length, 10);
+
+  const first = await authService.login('user-0005', PASSWORD);
+  assert.equal(first.twoFactorRequired, true);
+  assert.equal(first.token, undefined);
+
+  // The enrollment code is spent; the next step's code is still inside the drift window
+  const code = totp.generateCode(secret, currentStep() + 1);
+  const result = await authService.verifyTwoFactorLogin(first.challengeToken, { code });
+  assert.equal(result.user.id, 'USER-0005');
+  assert.ok(result.refreshToken);
+
+  const second = await authService.login('user-0005', PASSWORD);
+  await assert.rejects(authService.verifyTwoFactorLogin(second.challengeToken, { code }), {
+    statusCode: 401,
+    message: 'Invalid verification code'
+  });
+});
+
+test('a recovery code can stand in for the code once', async () => {
+  const { secret } = await authService.setupTwoFactor('USER-0001');
+  const [recoveryCode] = await authService.enableTwoFactor('USER-0001', totp.generateCode(secret));
+
+  const first = await authService.login('user-0001', PASSWORD);
+  const result = await authService.verifyTwoFactorLogin(first.challengeToken, { recoveryCode });
+  assert.equal(result.recoveryCodesRemaining, 9);
+
+  const second = await authService.login('user-0001', PASSWORD);
+  await assert.rejects(authService.verifyTwoFactorLogin(second.challengeToken, { recoveryCode }), { statusCode: 401 });
+});
+
+test('only a 2FA challenge token opens the second login step', async () => {
+  const login = await authService.login('user-0002', PASSWORD);
+
+  await assert.rejects(authService.verifyTwoFactorLogin(login.token, { code: '123456' }), { statusCode: 401 });
+  await assert.rejects(authService.verifyTwoFactorLogin('not-a-token', { code: '123456' }), { statusCode: 401 });
+});
+
+test('roles that require 2FA enroll before the login completes', async () => {
+  await addUser('USER-0006', { role: 'admin' });
+
+  const login = await authService.login('user-0006', PASSWORD);
+  assert.equal(login.twoFactorSetupRequired, true);
+  assert.equal(login.token, undefined);
+
+  const { secret } = await authService.startTwoFactorLoginSetup(login.challengeToken);
+  await assert.rejects(authService.completeTwoFactorLoginSetup(login.challengeToken, '000000'), { statusCode: 400 });
+
+  const result = await authService.completeTwoFactorLoginSetup(login.challengeToken, totp.generateCode(secret));
+  assert.equal(result.user.twoFactorEnabled, true);
+  assert.equal(result.recoveryCodes.length, 10);
+  assert.ok(result.token);
+});
@@ -0,0 +1,59 @@
+// test/helpers/sandbox.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// pdf-poppler refuses to load on Linux; nothing under test converts PDFs
+const STUBBED_MODULES = {
+  'pdf-poppler': {}
+};
+
+/**
+ * Copy of src/ in a temporary directory
+ * The services keep their data/ and logs/ next to src/, so every test file works
+ * on its own copy and never touches the data of the checkout it runs from.
+ * @returns {object} { root, load(modulePath), dataFile(relativePath), cleanup() }
+ */
+function createSandbox() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'laser-backend-test-'));
+  fs.cpSync(path.join(ROOT_DIR, 'src'), path.join(root, 'src'), { recursive: true });
+  fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(root, 'node_modules'), 'dir');
+  fs.mkdirSync(path.join(root, 'data'), { recursive: true });
+
+  stubModules();
+  silenceConsole();
+
+  return {
+    root,
+    load: modulePath => require(path.join(root, 'src', modulePath)),
+    dataFile: relativePath => path.join(root, 'data', relativePath),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+let stubbed = false;
+
+function stubModules() {
+  if (stubbed) return;
+  stubbed = true;
+
+  const load = Module._load;
+  Module._load = function (request, ...args) {
+    return Object.prototype.hasOwnProperty.call(STUBBED_MODULES, request)
+      ? STUBBED_MODULES[request]
+      : load.call(this, request, ...args);
+  };
+}
+
+// The services log every step; set TEST_VERBOSE=1 to see it
+function silenceConsole() {
+  if (process.env.TEST_VERBOSE) return;
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    console[method] = () => {};
+  });
+}
+
+module.exports = { createSandbox };
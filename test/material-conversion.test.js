@@ -0,0 +1,105 @@
+// test/material-conversion.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+const materialService = sandbox.load('services/material.service');
+const rfqService = sandbox.load('services/rfq.service');
+
+const USER = 'USER-0001';
+const ROLE = 'super_admin';
+
+async function addMaterialRequest(id, items) {
+  return getRepository('materialRequests').insert({
+    id,
+    mrNumber: id.replace('-', ''),
+    section: 'Production',
+    project: 'Tower',
+    status: 'approved',
+    items,
+    createdBy: USER
+  });
+}
+
+test('lines are numbered from 1 and flow into the PO and the ordered quantities', async () => {
+  await addMaterialRequest('MR-0001', [
+    { description: 'Steel sheet', unit: 'pcs', quantity: 10 },
+    { description: 'Bolt', unit: 'box', quantity: 4 }
+  ]);
+
+  await assert.rejects(
+    materialService.convertMaterialRequest('MR-0001', {
+      target: 'purchaseOrder', suppliers: ['Acme'], lines: [{ line: 0, quantity: 1 }]
+    }, USER, ROLE),
+    { statusCode: 400, message: /line 0 does not exist/ }
+  );
+
+  const { materialRequest, documents } = await materialService.convertMaterialRequest('MR-0001', {
+    target: 'purchaseOrder', suppliers: ['Acme'], lines: [{ line: 2, quantity: 3 }]
+  }, USER, ROLE);
+
+  assert.equal(documents[0].items[0].description, 'Bolt');
+  assert.equal(documents[0].items[0].sourceLine, 2);
+  assert.deepEqual(materialRequest.items.map(item => item.orderedQuantity), [0, 3]);
+  assert.equal(materialRequest.items[1].orderStatus, 'partially_ordered');
+});
+
+test('a PO cannot order more than a line still needs', async () => {
+  await assert.rejects(
+    materialService.convertMaterialRequest('MR-0001', {
+      target: 'purchaseOrder', suppliers: ['Acme'], lines: [{ line: 2, quantity: 2 }]
+    }, USER, ROLE),
+    { statusCode: 400, message: /line 2: quantity 2 exceeds the remaining 1/ }
+  );
+  await assert.rejects(
+    materialService.convertMaterialRequest('MR-0001', {
+      target: 'purchaseOrder', suppliers: ['Acme'], lines: [{ line: 1, quantity: 4 }, { line: 1, quantity: 4 }]
+    }, USER, ROLE),
+    { statusCode: 400, message: /line 1 is listed more than once/ }
+  );
+
+  assert.equal((await getRepository('purchases').findAll()).length, 1);
+});
+
+test('parallel conversions of one request order it only once', async () => {
+  await addMaterialRequest('MR-0002', [{ description: 'Angle', unit: 'm', quantity: 6 }]);
+
+  const results = await Promise.allSettled([1, 2].map(() => materialService.convertMaterialRequest('MR-0002', {
+    target: 'purchaseOrder', suppliers: ['Acme']
+  }, USER, ROLE)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+
+  const purchases = await getRepository('purchases').find(po => po.sourceMaterialRequest?.id === 'MR-0002');
+  assert.equal(purchases.length, 1);
+  const { items } = await materialService.getOpenQuantities('MR-0002');
+  assert.equal(items[0].orderedQuantity, 6);
+});
+
+test('RFQs already created are removed when a later supplier fails', async (t) => {
+  await addMaterialRequest('MR-0003', [{ description: 'Paint', unit: 'l', quantity: 20 }]);
+
+  const createRFQ = rfqService.createRFQ;
+  let calls = 0;
+  t.mock.method(rfqService, 'createRFQ', function (...args) {
+    calls++;
+    if (calls === 2) return Promise.reject(new Error('Mail server down'));
+    return createRFQ.apply(this, args);
+  });
+
+  await assert.rejects(
+    materialService.convertMaterialRequest('MR-0003', {
+      target: 'rfq', suppliers: ['Acme', 'Bolt & Co', 'Coatings Ltd']
+    }, USER, ROLE),
+    /Mail server down/
+  );
+
+  assert.equal(calls, 2);
+  assert.deepEqual(await getRepository('rfqs').find(rfq => rfq.sourceMaterialRequest?.id === 'MR-0003'), []);
+  assert.equal((await getRepository('materialRequests').findById('MR-0003')).conversions, undefined);
+});
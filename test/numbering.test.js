@@ -0,0 +1,64 @@
+// test/numbering.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+const numberingService = sandbox.load('services/numbering.service');
+
+test('numbers issued in parallel are unique and consecutive', async () => {
+  const issued = await Promise.all(Array.from({ length: 30 }, () => numberingService.next('purchaseOrder')));
+
+  assert.deepEqual(
+    issued.map(result => result.number).sort(),
+    Array.from({ length: 30 }, (_, i) => `PO${String(i + 1).padStart(5, '0')}`)
+  );
+  assert.equal(issued.find(result => result.sequence === 7).id, 'PO-00007');
+});
+
+test('a new counter starts after the highest number already stored', async () => {
+  await getRepository('rfqs').insert({ id: 'RFQ-0007', rfqNumber: 'RFQ0007' });
+  await getRepository('rfqs').insert({ id: 'RFQ-0003', rfqNumber: 'RFQ0003' });
+
+  assert.equal((await numberingService.next('rfq')).number, 'RFQ0008');
+});
+
+test('generic IDs are seeded from the stored records the first time', async () => {
+  await getRepository('users').insert({ id: 'USER-0005', username: 'existing' });
+
+  const ids = await Promise.all([numberingService.nextId('USER'), numberingService.nextId('USER')]);
+  assert.deepEqual(ids.sort(), ['USER-0006', 'USER-0007']);
+});
+
+test('numbers issued from separate processes never repeat', async () => {
+  const script = `
+    const numberingService = require(${JSON.stringify(path.join(sandbox.root, 'src/services/numbering.service'))});
+    (async () => {
+      const numbers = [];
+      for (let i = 0; i < 10; i++) numbers.push((await numberingService.next('client')).number);
+      process.stdout.write(JSON.stringify(numbers));
+    })();
+  `;
+  const run = async () => JSON.parse((await promisify(execFile)(process.execPath, ['-e', script], { timeout: 60000 })).stdout);
+
+  const [first, second] = await Promise.all([run(), run()]);
+
+  assert.equal(new Set([...first, ...second]).size, 20);
+  assert.equal(await numberingService.getCounter('client'), 20);
+});
+
+test('the gap audit lists numbers that were issued but never stored', async () => {
+  await getRepository('purchases').insert({ id: 'PO-00001', poNumber: 'PO00001' });
+  await getRepository('purchases').insert({ id: 'PO-00003', poNumber: 'PO00003' });
+  await numberingService.setCounter('purchaseOrder', 4);
+
+  const audit = await numberingService.auditGaps('purchaseOrder');
+  assert.deepEqual(audit.missing, ['PO00002', 'PO00004']);
+  assert.deepEqual(audit.duplicates, []);
+});
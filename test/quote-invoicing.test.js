@@ -0,0 +1,112 @@
+// test/quote-invoicing.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+const priceQuoteService = sandbox.load('services/price-quote.service');
+const proformaInvoiceService = sandbox.load('services/proforma-invoice.service');
+
+const USER = { id: 'USER-0001', role: 'super_admin' };
+const quotes = getRepository('quotations');
+
+async function addQuote(id) {
+  return quotes.insert({
+    id,
+    quoteNumber: id.replace('-', ''),
+    revNumber: 0,
+    status: 'accepted',
+    date: new Date().toISOString().split('T')[0],
+    validForDays: 30,
+    language: 'english',
+    includeTax: false,
+    taxRate: 0,
+    items: [{ description: 'Laser cutting', unit: 'job', quantity: 1, unitPrice: 100 }],
+    subtotal: 100,
+    total: 100,
+    createdBy: USER.id
+  });
+}
+
+// The invoice itself (numbering, PDF) is out of scope here; only how the quote tracks it
+function stubCreateInvoice(t, { fail = false } = {}) {
+  let count = 0;
+  return t.mock.method(proformaInvoiceService, 'createInvoice', async invoiceData => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    if (fail) throw new Error('PDF generation failed');
+    count++;
+    return {
+      id: `PI-000${count}`,
+      invoiceNumber: `PI000${count}`,
+      total: invoiceData.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+      createdAt: new Date().toISOString()
+    };
+  });
+}
+
+test('parallel invoices cannot add up to more than the quote', async (t) => {
+  await addQuote('QT-0001');
+  const createInvoice = stubCreateInvoice(t);
+
+  const results = await Promise.allSettled([1, 2].map(() =>
+    priceQuoteService.convertToProforma('QT-0001', { percentage: 60 }, USER, USER.role)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  // The rejected conversion never reached the invoice, so it took no invoice number
+  assert.equal(createInvoice.mock.callCount(), 1);
+
+  const { conversions } = await quotes.findById('QT-0001');
+  assert.deepEqual(conversions.map(c => [c.id, c.number, c.total]), [['PI-0001', 'PI0001', 60]]);
+});
+
+test('a failed invoice releases the amount it held on the quote', async (t) => {
+  await addQuote('QT-0002');
+  stubCreateInvoice(t, { fail: true });
+
+  await assert.rejects(
+    priceQuoteService.convertToProforma('QT-0002', { percentage: 50 }, USER, USER.role),
+    /PDF generation failed/
+  );
+
+  const invoicing = await priceQuoteService.getQuoteInvoicing('QT-0002', USER.id, USER.role);
+  assert.equal(invoicing.remaining, 100);
+  assert.deepEqual(invoicing.invoices, []);
+});
+
+test('an edited invoice cannot grow past the quote total', async () => {
+  await addQuote('QT-0003');
+  await priceQuoteService.linkConversion('QT-0003', { type: 'proformaInvoice', id: 'PI-0101', number: 'PI0101', total: 40 });
+  await priceQuoteService.linkConversion('QT-0003', { type: 'proformaInvoice', id: 'PI-0102', number: 'PI0102', total: 40 });
+
+  await assert.rejects(
+    priceQuoteService.linkConversion('QT-0003', { type: 'proformaInvoice', id: 'PI-0102', number: 'PI0102', total: 70 }),
+    { statusCode: 409 }
+  );
+
+  const previous = await priceQuoteService.linkConversion('QT-0003', { type: 'proformaInvoice', id: 'PI-0102', number: 'PI0102', total: 60 });
+  assert.equal(previous.total, 40);
+  assert.equal((await quotes.findById('QT-0003')).conversions.find(c => c.id === 'PI-0102').total, 60);
+});
+
+test('links added, updated and removed in parallel are all kept', async () => {
+  await addQuote('QT-0004');
+  await priceQuoteService.linkConversion('QT-0004', { type: 'proformaInvoice', id: 'PI-0201', number: 'PI0201', total: 10 });
+  await priceQuoteService.linkConversion('QT-0004', { type: 'proformaInvoice', id: 'PI-0202', number: 'PI0202', total: 10 });
+
+  await Promise.all([
+    priceQuoteService.updateConversion('QT-0004', 'PI-0201', { total: 20 }),
+    priceQuoteService.removeConversion('QT-0004', 'PI-0202'),
+    ...['PI-0203', 'PI-0204', 'PI-0205'].map(id =>
+      priceQuoteService.linkConversion('QT-0004', { type: 'proformaInvoice', id, number: id.replace('-', ''), total: 10 }))
+  ]);
+
+  const { conversions } = await quotes.findById('QT-0004');
+  assert.deepEqual(
+    conversions.map(c => [c.id, c.total]).sort(),
+    [['PI-0201', 20], ['PI-0203', 10], ['PI-0204', 10], ['PI-0205', 10]]
+  );
+});
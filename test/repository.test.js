@@ -0,0 +1,105 @@
+// test/repository.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+
+test('parallel updates of one document are all kept and each bumps the version', async () => {
+  const items = getRepository('items');
+  await items.insert({ id: 'IT0001', name: 'Sheet' });
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => items.update('IT0001', { [`field${i}`]: i })));
+
+  const item = await items.findById('IT0001');
+  assert.equal(item.version, 21);
+  for (let i = 0; i < 20; i++) {
+    assert.equal(item[`field${i}`], i);
+  }
+});
+
+test('an update or delete at a stale version is rejected with 409', async () => {
+  const items = getRepository('items');
+  await items.insert({ id: 'IT0002', name: 'Tube' });
+  await items.update('IT0002', { name: 'Round tube' }, { expectedVersion: 1 });
+
+  await assert.rejects(
+    items.update('IT0002', { name: 'Square tube' }, { expectedVersion: 1 }),
+    { statusCode: 409, currentVersion: 2 }
+  );
+  await assert.rejects(items.remove('IT0002', { expectedVersion: 1 }), { statusCode: 409 });
+  assert.equal((await items.findById('IT0002')).name, 'Round tube');
+});
+
+test('replaceAll refuses to overwrite a newer copy of a document', async () => {
+  const items = getRepository('items');
+  const stale = await items.findAll();
+  await items.update('IT0002', { name: 'Flat bar' });
+
+  await assert.rejects(items.replaceAll(stale), { statusCode: 409 });
+  assert.equal((await items.findById('IT0002')).name, 'Flat bar');
+});
+
+test('parallel transactions see each other\'s writes', async () => {
+  const clients = getRepository('clients');
+
+  await Promise.all(Array.from({ length: 25 }, (_, i) => clients.transaction(docs => {
+    docs.push({ id: `CL${String(i).padStart(4, '0')}`, position: docs.length });
+  })));
+
+  const stored = await clients.findAll();
+  assert.equal(stored.length, 25);
+  assert.deepEqual(stored.map(doc => doc.position), Array.from({ length: 25 }, (_, i) => i));
+});
+
+test('a transaction that throws writes nothing', async () => {
+  const clients = getRepository('clients');
+
+  await assert.rejects(clients.transaction(docs => {
+    docs.length = 0;
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.equal((await clients.findAll()).length, 25);
+});
+
+test('the lockfile serializes writes from separate processes', async () => {
+  const script = `
+    const { getRepository } = require(${JSON.stringify(path.join(sandbox.root, 'src/utils/repository.util'))});
+    (async () => {
+      const counters = getRepository('stockLocations');
+      for (let i = 0; i < 15; i++) {
+        await counters.transaction(docs => {
+          const counter = docs.find(doc => doc.id === 'counter');
+          if (counter) counter.value++;
+          else docs.push({ id: 'counter', value: 1 });
+        });
+      }
+    })();
+  `;
+  const run = () => promisify(execFile)(process.execPath, ['-e', script], { timeout: 60000 });
+
+  await Promise.all([run(), run()]);
+
+  assert.equal((await getRepository('stockLocations').findById('counter')).value, 30);
+});
+
+test('users created in parallel get distinct IDs and usernames', async () => {
+  const userService = sandbox.load('services/user.service');
+
+  const created = await Promise.all(['Rami Haddad', 'Rana Haddad', 'Rami Haddad'].map((name, i) =>
+    userService.createUser({ name, email: `user${i}@example.com`, password: 'Str0ng!Passw0rd', role: 'employee' })));
+
+  assert.equal(new Set(created.map(user => user.id)).size, 3);
+  assert.equal(new Set(created.map(user => user.username)).size, 3);
+  await assert.rejects(
+    userService.createUser({ name: 'Copy', email: 'user0@example.com', password: 'Str0ng!Passw0rd', role: 'employee' }),
+    /Email already exists/
+  );
+});
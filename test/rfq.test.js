@@ -0,0 +1,93 @@
+// test/rfq.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+const rfqService = sandbox.load('services/rfq.service');
+const materialService = sandbox.load('services/material.service');
+
+const USER = 'USER-0001';
+const ROLE = 'super_admin';
+
+const suppliers = ['S1', 'S2'].map(supplierId => ({ supplierId, supplierName: `Supplier ${supplierId}` }));
+const quote = (supplierId, unitPrice) => ({
+  supplierId,
+  supplierName: `Supplier ${supplierId}`,
+  lines: [{ line: 1, unitPrice, leadTimeDays: 5 }]
+});
+
+async function addRFQ(id, fields = {}) {
+  return getRepository('rfqs').insert({
+    id,
+    rfqNumber: id.replace('-', ''),
+    status: 'approved',
+    createdBy: USER,
+    items: [{ description: 'Steel sheet', unit: 'pcs', quantity: 10 }],
+    suppliers,
+    ...fields
+  });
+}
+
+test('responses recorded in parallel are all kept', async () => {
+  await addRFQ('RFQ-0001');
+
+  await Promise.all(['S1', 'S2'].map((supplierId, i) =>
+    rfqService.recordResponse('RFQ-0001', supplierId, { lines: [{ line: 1, unitPrice: 10 + i }] }, USER, ROLE)));
+
+  const rfq = await getRepository('rfqs').findById('RFQ-0001');
+  assert.deepEqual(rfq.responses.map(response => response.supplierId).sort(), ['S1', 'S2']);
+});
+
+test('a line awarded twice in parallel gets only one PO', async () => {
+  await addRFQ('RFQ-0002', { responses: [quote('S1', 12), quote('S2', 11)] });
+
+  const results = await Promise.allSettled(['S1', 'S2'].map(supplierId =>
+    rfqService.awardLines('RFQ-0002', [{ line: 1, supplierId }], {}, USER, ROLE)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  assert.equal((await getRepository('purchases').find(po => po.sourceRfq?.id === 'RFQ-0002')).length, 1);
+  assert.equal((await getRepository('rfqs').findById('RFQ-0002')).awards.length, 1);
+
+  await assert.rejects(
+    rfqService.awardLines('RFQ-0002', [{ line: 1, supplierId: 'S1' }], {}, USER, ROLE),
+    { statusCode: 400, message: /line 1 is already awarded/ }
+  );
+});
+
+test('RFQs of one material request cannot order more than it asked for', async () => {
+  await getRepository('materialRequests').insert({
+    id: 'MR-0001',
+    mrNumber: 'MR0001',
+    status: 'approved',
+    items: [{ description: 'Steel sheet', unit: 'pcs', quantity: 10 }],
+    createdBy: USER
+  });
+  const source = { id: 'MR-0001', mrNumber: 'MR0001' };
+  const items = [{ description: 'Steel sheet', unit: 'pcs', quantity: 10, sourceLine: 1 }];
+  await addRFQ('RFQ-0003', { items, sourceMaterialRequest: source, responses: [quote('S1', 10)] });
+  await addRFQ('RFQ-0004', { items, sourceMaterialRequest: source, responses: [quote('S2', 9)] });
+
+  const results = await Promise.allSettled([['RFQ-0003', 'S1'], ['RFQ-0004', 'S2']].map(([id, supplierId]) =>
+    rfqService.awardLines(id, [{ line: 1, supplierId }], {}, USER, ROLE)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  assert.equal((await getRepository('purchases').find(po => po.sourceMaterialRequest?.id === 'MR-0001')).length, 1);
+
+  const material = await materialService.getOpenQuantities('MR-0001');
+  assert.equal(material.items[0].orderedQuantity, 10);
+  assert.equal(material.orderStatus, 'ordered');
+
+  // The losing RFQ is free to award again, but the request has nothing left to order
+  const loser = results.findIndex(result => result.status === 'rejected') === 0 ? ['RFQ-0003', 'S1'] : ['RFQ-0004', 'S2'];
+  assert.deepEqual((await getRepository('rfqs').findById(loser[0])).awards, []);
+  await assert.rejects(
+    rfqService.awardLines(loser[0], [{ line: 1, supplierId: loser[1] }], {}, USER, ROLE),
+    { statusCode: 409, message: /line 1 has 0 left, 10 awarded/ }
+  );
+});
@@ -0,0 +1,46 @@
+// test/storage.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createSandbox } = require('./helpers/sandbox');
+
+const sandbox = createSandbox();
+after(() => sandbox.cleanup());
+
+const { getRepository } = sandbox.load('utils/repository.util');
+
+test('JSON driver keeps a collection in its index.json file', async () => {
+  const clients = getRepository('clients');
+
+  await clients.insert({ id: 'CL0001', companyName: 'Omega' });
+  await clients.insert({ id: 'CL0002', companyName: 'Delta' });
+  await clients.update('CL0001', { companyName: 'Omega Steel' });
+  await clients.remove('CL0002');
+
+  const stored = JSON.parse(fs.readFileSync(sandbox.dataFile('clients/index.json'), 'utf8'));
+  assert.deepEqual(stored, [{ id: 'CL0001', companyName: 'Omega Steel', version: 2 }]);
+  assert.deepEqual(await clients.findById('CL0001'), stored[0]);
+  assert.equal(await clients.findById('CL0002'), null);
+});
+
+test('append-only logs get one line per entry and still read the old JSON file', async () => {
+  fs.mkdirSync(sandbox.dataFile('audit'), { recursive: true });
+  fs.writeFileSync(sandbox.dataFile('audit/index.json'), JSON.stringify([{ id: 'AUDIT-old' }]));
+
+  const auditLog = getRepository('auditLog');
+  await Promise.all(['AUDIT-1', 'AUDIT-2', 'AUDIT-3'].map(id => auditLog.append({ id })));
+
+  const lines = fs.readFileSync(sandbox.dataFile('audit/index.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.deepEqual(
+    (await auditLog.findAll()).map(entry => entry.id).sort(),
+    ['AUDIT-1', 'AUDIT-2', 'AUDIT-3', 'AUDIT-old']
+  );
+});
+
+test('a log line cut short by a crash is skipped', async () => {
+  fs.appendFileSync(sandbox.dataFile('audit/index.jsonl'), '{"id":"AUDIT-cut');
+
+  const entries = await getRepository('auditLog').findAll();
+  assert.equal(entries.length, 4);
+});